@@ -2,6 +2,10 @@ const mongoose = require('mongoose');
 
 const connectDB = async () => {
   try {
+    // Queries inside connection.transaction() join its session without passing { session }
+    // (stock changes and their ledger records — see utils/inventoryManager.js)
+    mongoose.set('transactionAsyncLocalStorage', true);
+
     // OPTIMIZED CONNECTION OPTIONS FOR HIGH PERFORMANCE
     const conn = await mongoose.connect(process.env.MONGODB_URI, {
       maxPoolSize: 100,        // Increased for high concurrency (was 50)
@@ -1,5 +1,69 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { getRolePermissions, hasPermission } = require('../utils/permissions');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+
+/**
+ * Resolve the user behind a JWT (shared by the HTTP `protect` middleware and the Socket.IO handshake)
+ * Access tokens carry their session id (sid) — a revoked session fails here straight away.
+ * @returns {Object} the user, with sessionId set when the token belongs to a session,
+ *                   twoFactorVerified from the token's mfa claim and permissions resolved from the user's role
+ * @throws {Error} statusCode 401 for a missing/invalid/expired/revoked token or an unknown/deactivated user
+ */
+const verifyToken = async (token) => {
+  const unauthorized = (message) => {
+    const error = new Error(message);
+    error.statusCode = 401;
+    return error;
+  };
+  
+  if (!token) {
+    throw unauthorized('Not authorized - No token provided');
+  }
+  
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') throw unauthorized('Token expired');
+    if (error.name === 'JsonWebTokenError') throw unauthorized('Invalid token');
+    throw error;
+  }
+  
+  // Login challenge tokens (two-factor step) are not access tokens
+  if (decoded.purpose) {
+    throw unauthorized('Invalid token');
+  }
+  
+  // Get user (and session) from token - use lean() for speed since we just need the data
+  const [user, session] = await Promise.all([
+    User.findById(decoded.id).select('-password').lean(),
+    decoded.sid ? Session.findById(decoded.sid).select('revokedAt').lean() : null
+  ]);
+  
+  if (!user) {
+    throw unauthorized('User not found');
+  }
+  
+  if (!user.isActive) {
+    throw unauthorized('User account is deactivated');
+  }
+  
+  if (decoded.sid && (!session || session.revokedAt)) {
+    throw unauthorized('Session has been revoked');
+  }
+  
+  // Force-logout: tokens issued before it are rejected (covers tokens without a session)
+  if (user.tokensValidAfter && decoded.iat < Math.floor(new Date(user.tokensValidAfter).getTime() / 1000)) {
+    throw unauthorized('Session has been revoked');
+  }
+  
+  user.sessionId = decoded.sid || null;
+  user.twoFactorVerified = decoded.mfa === true;
+  user.permissions = await getRolePermissions(user.role);
+  return user;
+};
 
 // Verify JWT token
 const protect = async (req, res, next) => {
@@ -10,48 +74,13 @@ const protect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
     
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'Not authorized - No token provided'
-      });
-    }
-    
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from token - use lean() for speed since we just need the data
-    const user = await User.findById(decoded.id)
-      .select('-password')
-      .lean();
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-    
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        error: 'User account is deactivated'
-      });
-    }
-    
-    req.user = user;
+    req.user = await verifyToken(token);
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token'
-      });
-    }
-    if (error.name === 'TokenExpiredError') {
+    if (error.statusCode === 401) {
       return res.status(401).json({
         success: false,
-        error: 'Token expired'
+        error: error.message
       });
     }
     return res.status(500).json({
@@ -61,29 +90,42 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Restrict to specific roles
-const authorize = (...roles) => {
+// 403 for a token that did not pass two-factor login
+const twoFactorMissing = (req, res) => {
+  return res.status(403).json({
+    success: false,
+    error: req.user.twoFactor?.enabled
+      ? 'Two-factor authentication is required. Please log in again with your authenticator code.'
+      : 'Two-factor authentication is required. Set it up first (POST /api/auth/2fa/setup).',
+    twoFactorRequired: true
+  });
+};
+
+// Require a two-factor login (token mfa claim) — use after protect on admin-only routes
+const requireTwoFactor = (req, res, next) => {
+  if (!req.user.twoFactorVerified) {
+    return twoFactorMissing(req, res);
+  }
+  next();
+};
+
+// Require every listed permission (see utils/permissions.js) — use after protect.
+// Roles with mandatory 2FA (admin) also need a two-factor login for any guarded action.
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (isTwoFactorRequired(req.user) && !req.user.twoFactorVerified) {
+      return twoFactorMissing(req, res);
+    }
+    
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
       return res.status(403).json({
         success: false,
-        error: `Role '${req.user.role}' is not authorized to access this route`
+        error: `Permission ${missing.map(permission => `'${permission}'`).join(', ')} ${missing.length > 1 ? 'are' : 'is'} required for this action`
       });
     }
     next();
   };
 };
 
-// Admin only middleware
-const adminOnly = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      error: 'Admin access required'
-    });
-  }
-  next();
-};
-
-module.exports = { protect, authorize, adminOnly };
-
+module.exports = { protect, requirePermission, requireTwoFactor, verifyToken };
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+/**
+ * ApprovalRequest Model
+ *
+ * An order action held back by an approval rule (see utils/approvalManager.js) —
+ * e.g. a discount above the user's limit, or cancelling an order that has payments.
+ * The action's request body is stored as `payload` and replayed when an approver
+ * approves it; until then nothing on the order changes.
+ *
+ *   pending → approved (action applied) | failed (action could not be applied)
+ *           → rejected | withdrawn (by the requester)
+ */
+
+const approvalRequestSchema = new mongoose.Schema({
+  approvalNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Action to run on approval: order.create | order.update | order.cancel | order.delete
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Rule that triggered it: discount | cancel | cancel_with_payments | delete | overbooking
+  rule: {
+    type: String,
+    required: true
+  },
+  ruleDetails: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'approved', 'rejected', 'withdrawn', 'failed'],
+    default: 'pending',
+    index: true
+  },
+
+  // Target order (none for an order that does not exist yet)
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+    index: true
+  },
+  orderNumber: {
+    type: String,
+    default: null
+  },
+  partyName: {
+    type: String,
+    default: null
+  },
+  // Order's updatedAt when the request was made — edits made since then fail the approval
+  baseVersion: {
+    type: Date,
+    default: null
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  requestedByName: {
+    type: String,
+    default: null
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  decidedByName: {
+    type: String,
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  decisionNote: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Outcome of the approved action (e.g. the created order's number) or why it failed
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+approvalRequestSchema.index({ status: 1, createdAt: -1 });
+approvalRequestSchema.index({ order: 1, type: 1, status: 1 });
+
+module.exports = mongoose.model('ApprovalRequest', approvalRequestSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * Attendance Model
+ *
+ * One shift of one employee: check-in → check-out (see utils/attendanceManager.js).
+ * An employee can work several shifts a day but only one can be open at a time.
+ * `date` is the local day the shift started on (midnight), used by the daily and
+ * monthly reports. Location is optional — the app sends the phone's GPS fix.
+ *
+ *   open (checked in) → closed (checked out, workedMinutes set)
+ */
+
+const pointSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+  latitude: {
+    type: Number,
+    min: -90,
+    max: 90,
+    default: null
+  },
+  longitude: {
+    type: Number,
+    min: -180,
+    max: 180,
+    default: null
+  },
+  // GPS accuracy in metres, as reported by the phone
+  accuracy: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  deviceId: {
+    type: String,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Entered by a manager instead of the employee's own device
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+const attendanceSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  employeeName: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  checkIn: {
+    type: pointSchema,
+    required: true
+  },
+  checkOut: {
+    type: pointSchema,
+    default: null
+  },
+  workedMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+attendanceSchema.index({ employee: 1, date: -1 });
+attendanceSchema.index({ date: 1 });
+// At most one open shift per employee (a double-tapped check-in fails here)
+attendanceSchema.index({ employee: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog Model
+ *
+ * Append-only record of financial mutations (payments, refunds, order edits, stock
+ * adjustments, invoice deletions) — who, from where, on what, and the before/after values.
+ *
+ * Entries are hash-chained (see utils/auditLog.js): each hash covers the entry and the
+ * previous entry's hash, so an edited, deleted or re-ordered row breaks the chain.
+ * Updates and deletes through Mongoose are refused outright.
+ */
+
+const auditLogSchema = new mongoose.Schema({
+  // Position in the chain: 1, 2, 3 ... without gaps
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  at: {
+    type: Date,
+    required: true,
+    index: true
+  },
+
+  // Who / from where
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  actorName: {
+    type: String,
+    default: null
+  },
+  actorRole: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  deviceId: {
+    type: String,
+    default: null
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+
+  // What
+  entity: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: String,
+    default: null
+  },
+  // Human reference (order / invoice / return number, product name)
+  entityRef: {
+    type: String,
+    default: null
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Chain
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false,
+  // Keep empty objects in before/after/metadata exactly as they were hashed
+  minimize: false
+});
+
+auditLogSchema.index({ entity: 1, entityId: 1, seq: -1 });
+auditLogSchema.index({ action: 1, seq: -1 });
+
+// Append-only: existing entries cannot be changed or removed through the application
+const refuseChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => {
+  auditLogSchema.pre(operation, refuseChange);
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
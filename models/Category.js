@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tombstonePlugin } = require('../utils/tombstones');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -41,4 +42,7 @@ categorySchema.index({ isActive: 1, displayOrder: 1 });
 // Text search
 categorySchema.index({ name: 'text', description: 'text' });
 
+// Hard deletes leave a tombstone for delta sync
+categorySchema.plugin(tombstonePlugin, { modelName: 'Category' });
+
 module.exports = mongoose.model('Category', categorySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tombstonePlugin } = require('../utils/tombstones');
 
 const clientSchema = new mongoose.Schema({
   partyName: {
@@ -22,6 +23,22 @@ const clientSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  // GST details — stateCode decides place of supply (CGST+SGST vs IGST)
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  stateCode: {
+    type: String, // 2-digit GST state code, e.g. "08" for Rajasthan
+    trim: true,
+    default: null
+  },
   notes: {
     type: String,
     trim: true
@@ -62,6 +79,12 @@ const clientSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Security deposits currently held across this client's orders (refundable, not a payment)
+  depositHeld: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   totalReturns: {
     type: Number,
     default: 0
@@ -157,5 +180,8 @@ clientSchema.methods.getFinancialSummary = async function() {
   };
 };
 
+// Hard deletes leave a tombstone for delta sync
+clientSchema.plugin(tombstonePlugin, { modelName: 'Client' });
+
 module.exports = mongoose.model('Client', clientSchema);
 
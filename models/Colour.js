@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tombstonePlugin } = require('../utils/tombstones');
 
 /**
  * Colour Model
@@ -29,4 +30,7 @@ const colourSchema = new mongoose.Schema({
 
 colourSchema.index({ isActive: 1, name: 1 });
 
+// Hard deletes leave a tombstone for delta sync
+colourSchema.plugin(tombstonePlugin, { modelName: 'Colour' });
+
 module.exports = mongoose.model('Colour', colourSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * Counter Model
+ *
+ * Named, gap-free sequences (e.g. "realtime" for Socket.IO event sequence numbers).
+ * One document per sequence; next() is a single atomic $inc.
+ */
+
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Atomically increment and return the next value of a sequence
+ */
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, lean: true }
+  );
+  return counter.seq;
+};
+
+/**
+ * Current value of a sequence (0 if it was never used)
+ */
+counterSchema.statics.current = async function(name) {
+  const counter = await this.findById(name).lean();
+  return counter ? counter.seq : 0;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -35,7 +35,20 @@ const deliveryItemSchema = new mongoose.Schema({
   height: { type: Number, min: 0 },
   chunnut: { type: Number, min: 0 },
   colour: { type: String, trim: true },
-  colourPrice: { type: Number, min: 0 }
+  colourPrice: { type: Number, min: 0 },
+  // GST (per line — HSN/SAC code, rate and the CGST/SGST/IGST split)
+  hsnCode: { type: String, trim: true, default: '' },
+  gstRate: { type: Number, min: 0, max: 100 },
+  taxableValue: { type: Number, min: 0 },
+  cgstAmount: { type: Number, default: 0, min: 0 },
+  sgstAmount: { type: Number, default: 0, min: 0 },
+  igstAmount: { type: Number, default: 0, min: 0 },
+  // Rental lines (carried over from order item)
+  lineType: { type: String, enum: ['sale', 'rental'], default: 'sale' },
+  hireFrom: { type: Date },
+  hireTo: { type: Date },
+  rentalPricing: { type: String, enum: ['per_day', 'per_event', null], default: null },
+  hireDays: { type: Number, min: 0 }
 }, { _id: false });
 
 const deliverySchema = new mongoose.Schema({
@@ -97,6 +110,38 @@ const deliverySchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // GST split (gstAmount = cgstAmount + sgstAmount + igstAmount)
+  // Intra-state supply → CGST + SGST, inter-state supply → IGST
+  cgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  placeOfSupply: {
+    type: String, // 2-digit GST state code
+    trim: true,
+    default: null
+  },
+  isInterState: {
+    type: Boolean,
+    default: false
+  },
+  customerGstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
   discount: {
     type: Number,
     default: 0,
@@ -156,6 +201,16 @@ const deliverySchema = new mongoose.Schema({
     ref: 'User',
     index: true
   },
+  // Where the goods were picked from (null = the default location)
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  locationName: {
+    type: String,
+    default: null
+  },
   notes: {
     type: String,
     trim: true
@@ -34,7 +34,20 @@ const invoiceItemSchema = new mongoose.Schema({
   height: { type: Number, min: 0 },
   chunnut: { type: Number, min: 0 },
   colour: { type: String, trim: true },
-  colourPrice: { type: Number, min: 0 }
+  colourPrice: { type: Number, min: 0 },
+  // GST (per line — HSN/SAC code, rate and the CGST/SGST/IGST split)
+  hsnCode: { type: String, trim: true, default: '' },
+  gstRate: { type: Number, min: 0, max: 100 },
+  taxableValue: { type: Number, min: 0 },
+  cgstAmount: { type: Number, default: 0, min: 0 },
+  sgstAmount: { type: Number, default: 0, min: 0 },
+  igstAmount: { type: Number, default: 0, min: 0 },
+  // Rental lines (carried over from order item)
+  lineType: { type: String, enum: ['sale', 'rental'], default: 'sale' },
+  hireFrom: { type: Date },
+  hireTo: { type: Date },
+  rentalPricing: { type: String, enum: ['per_day', 'per_event', null], default: null },
+  hireDays: { type: Number, min: 0 }
 }, { _id: false });
 
 const deliveryInvoiceSchema = new mongoose.Schema({
@@ -113,6 +126,38 @@ const deliveryInvoiceSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // GST split (gstAmount = cgstAmount + sgstAmount + igstAmount)
+  // Intra-state supply → CGST + SGST, inter-state supply → IGST
+  cgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  placeOfSupply: {
+    type: String, // 2-digit GST state code
+    trim: true,
+    default: null
+  },
+  isInterState: {
+    type: Boolean,
+    default: false
+  },
+  customerGstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
   discount: {
     type: Number,
     default: 0,
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+/**
+ * Event Model
+ *
+ * One wedding (or other function) usually produces several orders — mandap, lighting,
+ * parda, catering tents — for the same client. An Event ties them together:
+ * - Orders link to it via Order.event (single source of truth, no duplicated order list)
+ * - Billing and balance are consolidated across the linked orders
+ * - Own number (EVT26120001)
+ */
+
+const eventSchema = new mongoose.Schema({
+  eventNumber: {
+    type: String,
+    unique: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Event name is required'],
+    trim: true
+  },
+  eventType: {
+    type: String,
+    enum: ['wedding', 'engagement', 'reception', 'mehendi', 'haldi', 'sangeet', 'birthday', 'religious', 'corporate', 'other'],
+    default: 'wedding',
+    index: true
+  },
+
+  // ── Date Range ──
+  startDate: {
+    type: Date,
+    required: [true, 'Event start date is required'],
+    index: true
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Event end date is required'],
+    index: true
+  },
+
+  // ── Venue ──
+  venue: {
+    name: { type: String, trim: true },
+    address: { type: String, trim: true },
+    city: { type: String, trim: true }
+  },
+
+  // ── Contact Person (on-site — may differ from the billing client) ──
+  contactPerson: {
+    name: { type: String, trim: true },
+    mobile: { type: String, trim: true }
+  },
+
+  // ── Client Reference (optional) ──
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null,
+    index: true
+  },
+  partyName: {
+    type: String,
+    trim: true,
+    index: true
+  },
+  mobile: {
+    type: String,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: ['planned', 'confirmed', 'completed', 'cancelled'],
+    default: 'planned',
+    index: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Linked orders (Order.event → Event._id)
+eventSchema.virtual('orders', {
+  ref: 'Order',
+  localField: '_id',
+  foreignField: 'event'
+});
+
+// Indexes
+eventSchema.index({ startDate: 1, status: 1 });
+eventSchema.index({ client: 1, startDate: -1 });
+eventSchema.index({ name: 'text', partyName: 'text', eventNumber: 'text', 'venue.name': 'text' });
+
+// Validate date range + auto-generate event number (EVT26120001)
+eventSchema.pre('save', async function(next) {
+  if (this.endDate < this.startDate) {
+    const error = new Error('Event end date cannot be before start date');
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  if (this.isNew && !this.eventNumber) {
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const prefix = `EVT${year}${month}`;
+
+    const lastEvent = await mongoose.model('Event').findOne({
+      eventNumber: { $regex: `^${prefix}\\d{4,}$` }
+    })
+    .select('eventNumber')
+    .sort({ eventNumber: -1 })
+    .lean();
+
+    let nextNumber = 1;
+    if (lastEvent && lastEvent.eventNumber) {
+      const sequencePart = lastEvent.eventNumber.substring(prefix.length);
+      const num = parseInt(sequencePart, 10);
+      if (!isNaN(num) && Number.isSafeInteger(num) && num > 0) {
+        nextNumber = num + 1;
+      }
+    }
+
+    // Retry logic for race conditions
+    let attempts = 0;
+    const maxAttempts = 5;
+    let eventNumber = null;
+
+    while (attempts < maxAttempts && !eventNumber) {
+      const candidateNumber = `${prefix}${nextNumber.toString().padStart(4, '0')}`;
+      const existing = await mongoose.model('Event').findOne({
+        eventNumber: candidateNumber
+      }).select('_id').lean();
+
+      if (!existing) {
+        eventNumber = candidateNumber;
+      } else {
+        nextNumber++;
+        attempts++;
+      }
+    }
+
+    if (!eventNumber) {
+      const timestamp = Date.now().toString().slice(-4);
+      eventNumber = `${prefix}${nextNumber.toString().padStart(4, '0')}_${timestamp}`;
+    }
+
+    this.eventNumber = eventNumber;
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('Event', eventSchema);
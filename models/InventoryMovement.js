@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+/**
+ * InventoryMovement Model
+ *
+ * One change to a product's stock, written by utils/inventoryManager.js next to the
+ * $inc on Product.inventory, so every unit can be traced back to where it came from.
+ *
+ *   quantity: signed change (+ in, − out); before / after: Product.inventory around it
+ *   source:   what caused it, e.g. { type: 'purchase_order', id, ref: 'PO00012' }
+ *
+ * Types:
+ *   opening            stock entered with a new product
+ *   sale / sale_edit   order and invoice lines (created / quantities edited)
+ *   sale_cancel        cancelled order or invoice puts its stock back
+ *   return             sales return in good condition
+ *   rental_dispatch    out on hire (inventory → onHire)
+ *   rental_return      checked in from hire in good condition
+ *   quarantine_release repaired / cleaned units back into stock
+ *   manual             stock set by hand (product edit or inventory adjustment)
+ *   purchase_receipt   goods received against a purchase order
+ *   stock_take         correction posted from a physical count (variance)
+ *   rollback           a recorded movement undone because the rest of the operation failed
+ */
+
+const MOVEMENT_TYPES = [
+  'opening',
+  'sale',
+  'sale_edit',
+  'sale_cancel',
+  'return',
+  'rental_dispatch',
+  'rental_return',
+  'quarantine_release',
+  'manual',
+  'purchase_receipt',
+  'stock_take',
+  'rollback'
+];
+
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  before: {
+    type: Number,
+    default: null
+  },
+  after: {
+    type: Number,
+    default: null
+  },
+  source: {
+    type: {
+      type: String,
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    // Human-readable number (PO00012, ORD2610001, ...)
+    ref: {
+      type: String,
+      default: null
+    },
+    // Finer reference inside the source, e.g. the goods receipt PO00012-R2
+    detail: {
+      type: String,
+      default: null
+    }
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  userName: {
+    type: String,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ 'source.type': 1, 'source.id': 1 });
+inventoryMovementSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
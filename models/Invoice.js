@@ -23,7 +23,13 @@ const invoiceItemSchema = new mongoose.Schema({
   total: {
     type: Number,
     required: true
-  }
+  },
+  hsnCode: { type: String, trim: true, default: '' },
+  gstRate: { type: Number, min: 0, max: 100 },
+  taxableValue: { type: Number, min: 0 },
+  cgstAmount: { type: Number, default: 0, min: 0 },
+  sgstAmount: { type: Number, default: 0, min: 0 },
+  igstAmount: { type: Number, default: 0, min: 0 }
 }, { _id: false });
 
 const invoiceSchema = new mongoose.Schema({
@@ -80,6 +86,38 @@ const invoiceSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // GST split (gstAmount = cgstAmount + sgstAmount + igstAmount)
+  // Intra-state supply → CGST + SGST, inter-state supply → IGST
+  cgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  placeOfSupply: {
+    type: String, // 2-digit GST state code
+    trim: true,
+    default: null
+  },
+  isInterState: {
+    type: Boolean,
+    default: false
+  },
+  customerGstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
   discount: {
     type: Number,
     default: 0,
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Leave Model
+ *
+ * A leave record covering whole days from `from` to `to` (inclusive, local midnights).
+ * Employees request their own leave; attendance.manage records it directly or
+ * decides the requests. Approved leave counts as "on leave" in attendance reports.
+ *
+ *   pending → approved | rejected
+ *           → cancelled (by the employee, or by a manager while it is still upcoming)
+ */
+
+const leaveSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  employeeName: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['casual', 'sick', 'paid', 'unpaid', 'other'],
+    default: 'casual'
+  },
+  from: {
+    type: Date,
+    required: true
+  },
+  to: {
+    type: Date,
+    required: true
+  },
+  days: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  decidedByName: {
+    type: String,
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  decisionNote: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+leaveSchema.index({ employee: 1, from: -1 });
+leaveSchema.index({ status: 1, from: 1 });
+
+module.exports = mongoose.model('Leave', leaveSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Location Model
+ * Places stock is kept — the shop, godowns, venue sites (see utils/locationManager.js).
+ *
+ * Product.inventory stays the total. Stock at other locations is kept per product in
+ * Product.locationStock; the default location holds the rest, so sales, returns, receipts
+ * and other changes that don't name a location land there.
+ */
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    trim: true,
+    unique: true
+  },
+  // Short code for slips and phone screens (SHOP, GD1, ...)
+  code: {
+    type: String,
+    required: [true, 'Location code is required'],
+    trim: true,
+    uppercase: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['shop', 'godown', 'site', 'other'],
+    default: 'godown'
+  },
+  address: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Exactly one location is the default (the first one created)
+  isDefault: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+locationSchema.index({ isActive: 1, name: 1 });
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { orderRevisionPlugin } = require('../utils/orderRevisions');
+const { tombstonePlugin } = require('../utils/tombstones');
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -69,9 +71,188 @@ const orderItemSchema = new mongoose.Schema({
   colourPrice: {
     type: Number,
     min: 0
+  },
+  
+  // ── GST (per line) ──
+  // gstRate is resolved when the order is created (line → product master → order gstPercent)
+  // and carried to deliveries/invoices so returns can reverse the exact tax
+  hsnCode: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  gstRate: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  taxableValue: {
+    type: Number,
+    min: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // ── Rental / hire (tent & decoration items that come back) ──
+  // Rental lines do not reduce inventory at order time. Stock moves
+  // inventory → onHire at dispatch (delivery) and back on check-in.
+  lineType: {
+    type: String,
+    enum: ['sale', 'rental'],
+    default: 'sale'
+  },
+  hireFrom: {
+    type: Date
+  },
+  hireTo: {
+    type: Date // return due date
+  },
+  rentalPricing: {
+    type: String,
+    enum: ['per_day', 'per_event', null],
+    default: null
+  },
+  hireDays: {
+    type: Number,
+    min: 0
+  },
+  checkedInQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, { _id: false });
 
+// Extra charges added after the order was placed (late return, damage, ...)
+// Each charge is included in grandTotal when it is added
+const additionalChargeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['late_return', 'damage', 'cleaning', 'loss', 'other'],
+    default: 'other'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  reference: {
+    type: String, // e.g. check-in or return number
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+// Security deposit ledger — kept OUT of grandTotal/advance/balanceDue
+// collect: money taken as deposit, forfeit: kept for damages, refund: money given back
+const depositTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['collect', 'forfeit', 'refund'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Deposit amount must be positive']
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'bank_transfer', 'cheque', 'other', null],
+    default: null
+  },
+  transactionReference: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String, // e.g. what was damaged (forfeit)
+    trim: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  paymentNumber: {
+    type: String,
+    default: null
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: true });
+
+// One entry per rental check-in (items coming back from hire)
+const rentalCheckInSchema = new mongoose.Schema({
+  checkInDate: {
+    type: Date,
+    default: Date.now
+  },
+  items: [{
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    productName: { type: String, trim: true },
+    quantity: { type: Number, min: 0 },
+    lateDays: { type: Number, default: 0 },
+    lateFee: { type: Number, default: 0 },
+    condition: { type: String, enum: ['good', 'damaged', 'lost', 'needs_cleaning'], default: 'good' },
+    damageCharge: { type: Number, default: 0, min: 0 },
+    damageReason: { type: String, trim: true }
+  }],
+  damageCharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lateFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lateFeeWaived: {
+    type: Boolean,
+    default: false
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, { _id: true });
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -96,6 +277,28 @@ const orderSchema = new mongoose.Schema({
     ref: 'Client',
     index: true
   },
+  // Event / venue booking this order belongs to (several orders per wedding)
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null,
+    index: true
+  },
+  eventNumber: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Quotation this order was converted from (if any)
+  quotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation',
+    default: null
+  },
+  quotationNumber: {
+    type: String,
+    default: null
+  },
   // Order Items
   items: [orderItemSchema],
   
@@ -126,6 +329,38 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // GST split (gstAmount = cgstAmount + sgstAmount + igstAmount)
+  // Intra-state supply → CGST + SGST, inter-state supply → IGST
+  cgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  placeOfSupply: {
+    type: String, // 2-digit GST state code
+    trim: true,
+    default: null
+  },
+  isInterState: {
+    type: Boolean,
+    default: false
+  },
+  customerGstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
   discount: {
     type: Number,
     default: 0,
@@ -198,6 +433,58 @@ const orderSchema = new mongoose.Schema({
     default: 0
   },
   
+  // ── Additional Charges (late return etc.) — already included in grandTotal ──
+  additionalCharges: [additionalChargeSchema],
+  additionalChargesTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // ── Rental Tracking ──
+  hasRentalItems: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  // Earliest hireTo among rental lines still out on hire (null when everything is back)
+  rentalReturnDue: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  rentalCheckIns: [rentalCheckInSchema],
+  
+  // ── Security Deposit (separate ledger — never part of grandTotal) ──
+  // depositHeld = collected - forfeited - refunded
+  depositTransactions: [depositTransactionSchema],
+  depositCollected: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  depositForfeited: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  depositRefunded: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  depositHeld: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  depositStatus: {
+    type: String,
+    enum: ['none', 'held', 'partially_settled', 'settled'],
+    default: 'none',
+    index: true
+  },
+  
   // Employee tracking
   employeeName: {
     type: String,
@@ -300,6 +587,7 @@ orderSchema.index({ deliveryPerformance: 1, orderDate: -1 });
 orderSchema.index({ isLocked: 1, status: 1 });
 orderSchema.index({ client: 1, status: 1 });
 orderSchema.index({ client: 1, paymentStatus: 1 });
+orderSchema.index({ hasRentalItems: 1, rentalReturnDue: 1 }); // For overdue rental queries
 
 // Text index for search
 orderSchema.index({ partyName: 'text', mobile: 'text', orderNumber: 'text' });
@@ -399,6 +687,34 @@ orderSchema.pre('save', async function(next) {
     item.remainingQuantity = item.quantity - item.deliveredQuantity;
   });
   
+  this.additionalChargesTotal = (this.additionalCharges || []).reduce((sum, c) => sum + (c.amount || 0), 0);
+  
+  // ── Security deposit totals (from the deposit ledger) ──
+  const depositSum = (type) => (this.depositTransactions || [])
+    .filter(t => t.type === type)
+    .reduce((sum, t) => sum + (t.amount || 0), 0);
+  this.depositCollected = Math.round(depositSum('collect') * 100) / 100;
+  this.depositForfeited = Math.round(depositSum('forfeit') * 100) / 100;
+  this.depositRefunded = Math.round(depositSum('refund') * 100) / 100;
+  this.depositHeld = Math.max(0, Math.round((this.depositCollected - this.depositForfeited - this.depositRefunded) * 100) / 100);
+  if (this.depositCollected === 0) {
+    this.depositStatus = 'none';
+  } else if (this.depositHeld === 0) {
+    this.depositStatus = 'settled';
+  } else if (this.depositForfeited > 0 || this.depositRefunded > 0) {
+    this.depositStatus = 'partially_settled';
+  } else {
+    this.depositStatus = 'held';
+  }
+  
+  // ── Rental tracking: what is still out on hire, and when is it due back ──
+  const rentalItems = this.items.filter(item => item.lineType === 'rental');
+  const outOnHire = rentalItems.filter(item => (item.deliveredQuantity || 0) - (item.checkedInQuantity || 0) > 0);
+  this.hasRentalItems = rentalItems.length > 0;
+  this.rentalReturnDue = outOnHire.length > 0
+    ? outOnHire.reduce((min, item) => (item.hireTo && (!min || item.hireTo < min) ? item.hireTo : min), null)
+    : null;
+  
   // ── Calculate progress (based on deliveredQuantity — physical delivery progress) ──
   const totalQuantity = this.items.reduce((sum, item) => sum + item.quantity, 0);
   const deliveredQuantity = this.items.reduce((sum, item) => sum + item.deliveredQuantity, 0);
@@ -418,10 +734,11 @@ orderSchema.pre('save', async function(next) {
   if (isFullyReturned) {
     this.status = 'returned';
     this.isLocked = false; // Keep unlocked (it's done, but not "completed")
-  } else if (isFullyDelivered && isFullyPaid) {
+  } else if (isFullyDelivered && isFullyPaid && outOnHire.length === 0) {
     this.status = 'completed';
     this.isLocked = true;
-  } else if (isFullyDelivered && !isFullyPaid) {
+  } else if (isFullyDelivered) {
+    // Unpaid, or hired items not yet checked in — keep the order open for check-in/charges
     this.isLocked = false;
     this.status = 'delivered';
   } else if (this.progress > 0 && this.progress < 100) {
@@ -460,5 +777,9 @@ orderSchema.pre('save', async function(next) {
   next();
 });
 
+// Field-level revision history for every change (see utils/orderRevisions.js)
+orderSchema.plugin(orderRevisionPlugin);
+orderSchema.plugin(tombstonePlugin, { modelName: 'Order' });
+
 module.exports = mongoose.model('Order', orderSchema);
 
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+/**
+ * OrderRevision Model
+ *
+ * Immutable audit trail of every change to an Order — who changed what, when, with
+ * before/after values per field and per item line. Written automatically by the
+ * Order revision plugin (utils/orderRevisions.js); never updated or deleted.
+ */
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  // Append-only arrays (deposit transactions, check-ins, charges) record just the new entries
+  added: [mongoose.Schema.Types.Mixed]
+}, { _id: false });
+
+const itemChangeSchema = new mongoose.Schema({
+  change: {
+    type: String,
+    enum: ['added', 'removed', 'modified'],
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  productName: String,
+  fields: [fieldChangeSchema]
+}, { _id: false });
+
+const orderRevisionSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    index: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deleted'],
+    default: 'updated'
+  },
+  // What caused the change, e.g. order.update, payment, delivery, return, check-in, deposit, cancel, event
+  source: {
+    type: String,
+    default: 'system'
+  },
+  changes: [fieldChangeSchema],
+  itemChanges: [itemChangeSchema],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+orderRevisionSchema.index({ order: 1, revision: 1 }, { unique: true });
+orderRevisionSchema.index({ changedBy: 1, createdAt: -1 });
+
+// Revisions are immutable — block every update / delete path
+function immutable(next) {
+  const error = new Error('Order revisions are immutable');
+  error.statusCode = 403;
+  next(error);
+}
+
+orderRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) return immutable(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+  orderRevisionSchema.pre(op, immutable);
+});
+
+module.exports = mongoose.model('OrderRevision', orderRevisionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tombstonePlugin } = require('../utils/tombstones');
 
 /**
  * Payment Model
@@ -92,7 +93,8 @@ const paymentSchema = new mongoose.Schema({
   // Payment Type
   paymentType: {
     type: String,
-    enum: ['order_payment', 'invoice_payment', 'advance_payment', 'adjustment', 'return_refund'],
+    // deposit_collected / deposit_refund: security deposit cash — NOT order payments (see Order.depositTransactions)
+    enum: ['order_payment', 'invoice_payment', 'advance_payment', 'adjustment', 'return_refund', 'deposit_collected', 'deposit_refund'],
     required: true,
     index: true,
     default: 'order_payment'
@@ -141,7 +143,7 @@ const paymentSchema = new mongoose.Schema({
   // For tracking payment source
   recordedFrom: {
     type: String,
-    enum: ['order_page', 'client_page', 'invoice_page', 'bulk_payment', 'system'],
+    enum: ['order_page', 'client_page', 'invoice_page', 'bulk_payment', 'offline_sync', 'system'],
     default: 'order_page'
   }
 }, {
@@ -267,4 +269,7 @@ paymentSchema.statics.getUnallocatedAdvances = async function(clientId) {
   .lean();
 };
 
+// Hard deletes leave a tombstone for delta sync
+paymentSchema.plugin(tombstonePlugin, { modelName: 'Payment' });
+
 module.exports = mongoose.model('Payment', paymentSchema);
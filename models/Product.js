@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tombstonePlugin } = require('../utils/tombstones');
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -21,6 +22,64 @@ const productSchema = new mongoose.Schema({
     min: 0,
     default: null
   },
+  // Stock at locations other than the default one (see utils/locationManager.js)
+  // The default location holds inventory minus the sum of these
+  locationStock: [{
+    _id: false,
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location'
+    },
+    quantity: {
+      type: Number,
+      default: 0
+    }
+  }],
+  // Units currently out on hire (rental lines). Owned stock = inventory + onHire
+  onHire: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Units back from a return/check-in that need repair or cleaning before reuse
+  // Not available for sale or hire until released back to inventory
+  quarantineStock: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Late return fee per unit per day for hired items
+  // null → per-day rentals charge their daily rate, per-event rentals charge nothing
+  lateFeePerDay: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Stock levels (see utils/inventoryManager.js)
+  // minStockLevel: below it the product is "low stock" — null → LOW_STOCK_THRESHOLD
+  // reorderPoint: at or below it (inventory + onHire + on open purchase orders) a reorder is suggested — null → minStockLevel
+  // reorderQuantity: how many to order — null → enough to get back to the reorder point
+  minStockLevel: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  reorderPoint: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  reorderQuantity: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  preferredSupplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    default: null,
+    index: true
+  },
   category: {
     type: mongoose.Schema.Types.Mixed,  // Mixed type for backward compatibility
     ref: 'Category',
@@ -40,6 +99,19 @@ const productSchema = new mongoose.Schema({
     trim: true,
     default: 'piece'
   },
+  // GST master: HSN (goods) / SAC (services, e.g. tent hire) code and rate
+  // gstRate null → falls back to the order-level gstPercent
+  hsnCode: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  gstRate: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
   image: {
     type: String,
     trim: true
@@ -67,5 +139,8 @@ productSchema.index({ category: 1, isActive: 1, price: 1 }); // For category fil
 productSchema.index({ category: 1, isFastSale: 1, isActive: 1 }); // For fast sale by category
 productSchema.index({ isActive: 1, updatedAt: -1 }); // For recently updated products
 
+// Hard deletes leave a tombstone for delta sync
+productSchema.plugin(tombstonePlugin, { modelName: 'Product' });
+
 module.exports = mongoose.model('Product', productSchema);
 
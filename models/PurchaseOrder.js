@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+/**
+ * PurchaseOrder Model
+ *
+ * Stock ordered from a supplier (see utils/purchaseManager.js). Goods can arrive in
+ * several deliveries — each is a receipt that adds stock through the inventory manager.
+ *
+ *   draft → sent → partially_received → received
+ *   draft / sent → cancelled;  partially_received → closed (rest will not come)
+ */
+
+const purchaseItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  unit: {
+    type: String,
+    default: 'piece'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  gstRate: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  taxableValue: {
+    type: Number,
+    default: 0
+  },
+  gstAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  receivedQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+const receiptSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedByName: String,
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    productName: String,
+    quantity: Number
+  }],
+  note: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+    index: true
+  },
+  supplierName: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'partially_received', 'received', 'cancelled', 'closed'],
+    default: 'draft',
+    index: true
+  },
+  items: {
+    type: [purchaseItemSchema],
+    validate: [items => items.length > 0, 'A purchase order needs at least one item']
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  gstAmount: {
+    type: Number,
+    default: 0
+  },
+  grandTotal: {
+    type: Number,
+    default: 0
+  },
+  // Total of the supplier bills recorded against this order
+  billedAmount: {
+    type: Number,
+    default: 0
+  },
+  expectedDate: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  receipts: [receiptSchema],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdByName: String,
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  receivedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ 'items.product': 1, status: 1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
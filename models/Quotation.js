@@ -0,0 +1,332 @@
+const mongoose = require('mongoose');
+
+/**
+ * Quotation Model
+ *
+ * A priced proposal sent to a customer BEFORE an order exists. Same items / freight / GST
+ * structure as Order, but it never touches stock.
+ *
+ * Flow:
+ *   draft → sent → (revise → draft → sent ...) → accepted → converted (creates the Order)
+ *                                              ↘ rejected / expired
+ *
+ * Every revision snapshots the previous version into `versions` (QUO26120001 v1, v2, ...).
+ */
+
+const quotationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  narration: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Quantity must be greater than 0']
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+
+  // ── Parda-specific fields ──
+  width: { type: Number, min: 0 },
+  height: { type: Number, min: 0 },
+  chunnut: { type: Number, min: 0 },
+  colour: { type: String, trim: true },
+  colourPrice: { type: Number, min: 0 },
+
+  // ── GST (per line) — quoted rate is carried to the order on conversion ──
+  hsnCode: { type: String, trim: true, default: '' },
+  gstRate: { type: Number, min: 0, max: 100 },
+  taxableValue: { type: Number, min: 0 },
+  cgstAmount: { type: Number, default: 0, min: 0 },
+  sgstAmount: { type: Number, default: 0, min: 0 },
+  igstAmount: { type: Number, default: 0, min: 0 },
+
+  // ── Rental / hire ──
+  lineType: { type: String, enum: ['sale', 'rental'], default: 'sale' },
+  hireFrom: { type: Date },
+  hireTo: { type: Date },
+  rentalPricing: { type: String, enum: ['per_day', 'per_event', null], default: null },
+  hireDays: { type: Number, min: 0 }
+}, { _id: false });
+
+// Snapshot of a previous version (pricing + items as they were sent)
+const quotationVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  items: [quotationItemSchema],
+  subtotal: Number,
+  localFreight: Number,
+  transportation: Number,
+  gstPercent: Number,
+  gstAmount: Number,
+  cgstAmount: Number,
+  sgstAmount: Number,
+  igstAmount: Number,
+  discount: Number,
+  grandTotal: Number,
+  validUntil: Date,
+  status: String, // status the version had when it was superseded
+  revisedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revisionNote: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const quotationSchema = new mongoose.Schema({
+  quotationNumber: {
+    type: String,
+    unique: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+
+  // ── Customer ──
+  partyName: {
+    type: String,
+    required: [true, 'Party name is required'],
+    trim: true,
+    index: true
+  },
+  mobile: {
+    type: String,
+    required: [true, 'Mobile number is required'],
+    trim: true,
+    index: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null,
+    index: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null,
+    index: true
+  },
+
+  // ── Items + Pricing (same structure as Order) ──
+  items: [quotationItemSchema],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  localFreight: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  transportation: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  gstPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  gstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  placeOfSupply: {
+    type: String,
+    default: null
+  },
+  isInterState: {
+    type: Boolean,
+    default: false
+  },
+  customerGstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  grandTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // ── Dates ──
+  quotationDate: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  validUntil: {
+    type: Date,
+    index: true
+  },
+  expectedDeliveryDate: {
+    type: Date
+  },
+
+  // ── Workflow ──
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'accepted', 'rejected', 'expired', 'converted'],
+    default: 'draft',
+    index: true
+  },
+  sentAt: Date,
+  acceptedAt: Date,
+  rejectedAt: Date,
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  expiredAt: Date,
+  versions: [quotationVersionSchema],
+
+  // ── Conversion ──
+  convertedOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  convertedOrderNumber: {
+    type: String,
+    default: null
+  },
+  convertedAt: Date,
+
+  // ── Metadata ──
+  employeeName: {
+    type: String,
+    trim: true
+  },
+  comment: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+quotationSchema.index({ status: 1, validUntil: 1 });
+quotationSchema.index({ client: 1, quotationDate: -1 });
+quotationSchema.index({ partyName: 'text', mobile: 'text', quotationNumber: 'text' });
+
+// Auto-generate quotation number (QUO26120001)
+quotationSchema.pre('save', async function(next) {
+  if (this.isNew && !this.quotationNumber) {
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const prefix = `QUO${year}${month}`;
+
+    const lastQuotation = await mongoose.model('Quotation').findOne({
+      quotationNumber: { $regex: `^${prefix}\\d{4,}$` }
+    })
+    .select('quotationNumber')
+    .sort({ quotationNumber: -1 })
+    .lean();
+
+    let nextNumber = 1;
+    if (lastQuotation && lastQuotation.quotationNumber) {
+      const sequencePart = lastQuotation.quotationNumber.substring(prefix.length);
+      const num = parseInt(sequencePart, 10);
+      if (!isNaN(num) && Number.isSafeInteger(num) && num > 0) {
+        nextNumber = num + 1;
+      }
+    }
+
+    // Retry logic for race conditions
+    let attempts = 0;
+    const maxAttempts = 5;
+    let quotationNumber = null;
+
+    while (attempts < maxAttempts && !quotationNumber) {
+      const candidateNumber = `${prefix}${nextNumber.toString().padStart(4, '0')}`;
+      const existing = await mongoose.model('Quotation').findOne({
+        quotationNumber: candidateNumber
+      }).select('_id').lean();
+
+      if (!existing) {
+        quotationNumber = candidateNumber;
+      } else {
+        nextNumber++;
+        attempts++;
+      }
+    }
+
+    if (!quotationNumber) {
+      const timestamp = Date.now().toString().slice(-4);
+      quotationNumber = `${prefix}${nextNumber.toString().padStart(4, '0')}_${timestamp}`;
+    }
+
+    this.quotationNumber = quotationNumber;
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('Quotation', quotationSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * RealtimeEvent Model
+ *
+ * Bounded log of every Socket.IO event that was emitted, so devices that lost their
+ * connection can replay what they missed (see utils/realtime.js).
+ *
+ * Capped collection: Mongo drops the oldest entries once REALTIME_LOG_MAX events
+ * (or 50 MB) are stored. A device whose last-seen sequence has already been dropped
+ * is told to resync instead.
+ */
+
+const REALTIME_LOG_MAX = parseInt(process.env.REALTIME_LOG_MAX, 10) || 5000;
+
+const realtimeEventSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  // Rooms the event was sent to — replay only delivers it to sockets in one of them
+  rooms: [String],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  capped: { size: 50 * 1024 * 1024, max: REALTIME_LOG_MAX },
+  versionKey: false
+});
+
+module.exports = mongoose.model('RealtimeEvent', realtimeEventSchema);
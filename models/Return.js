@@ -6,7 +6,9 @@ const mongoose = require('mongoose');
  * Tracks product returns after delivery. Professional approach:
  * - Original order stays UNCHANGED (audit trail preserved)
  * - Return is a separate document with its own number (RET26020001)
- * - Inventory is restored when return is processed
+ * - Inventory is restored when return is processed (only items in good condition;
+ *   damaged / needs-cleaning go to quarantine stock, lost items are written off)
+ * - Damage charges are added to the order and raise the client's due amount
  * - Client gets a refundable credit if they overpaid
  * - Refund is tracked separately (admin records when money is actually returned)
  * 
@@ -43,7 +45,22 @@ const returnItemSchema = new mongoose.Schema({
   total: {
     type: Number,
     required: true
-  }
+  },
+  // GST reversed for this line (same rate/split as the original order line)
+  hsnCode: { type: String, trim: true, default: '' },
+  gstRate: { type: Number, min: 0, max: 100, default: 0 },
+  taxableValue: { type: Number, min: 0 },
+  cgstAmount: { type: Number, default: 0, min: 0 },
+  sgstAmount: { type: Number, default: 0, min: 0 },
+  igstAmount: { type: Number, default: 0, min: 0 },
+  // Damage & loss assessment — only "good" units go back into inventory
+  condition: {
+    type: String,
+    enum: ['good', 'damaged', 'lost', 'needs_cleaning'],
+    default: 'good'
+  },
+  damageCharge: { type: Number, default: 0, min: 0 },
+  damageReason: { type: String, trim: true, default: '' }
 }, { _id: false });
 
 const returnSchema = new mongoose.Schema({
@@ -77,6 +94,19 @@ const returnSchema = new mongoose.Schema({
     index: true
   },
   
+  // ── Original Tax Invoice (the return is a credit note against it for GSTR-1) ──
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryInvoice',
+    default: null,
+    index: true
+  },
+  invoiceNumber: {
+    type: String,
+    default: null,
+    index: true
+  },
+  
   // ── Client Reference (optional — fast orders have no client) ──
   client: {
     type: mongoose.Schema.Types.ObjectId,
@@ -100,12 +130,45 @@ const returnSchema = new mongoose.Schema({
   items: [returnItemSchema],
   
   // ── Return Value ──
+  // returnTotal = taxableValue + taxAmount (the tax charged on the returned lines is reversed)
+  taxableValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   returnTotal: {
     type: Number,
     required: true,
     min: 0
   },
   
+  // ── Damage Charges (added to the order's grandTotal as additionalCharges) ──
+  damageChargeTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
   // ── Refund Tracking ──
   // refundableAmount: how much the client is owed (may be less than returnTotal if they hadn't fully paid)
   refundableAmount: {
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Role Model
+ *
+ * A named set of permissions (see utils/permissions.js for the catalogue).
+ * User.role holds the role name. The built-in roles are seeded at startup (new default
+ * permissions reach existing ones too); admins can edit their permissions or add new roles
+ * through /api/roles.
+ * System roles cannot be deleted, and 'admin' always keeps every permission ('*').
+ */
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Role label is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  permissions: {
+    type: [String],
+    default: []
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  // Built-in roles: the default permissions already given to this role. Seeding adds only
+  // defaults missing from here, so a permission an admin took away is not given back
+  defaultPermissions: {
+    type: [String],
+    default: undefined
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
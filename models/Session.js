@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Model
+ *
+ * One signed-in device. Login creates a session and hands the device a short-lived
+ * access token (JWT carrying the session id) plus a refresh token. Only a SHA-256 hash
+ * of the refresh token is stored; every refresh rotates it.
+ *
+ * Revoking a session (logout, lost phone, admin force-logout, deactivation) makes its
+ * access token fail on the next request and its refresh token unusable.
+ * Expired sessions are removed by a TTL index on expiresAt.
+ */
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens already rotated out — presenting one again means the
+  // token was copied, so the whole session is revoked
+  rotatedTokenHashes: {
+    type: [String],
+    select: false,
+    default: []
+  },
+
+  // Device info (sent by the app at login)
+  deviceId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  platform: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  appVersion: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+
+  // Signed in with a two-factor code — carried in the access token as `mfa`
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  refreshCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokeReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+
+/**
+ * StockTake Model
+ *
+ * A physical count of the godown (see utils/stockTakeManager.js). Starting a count snapshots
+ * every product in scope; staff submit what they counted from their phones; a manager reviews
+ * system-vs-counted variances, approves or rejects each, and posts the approved ones in one batch.
+ * Posting freezes the report on the document.
+ *
+ *   counting → review → posted;  review → counting (recount);  counting / review → cancelled
+ *
+ * A product may be counted in several areas (racks, rooms) — the counted quantity is the sum of the
+ * latest count per area. Each count keeps the system stock at the moment it was counted, so sales
+ * and deliveries during the count do not show up as variances.
+ */
+
+const countSchema = new mongoose.Schema({
+  // Rack / room / shelf; null = the whole product in one count
+  area: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Product.inventory when this count was submitted
+  systemQuantity: {
+    type: Number,
+    default: null
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  countedByName: String,
+  countedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deviceId: {
+    type: String,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+const stockTakeItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  unit: {
+    type: String,
+    default: 'piece'
+  },
+  categoryName: {
+    type: String,
+    default: null
+  },
+  // Product.inventory when the stock-take started
+  systemQuantity: {
+    type: Number,
+    default: 0
+  },
+  counts: [countSchema],
+
+  // Set when counting is closed (see stockTakeManager.resolveLine)
+  countedQuantity: {
+    type: Number,
+    default: null
+  },
+  expectedQuantity: {
+    type: Number,
+    default: null
+  },
+  variance: {
+    type: Number,
+    default: null
+  },
+  // Different counts for the same area from different people
+  conflict: {
+    type: Boolean,
+    default: false
+  },
+  // not_counted / matched need no decision; variances start pending
+  decision: {
+    type: String,
+    enum: ['not_counted', 'matched', 'pending', 'approved', 'rejected'],
+    default: 'not_counted'
+  },
+  decisionNote: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+const stockTakeSchema = new mongoose.Schema({
+  stockTakeNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    required: [true, 'Title is required']
+  },
+  // Categories counted; empty = every active product with inventory tracking
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  status: {
+    type: String,
+    enum: ['counting', 'review', 'posted', 'cancelled'],
+    default: 'counting',
+    index: true
+  },
+  items: [stockTakeItemSchema],
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedByName: String,
+  countingClosedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Posting
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  postedByName: {
+    type: String,
+    default: null
+  },
+  postedAt: {
+    type: Date,
+    default: null
+  },
+  // Frozen at posting — { summary, lines } (see stockTakeManager.buildReport)
+  report: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+stockTakeSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('StockTake', stockTakeSchema);
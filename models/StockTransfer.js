@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * StockTransfer Model
+ *
+ * Stock moved from one location to another (see utils/locationManager.js). The move is applied
+ * when the transfer is created; cancelling moves it back. Product.inventory (the total) does not
+ * change, so transfers are not inventory movements — this document is their record.
+ *
+ *   completed → cancelled
+ */
+
+const transferItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  unit: {
+    type: String,
+    default: 'piece'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fromLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true,
+    index: true
+  },
+  fromLocationName: String,
+  toLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true,
+    index: true
+  },
+  toLocationName: String,
+  items: [transferItemSchema],
+  status: {
+    type: String,
+    enum: ['completed', 'cancelled'],
+    default: 'completed',
+    index: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  transferredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  transferredByName: String,
+
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledByName: {
+    type: String,
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+stockTransferSchema.index({ createdAt: -1 });
+stockTransferSchema.index({ 'items.product': 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
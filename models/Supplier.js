@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * Supplier Model
+ * Vendors we buy stock from. A product can name its preferred supplier
+ * (Product.preferredSupplier) — reorder suggestions are grouped by it.
+ * Purchase orders go to a supplier; their bills and our payments keep the totals below.
+ */
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true,
+    unique: true
+  },
+  contactPerson: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  address: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Typical days from ordering to delivery
+  leadTimeDays: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // What we owe (SupplierBill amounts / payments, see utils/purchaseManager.js)
+  totalBilled: {
+    type: Number,
+    default: 0
+  },
+  totalPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+supplierSchema.index({ isActive: 1, name: 1 });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+/**
+ * SupplierBill Model
+ *
+ * A supplier's invoice to us — usually against a purchase order — and the payments
+ * made on it. Bills and payments keep Supplier.totalBilled / totalPaid / balanceDue current.
+ *
+ *   unpaid → partially_paid → paid;  unpaid → cancelled
+ */
+
+const billPaymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Payment amount must be positive']
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'bank_transfer', 'cheque', 'other'],
+    default: 'bank_transfer'
+  },
+  // Cheque / UTR / transaction number
+  reference: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedByName: String
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const supplierBillSchema = new mongoose.Schema({
+  billNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Number printed on the supplier's invoice
+  supplierBillNumber: {
+    type: String,
+    trim: true,
+    required: [true, 'Supplier bill number is required']
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+    index: true
+  },
+  supplierName: {
+    type: String,
+    required: true
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: null,
+    index: true
+  },
+  poNumber: {
+    type: String,
+    default: null
+  },
+  billDate: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Bill amount must be positive']
+  },
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['unpaid', 'partially_paid', 'paid', 'cancelled'],
+    default: 'unpaid',
+    index: true
+  },
+  payments: [billPaymentSchema],
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdByName: String
+}, {
+  timestamps: true
+});
+
+// A supplier's invoice number is entered once
+supplierBillSchema.index({ supplier: 1, supplierBillNumber: 1 }, { unique: true });
+supplierBillSchema.index({ status: 1, dueDate: 1 });
+
+module.exports = mongoose.model('SupplierBill', supplierBillSchema);
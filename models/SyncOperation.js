@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * SyncOperation Model
+ *
+ * Idempotency record for one offline operation sent to POST /api/sync.
+ * The device generates opId (UUID) when the operation happens offline; replaying the
+ * same opId returns the stored result instead of applying the operation twice.
+ *
+ * A record is written as "processing" before the operation runs (the unique opId is the
+ * claim) and becomes "applied" with its result. Failed operations are removed so the
+ * device can retry them.
+ */
+
+const SYNC_OPERATION_TTL_DAYS = parseInt(process.env.SYNC_OPERATION_TTL_DAYS, 10) || 90;
+
+const syncOperationSchema = new mongoose.Schema({
+  opId: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'applied'],
+    default: 'processing'
+  },
+  // Order the operation touched (set once applied)
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Stored response for replays: ids / numbers of what was created or changed
+  result: mongoose.Schema.Types.Mixed,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // When the operation happened on the device
+  clientTimestamp: {
+    type: Date,
+    default: null
+  },
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: SYNC_OPERATION_TTL_DAYS * 24 * 60 * 60
+  }
+}, {
+  versionKey: false
+});
+
+syncOperationSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SyncOperation', syncOperationSchema);
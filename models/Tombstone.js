@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * Tombstone Model
+ *
+ * Marker left behind when a synced record (order, client, product, category, colour,
+ * payment) is hard-deleted, so GET /api/sync/changes can tell devices to drop their copy.
+ * Written by the tombstone plugin (utils/tombstones.js).
+ *
+ * Kept for TOMBSTONE_TTL_DAYS (default 90). A device whose cursor is older than that
+ * must do a full download again.
+ */
+
+const TOMBSTONE_TTL_DAYS = parseInt(process.env.TOMBSTONE_TTL_DAYS, 10) || 90;
+
+const tombstoneSchema = new mongoose.Schema({
+  model: {
+    type: String,
+    required: true
+  },
+  docId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now,
+    expires: TOMBSTONE_TTL_DAYS * 24 * 60 * 60
+  }
+}, {
+  versionKey: false
+});
+
+tombstoneSchema.index({ deletedAt: 1, _id: 1 });
+
+tombstoneSchema.statics.TTL_DAYS = TOMBSTONE_TTL_DAYS;
+
+module.exports = mongoose.model('Tombstone', tombstoneSchema);
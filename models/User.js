@@ -21,9 +21,11 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Name is required'],
     trim: true
   },
+  // Role name — see models/Role.js and utils/permissions.js (admin, manager, cashier, ...)
   role: {
     type: String,
-    enum: ['admin', 'employee'],
+    trim: true,
+    lowercase: true,
     default: 'employee',
     index: true
   },
@@ -36,6 +38,45 @@ const userSchema = new mongoose.Schema({
     default: true,
     index: true
   },
+  // Force-logout: access tokens issued before this time are rejected
+  tokensValidAfter: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication (see utils/twoFactor.js) — secrets never leave the server
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    secret: {
+      type: String,
+      select: false,
+      default: null
+    },
+    // Set by setup, becomes `secret` once the first code is verified
+    pendingSecret: {
+      type: String,
+      select: false,
+      default: null
+    },
+    // SHA-256 hashes of the unused backup codes
+    backupCodes: {
+      type: [String],
+      select: false,
+      default: []
+    },
+    // Last time step accepted — the same code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false,
+      default: null
+    }
+  },
   
   // Employee statistics (cached, updated via aggregation)
   employeeStats: {
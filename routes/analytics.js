@@ -4,18 +4,21 @@ const Delivery = require('../models/Delivery');
 const DeliveryInvoice = require('../models/DeliveryInvoice');
 const Client = require('../models/Client');
 const User = require('../models/User');
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { getDashboardCounters, getTodayDeliveries } = require('../utils/orderCache');
+const { buildGstr1, buildGstr3b, gstr1SectionToCsv, gstr3bToCsv } = require('../utils/gstReturns');
+const { STAFF_QUERY } = require('../utils/permissions');
 
 const router = express.Router();
 
-// All routes require authentication
+// All routes require authentication + report access
 router.use(protect);
+router.use(requirePermission('report.view'));
 
 // @route   GET /api/analytics/delivery-performance
 // @desc    Get comprehensive delivery performance analytics (on-time, early, late)
 //          Uses Order model to track full order delivery performance
-// @access  Private
+// @access  Private (report.view)
 router.get('/delivery-performance', async (req, res) => {
   try {
     const { startDate, endDate, employeeId, clientId } = req.query;
@@ -246,12 +249,12 @@ router.get('/delivery-performance', async (req, res) => {
 // @route   GET /api/analytics/employees
 // @desc    Get comprehensive employee performance statistics
 //          Tracks by employeeName field in orders (string matching)
-// @access  Private
+// @access  Private (report.view)
 router.get('/employees', async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
-    const employees = await User.find({ role: 'employee', isActive: true })
+    const employees = await User.find({ ...STAFF_QUERY, isActive: true })
       .select('name username employeeStats')
       .lean();
     
@@ -440,7 +443,7 @@ router.get('/employees', async (req, res) => {
 
 // @route   GET /api/analytics/employees/:id
 // @desc    Get detailed stats for specific employee with time-series data
-// @access  Private
+// @access  Private (report.view)
 router.get('/employees/:id', async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
@@ -741,7 +744,7 @@ router.get('/employees/:id', async (req, res) => {
 
 // @route   GET /api/analytics/clients
 // @desc    Get comprehensive client analytics with order and payment stats
-// @access  Private
+// @access  Private (report.view)
 router.get('/clients', async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
@@ -844,7 +847,7 @@ router.get('/clients', async (req, res) => {
 
 // @route   GET /api/analytics/clients/:id
 // @desc    Get detailed analytics for specific client with time-series data
-// @access  Private
+// @access  Private (report.view)
 router.get('/clients/:id', async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
@@ -1032,7 +1035,7 @@ router.get('/clients/:id', async (req, res) => {
 
 // @route   GET /api/analytics/payments
 // @desc    Get comprehensive payment analytics with filtering and trends
-// @access  Private
+// @access  Private (report.view)
 router.get('/payments', async (req, res) => {
   try {
     const { 
@@ -1195,4 +1198,75 @@ router.get('/payments', async (req, res) => {
   }
 });
 
+// ============================================================================
+// GST RETURNS (month-end filing)
+// ============================================================================
+
+// @route   GET /api/analytics/gst/gstr1?month=YYYY-MM&format=json|csv&section=b2b
+// @desc    GSTR-1 from delivery invoices (B2B/B2CL/B2CS/HSN) and returns (credit notes).
+//          format=json → portal-ready JSON under data.portal
+//          format=csv  → one section as CSV in GST offline tool layout (section required)
+// @access  Private (report.gst)
+router.get('/gst/gstr1', requirePermission('report.gst'), async (req, res) => {
+  try {
+    const { month, format = 'json', section } = req.query;
+    
+    const gstr1 = await buildGstr1(month);
+    
+    if (format === 'csv') {
+      const csv = gstr1SectionToCsv(gstr1, section || 'b2b');
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="GSTR1-${gstr1.fp}-${section || 'b2b'}.csv"`);
+      return res.send(csv);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        month: gstr1.month,
+        fp: gstr1.fp,
+        gstin: gstr1.gstin,
+        summary: gstr1.summary,
+        creditNotes: gstr1.creditNotes,
+        warnings: gstr1.warnings,
+        portal: gstr1.portal
+      }
+    });
+  } catch (error) {
+    console.error('GSTR-1 export error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/analytics/gst/gstr3b?month=YYYY-MM&format=json|csv
+// @desc    GSTR-3B summary (3.1 outward supplies net of credit notes, 3.2 inter-state B2C)
+// @access  Private (report.gst)
+router.get('/gst/gstr3b', requirePermission('report.gst'), async (req, res) => {
+  try {
+    const { month, format = 'json' } = req.query;
+    
+    const gstr3b = await buildGstr3b(month);
+    
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="GSTR3B-${gstr3b.fp}.csv"`);
+      return res.send(gstr3bToCsv(gstr3b));
+    }
+    
+    res.json({
+      success: true,
+      data: gstr3b
+    });
+  } catch (error) {
+    console.error('GSTR-3B export error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
 module.exports = router;
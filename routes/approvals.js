@@ -0,0 +1,183 @@
+const express = require('express');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const { protect, requirePermission } = require('../middleware/auth');
+const { delByPattern } = require('../config/redis');
+const { hasPermission } = require('../utils/permissions');
+const { auditSnapshot, recordAudit } = require('../utils/auditLog');
+const {
+  approveRequest,
+  rejectRequest,
+  withdrawRequest,
+  findApproval
+} = require('../utils/approvalManager');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/approvals
+// @desc    Approval queue, newest first. Approvers see every request, everyone else their own.
+//          Query: status (default pending; "all" for every status), type, order (order _id), page, limit
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'pending', type, order, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (type) query.type = type;
+    if (order) query.order = order;
+    if (!hasPermission(req.user, 'approval.decide')) {
+      query.requestedBy = req.user._id;
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [approvals, total] = await Promise.all([
+      ApprovalRequest.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      ApprovalRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: approvals,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get approvals error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/approvals/:id
+// @desc    One approval request (by _id or approval number), including the stored action
+// @access  Private (approval.decide, or the requester)
+router.get('/:id', async (req, res) => {
+  try {
+    const approval = await findApproval(req.params.id);
+
+    if (!approval || (!hasPermission(req.user, 'approval.decide') && approval.requestedBy.toString() !== req.user._id.toString())) {
+      return res.status(404).json({
+        success: false,
+        error: 'Approval request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: approval
+    });
+  } catch (error) {
+    console.error('Get approval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/approvals/:id/approve
+// @desc    Approve a pending request — the held-back order action runs now, as the requester.
+//          If it can no longer be applied (stock gone, order edited since) the request is marked
+//          failed and the reason returned. Body: { note? }
+// @access  Private (approval.decide)
+router.post('/:id/approve', requirePermission('approval.decide'), async (req, res) => {
+  try {
+    const io = req.app.get('io');
+    const pending = await findApproval(req.params.id);
+    const before = pending?.order ? await auditSnapshot('order', pending.order) : null;
+    const approval = await approveRequest(req.params.id, req.user, { note: req.body?.note }, io);
+
+    const orderId = approval.result?.orderId || approval.order;
+    await recordAudit(req, {
+      entity: 'order',
+      entityId: orderId,
+      entityRef: approval.result?.orderNumber || approval.orderNumber,
+      action: approval.type.split('.')[1],
+      before,
+      after: approval.type === 'order.delete' ? null : await auditSnapshot('order', orderId),
+      metadata: {
+        approvalNumber: approval.approvalNumber,
+        rule: approval.rule,
+        requestedBy: approval.requestedBy,
+        requestedByName: approval.requestedByName
+      }
+    });
+
+    const deletedCount = await delByPattern('orders:list:*');
+    console.log(`🗑️  Orders list caches invalidated after approval (${deletedCount} keys cleared)`);
+
+    res.json({
+      success: true,
+      data: approval,
+      message: `Approval ${approval.approvalNumber} approved — ${approval.type} applied${approval.result?.orderNumber ? ` to order ${approval.result.orderNumber}` : ''}`
+    });
+  } catch (error) {
+    console.error('Approve request error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error',
+      ...(error.approval && { data: error.approval })
+    });
+  }
+});
+
+// @route   POST /api/approvals/:id/reject
+// @desc    Reject a pending request — the order is left unchanged. Body: { note? }
+// @access  Private (approval.decide)
+router.post('/:id/reject', requirePermission('approval.decide'), async (req, res) => {
+  try {
+    const io = req.app.get('io');
+    const approval = await rejectRequest(req.params.id, req.user, { note: req.body?.note }, io);
+
+    res.json({
+      success: true,
+      data: approval,
+      message: `Approval ${approval.approvalNumber} rejected`
+    });
+  } catch (error) {
+    console.error('Reject request error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/approvals/:id/withdraw
+// @desc    Withdraw your own pending request
+// @access  Private (requester)
+router.post('/:id/withdraw', async (req, res) => {
+  try {
+    const io = req.app.get('io');
+    const approval = await withdrawRequest(req.params.id, req.user, io);
+
+    res.json({
+      success: true,
+      data: approval,
+      message: `Approval ${approval.approvalNumber} withdrawn`
+    });
+  } catch (error) {
+    console.error('Withdraw request error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+module.exports = router;
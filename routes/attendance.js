@@ -0,0 +1,305 @@
+const express = require('express');
+const User = require('../models/User');
+const Attendance = require('../models/Attendance');
+const Leave = require('../models/Leave');
+const { protect, requirePermission } = require('../middleware/auth');
+const { STAFF_QUERY, hasPermission } = require('../utils/permissions');
+const {
+  parseDay,
+  checkIn,
+  checkOut,
+  dailyReport,
+  monthlyReport,
+  requestLeave,
+  decideLeave,
+  cancelLeave
+} = require('../utils/attendanceManager');
+
+// Mounted at /api/employees/:id/attendance — :id is an employee _id, or "me"
+const router = express.Router({ mergeParams: true });
+
+// Everyone can use their own attendance; other employees' need attendance.manage
+router.use(protect);
+router.use((req, res, next) => {
+  const { id } = req.params;
+  req.isSelf = id === 'me' || id === req.user._id.toString();
+  if (req.isSelf) return next();
+  return requirePermission('attendance.manage')(req, res, next);
+});
+router.use(async (req, res, next) => {
+  try {
+    req.canManage = hasPermission(req.user, 'attendance.manage');
+    if (req.isSelf) {
+      req.employee = req.user;
+      return next();
+    }
+
+    const employee = /^[0-9a-fA-F]{24}$/.test(req.params.id)
+      ? await User.findOne({ _id: req.params.id, ...STAFF_QUERY }).select('name username role isActive').lean()
+      : null;
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    req.employee = employee;
+    next();
+  } catch (error) {
+    console.error('Resolve employee error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/employees/:id/attendance
+// @desc    Shifts, newest first. Query: from, to (dates, default last 30 days), page, limit
+// @access  Private (self, or attendance.manage)
+router.get('/', async (req, res) => {
+  try {
+    const { from, to, page = 1, limit = 50 } = req.query;
+    const end = parseDay(to, 'to');
+    end.setDate(end.getDate() + 1);
+    const start = from ? parseDay(from, 'from') : new Date(end.getFullYear(), end.getMonth(), end.getDate() - 30);
+
+    const query = { employee: req.employee._id, date: { $gte: start, $lt: end } };
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [shifts, total] = await Promise.all([
+      Attendance.find(query)
+        .sort({ 'checkIn.at': -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      Attendance.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: shifts,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get attendance error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/employees/:id/attendance/daily?date=2026-10-19
+// @desc    One day: status (present / on_leave / absent), shifts with the deliveries recorded
+//          during each, hours worked and the day's deliveries (default today)
+// @access  Private (self, or attendance.manage)
+router.get('/daily', async (req, res) => {
+  try {
+    const report = await dailyReport(req.employee, req.query.date);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Daily attendance report error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/employees/:id/attendance/monthly?month=2026-10
+// @desc    One month: a row per day plus present / leave / absent days, hours and
+//          delivery productivity (deliveries per present day / per hour) (default this month)
+// @access  Private (self, or attendance.manage)
+router.get('/monthly', async (req, res) => {
+  try {
+    const report = await monthlyReport(req.employee, req.query.month);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Monthly attendance report error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/employees/:id/attendance/check-in
+// @desc    Start a shift. Body: { latitude?, longitude?, accuracy?, deviceId?, note? }
+//          Managers checking someone else in may also send `at` (a past time).
+// @access  Private (self, or attendance.manage)
+router.post('/check-in', async (req, res) => {
+  try {
+    const attendance = await checkIn(req.employee, req.body, req.user, req.app.get('io'));
+
+    res.status(201).json({
+      success: true,
+      data: attendance,
+      message: 'Checked in'
+    });
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/employees/:id/attendance/check-out
+// @desc    End the open shift. Body: same as check-in
+// @access  Private (self, or attendance.manage)
+router.post('/check-out', async (req, res) => {
+  try {
+    const attendance = await checkOut(req.employee, req.body, req.user, req.app.get('io'));
+
+    res.json({
+      success: true,
+      data: attendance,
+      message: `Checked out after ${(attendance.workedMinutes / 60).toFixed(1)} hours`
+    });
+  } catch (error) {
+    console.error('Check-out error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/employees/:id/attendance/leaves
+// @desc    Leave records, newest first. Query: status (pending, approved, rejected, cancelled), year
+// @access  Private (self, or attendance.manage)
+router.get('/leaves', async (req, res) => {
+  try {
+    const { status, year } = req.query;
+
+    const query = { employee: req.employee._id };
+    if (status) query.status = status;
+    if (year) {
+      query.from = { $gte: new Date(Number(year), 0, 1), $lt: new Date(Number(year) + 1, 0, 1) };
+    }
+
+    const leaves = await Leave.find(query).sort({ from: -1 }).lean();
+    const approvedDays = leaves
+      .filter(leave => leave.status === 'approved')
+      .reduce((total, leave) => total + leave.days, 0);
+
+    res.json({
+      success: true,
+      data: leaves,
+      summary: {
+        approvedDays
+      }
+    });
+  } catch (error) {
+    console.error('Get leaves error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/employees/:id/attendance/leaves
+// @desc    Request leave. Body: { from, to?, type? (casual, sick, paid, unpaid, other), reason? }
+//          Recorded by attendance.manage for someone else it is approved straight away.
+// @access  Private (self, or attendance.manage)
+router.post('/leaves', async (req, res) => {
+  try {
+    const leave = await requestLeave(req.employee, req.body, req.user, req.canManage, req.app.get('io'));
+
+    res.status(201).json({
+      success: true,
+      data: leave,
+      message: leave.status === 'approved' ? 'Leave recorded' : 'Leave requested'
+    });
+  } catch (error) {
+    console.error('Request leave error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/employees/:id/attendance/leaves/:leaveId/approve
+// @desc    Approve a pending leave request (not your own). Body: { note? }
+// @access  Private (attendance.manage)
+router.post('/leaves/:leaveId/approve', requirePermission('attendance.manage'), async (req, res) => {
+  try {
+    const leave = await decideLeave(req.employee._id, req.params.leaveId, 'approved', req.user, { note: req.body?.note }, req.app.get('io'));
+
+    res.json({
+      success: true,
+      data: leave,
+      message: 'Leave approved'
+    });
+  } catch (error) {
+    console.error('Approve leave error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/employees/:id/attendance/leaves/:leaveId/reject
+// @desc    Reject a pending leave request. Body: { note? }
+// @access  Private (attendance.manage)
+router.post('/leaves/:leaveId/reject', requirePermission('attendance.manage'), async (req, res) => {
+  try {
+    const leave = await decideLeave(req.employee._id, req.params.leaveId, 'rejected', req.user, { note: req.body?.note }, req.app.get('io'));
+
+    res.json({
+      success: true,
+      data: leave,
+      message: 'Leave rejected'
+    });
+  } catch (error) {
+    console.error('Reject leave error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/employees/:id/attendance/leaves/:leaveId/cancel
+// @desc    Cancel leave — your own while pending or not yet started; attendance.manage any time
+// @access  Private (self, or attendance.manage)
+router.post('/leaves/:leaveId/cancel', async (req, res) => {
+  try {
+    const leave = await cancelLeave(req.employee._id, req.params.leaveId, req.user, req.canManage, req.app.get('io'));
+
+    res.json({
+      success: true,
+      data: leave,
+      message: 'Leave cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel leave error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { protect, requirePermission, requireTwoFactor } = require('../middleware/auth');
+const { verifyAuditChain } = require('../utils/auditLog');
+
+const router = express.Router();
+
+// Admins only (audit.view is not part of any other built-in role), after a two-factor login
+router.use(protect, requirePermission('audit.view'), requireTwoFactor);
+
+// @route   GET /api/audit
+// @desc    Audit log, newest first.
+//          Filters: entity (order, client, invoice, product, return, purchase_order, supplier_bill, stock_take, stock_transfer), entityId, entityRef,
+//                   action (payment, refund, update, delete, ...), actor (user id), deviceId,
+//                   from, to (dates), page, limit
+// @access  Private (audit.view)
+router.get('/', async (req, res) => {
+  try {
+    const { entity, entityId, entityRef, action, actor, deviceId, from, to, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (entity) query.entity = entity;
+    if (entityId) query.entityId = entityId;
+    if (entityRef) query.entityRef = { $regex: `^${entityRef.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' };
+    if (action) query.action = action;
+    if (actor) query.actor = actor;
+    if (deviceId) query.deviceId = deviceId;
+    if (from || to) {
+      query.at = {};
+      if (from) query.at.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        end.setHours(23, 59, 59, 999);
+        query.at.$lte = end;
+      }
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ seq: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/audit/verify
+// @desc    Recompute the hash chain. valid: false lists the entries that were edited,
+//          deleted or re-ordered since they were written.
+// @access  Private (audit.view)
+router.get('/verify', async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+
+    if (!result.valid) {
+      console.warn(`🚨 Audit log verification failed: ${result.problems.length} problem(s), first at #${result.problems[0].seq}`);
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/audit/:seq
+// @desc    One audit entry by its sequence number
+// @access  Private (audit.view)
+router.get('/:seq', async (req, res) => {
+  try {
+    const seq = parseInt(req.params.seq);
+    const entry = Number.isInteger(seq) ? await AuditLog.findOne({ seq }).lean() : null;
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Audit entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Get audit entry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
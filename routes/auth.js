@@ -1,19 +1,47 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { protect } = require('../middleware/auth');
+const {
+  createSession,
+  refreshSession,
+  confirmSessionTwoFactor,
+  revokeSessions,
+  listSessions
+} = require('../utils/sessionManager');
+const { getRolePermissions } = require('../utils/permissions');
+const {
+  SECRET_FIELDS,
+  verifyTotp,
+  generateSecret,
+  otpauthUrl,
+  generateBackupCodes,
+  checkSecondFactor,
+  isTwoFactorRequired,
+  issueChallengeToken,
+  readChallengeToken
+} = require('../utils/twoFactor');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-  });
-};
+// User block returned by login / refresh
+async function authUser(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    name: user.name,
+    role: user.role,
+    permissions: await getRolePermissions(user.role),
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled)
+  };
+}
 
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user. Returns a short-lived access token (`token`) and a refresh token.
+//          Body: { username, password, deviceId?, deviceName?, platform?, appVersion? }
+//          With two-factor enabled no tokens are returned yet — instead
+//          { twoFactorRequired: true, challengeToken } for POST /api/auth/login/2fa.
+//          Roles that must use 2FA (admin) without it set up get twoFactorSetupRequired: true.
 // @access  Public
 router.post('/login', async (req, res) => {
   try {
@@ -49,19 +77,27 @@ router.post('/login', async (req, res) => {
       });
     }
     
-    // Generate token
-    const token = generateToken(user._id);
+    // Second step needed — password alone does not start a session
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: issueChallengeToken(user)
+        },
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+    
+    // New session for this device
+    const tokens = await createSession(user, req);
     
     res.json({
       success: true,
       data: {
-        token,
-        user: {
-          id: user._id,
-          username: user.username,
-          name: user.name,
-          role: user.role
-        }
+        ...tokens,
+        user: await authUser(user),
+        ...(isTwoFactorRequired(user) && { twoFactorSetupRequired: true })
       }
     });
   } catch (error) {
@@ -73,8 +109,198 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step. Body: { challengeToken, code } or { challengeToken, backupCode },
+//          plus the same device fields as login. Returns the same tokens as login.
+// @access  Public
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+    
+    const userId = challengeToken && readChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login expired. Please enter your username and password again.'
+      });
+    }
+    
+    const user = await User.findOne({ _id: userId, isActive: true }).select(SECRET_FIELDS);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials'
+      });
+    }
+    
+    const { method, backupCodesRemaining } = await checkSecondFactor(user, { code, backupCode });
+    const tokens = await createSession(user, req, { twoFactorVerified: true });
+    
+    if (method === 'backup_code') {
+      console.log(`🔑 ${user.username} logged in with a backup code (${backupCodesRemaining} left)`);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        ...tokens,
+        user: await authUser(user),
+        ...(method === 'backup_code' && { backupCodesRemaining })
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token + refresh token (the old one stops working)
+//          Body: { refreshToken, deviceName?, appVersion? }
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { user, ...tokens } = await refreshSession(req.body.refreshToken, req);
+    
+    res.json({
+      success: true,
+      data: {
+        ...tokens,
+        user: await authUser(user)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during token refresh'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out this device (revokes the current session)
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    if (req.user.sessionId) {
+      await revokeSessions({ _id: req.user.sessionId }, { by: req.user._id, reason: 'logout' }, req.app.get('io'));
+    }
+    
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Devices currently signed in to this account (`current: true` marks this one)
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id, req.user.sessionId);
+    
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out one of this account's devices
+// @access  Private
+router.delete('/sessions/:sessionId', protect, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!/^[0-9a-fA-F]{24}$/.test(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+    
+    const session = await Session.findOne({ _id: sessionId, user: req.user._id }).select('revokedAt').lean();
+    if (!session || session.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+    
+    await revokeSessions({ _id: session._id }, { by: req.user._id, reason: 'revoked_by_user' }, req.app.get('io'));
+    
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions?includeCurrent=true
+// @desc    Sign out all other devices (includeCurrent=true signs out this one too)
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true';
+    const filter = { user: req.user._id };
+    if (!includeCurrent && req.user.sessionId) {
+      filter._id = { $ne: req.user.sessionId };
+    }
+    
+    const revoked = await revokeSessions(filter, { by: req.user._id, reason: 'revoked_by_user' }, req.app.get('io'));
+    
+    res.json({
+      success: true,
+      message: `${revoked} session(s) signed out`,
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
-// @desc    Get current user
+// @desc    Get current user, with the permissions of their role
 // @access  Private
 router.get('/me', protect, async (req, res) => {
   res.json({
@@ -83,8 +309,229 @@ router.get('/me', protect, async (req, res) => {
   });
 });
 
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION (TOTP) — enrollment and management
+// ============================================================================
+
+// @route   GET /api/auth/2fa
+// @desc    Two-factor status of this account and of the current session
+// @access  Private
+router.get('/2fa', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS).lean();
+    const state = user.twoFactor || {};
+    
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(state.enabled),
+        enabledAt: state.enabledAt || null,
+        required: isTwoFactorRequired(user),
+        setupPending: Boolean(state.pendingSecret),
+        backupCodesRemaining: state.enabled ? state.backupCodes.length : 0,
+        sessionVerified: req.user.twoFactorVerified
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment. Body: { password }. Returns { secret, otpauthUrl } — show otpauthUrl
+//          as a QR code (or the secret for manual entry), then confirm with POST /2fa/enable.
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${SECRET_FIELDS}`);
+    
+    if (!password || !await user.comparePassword(password)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+    
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: otpauthUrl(secret, user.username)
+      },
+      message: 'Scan the QR code with your authenticator app, then enter the code it shows'
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish enrollment with the first code. Body: { code }. Returns the backup codes
+//          (shown only once) and a new access token for this session that carries mfa.
+// @access  Private
+router.post('/2fa/enable', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+    const { pendingSecret } = user.twoFactor || {};
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+    if (!pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start with POST /api/auth/2fa/setup'
+      });
+    }
+    
+    const step = verifyTotp(pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code. Check the time on your phone and try again.'
+      });
+    }
+    
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor = {
+      enabled: true,
+      enabledAt: new Date(),
+      secret: pendingSecret,
+      pendingSecret: null,
+      backupCodes: hashes,
+      lastUsedStep: step
+    };
+    await user.save();
+    
+    const tokens = await confirmSessionTwoFactor(user, req.user.sessionId);
+    
+    console.log(`🔐 Two-factor authentication enabled for ${user.username}`);
+    
+    res.json({
+      success: true,
+      data: {
+        backupCodes: codes,
+        ...tokens
+      },
+      message: 'Two-factor authentication enabled. Store the backup codes somewhere safe — each works once.'
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace the backup codes (the old ones stop working). Body: { code }
+// @access  Private
+router.post('/2fa/backup-codes', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+    await checkSecondFactor(user, { code: req.body.code });
+    
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.backupCodes': hashes });
+    
+    res.json({
+      success: true,
+      data: {
+        backupCodes: codes
+      },
+      message: 'New backup codes generated. The old ones no longer work.'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('2FA backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor off. Body: { password, code } (or backupCode).
+//          Not allowed for roles that require it (admin).
+// @access  Private
+router.post('/2fa/disable', protect, async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${SECRET_FIELDS}`);
+    
+    if (isTwoFactorRequired(user)) {
+      return res.status(400).json({
+        success: false,
+        error: `Two-factor authentication is mandatory for the ${user.role} role`
+      });
+    }
+    
+    if (!password || !await user.comparePassword(password)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+    
+    await checkSecondFactor(user, { code, backupCode });
+    
+    await User.updateOne({ _id: user._id }, {
+      twoFactor: { enabled: false, enabledAt: null, secret: null, pendingSecret: null, backupCodes: [], lastUsedStep: null }
+    });
+    
+    console.log(`🔓 Two-factor authentication disabled for ${user.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
 // @route   PUT /api/auth/change-password
-// @desc    Change password
+// @desc    Change password (signs out the account's other devices)
 // @access  Private
 router.put('/change-password', protect, async (req, res) => {
   try {
@@ -118,9 +565,16 @@ router.put('/change-password', protect, async (req, res) => {
     user.password = newPassword;
     await user.save();
     
+    // Other devices signed in with the old password are signed out
+    const revoked = await revokeSessions(
+      { user: user._id, ...(req.user.sessionId && { _id: { $ne: req.user.sessionId } }) },
+      { by: user._id, reason: 'password_changed' },
+      req.app.get('io')
+    );
+    
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: `Password changed successfully${revoked > 0 ? `. ${revoked} other device(s) signed out.` : ''}`
     });
   } catch (error) {
     console.error('Change password error:', error);
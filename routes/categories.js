@@ -1,7 +1,8 @@
 const express = require('express');
 const Category = require('../models/Category');
 const Product = require('../models/Product');
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { emitEvent } = require('../utils/realtime');
 
 const router = express.Router();
 
@@ -127,9 +128,9 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/categories
-// @desc    Create new category (Admin only)
-// @access  Admin
-router.post('/', adminOnly, async (req, res) => {
+// @desc    Create new category
+// @access  Private (catalog.manage)
+router.post('/', requirePermission('catalog.manage'), async (req, res) => {
   try {
     const { name, description, isActive = true, displayOrder = 0 } = req.body;
     
@@ -163,7 +164,7 @@ router.post('/', adminOnly, async (req, res) => {
     // Emit real-time event
     const io = req.app.get('io');
     if (io) {
-      io.emit('category:created', { category });
+      emitEvent(io, 'category:created', { category }, { staff: true });
     }
     
     res.status(201).json({
@@ -187,9 +188,9 @@ router.post('/', adminOnly, async (req, res) => {
 });
 
 // @route   PUT /api/categories/:id
-// @desc    Update category (Admin only)
-// @access  Admin
-router.put('/:id', adminOnly, async (req, res) => {
+// @desc    Update category
+// @access  Private (catalog.manage)
+router.put('/:id', requirePermission('catalog.manage'), async (req, res) => {
   try {
     const { name, description, isActive, displayOrder } = req.body;
     
@@ -215,7 +216,7 @@ router.put('/:id', adminOnly, async (req, res) => {
     // Emit real-time event
     const io = req.app.get('io');
     if (io) {
-      io.emit('category:updated', { category });
+      emitEvent(io, 'category:updated', { category }, { staff: true });
     }
     
     res.json({
@@ -239,9 +240,9 @@ router.put('/:id', adminOnly, async (req, res) => {
 });
 
 // @route   DELETE /api/categories/:id
-// @desc    Delete category (Admin only) - Only if no products exist
-// @access  Admin
-router.delete('/:id', adminOnly, async (req, res) => {
+// @desc    Delete category - Only if no products exist
+// @access  Private (catalog.manage)
+router.delete('/:id', requirePermission('catalog.manage'), async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
     
@@ -267,7 +268,7 @@ router.delete('/:id', adminOnly, async (req, res) => {
     // Emit real-time event
     const io = req.app.get('io');
     if (io) {
-      io.emit('category:deleted', { categoryId: req.params.id });
+      emitEvent(io, 'category:deleted', { categoryId: req.params.id }, { staff: true });
     }
     
     res.json({
@@ -6,7 +6,11 @@ const Order = require('../models/Order');
 const Payment = require('../models/Payment');
 const Delivery = require('../models/Delivery');
 const Return = require('../models/Return');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { emitEvent } = require('../utils/realtime');
+const { hasPermission, redactClientBalance } = require('../utils/permissions');
+const { auditSnapshot, recordAudit } = require('../utils/auditLog');
+const { resolveClientGst } = require('../utils/gstCalculator');
 const {
   recordClientPayment,
   recordAdvancePayment,
@@ -17,6 +21,9 @@ const {
 
 const router = express.Router();
 
+// Security deposit cash movements — recorded as Payments but not part of the client's account balance
+const DEPOSIT_PAYMENT_TYPES = ['deposit_collected', 'deposit_refund'];
+
 // All routes require authentication
 router.use(protect);
 
@@ -48,7 +55,7 @@ router.get('/autocomplete', async (req, res) => {
 });
 
 // @route   GET /api/clients
-// @desc    Get all clients with pagination
+// @desc    Get all clients with pagination (balance fields need client.view_balance)
 // @access  Private
 router.get('/', async (req, res) => {
   try {
@@ -82,7 +89,7 @@ router.get('/', async (req, res) => {
     
     res.json({
       success: true,
-      data: clients,
+      data: redactClientBalance(req.user, clients),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -101,6 +108,7 @@ router.get('/', async (req, res) => {
 
 // @route   GET /api/clients/:id
 // @desc    Get single client with complete order history and financial summary
+//          (financial summary, balances and payments need client.view_balance)
 // @access  Private
 router.get('/:id', async (req, res) => {
   try {
@@ -129,6 +137,18 @@ router.get('/:id', async (req, res) => {
     .sort('-orderDate')
     .lean();
     
+    // Without client.view_balance: orders and invoices only
+    if (!hasPermission(req.user, 'client.view_balance')) {
+      return res.json({
+        success: true,
+        data: {
+          client: redactClientBalance(req.user, client),
+          orders,
+          invoices
+        }
+      });
+    }
+    
     // Get recent payment history (last 10 payments)
     const recentPayments = await Payment.find({
       client: client._id
@@ -185,10 +205,10 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/clients
 // @desc    Create client
-// @access  Private
-router.post('/', async (req, res) => {
+// @access  Private (client.manage)
+router.post('/', requirePermission('client.manage'), async (req, res) => {
   try {
-    const { partyName, mobile, address, email, notes } = req.body;
+    const { partyName, mobile, address, email, notes, gstin, state, stateCode } = req.body;
     
     if (!partyName || !mobile) {
       return res.status(400).json({
@@ -212,13 +232,16 @@ router.post('/', async (req, res) => {
       mobile,
       address,
       email,
-      notes
+      notes,
+      state,
+      // Place of supply defaults to the GSTIN's state prefix
+      ...resolveClientGst(gstin, stateCode)
     });
     
     // Emit real-time event
     const io = req.app.get('io');
     if (io) {
-      io.emit('client:created', { client });
+      emitEvent(io, 'client:created', { client }, { clients: [client._id], employees: [req.user._id] });
     }
     
     res.status(201).json({
@@ -227,6 +250,12 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Create client error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
@@ -242,14 +271,26 @@ router.post('/', async (req, res) => {
 
 // @route   PUT /api/clients/:id
 // @desc    Update client
-// @access  Private
-router.put('/:id', async (req, res) => {
+// @access  Private (client.manage)
+router.put('/:id', requirePermission('client.manage'), async (req, res) => {
   try {
-    const { partyName, mobile, address, email, notes } = req.body;
+    const { partyName, mobile, address, email, notes, gstin, state, stateCode } = req.body;
+    const update = { partyName, mobile, address, email, notes, state };
+    
+    // GST details are checked together — a new state code against the stored GSTIN, and a
+    // new GSTIN sets the state code from its prefix (as on create)
+    if (gstin !== undefined || stateCode !== undefined) {
+      const current = gstin === undefined
+        ? await Client.findById(req.params.id).select('gstin').lean()
+        : null;
+      const gst = resolveClientGst(gstin === undefined ? current?.gstin : gstin, stateCode);
+      if (gstin !== undefined) update.gstin = gst.gstin;
+      if (stateCode !== undefined || gst.gstin) update.stateCode = gst.stateCode;
+    }
     
     const client = await Client.findByIdAndUpdate(
       req.params.id,
-      { partyName, mobile, address, email, notes },
+      update,
       { new: true, runValidators: true }
     ).lean();
     
@@ -263,15 +304,21 @@ router.put('/:id', async (req, res) => {
     // Emit real-time event
     const io = req.app.get('io');
     if (io) {
-      io.emit('client:updated', { client });
+      emitEvent(io, 'client:updated', { client }, { clients: [client._id], employees: [req.user._id] });
     }
     
     res.json({
       success: true,
-      data: client
+      data: redactClientBalance(req.user, client)
     });
   } catch (error) {
     console.error('Update client error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       error: 'Server error'
@@ -367,8 +414,8 @@ router.get('/:id/orders', async (req, res) => {
 
 // @route   POST /api/clients/:id/payments
 // @desc    Record payment for a client (with auto-allocation to orders)
-// @access  Private
-router.post('/:id/payments', async (req, res) => {
+// @access  Private (payment.record)
+router.post('/:id/payments', requirePermission('payment.record'), async (req, res) => {
   try {
     const {
       amount,
@@ -388,6 +435,7 @@ router.post('/:id/payments', async (req, res) => {
     }
     
     const io = req.app.get('io');
+    const before = await auditSnapshot('client', req.params.id);
     
     const result = await recordClientPayment(
       req.params.id,
@@ -404,6 +452,23 @@ router.post('/:id/payments', async (req, res) => {
       io
     );
     
+    await recordAudit(req, {
+      entity: 'client',
+      entityId: result.client._id,
+      entityRef: result.client.partyName,
+      action: 'payment',
+      before,
+      after: result.client,
+      metadata: {
+        paymentNumber: result.payment.paymentNumber,
+        amount,
+        paymentMethod,
+        transactionReference,
+        allocations: result.updatedOrders.map(order => ({ orderNumber: order.orderNumber, advance: order.advance, balanceDue: order.balanceDue })),
+        remainingAsAdvance: result.remainingAsAdvance
+      }
+    });
+    
     res.status(201).json({
       success: true,
       data: result,
@@ -422,8 +487,8 @@ router.post('/:id/payments', async (req, res) => {
 
 // @route   POST /api/clients/:id/advance-payment
 // @desc    Record advance payment (not linked to any order)
-// @access  Private
-router.post('/:id/advance-payment', async (req, res) => {
+// @access  Private (payment.record)
+router.post('/:id/advance-payment', requirePermission('payment.record'), async (req, res) => {
   try {
     const {
       amount,
@@ -441,6 +506,7 @@ router.post('/:id/advance-payment', async (req, res) => {
     }
     
     const io = req.app.get('io');
+    const before = await auditSnapshot('client', req.params.id);
     
     const result = await recordAdvancePayment(
       req.params.id,
@@ -455,6 +521,16 @@ router.post('/:id/advance-payment', async (req, res) => {
       io
     );
     
+    await recordAudit(req, {
+      entity: 'client',
+      entityId: result.client._id,
+      entityRef: result.client.partyName,
+      action: 'advance_payment',
+      before,
+      after: result.client,
+      metadata: { paymentNumber: result.payment.paymentNumber, amount, paymentMethod, transactionReference }
+    });
+    
     res.status(201).json({
       success: true,
       data: result,
@@ -471,8 +547,8 @@ router.post('/:id/advance-payment', async (req, res) => {
 
 // @route   GET /api/clients/:id/payments
 // @desc    Get payment history for a client
-// @access  Private
-router.get('/:id/payments', async (req, res) => {
+// @access  Private (client.view_balance)
+router.get('/:id/payments', requirePermission('client.view_balance'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -506,8 +582,8 @@ router.get('/:id/payments', async (req, res) => {
 
 // @route   GET /api/clients/:id/financial-summary
 // @desc    Get detailed financial summary for a client
-// @access  Private
-router.get('/:id/financial-summary', async (req, res) => {
+// @access  Private (client.view_balance)
+router.get('/:id/financial-summary', requirePermission('client.view_balance'), async (req, res) => {
   try {
     const result = await getClientFinancialSummary(req.params.id);
     
@@ -523,8 +599,8 @@ router.get('/:id/financial-summary', async (req, res) => {
 
 // @route   POST /api/clients/:id/use-advance
 // @desc    Use advance balance to pay for an order
-// @access  Private
-router.post('/:id/use-advance', async (req, res) => {
+// @access  Private (payment.record)
+router.post('/:id/use-advance', requirePermission('payment.record'), async (req, res) => {
   try {
     const { orderId, amount } = req.body;
     
@@ -536,6 +612,7 @@ router.post('/:id/use-advance', async (req, res) => {
     }
     
     const io = req.app.get('io');
+    const before = await auditSnapshot('client', req.params.id);
     
     const result = await useAdvanceForOrder(
       orderId,
@@ -544,6 +621,16 @@ router.post('/:id/use-advance', async (req, res) => {
       io
     );
     
+    await recordAudit(req, {
+      entity: 'client',
+      entityId: result.client._id,
+      entityRef: result.client.partyName,
+      action: 'use_advance',
+      before,
+      after: result.client,
+      metadata: { orderNumber: result.order.orderNumber, amount, orderAdvance: result.order.advance, orderBalanceDue: result.order.balanceDue }
+    });
+    
     res.json({
       success: true,
       data: result,
@@ -577,8 +664,8 @@ router.post('/:id/use-advance', async (req, res) => {
 //          Usage:
 //            GET /api/clients/:id/ledger?startDate=2026-02-01&endDate=2026-02-28
 //            GET /api/clients/:id/ledger?startDate=2026-01-01 (from date to now)
-// @access  Private
-router.get('/:id/ledger', async (req, res) => {
+// @access  Private (client.view_balance)
+router.get('/:id/ledger', requirePermission('client.view_balance'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -616,7 +703,7 @@ router.get('/:id/ledger', async (req, res) => {
         { $group: { _id: null, total: { $sum: '$grandTotal' } } }
       ]),
       Payment.aggregate([
-        { $match: { client: clientId, paymentDate: { $lt: rangeStart }, paymentType: { $ne: 'return_refund' } } },
+        { $match: { client: clientId, paymentDate: { $lt: rangeStart }, paymentType: { $nin: ['return_refund', ...DEPOSIT_PAYMENT_TYPES] } } },
         { $group: { _id: null, total: { $sum: '$amount' } } }
       ]),
       Return.aggregate([
@@ -647,6 +734,11 @@ router.get('/:id/ledger', async (req, res) => {
       .lean()
       .then(orders => orders.map(o => o._id));
     
+    // Security deposits — held money, never part of the running balance
+    const depositOrders = await Order.find({ client: clientId, depositStatus: { $nin: [null, 'none'] } })
+      .select('orderNumber depositTransactions')
+      .lean();
+    
     const [orders, payments, deliveries, returns] = await Promise.all([
       // Orders placed in range — include FULL item details + all charges (Tally-style)
       Order.find({
@@ -654,14 +746,15 @@ router.get('/:id/ledger', async (req, res) => {
         orderDate: { $gte: rangeStart, $lte: rangeEnd },
         status: { $ne: 'cancelled' }
       })
-      .select('orderNumber grandTotal subtotal localFreight transportation gstPercent gstAmount discount orderDate status paymentStatus items employeeName')
+      .select('orderNumber grandTotal subtotal localFreight transportation gstPercent gstAmount cgstAmount sgstAmount igstAmount discount orderDate status paymentStatus items employeeName')
       .sort('orderDate')
       .lean(),
       
-      // Payments in range (includes both regular and refund payments)
+      // Payments in range (includes both regular and refund payments; deposits are listed separately)
       Payment.find({
         client: clientId,
-        paymentDate: { $gte: rangeStart, $lte: rangeEnd }
+        paymentDate: { $gte: rangeStart, $lte: rangeEnd },
+        paymentType: { $nin: DEPOSIT_PAYMENT_TYPES }
       })
       .select('paymentNumber amount paymentDate paymentMethod paymentType orderNumber returnNumber transactionReference notes')
       .populate('recordedBy', 'name')
@@ -673,7 +766,7 @@ router.get('/:id/ledger', async (req, res) => {
         order: { $in: clientOrderIds },
         deliveryDate: { $gte: rangeStart, $lte: rangeEnd }
       })
-      .select('deliveryNumber orderNumber deliveryDate grandTotal subtotal localFreight transportation gstPercent gstAmount discount status items')
+      .select('deliveryNumber orderNumber deliveryDate grandTotal subtotal localFreight transportation gstPercent gstAmount cgstAmount sgstAmount igstAmount discount status items')
       .sort('deliveryDate')
       .lean(),
       
@@ -682,7 +775,7 @@ router.get('/:id/ledger', async (req, res) => {
         client: clientId,
         returnDate: { $gte: rangeStart, $lte: rangeEnd }
       })
-      .select('returnNumber orderNumber returnTotal returnDate reason refundableAmount refundedAmount refundStatus items')
+      .select('returnNumber orderNumber returnTotal taxableValue taxAmount cgstAmount sgstAmount igstAmount returnDate reason refundableAmount refundedAmount refundStatus items')
       .sort('returnDate')
       .lean()
     ]);
@@ -708,6 +801,14 @@ router.get('/:id/ledger', async (req, res) => {
         ...(item.chunnut !== undefined && item.chunnut !== null && { chunnut: item.chunnut }),
         ...(item.colour && { colour: item.colour }),
         ...(item.colourPrice !== undefined && item.colourPrice !== null && { colourPrice: item.colourPrice }),
+        // GST (only on lines created with per-line tax)
+        ...(item.gstRate !== undefined && item.gstRate !== null && {
+          hsnCode: item.hsnCode || '',
+          gstRate: item.gstRate,
+          cgstAmount: item.cgstAmount || 0,
+          sgstAmount: item.sgstAmount || 0,
+          igstAmount: item.igstAmount || 0
+        }),
         // Delivery tracking (only for order items)
         ...(item.deliveredQuantity !== undefined && {
           deliveredQuantity: item.deliveredQuantity,
@@ -721,7 +822,14 @@ router.get('/:id/ledger', async (req, res) => {
       const charges = [];
       if (doc.localFreight > 0) charges.push({ label: 'Local Freight', amount: doc.localFreight });
       if (doc.transportation > 0) charges.push({ label: 'Freight & Forwarding', amount: doc.transportation });
-      if (doc.gstPercent > 0) charges.push({ label: `GST ${doc.gstPercent}%`, amount: doc.gstAmount || 0 });
+      if (doc.cgstAmount > 0 || doc.sgstAmount > 0 || doc.igstAmount > 0) {
+        // Split GST (per-line rates) — one row per tax head
+        if (doc.cgstAmount > 0) charges.push({ label: 'CGST', amount: doc.cgstAmount });
+        if (doc.sgstAmount > 0) charges.push({ label: 'SGST', amount: doc.sgstAmount });
+        if (doc.igstAmount > 0) charges.push({ label: 'IGST', amount: doc.igstAmount });
+      } else if (doc.gstPercent > 0) {
+        charges.push({ label: `GST ${doc.gstPercent}%`, amount: doc.gstAmount || 0 });
+      }
       if (doc.discount > 0) charges.push({ label: 'Discount', amount: -doc.discount }); // negative = deduction
       return charges;
     }
@@ -751,6 +859,9 @@ router.get('/:id/ledger', async (req, res) => {
           transportation: order.transportation || 0,
           gstPercent: order.gstPercent || 0,
           gstAmount: order.gstAmount || 0,
+          cgstAmount: order.cgstAmount || 0,
+          sgstAmount: order.sgstAmount || 0,
+          igstAmount: order.igstAmount || 0,
           discount: order.discount || 0,
           status: order.status,
           paymentStatus: order.paymentStatus,
@@ -836,6 +947,9 @@ router.get('/:id/ledger', async (req, res) => {
           transportation: delivery.transportation || 0,
           gstPercent: delivery.gstPercent || 0,
           gstAmount: delivery.gstAmount || 0,
+          cgstAmount: delivery.cgstAmount || 0,
+          sgstAmount: delivery.sgstAmount || 0,
+          igstAmount: delivery.igstAmount || 0,
           discount: delivery.discount || 0,
           status: delivery.status,
           itemCount: delivery.items?.length || 0
@@ -857,13 +971,15 @@ router.get('/:id/ledger', async (req, res) => {
         credit: ret.returnTotal,
         // ── Full item details — what was returned ──
         items: formatItems(ret.items),
-        charges: [],
+        // Reversed GST (credit note) — same tax heads as the original sale
+        charges: formatCharges(ret),
         totalQuantity: Math.round(totalQty * 100) / 100,
-        subtotal: ret.returnTotal,
+        subtotal: ret.taxAmount > 0 ? ret.taxableValue : ret.returnTotal,
         details: {
           returnNumber: ret.returnNumber,
           orderNumber: ret.orderNumber,
           returnTotal: ret.returnTotal,
+          taxAmount: ret.taxAmount || 0,
           reason: ret.reason,
           refundableAmount: ret.refundableAmount,
           refundedAmount: ret.refundedAmount,
@@ -873,6 +989,50 @@ router.get('/:id/ledger', async (req, res) => {
       });
     }
     
+    // Deposits → INFO entry (no impact on the running balance) + separate deposit-held balance
+    const depositSign = { collect: 1, forfeit: -1, refund: -1 };
+    const depositLabels = { collect: 'Deposit collected', forfeit: 'Deposit forfeited', refund: 'Deposit refunded' };
+    let openingDepositHeld = 0;
+    const depositEntries = [];
+    
+    for (const order of depositOrders) {
+      for (const txn of order.depositTransactions || []) {
+        const txnDate = new Date(txn.date);
+        if (txnDate < rangeStart) {
+          openingDepositHeld += depositSign[txn.type] * txn.amount;
+        } else if (txnDate <= rangeEnd) {
+          depositEntries.push({ order, txn });
+        }
+      }
+    }
+    
+    depositEntries.sort((a, b) => new Date(a.txn.date) - new Date(b.txn.date));
+    let depositHeld = openingDepositHeld;
+    for (const { order, txn } of depositEntries) {
+      depositHeld += depositSign[txn.type] * txn.amount;
+      
+      entries.push({
+        date: txn.date,
+        type: 'deposit',
+        voucherType: 'Deposit',
+        refNumber: txn.paymentNumber || order.orderNumber,
+        description: `${depositLabels[txn.type]} for ${order.orderNumber}${txn.reason ? ' — ' + txn.reason : ''}`,
+        debit: 0,
+        credit: 0,
+        items: [],
+        charges: [],
+        details: {
+          depositType: txn.type,
+          amount: txn.amount,
+          orderNumber: order.orderNumber,
+          method: txn.paymentMethod,
+          reference: txn.transactionReference,
+          reason: txn.reason,
+          depositHeld: Math.round(depositHeld * 100) / 100
+        }
+      });
+    }
+    
     // ═══════════════════════════════════════════════════════════════════
     // SORT BY DATE + CALCULATE RUNNING BALANCE (with Cr/Dr like Tally)
     // Positive balance = Dr (client owes us)
@@ -925,8 +1085,17 @@ router.get('/:id/ledger', async (req, res) => {
           totalDeliveries: deliveries.length,
           totalReturns: returns.length,
           totalRefunds: payments.filter(p => p.paymentType === 'return_refund').length,
+          totalDepositEntries: depositEntries.length,
           entries: entries.length
         },
+        // Security deposits held for the client (liability — not in opening/closing balance)
+        deposits: {
+          openingHeld: Math.round(openingDepositHeld * 100) / 100,
+          collected: Math.round(depositEntries.filter(d => d.txn.type === 'collect').reduce((sum, d) => sum + d.txn.amount, 0) * 100) / 100,
+          forfeited: Math.round(depositEntries.filter(d => d.txn.type === 'forfeit').reduce((sum, d) => sum + d.txn.amount, 0) * 100) / 100,
+          refunded: Math.round(depositEntries.filter(d => d.txn.type === 'refund').reduce((sum, d) => sum + d.txn.amount, 0) * 100) / 100,
+          closingHeld: Math.round(depositHeld * 100) / 100
+        },
         entries
       }
     });
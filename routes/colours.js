@@ -1,6 +1,7 @@
 const express = require('express');
 const Colour = require('../models/Colour');
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { emitEvent } = require('../utils/realtime');
 
 const router = express.Router();
 
@@ -27,8 +28,8 @@ router.get('/', async (req, res) => {
 
 // @route   POST /api/colours
 // @desc    Create a new colour with price
-// @access  Admin only
-router.post('/', adminOnly, async (req, res) => {
+// @access  Private (catalog.manage)
+router.post('/', requirePermission('catalog.manage'), async (req, res) => {
   try {
     const { name, price } = req.body;
     
@@ -42,7 +43,7 @@ router.post('/', adminOnly, async (req, res) => {
     const colour = await Colour.create({ name, price });
     
     const io = req.app.get('io');
-    if (io) io.emit('colour:created', { colour });
+    if (io) emitEvent(io, 'colour:created', { colour }, { staff: true });
     
     res.status(201).json({ success: true, data: colour });
   } catch (error) {
@@ -56,8 +57,8 @@ router.post('/', adminOnly, async (req, res) => {
 
 // @route   PUT /api/colours/:id
 // @desc    Update colour name/price
-// @access  Admin only
-router.put('/:id', adminOnly, async (req, res) => {
+// @access  Private (catalog.manage)
+router.put('/:id', requirePermission('catalog.manage'), async (req, res) => {
   try {
     const { name, price, isActive } = req.body;
     
@@ -72,7 +73,7 @@ router.put('/:id', adminOnly, async (req, res) => {
     }
     
     const io = req.app.get('io');
-    if (io) io.emit('colour:updated', { colour });
+    if (io) emitEvent(io, 'colour:updated', { colour }, { staff: true });
     
     res.json({ success: true, data: colour });
   } catch (error) {
@@ -83,8 +84,8 @@ router.put('/:id', adminOnly, async (req, res) => {
 
 // @route   DELETE /api/colours/:id
 // @desc    Soft delete colour
-// @access  Admin only
-router.delete('/:id', adminOnly, async (req, res) => {
+// @access  Private (catalog.manage)
+router.delete('/:id', requirePermission('catalog.manage'), async (req, res) => {
   try {
     const colour = await Colour.findByIdAndUpdate(
       req.params.id,
@@ -97,7 +98,7 @@ router.delete('/:id', adminOnly, async (req, res) => {
     }
     
     const io = req.app.get('io');
-    if (io) io.emit('colour:deleted', { colourId: colour._id });
+    if (io) emitEvent(io, 'colour:deleted', { colourId: colour._id }, { staff: true });
     
     res.json({ success: true, message: 'Colour deleted' });
   } catch (error) {
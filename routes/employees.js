@@ -1,21 +1,42 @@
 const express = require('express');
 const User = require('../models/User');
-const { protect, adminOnly } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { protect, requirePermission, requireTwoFactor } = require('../middleware/auth');
+const { emitEvent } = require('../utils/realtime');
+const { revokeSessions, forceLogoutUser, listSessions } = require('../utils/sessionManager');
+const { STAFF_QUERY, roleExists } = require('../utils/permissions');
 
 const router = express.Router();
 
-// All routes require admin access
+// All routes require employee.manage and a two-factor login
 router.use(protect);
-router.use(adminOnly);
+router.use(requirePermission('employee.manage'));
+router.use(requireTwoFactor);
 
-// @route   GET /api/employees
-// @desc    Get all employees
-// @access  Admin only
+/**
+ * Staff accounts may get any existing role except admin
+ * @returns {String|null} error message
+ */
+async function checkStaffRole(role) {
+  if (typeof role !== 'string' || !role.trim()) return 'role must be a role name';
+  const name = role.trim().toLowerCase();
+  if (name === 'admin') return 'Staff accounts cannot be given the admin role';
+  if (!await roleExists(name)) return `Unknown role '${role}'. See GET /api/roles`;
+  return null;
+}
+
+// @route   GET /api/employees?role=cashier
+// @desc    Get all staff accounts (every role except admin)
+// @access  Private (employee.manage)
 router.get('/', async (req, res) => {
   try {
-    const { active = 'true', page = 1, limit = 50 } = req.query;
+    const { active = 'true', role, page = 1, limit = 50 } = req.query;
+    
+    const query = { ...STAFF_QUERY };
     
-    const query = { role: 'employee' };
+    if (role && role !== 'admin') {
+      query.role = role;
+    }
     
     if (active !== 'all') {
       query.isActive = active === 'true';
@@ -54,12 +75,12 @@ router.get('/', async (req, res) => {
 
 // @route   GET /api/employees/:id
 // @desc    Get single employee
-// @access  Admin only
+// @access  Private (employee.manage)
 router.get('/:id', async (req, res) => {
   try {
     const employee = await User.findOne({
       _id: req.params.id,
-      role: 'employee'
+      ...STAFF_QUERY
     }).select('-password').lean();
     
     if (!employee) {
@@ -83,11 +104,11 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/employees
-// @desc    Create employee
-// @access  Admin only
+// @desc    Create employee. Body: { username, password, name, phone?, role? } — role defaults to 'employee'
+// @access  Private (employee.manage)
 router.post('/', async (req, res) => {
   try {
-    const { username, password, name, phone } = req.body;
+    const { username, password, name, phone, role = 'employee' } = req.body;
     
     if (!username || !password || !name) {
       return res.status(400).json({
@@ -96,6 +117,14 @@ router.post('/', async (req, res) => {
       });
     }
     
+    const roleError = await checkStaffRole(role);
+    if (roleError) {
+      return res.status(400).json({
+        success: false,
+        error: roleError
+      });
+    }
+    
     // Check if username exists
     const existingUser = await User.findOne({ username: username.toLowerCase() });
     
@@ -111,13 +140,13 @@ router.post('/', async (req, res) => {
       password,
       name,
       phone,
-      role: 'employee'
+      role
     });
     
     // Emit real-time event
     const io = req.app.get('io');
     if (io) {
-      io.emit('employee:created', { 
+      emitEvent(io, 'employee:created', { 
         employee: {
           id: employee._id,
           username: employee.username,
@@ -126,7 +155,7 @@ router.post('/', async (req, res) => {
           role: employee.role,
           isActive: employee.isActive
         }
-      });
+      }, { employees: [employee._id] });
     }
     
     res.status(201).json({
@@ -156,15 +185,25 @@ router.post('/', async (req, res) => {
 });
 
 // @route   PUT /api/employees/:id
-// @desc    Update employee
-// @access  Admin only
+// @desc    Update employee (name, phone, isActive, role) — a new role applies from the next request
+// @access  Private (employee.manage)
 router.put('/:id', async (req, res) => {
   try {
-    const { name, phone, isActive } = req.body;
+    const { name, phone, isActive, role } = req.body;
+    
+    if (role !== undefined) {
+      const roleError = await checkStaffRole(role);
+      if (roleError) {
+        return res.status(400).json({
+          success: false,
+          error: roleError
+        });
+      }
+    }
     
     const employee = await User.findOneAndUpdate(
-      { _id: req.params.id, role: 'employee' },
-      { name, phone, isActive },
+      { _id: req.params.id, ...STAFF_QUERY },
+      { name, phone, isActive, role },
       { new: true, runValidators: true }
     ).select('-password').lean();
     
@@ -175,10 +214,16 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    // Emit real-time event
     const io = req.app.get('io');
+    
+    // Deactivated → signed out of every device
+    if (isActive === false) {
+      await forceLogoutUser(employee._id, { by: req.user._id, reason: 'deactivated' }, io);
+    }
+    
+    // Emit real-time event
     if (io) {
-      io.emit('employee:updated', { employee });
+      emitEvent(io, 'employee:updated', { employee }, { employees: [employee._id] });
     }
     
     res.json({
@@ -195,8 +240,8 @@ router.put('/:id', async (req, res) => {
 });
 
 // @route   PUT /api/employees/:id/reset-password
-// @desc    Reset employee password
-// @access  Admin only
+// @desc    Reset employee password (signs the employee out of all devices)
+// @access  Private (employee.manage)
 router.put('/:id/reset-password', async (req, res) => {
   try {
     const { newPassword } = req.body;
@@ -210,7 +255,7 @@ router.put('/:id/reset-password', async (req, res) => {
     
     const employee = await User.findOne({
       _id: req.params.id,
-      role: 'employee'
+      ...STAFF_QUERY
     });
     
     if (!employee) {
@@ -223,9 +268,12 @@ router.put('/:id/reset-password', async (req, res) => {
     employee.password = newPassword;
     await employee.save();
     
+    // Devices signed in with the old password are signed out
+    await forceLogoutUser(employee._id, { by: req.user._id, reason: 'password_reset' }, req.app.get('io'));
+    
     res.json({
       success: true,
-      message: 'Password reset successfully'
+      message: 'Password reset successfully. The employee has been signed out of all devices.'
     });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -236,13 +284,49 @@ router.put('/:id/reset-password', async (req, res) => {
   }
 });
 
+// @route   DELETE /api/employees/:id/2fa
+// @desc    Reset two-factor authentication for an employee who lost their phone and backup codes
+//          (signs them out of all devices; they can set it up again after logging in)
+// @access  Private (employee.manage)
+router.delete('/:id/2fa', async (req, res) => {
+  try {
+    const employee = await User.findOneAndUpdate(
+      { _id: req.params.id, ...STAFF_QUERY, 'twoFactor.enabled': true },
+      { twoFactor: { enabled: false, enabledAt: null, secret: null, pendingSecret: null, backupCodes: [], lastUsedStep: null } },
+      { new: true }
+    ).select('username').lean();
+    
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found or two-factor authentication is not enabled'
+      });
+    }
+    
+    await forceLogoutUser(employee._id, { by: req.user._id, reason: '2fa_reset' }, req.app.get('io'));
+    
+    console.log(`🔓 Two-factor authentication reset for ${employee.username} by ${req.user.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset. The employee has been signed out of all devices.'
+    });
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
 // @route   DELETE /api/employees/:id
-// @desc    Deactivate employee
-// @access  Admin only
+// @desc    Deactivate employee (signs them out of all devices)
+// @access  Private (employee.manage)
 router.delete('/:id', async (req, res) => {
   try {
     const employee = await User.findOneAndUpdate(
-      { _id: req.params.id, role: 'employee' },
+      { _id: req.params.id, ...STAFF_QUERY },
       { isActive: false },
       { new: true }
     ).select('-password').lean();
@@ -254,12 +338,15 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Emit real-time event
     const io = req.app.get('io');
+    
+    // Emit real-time event
     if (io) {
-      io.emit('employee:deactivated', { employeeId: employee._id });
+      emitEvent(io, 'employee:deactivated', { employeeId: employee._id }, { employees: [employee._id] });
     }
     
+    await forceLogoutUser(employee._id, { by: req.user._id, reason: 'deactivated' }, io);
+    
     res.json({
       success: true,
       message: 'Employee deactivated successfully'
@@ -273,5 +360,100 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/employees/:id/sessions
+// @desc    Devices the employee is signed in on
+// @access  Private (employee.manage)
+router.get('/:id/sessions', async (req, res) => {
+  try {
+    const employee = await User.findOne({ _id: req.params.id, ...STAFF_QUERY }).select('_id name').lean();
+    
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+    
+    const sessions = await listSessions(employee._id);
+    
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    console.error('Get employee sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/employees/:id/logout
+// @desc    Force-logout: sign the employee out of every device (e.g. lost phone)
+// @access  Private (employee.manage)
+router.post('/:id/logout', async (req, res) => {
+  try {
+    const employee = await User.findOne({ _id: req.params.id, ...STAFF_QUERY }).select('_id name').lean();
+    
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+    
+    const revoked = await forceLogoutUser(employee._id, { by: req.user._id, reason: 'force_logout' }, req.app.get('io'));
+    
+    console.log(`🔒 ${employee.name} signed out of all devices by ${req.user.name} (${revoked} sessions)`);
+    
+    res.json({
+      success: true,
+      message: `${employee.name} signed out of all devices`,
+      revoked
+    });
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/employees/:id/sessions/:sessionId
+// @desc    Sign the employee out of one device
+// @access  Private (employee.manage)
+router.delete('/:id/sessions/:sessionId', async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+    
+    const session = /^[0-9a-fA-F]{24}$/.test(sessionId)
+      ? await Session.findOne({ _id: sessionId, user: id, revokedAt: null }).select('_id').lean()
+      : null;
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+    
+    await revokeSessions({ _id: session._id }, { by: req.user._id, reason: 'revoked_by_admin' }, req.app.get('io'));
+    
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+  } catch (error) {
+    console.error('Revoke employee session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,402 @@
+const express = require('express');
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const Client = require('../models/Client');
+const { protect, requirePermission } = require('../middleware/auth');
+const { findEvent, getEventBilling } = require('../utils/eventManager');
+const { invalidateOrderCache } = require('../utils/orderCache');
+const { delByPattern } = require('../config/redis');
+const { emitEvent } = require('../utils/realtime');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Fields a client may set on create / update
+const EDITABLE_FIELDS = ['name', 'eventType', 'startDate', 'endDate', 'venue', 'contactPerson', 'status', 'notes'];
+
+// @route   GET /api/events
+// @desc    List events with pagination. Filters: search, status, eventType, client, from, to (date overlap)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const {
+      search,
+      status,
+      eventType,
+      client,
+      from,
+      to,
+      page = 1,
+      limit = 50,
+      sort = 'startDate'
+    } = req.query;
+
+    const query = {};
+
+    if (search) {
+      const searchRegex = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [
+        { name: searchRegex },
+        { eventNumber: searchRegex },
+        { partyName: searchRegex },
+        { mobile: searchRegex },
+        { 'venue.name': searchRegex }
+      ];
+    }
+    if (status) query.status = status;
+    if (eventType) query.eventType = eventType;
+    if (client) query.client = client;
+
+    // Events overlapping [from, to]
+    if (from) query.endDate = { $gte: new Date(from) };
+    if (to) {
+      const toDate = new Date(to);
+      toDate.setHours(23, 59, 59, 999);
+      query.startDate = { $lte: toDate };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [events, total] = await Promise.all([
+      Event.find(query)
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Event.countDocuments(query)
+    ]);
+
+    // Order counts per event (one aggregate for the page)
+    const counts = await Order.aggregate([
+      { $match: { event: { $in: events.map(e => e._id) }, status: { $ne: 'cancelled' } } },
+      { $group: { _id: '$event', orders: { $sum: 1 }, grandTotal: { $sum: '$grandTotal' }, balanceDue: { $sum: '$balanceDue' } } }
+    ]);
+    const countMap = new Map(counts.map(c => [c._id.toString(), c]));
+
+    res.json({
+      success: true,
+      data: events.map(event => {
+        const count = countMap.get(event._id.toString());
+        return {
+          ...event,
+          totalOrders: count?.orders || 0,
+          grandTotal: count?.grandTotal || 0,
+          balanceDue: count?.balanceDue || 0
+        };
+      }),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get events error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   GET /api/events/:id
+// @desc    Single event (ObjectId or event number) with its orders and consolidated billing
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const event = await findEvent(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'Event not found' });
+    }
+
+    const billing = await getEventBilling(event._id);
+
+    res.json({
+      success: true,
+      data: {
+        event,
+        orders: billing.orders,
+        billing: billing.summary
+      }
+    });
+  } catch (error) {
+    console.error('Get event error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   GET /api/events/:id/billing
+// @desc    Consolidated billing and balance across all orders of an event
+// @access  Private
+router.get('/:id/billing', async (req, res) => {
+  try {
+    const event = await findEvent(req.params.id, 'eventNumber name partyName mobile startDate endDate');
+
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'Event not found' });
+    }
+
+    const billing = await getEventBilling(event._id);
+
+    res.json({
+      success: true,
+      data: {
+        event,
+        ...billing.summary,
+        orders: billing.orders
+      }
+    });
+  } catch (error) {
+    console.error('Get event billing error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   POST /api/events
+// @desc    Create event. Client is found/created by partyName + mobile (or given as clientId)
+// @access  Private (event.manage)
+router.post('/', requirePermission('event.manage'), async (req, res) => {
+  try {
+    const { name, startDate, endDate, clientId, partyName, mobile } = req.body;
+
+    if (!name || !startDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Event name and start date are required'
+      });
+    }
+
+    // Link client (optional)
+    let client = null;
+    if (clientId) {
+      client = await Client.findById(clientId).select('partyName mobile').lean();
+      if (!client) {
+        return res.status(400).json({ success: false, error: 'Client not found' });
+      }
+    } else if (partyName && mobile) {
+      client = await Client.findOneAndUpdate(
+        { partyName, mobile },
+        { partyName, mobile },
+        { upsert: true, new: true, lean: true }
+      );
+    }
+
+    const eventData = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) eventData[field] = req.body[field];
+    });
+
+    const event = await Event.create({
+      ...eventData,
+      endDate: endDate || startDate,
+      client: client?._id || null,
+      partyName: client?.partyName || partyName,
+      mobile: client?.mobile || mobile,
+      createdBy: req.user._id
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      emitEvent(io, 'event:created', { event: event.toObject() }, { clients: [event.client], employees: [event.createdBy, req.user._id] });
+    }
+
+    console.log(`🎪 Event ${event.eventNumber} created: ${event.name}`);
+
+    res.status(201).json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    console.error('Create event error:', error);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/events/:id
+// @desc    Update event details
+// @access  Private (event.manage)
+router.put('/:id', requirePermission('event.manage'), async (req, res) => {
+  try {
+    const found = await findEvent(req.params.id, '_id');
+    if (!found) {
+      return res.status(404).json({ success: false, error: 'Event not found' });
+    }
+
+    const event = await Event.findById(found._id);
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) event[field] = req.body[field];
+    });
+
+    await event.save(); // pre-save validates the date range
+
+    const io = req.app.get('io');
+    if (io) {
+      emitEvent(io, 'event:updated', { event: event.toObject() }, { clients: [event.client], employees: [event.createdBy, req.user._id] });
+    }
+
+    res.json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    console.error('Update event error:', error);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/events/:id/orders
+// @desc    Link existing orders to an event. Body: { orderIds: [ObjectId | orderNumber] }
+// @access  Private (event.manage)
+router.post('/:id/orders', requirePermission('event.manage'), async (req, res) => {
+  try {
+    const { orderIds } = req.body;
+
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'orderIds array is required' });
+    }
+
+    const event = await findEvent(req.params.id, 'eventNumber name status');
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'Event not found' });
+    }
+    if (event.status === 'cancelled') {
+      return res.status(400).json({ success: false, error: `Event ${event.eventNumber} is cancelled` });
+    }
+
+    const ids = orderIds.filter(id => /^[0-9a-fA-F]{24}$/.test(id));
+    const numbers = orderIds.filter(id => !/^[0-9a-fA-F]{24}$/.test(id)).map(n => n.toUpperCase());
+
+    const orders = await Order.find({ $or: [{ _id: { $in: ids } }, { orderNumber: { $in: numbers } }] })
+      .select('_id orderNumber')
+      .lean();
+
+    if (orders.length !== orderIds.length) {
+      const foundKeys = new Set(orders.flatMap(o => [o._id.toString(), o.orderNumber]));
+      const missing = orderIds.filter(id => !foundKeys.has(id) && !foundKeys.has(id.toUpperCase()));
+      return res.status(400).json({ success: false, error: `Orders not found: ${missing.join(', ')}` });
+    }
+
+    await Order.updateMany(
+      { _id: { $in: orders.map(o => o._id) } },
+      { $set: { event: event._id, eventNumber: event.eventNumber } },
+      { revision: { by: req.user._id, source: 'event', reason: `Linked to ${event.eventNumber}` } }
+    );
+
+    for (const order of orders) {
+      await invalidateOrderCache(order._id.toString());
+    }
+    await delByPattern('orders:list:*');
+
+    const io = req.app.get('io');
+    if (io) {
+      emitEvent(io, 'event:orders-linked', {
+        eventId: event._id,
+        eventNumber: event.eventNumber,
+        orders: orders.map(o => ({ _id: o._id, orderNumber: o.orderNumber }))
+      }, { orders: orders.map(o => o._id), employees: [req.user._id] });
+    }
+
+    const billing = await getEventBilling(event._id);
+
+    res.json({
+      success: true,
+      message: `${orders.length} order(s) linked to ${event.eventNumber}`,
+      data: {
+        orders: billing.orders,
+        billing: billing.summary
+      }
+    });
+  } catch (error) {
+    console.error('Link event orders error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+// @route   DELETE /api/events/:id/orders/:orderId
+// @desc    Unlink an order from an event (the order itself is untouched)
+// @access  Private (event.manage)
+router.delete('/:id/orders/:orderId', requirePermission('event.manage'), async (req, res) => {
+  try {
+    const event = await findEvent(req.params.id, 'eventNumber');
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'Event not found' });
+    }
+
+    const { orderId } = req.params;
+    const isObjectId = /^[0-9a-fA-F]{24}$/.test(orderId);
+    const orderQuery = isObjectId ? { _id: orderId } : { orderNumber: orderId.toUpperCase() };
+
+    const order = await Order.findOneAndUpdate(
+      { ...orderQuery, event: event._id },
+      { $set: { event: null, eventNumber: null } },
+      { new: true, revision: { by: req.user._id, source: 'event', reason: `Unlinked from ${event.eventNumber}` } }
+    ).select('_id orderNumber').lean();
+
+    if (!order) {
+      return res.status(404).json({ success: false, error: `Order is not linked to ${event.eventNumber}` });
+    }
+
+    await invalidateOrderCache(order._id.toString());
+    await delByPattern('orders:list:*');
+
+    const io = req.app.get('io');
+    if (io) {
+      emitEvent(io, 'event:order-unlinked', { eventId: event._id, eventNumber: event.eventNumber, orderId: order._id }, { orders: [order._id], employees: [req.user._id] });
+    }
+
+    res.json({
+      success: true,
+      message: `Order ${order.orderNumber} unlinked from ${event.eventNumber}`
+    });
+  } catch (error) {
+    console.error('Unlink event order error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/events/:id
+// @desc    Delete event. Linked orders are kept and simply unlinked.
+// @access  Private (event.delete)
+router.delete('/:id', requirePermission('event.delete'), async (req, res) => {
+  try {
+    const event = await findEvent(req.params.id, '_id eventNumber');
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'Event not found' });
+    }
+
+    const unlinked = await Order.updateMany(
+      { event: event._id },
+      { $set: { event: null, eventNumber: null } },
+      { revision: { by: req.user._id, source: 'event', reason: `Event ${event.eventNumber} deleted` } }
+    );
+    await Event.deleteOne({ _id: event._id });
+
+    if (unlinked.modifiedCount > 0) {
+      await delByPattern('orders:list:*');
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      emitEvent(io, 'event:deleted', { eventId: event._id, eventNumber: event.eventNumber }, { employees: [req.user._id] });
+    }
+
+    console.log(`🗑️  Event ${event.eventNumber} deleted (${unlinked.modifiedCount} order(s) unlinked)`);
+
+    res.json({
+      success: true,
+      message: `Event ${event.eventNumber} deleted. ${unlinked.modifiedCount} order(s) unlinked.`
+    });
+  } catch (error) {
+    console.error('Delete event error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -4,12 +4,16 @@ const DeliveryInvoice = require('../models/DeliveryInvoice');
 const Client = require('../models/Client');
 const Product = require('../models/Product');
 const Payment = require('../models/Payment');
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { 
   reduceInventory, 
   restoreInventory, 
   adjustInventory 
 } = require('../utils/inventoryManager');
+const { applyGst, round2 } = require('../utils/gstCalculator');
+const { emitEvent } = require('../utils/realtime');
+const { recordAudit } = require('../utils/auditLog');
+const { assertPermission, assertOrderPricing } = require('../utils/permissions');
 
 const router = express.Router();
 
@@ -268,8 +272,8 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/invoices
 // @desc    Create invoice
-// @access  Private
-router.post('/', async (req, res) => {
+// @access  Private (invoice.manage)
+router.post('/', requirePermission('invoice.manage'), async (req, res) => {
   try {
     const {
       partyName,
@@ -282,7 +286,9 @@ router.post('/', async (req, res) => {
       advance = 0,
       deliveryDate,
       orderDate,
-      notes
+      notes,
+      placeOfSupply,
+      customerGstin
     } = req.body;
     
     // Validation
@@ -293,12 +299,6 @@ router.post('/', async (req, res) => {
       });
     }
     
-    // Calculate totals
-    const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const gstAmount = (subtotal * gstPercent) / 100;
-    const grandTotal = subtotal + localFreight + transportation + gstAmount - discount;
-    const balanceDue = grandTotal - advance;
-    
     // Format items with total and find product IDs if not provided
     const formattedItems = await Promise.all(items.map(async (item) => {
       let productId = item.product || null;
@@ -323,16 +323,34 @@ router.post('/', async (req, res) => {
         productName: item.productName,
         price: item.price,
         quantity: item.quantity,
-        total: item.price * item.quantity
+        total: item.price * item.quantity,
+        ...(item.gstRate !== undefined && { gstRate: item.gstRate }),
+        ...(item.hsnCode && { hsnCode: item.hsnCode })
       };
     }));
     
+    // Calculate totals (per-line GST with CGST/SGST or IGST split)
+    const existingClient = await Client.findOne({ partyName, mobile }).select('gstin stateCode').lean();
+    const gstin = customerGstin || existingClient?.gstin || null;
+    const gst = await applyGst(formattedItems, {
+      gstPercent,
+      placeOfSupply,
+      client: { ...existingClient, gstin }
+    });
+    const subtotal = round2(gst.items.reduce((sum, item) => sum + item.total, 0));
+    const gstAmount = gst.gstAmount;
+    const grandTotal = round2(subtotal + localFreight + transportation + gstAmount - discount);
+    const balanceDue = grandTotal - advance;
+    
+    assertOrderPricing(req.user, { discount, subtotal, advance });
+    
     // Find or create client - do this in parallel with invoice creation
     const clientPromise = Client.findOneAndUpdate(
       { partyName, mobile },
       {
         partyName,
         mobile,
+        ...(customerGstin && { gstin: customerGstin }),
         $inc: { totalOrders: 1, totalSpent: grandTotal }
       },
       { upsert: true, new: true, lean: true }
@@ -342,12 +360,18 @@ router.post('/', async (req, res) => {
     const invoice = new Invoice({
       partyName,
       mobile,
-      items: formattedItems,
+      items: gst.items,
       subtotal,
       localFreight,
       transportation,
       gstPercent,
       gstAmount,
+      cgstAmount: gst.cgstAmount,
+      sgstAmount: gst.sgstAmount,
+      igstAmount: gst.igstAmount,
+      placeOfSupply: gst.placeOfSupply,
+      isInterState: gst.isInterState,
+      customerGstin: gstin,
       discount,
       grandTotal,
       advance,
@@ -373,7 +397,12 @@ router.post('/', async (req, res) => {
     
     // Reduce inventory for invoice items
     console.log(`📦 Attempting to reduce inventory for ${formattedItems.length} items`);
-    const inventoryResult = await reduceInventory(formattedItems, io);
+    const inventoryResult = await reduceInventory(formattedItems, io, {
+      movement: {
+        source: { type: 'invoice', id: savedInvoice._id, ref: savedInvoice.invoiceNumber },
+        user: req.user
+      }
+    });
     
     if (!inventoryResult.success) {
       console.error('❌ Inventory reduction failed:', inventoryResult.error);
@@ -393,11 +422,11 @@ router.post('/', async (req, res) => {
         
         // Emit inventory changes summary
         if (io) {
-          io.emit('invoice:inventory-reduced', {
+          emitEvent(io, 'invoice:inventory-reduced', {
             invoiceId: savedInvoice._id,
             invoiceNumber: savedInvoice.invoiceNumber,
             affectedProducts: inventoryResult.affectedProducts
-          });
+          }, { staff: true });
         }
       } else {
         console.warn(`⚠️ No inventory was reduced. Check if products have inventory tracking enabled.`);
@@ -406,7 +435,7 @@ router.post('/', async (req, res) => {
     
     // Emit real-time event for invoice creation
     if (io) {
-      io.emit('invoice:created', { invoice: savedInvoice });
+      emitEvent(io, 'invoice:created', { invoice: savedInvoice }, { clients: [savedInvoice.client], employees: [savedInvoice.createdBy, req.user._id] });
     }
     
     res.status(201).json({
@@ -417,17 +446,17 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Create invoice error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Server error'
+      error: error.statusCode ? error.message : 'Server error'
     });
   }
 });
 
 // @route   PUT /api/invoices/:id
 // @desc    Update invoice (supports both ObjectId and Invoice Number)
-// @access  Private
-router.put('/:id', async (req, res) => {
+// @access  Private (invoice.manage)
+router.put('/:id', requirePermission('invoice.manage'), async (req, res) => {
   try {
     const {
       partyName,
@@ -465,26 +494,36 @@ router.put('/:id', async (req, res) => {
     
     // Recalculate if items changed
     if (items) {
-      const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-      const gst = gstPercent !== undefined ? gstPercent : invoice.gstPercent;
+      const gstRate = gstPercent !== undefined ? gstPercent : invoice.gstPercent;
       const freight = localFreight !== undefined ? localFreight : invoice.localFreight;
       const transport = transportation !== undefined ? transportation : invoice.transportation;
       const disc = discount !== undefined ? discount : invoice.discount;
       const adv = advance !== undefined ? advance : invoice.advance;
       
-      const gstAmount = (subtotal * gst) / 100;
-      const grandTotal = subtotal + freight + transport + gstAmount - disc;
-      const balanceDue = grandTotal - adv;
-      
-      invoice.items = items.map(item => ({
+      const gst = await applyGst(items.map(item => ({
         product: item.product || null,
         productName: item.productName,
         price: item.price,
         quantity: item.quantity,
-        total: item.price * item.quantity
-      }));
+        total: item.price * item.quantity,
+        ...(item.gstRate !== undefined && { gstRate: item.gstRate }),
+        ...(item.hsnCode && { hsnCode: item.hsnCode })
+      })), {
+        gstPercent: gstRate,
+        placeOfSupply: invoice.placeOfSupply
+      });
+      
+      const subtotal = round2(gst.items.reduce((sum, item) => sum + item.total, 0));
+      const grandTotal = round2(subtotal + freight + transport + gst.gstAmount - disc);
+      const balanceDue = grandTotal - adv;
+      
+      invoice.items = gst.items;
       invoice.subtotal = subtotal;
-      invoice.gstAmount = gstAmount;
+      invoice.gstAmount = gst.gstAmount;
+      invoice.cgstAmount = gst.cgstAmount;
+      invoice.sgstAmount = gst.sgstAmount;
+      invoice.igstAmount = gst.igstAmount;
+      invoice.isInterState = gst.isInterState;
       invoice.grandTotal = grandTotal;
       invoice.balanceDue = balanceDue;
     }
@@ -504,6 +543,13 @@ router.put('/:id', async (req, res) => {
     if (deliveryStatus) invoice.deliveryStatus = deliveryStatus;
     if (notes !== undefined) invoice.notes = notes;
     
+    if (items || discount !== undefined) {
+      assertOrderPricing(req.user, { discount: invoice.discount || 0, subtotal: invoice.subtotal });
+    }
+    if (invoice.isModified('advance')) {
+      assertPermission(req.user, 'payment.record', `Changing the advance requires permission 'payment.record'`);
+    }
+    
     await invoice.save();
     
     // Convert to plain object for response (lean-like performance)
@@ -512,7 +558,10 @@ router.put('/:id', async (req, res) => {
     // Adjust inventory if items were changed
     let inventoryResult = { success: true, affectedProducts: [] };
     if (items) {
-      inventoryResult = await adjustInventory(oldItems, updatedInvoiceData.items, io);
+      inventoryResult = await adjustInventory(oldItems, updatedInvoiceData.items, io, {
+        source: { type: 'invoice', id: updatedInvoiceData._id, ref: updatedInvoiceData.invoiceNumber },
+        user: req.user
+      });
       
       if (!inventoryResult.success) {
         console.error('Inventory adjustment failed:', inventoryResult.error);
@@ -521,18 +570,18 @@ router.put('/:id', async (req, res) => {
         
         // Emit inventory changes summary
         if (io) {
-          io.emit('invoice:inventory-adjusted', {
+          emitEvent(io, 'invoice:inventory-adjusted', {
             invoiceId: updatedInvoiceData._id,
             invoiceNumber: updatedInvoiceData.invoiceNumber,
             affectedProducts: inventoryResult.affectedProducts
-          });
+          }, { staff: true });
         }
       }
     }
     
     // Emit real-time event
     if (io) {
-      io.emit('invoice:updated', { invoice: updatedInvoiceData });
+      emitEvent(io, 'invoice:updated', { invoice: updatedInvoiceData }, { clients: [updatedInvoiceData.client], employees: [updatedInvoiceData.createdBy, req.user._id] });
     }
     
     res.json({
@@ -543,17 +592,17 @@ router.put('/:id', async (req, res) => {
     });
   } catch (error) {
     console.error('Update invoice error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Server error'
+      error: error.statusCode ? error.message : 'Server error'
     });
   }
 });
 
 // @route   PATCH /api/invoices/:id/delivery-status
 // @desc    Update delivery status only (supports both ObjectId and Invoice Number)
-// @access  Private
-router.patch('/:id/delivery-status', async (req, res) => {
+// @access  Private (invoice.manage)
+router.patch('/:id/delivery-status', requirePermission('invoice.manage'), async (req, res) => {
   try {
     const { deliveryStatus } = req.body;
     
@@ -584,11 +633,11 @@ router.patch('/:id/delivery-status', async (req, res) => {
     // Emit real-time event
     const io = req.app.get('io');
     if (io) {
-      io.emit('invoice:delivery-status-updated', { 
+      emitEvent(io, 'invoice:delivery-status-updated', { 
         invoiceId: invoice._id,
         invoiceNumber: invoice.invoiceNumber,
         deliveryStatus: invoice.deliveryStatus 
-      });
+      }, { clients: [invoice.client], employees: [invoice.createdBy, req.user._id] });
     }
     
     res.json({
@@ -606,8 +655,8 @@ router.patch('/:id/delivery-status', async (req, res) => {
 
 // @route   PATCH /api/invoices/:id/payment
 // @desc    Record payment for invoice (creates payment history entry)
-// @access  Private
-router.patch('/:id/payment', async (req, res) => {
+// @access  Private (payment.record)
+router.patch('/:id/payment', requirePermission('payment.record'), async (req, res) => {
   try {
     const {
       amount,
@@ -648,6 +697,7 @@ router.patch('/:id/payment', async (req, res) => {
     
     // Get client
     const client = await Client.findById(invoice.client);
+    const before = invoice.toObject();
     
     // Create payment record
     const payment = new Payment({
@@ -696,22 +746,32 @@ router.patch('/:id/payment', async (req, res) => {
     // Convert to plain object for response (lean-like performance)
     const invoiceData = invoice.toObject();
     
+    await recordAudit(req, {
+      entity: 'invoice',
+      entityId: invoiceData._id,
+      entityRef: invoiceData.invoiceNumber,
+      action: 'payment',
+      before,
+      after: invoiceData,
+      metadata: { paymentNumber: payment.paymentNumber, amount, paymentMethod, transactionReference }
+    });
+    
     // Emit real-time event
     const io = req.app.get('io');
     if (io) {
-      io.emit('invoice:payment-recorded', { 
+      emitEvent(io, 'invoice:payment-recorded', { 
         invoiceId: invoiceData._id,
         invoiceNumber: invoiceData.invoiceNumber,
         advance: invoiceData.advance,
         balanceDue: invoiceData.balanceDue,
         paymentStatus: invoiceData.paymentStatus
-      });
+      }, { clients: [invoiceData.client], employees: [invoiceData.createdBy, req.user._id] });
       
-      io.emit('payment:recorded', {
+      emitEvent(io, 'payment:recorded', {
         payment: payment.toObject(),
         invoice: invoiceData,
         client: client ? client.toObject() : null
-      });
+      }, { clients: [invoiceData.client], employees: [invoiceData.createdBy, req.user._id] });
     }
     
     res.json({
@@ -770,8 +830,8 @@ router.get('/:id/payments', async (req, res) => {
 
 // @route   DELETE /api/invoices/:id
 // @desc    Delete invoice permanently (supports both ObjectId and Invoice Number)
-// @access  Admin only
-router.delete('/:id', adminOnly, async (req, res) => {
+// @access  Private (invoice.delete)
+router.delete('/:id', requirePermission('invoice.delete'), async (req, res) => {
   try {
     const { id } = req.params;
     const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
@@ -816,12 +876,21 @@ router.delete('/:id', adminOnly, async (req, res) => {
     
     console.log(`🗑️ Invoice ${invoiceData.invoiceNumber} deleted permanently (inventory NOT restored)`);
     
+    await recordAudit(req, {
+      entity: 'invoice',
+      entityId: invoice._id,
+      entityRef: invoice.invoiceNumber,
+      action: 'delete',
+      before: invoice,
+      metadata: { partyName: invoice.partyName, client: invoice.client }
+    });
+    
     // Emit real-time event
     if (io) {
-      io.emit('invoice:deleted', { 
+      emitEvent(io, 'invoice:deleted', { 
         invoiceId: invoiceData.invoiceId,
         invoiceNumber: invoiceData.invoiceNumber
-      });
+      }, { clients: [invoice.client], employees: [invoice.createdBy, req.user._id] });
     }
     
     res.json({
@@ -842,8 +911,8 @@ router.delete('/:id', adminOnly, async (req, res) => {
 
 // @route   PATCH /api/invoices/:id/cancel
 // @desc    Cancel invoice (mark as cancelled without deleting)
-// @access  Admin only
-router.patch('/:id/cancel', adminOnly, async (req, res) => {
+// @access  Private (invoice.cancel)
+router.patch('/:id/cancel', requirePermission('invoice.cancel'), async (req, res) => {
   try {
     const { id } = req.params;
     const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
@@ -874,7 +943,10 @@ router.patch('/:id/cancel', adminOnly, async (req, res) => {
     let inventoryResult = { success: true, affectedProducts: [] };
     if (invoice.deliveryStatus !== 'cancelled') {
       console.log(`🔄 Cancelling invoice ${invoice.invoiceNumber || invoice._id} - restoring inventory...`);
-      inventoryResult = await restoreInventory(invoice.items, io);
+      inventoryResult = await restoreInventory(invoice.items, io, {
+        source: { type: 'invoice', id: invoice._id, ref: invoice.invoiceNumber },
+        user: req.user
+      });
       
       if (!inventoryResult.success) {
         console.error('❌ Inventory restoration failed:', inventoryResult.error);
@@ -889,11 +961,11 @@ router.patch('/:id/cancel', adminOnly, async (req, res) => {
         if (inventoryResult.affectedProducts.length > 0) {
           // Emit inventory changes summary
           if (io) {
-            io.emit('invoice:inventory-restored', {
+            emitEvent(io, 'invoice:inventory-restored', {
               invoiceId: invoice._id,
               invoiceNumber: invoice.invoiceNumber,
               affectedProducts: inventoryResult.affectedProducts
-            });
+            }, { staff: true });
           }
         } else {
           console.warn(`⚠️ No inventory was restored for cancelled invoice. Check invoice items have product references.`);
@@ -912,10 +984,10 @@ router.patch('/:id/cancel', adminOnly, async (req, res) => {
     
     // Emit real-time event
     if (io) {
-      io.emit('invoice:cancelled', { 
+      emitEvent(io, 'invoice:cancelled', { 
         invoiceId: updatedInvoice._id,
         invoiceNumber: updatedInvoice.invoiceNumber
-      });
+      }, { clients: [updatedInvoice.client], employees: [updatedInvoice.createdBy, req.user._id] });
     }
     
     res.json({
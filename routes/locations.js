@@ -0,0 +1,306 @@
+const express = require('express');
+const StockTransfer = require('../models/StockTransfer');
+const { protect, requirePermission } = require('../middleware/auth');
+const { delByPattern } = require('../config/redis');
+const { recordAudit } = require('../utils/auditLog');
+const {
+  listLocations,
+  getLocationStock,
+  createLocation,
+  updateLocation,
+  deactivateLocation,
+  setDefaultLocation,
+  findTransfer,
+  createTransfer,
+  cancelTransfer
+} = require('../utils/locationManager');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Product lists and low-stock reports carry stock by location
+async function invalidateStockCaches(reason) {
+  const deleted = await Promise.all([
+    delByPattern('products:list:*'),
+    delByPattern('products:lowstock:*')
+  ]);
+  console.log(`🗑️  Product caches invalidated after ${reason} (${deleted[0] + deleted[1]} keys cleared)`);
+}
+
+// Duplicate name / code and schema validation → 400
+function locationError(res, error, label) {
+  if (error.code === 11000) {
+    return res.status(400).json({ success: false, error: 'Location with this name or code already exists' });
+  }
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(e => e.message);
+    return res.status(400).json({ success: false, error: messages.join(', ') });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message || 'Server error'
+  });
+}
+
+// ============================================================================
+// TRANSFERS
+// ============================================================================
+
+// @route   GET /api/locations/transfers
+// @desc    Stock transfers, newest first.
+//          Query: location (from or to), product, status (completed, cancelled), page, limit
+// @access  Private
+router.get('/transfers', async (req, res) => {
+  try {
+    const { location, product, status, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (location) query.$or = [{ fromLocation: location }, { toLocation: location }];
+    if (product) query['items.product'] = product;
+    if (status) query.status = status;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [transfers, total] = await Promise.all([
+      StockTransfer.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      StockTransfer.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: transfers,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get stock transfers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/locations/transfers/:transferId
+// @desc    One transfer (by _id or transfer number)
+// @access  Private
+router.get('/transfers/:transferId', async (req, res) => {
+  try {
+    const transfer = await findTransfer(req.params.transferId);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    console.error('Get stock transfer error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/locations/transfers
+// @desc    Move stock between locations (applied at once, all-or-nothing).
+//          Body: { from, to (location _id or code), items: [{ product, quantity }], notes? }
+// @access  Private (stock.transfer)
+router.post('/transfers', requirePermission('stock.transfer'), async (req, res) => {
+  try {
+    const transfer = await createTransfer(req.body, req.user, req.app.get('io'));
+
+    await recordAudit(req, {
+      entity: 'stock_transfer',
+      entityId: transfer._id,
+      entityRef: transfer.transferNumber,
+      action: 'create',
+      after: transfer
+    });
+
+    await invalidateStockCaches('stock transfer');
+
+    res.status(201).json({
+      success: true,
+      data: transfer,
+      message: `Transfer ${transfer.transferNumber}: ${transfer.fromLocationName} → ${transfer.toLocationName}`
+    });
+  } catch (error) {
+    console.error('Create stock transfer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error',
+      ...(error.insufficientItem && { insufficientItem: error.insufficientItem })
+    });
+  }
+});
+
+// @route   POST /api/locations/transfers/:transferId/cancel
+// @desc    Cancel a transfer — the stock goes back (refused once it has left the destination). Body: { reason? }
+// @access  Private (stock.transfer)
+router.post('/transfers/:transferId/cancel', requirePermission('stock.transfer'), async (req, res) => {
+  try {
+    const transfer = await cancelTransfer(req.params.transferId, { reason: req.body?.reason }, req.user, req.app.get('io'));
+
+    await recordAudit(req, {
+      entity: 'stock_transfer',
+      entityId: transfer._id,
+      entityRef: transfer.transferNumber,
+      action: 'cancel',
+      before: { ...transfer, status: 'completed', cancelReason: null },
+      after: transfer,
+      metadata: { reason: transfer.cancelReason }
+    });
+
+    await invalidateStockCaches('transfer cancellation');
+
+    res.json({
+      success: true,
+      data: transfer,
+      message: `Transfer ${transfer.transferNumber} cancelled`
+    });
+  } catch (error) {
+    console.error('Cancel stock transfer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// ============================================================================
+// LOCATIONS
+// ============================================================================
+
+// @route   GET /api/locations
+// @desc    Locations (default first) with the units and products each holds. ?active=all includes inactive ones
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { locations, totalUnits } = await listLocations({ includeInactive: req.query.active === 'all' });
+
+    res.json({
+      success: true,
+      data: locations,
+      totalUnits
+    });
+  } catch (error) {
+    console.error('Get locations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/locations/:id/stock
+// @desc    Products with stock at a location (by _id or code). Query: search, page, limit
+// @access  Private
+router.get('/:id/stock', async (req, res) => {
+  try {
+    const { location, products, pagination } = await getLocationStock(req.params.id, req.query);
+
+    res.json({
+      success: true,
+      data: { location, products },
+      pagination
+    });
+  } catch (error) {
+    console.error('Get location stock error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/locations
+// @desc    Create location { name, code, type? (shop, godown, site, other), address?, notes? }
+//          The first location becomes the default — it holds all existing stock.
+// @access  Private (inventory.adjust)
+router.post('/', requirePermission('inventory.adjust'), async (req, res) => {
+  try {
+    if (!req.body.name || !req.body.code) {
+      return res.status(400).json({ success: false, error: 'Location name and code are required' });
+    }
+
+    const location = await createLocation(req.body);
+
+    res.status(201).json({ success: true, data: location });
+  } catch (error) {
+    locationError(res, error, 'Create location');
+  }
+});
+
+// @route   PUT /api/locations/:id
+// @desc    Update location (same fields as create, plus isActive — only without stock, not the default)
+// @access  Private (inventory.adjust)
+router.put('/:id', requirePermission('inventory.adjust'), async (req, res) => {
+  try {
+    const location = await updateLocation(req.params.id, req.body);
+
+    res.json({ success: true, data: location });
+  } catch (error) {
+    locationError(res, error, 'Update location');
+  }
+});
+
+// @route   POST /api/locations/:id/make-default
+// @desc    Make a location the default (where stock without a location is kept)
+// @access  Private (inventory.adjust)
+router.post('/:id/make-default', requirePermission('inventory.adjust'), async (req, res) => {
+  try {
+    const location = await setDefaultLocation(req.params.id);
+
+    await invalidateStockCaches('default location change');
+
+    res.json({
+      success: true,
+      data: location,
+      message: `${location.name} is now the default location`
+    });
+  } catch (error) {
+    console.error('Set default location error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/locations/:id
+// @desc    Deactivate a location (only without stock, not the default)
+// @access  Private (inventory.adjust)
+router.delete('/:id', requirePermission('inventory.adjust'), async (req, res) => {
+  try {
+    await deactivateLocation(req.params.id);
+
+    res.json({ success: true, message: 'Location deleted' });
+  } catch (error) {
+    console.error('Delete location error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,9 +6,17 @@ const DeliveryInvoice = require('../models/DeliveryInvoice');
 const Client = require('../models/Client');
 const User = require('../models/User');
 const Product = require('../models/Product');
-const { protect, adminOnly } = require('../middleware/auth');
-const { createOrder, createDelivery, generateDeliveryInvoice, updateDeliveryStatus } = require('../utils/orderManager');
-const { adjustInventory } = require('../utils/inventoryManager');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  createOrder,
+  updateOrder,
+  cancelOrder,
+  assertCancellable,
+  deleteOrder,
+  createDelivery,
+  generateDeliveryInvoice,
+  updateDeliveryStatus
+} = require('../utils/orderManager');
 const {
   getOrderStatus,
   getOrderProgress,
@@ -16,11 +24,23 @@ const {
   getCachedOrder,
   getDashboardCounters,
   getTodayDeliveries,
-  invalidateOrderCache,
   initializeOrderCache
 } = require('../utils/orderCache');
 const { getRedisClient, get, set, del, delByPattern } = require('../config/redis');
 const { recordOrderPayment } = require('../utils/paymentManager');
+const { hasPermission, assertOrderPricing } = require('../utils/permissions');
+const { renderDeliveryInvoicePdf, renderOrderEstimatePdf } = require('../utils/pdfGenerator');
+const { collectDeposit, forfeitDeposit, refundDeposit } = require('../utils/depositManager');
+const { checkInRental, getOverdueRentals } = require('../utils/rentalManager');
+const { getOrderRevisions } = require('../utils/orderRevisions');
+const { emitEvent, orderScope } = require('../utils/realtime');
+const { auditSnapshot, recordAudit } = require('../utils/auditLog');
+const {
+  describeRule,
+  cancelApprovalRule,
+  deleteApprovalRule,
+  requestApproval
+} = require('../utils/approvalManager');
 
 const router = express.Router();
 
@@ -29,6 +49,34 @@ const ORDER_CACHE_KEYS = {
   orderList: (query) => `orders:list:${JSON.stringify(query)}`
 };
 
+// Fields needed to queue an order action for approval
+const APPROVAL_ORDER_FIELDS = '_id orderNumber partyName status isLocked advance grandTotal updatedAt';
+
+function orderQueryOf(id) {
+  return /^[0-9a-fA-F]{24}$/.test(id) ? { _id: id } : { orderNumber: id.toUpperCase() };
+}
+
+// 202 — the action was held back by an approval rule and queued (see utils/approvalManager.js)
+async function sendPendingApproval(res, request, user, io) {
+  try {
+    const { approval, existing } = await requestApproval(request, user, io);
+    return res.status(202).json({
+      success: true,
+      pendingApproval: true,
+      message: existing
+        ? `Already waiting for approval (${approval.approvalNumber})`
+        : `Sent for approval (${approval.approvalNumber}) — ${describeRule(approval.rule)}`,
+      data: approval
+    });
+  } catch (error) {
+    console.error('Request approval error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+}
+
 // Middleware to check if order is locked
 const checkOrderLock = async (req, res, next) => {
   try {
@@ -77,6 +125,7 @@ router.get('/', async (req, res) => {
       startDate,  // Range start: ?startDate=2026-02-02
       endDate,    // Range end:   ?endDate=2026-02-10
       isFastOrder,
+      event,      // Event ObjectId: ?event=... → all orders of one wedding
       page = 1,
       limit = 50,
       sort = '-orderDate'
@@ -104,6 +153,11 @@ router.get('/', async (req, res) => {
       query.paymentStatus = paymentStatus;
     }
     
+    // Filter by event
+    if (event) {
+      query.event = event;
+    }
+    
     // Filter by fast order
     if (isFastOrder !== undefined) {
       query.isFastOrder = isFastOrder === 'true';
@@ -138,7 +192,7 @@ router.get('/', async (req, res) => {
     
     // OPTIMIZATION: Cache first 5 pages only (most frequently accessed)
     const shouldCache = pageNum <= 5;
-    const cacheKey = ORDER_CACHE_KEYS.orderList({ search, status, paymentStatus, startDate, endDate, page: pageNum, limit: limitNum, sort });
+    const cacheKey = ORDER_CACHE_KEYS.orderList({ search, status, paymentStatus, startDate, endDate, event, page: pageNum, limit: limitNum, sort });
     
     // Try to get from cache if page <= 5
     if (shouldCache) {
@@ -156,7 +210,7 @@ router.get('/', async (req, res) => {
     // Execute optimized query with lean()
     const [orders, total] = await Promise.all([
       Order.find(query)
-        .select('orderNumber partyName mobile grandTotal balanceDue orderDate expectedDeliveryDate status paymentStatus progress totalDeliveries employeeName comment isLocked')
+        .select('orderNumber partyName mobile grandTotal balanceDue orderDate expectedDeliveryDate status paymentStatus progress totalDeliveries employeeName comment isLocked eventNumber')
         .sort(sort)
         .skip(skip)
         .limit(limitNum)
@@ -393,6 +447,29 @@ router.get('/by-delivery-date', async (req, res) => {
   }
 });
 
+// @route   GET /api/orders/rentals/overdue
+// @desc    Orders with hired items still out past their return-due date (with estimated late fees)
+// @access  Private
+router.get('/rentals/overdue', async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({ success: false, error: 'Invalid asOf date' });
+    }
+    
+    const orders = await getOverdueRentals(asOf);
+    
+    res.json({
+      success: true,
+      count: orders.length,
+      data: orders
+    });
+  } catch (error) {
+    console.error('Get overdue rentals error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
 // @route   GET /api/orders/cancelled
 // @desc    Get all cancelled orders with pagination and search
 // @access  Private
@@ -600,9 +677,10 @@ router.get('/:id/progress', async (req, res) => {
 });
 
 // @route   POST /api/orders
-// @desc    Create new order
-// @access  Private
-router.post('/', async (req, res) => {
+// @desc    Create new order. A discount above the user's limit is queued for approval
+//          instead (202 { pendingApproval: true }); optional body.approvalReason explains it.
+// @access  Private (order.create)
+router.post('/', requirePermission('order.create'), async (req, res) => {
   const maxRetries = 3;
   let lastError = null;
   
@@ -625,7 +703,18 @@ router.post('/', async (req, res) => {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       const io = req.app.get('io');
-      const result = await createOrder(req.body, req.user._id, io);
+      const result = await createOrder(req.body, req.user._id, io, { actor: req.user });
+      
+      await recordAudit(req, {
+        entity: 'order',
+        entityId: result.order._id,
+        entityRef: result.order.orderNumber,
+        action: 'create',
+        after: result.order,
+        ...(result.overbookingAcceptedBy && {
+          metadata: { overbookingAcceptedBy: result.overbookingAcceptedBy, overbookedItems: result.overbookedItems }
+        })
+      });
       
       // Invalidate ALL orders list cache variations when new order is created
       const deletedCount = await delByPattern('orders:list:*');
@@ -638,6 +727,17 @@ router.post('/', async (req, res) => {
     } catch (error) {
       lastError = error;
       
+      // Held back by an approval rule (discount, overbooking) — queue the whole request
+      if (error.approvalRule) {
+        const { approvalReason, ...payload } = req.body;
+        return sendPendingApproval(res, {
+          type: 'order.create',
+          ...error.approvalRule,
+          payload,
+          reason: approvalReason
+        }, req.user, req.app.get('io'));
+      }
+      
       // Check if it's a duplicate key error (code 11000)
       if (error.code === 11000 && error.keyPattern && error.keyPattern.orderNumber) {
         console.warn(`⚠️  Duplicate order number detected on attempt ${attempt}/${maxRetries}. Retrying...`);
@@ -661,13 +761,14 @@ router.post('/', async (req, res) => {
         return res.status(400).json({
           success: false,
           error: error.message || 'Inventory validation failed',
-          insufficientItem: error.insufficientItem || null
+          insufficientItem: error.insufficientItem || null,
+          ...(error.overbookedItems && { overbookedItems: error.overbookedItems })
         });
       }
       
-      // Other errors — return 500
+      // Other errors — permission (403) or 500
       console.error('Create order error:', error);
-      return res.status(500).json({
+      return res.status(error.statusCode || 500).json({
         success: false,
         error: error.message || 'Server error'
       });
@@ -700,8 +801,9 @@ router.post('/', async (req, res) => {
 //          4. Backend processes each, returns results per order
 //          5. Flutter marks successful ones as "synced", retries failed ones later
 //
-// @access  Private
-router.post('/sync', async (req, res) => {
+//          Orders only — POST /api/sync also takes offline edits, payments, deliveries and returns.
+// @access  Private (order.create)
+router.post('/sync', requirePermission('order.create'), async (req, res) => {
   try {
     const { orders } = req.body;
     
@@ -774,7 +876,7 @@ router.post('/sync', async (req, res) => {
         // ── CREATE ORDER ──
         // Uses the same createOrder() function as the normal endpoint
         // Inventory validation happens here (atomic, real-time stock check)
-        const result = await createOrder(orderData, userId, io);
+        const result = await createOrder(orderData, userId, io, { actor: req.user });
         
         results.push({
           offlineId,
@@ -887,8 +989,9 @@ router.post('/sync', async (req, res) => {
 //            discount?: 0,
 //            notes?: "Counter sale"
 //          }
-// @access  Private
-router.post('/fast', async (req, res) => {
+//          Fast orders are paid in full at the counter, so payment.record is needed too.
+// @access  Private (order.create, payment.record)
+router.post('/fast', requirePermission('order.create', 'payment.record'), async (req, res) => {
   try {
     const {
       items,
@@ -942,11 +1045,16 @@ router.post('/fast', async (req, res) => {
     const subtotal = formattedItems.reduce((sum, item) => sum + item.total, 0);
     const grandTotal = subtotal - discount;
     
+    assertOrderPricing(req.user, { discount, subtotal });
+    
     // ── REDUCE INVENTORY (atomic) ──
     const io = req.app.get('io');
-    const { reduceInventory } = require('../utils/inventoryManager');
+    const { reduceInventory, labelMovements } = require('../utils/inventoryManager');
     
-    const inventoryResult = await reduceInventory(formattedItems, io);
+    // Order number is assigned on save — the movements are labelled with it afterwards
+    const orderId = new mongoose.Types.ObjectId();
+    const movement = { source: { type: 'order', id: orderId }, user: req.user, note: 'Fast order' };
+    const inventoryResult = await reduceInventory(formattedItems, io, { movement });
     if (!inventoryResult.success) {
       return res.status(400).json({
         success: false,
@@ -957,6 +1065,7 @@ router.post('/fast', async (req, res) => {
     
     // ── CREATE ORDER (already completed) ──
     const order = new Order({
+      _id: orderId,
       partyName,
       mobile: '0000000000',  // Placeholder — not tracked for fast orders
       items: formattedItems,
@@ -977,24 +1086,37 @@ router.post('/fast', async (req, res) => {
       orderDate: new Date()
       // No client, no expectedDeliveryDate, no localFreight/transportation/gst
     });
+    order.$locals.revision = { by: req.user._id, source: 'order.fast' };
     
     try {
       await order.save();
     } catch (saveError) {
       // Rollback inventory if save fails
       const { restoreInventory } = require('../utils/inventoryManager');
-      await restoreInventory(formattedItems, io);
+      await restoreInventory(formattedItems, io, { ...movement, type: 'rollback' });
       throw saveError;
     }
+    if (inventoryResult.affectedProducts.length > 0) {
+      await labelMovements(movement.source, { ref: order.orderNumber });
+    }
     
     // ── CACHE + EVENTS ──
     await initializeOrderCache(order.toObject());
     await delByPattern('orders:list:*');
     
     if (io) {
-      io.emit('order:created', { order: order.toObject(), isFastOrder: true });
+      emitEvent(io, 'order:created', { order: order.toObject(), isFastOrder: true }, orderScope(order));
     }
     
+    await recordAudit(req, {
+      entity: 'order',
+      entityId: order._id,
+      entityRef: order.orderNumber,
+      action: 'create',
+      after: order.toObject(),
+      metadata: { fastOrder: true }
+    });
+    
     console.log(`⚡ Fast Order ${order.orderNumber}: ${formattedItems.length} items, ₹${grandTotal}`);
     
     res.status(201).json({
@@ -1009,7 +1131,7 @@ router.post('/fast', async (req, res) => {
       return res.status(500).json({ success: false, error: 'Order number collision. Please try again.' });
     }
     
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Server error'
     });
@@ -1021,315 +1143,57 @@ router.post('/fast', async (req, res) => {
 //          pricing, metadata, and advance payments.
 //          Locked/completed orders cannot be modified.
 //          Items with partial deliveries cannot be removed or reduced below delivered qty.
-// @access  Private
-router.put('/:id', checkOrderLock, async (req, res) => {
+//          A discount above the user's limit is queued for approval instead (202).
+// @access  Private (order.update)
+router.put('/:id', requirePermission('order.update'), checkOrderLock, async (req, res) => {
   try {
-    const { id } = req.params;
-    const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
-    const query = isObjectId ? { _id: id } : { orderNumber: id.toUpperCase() };
-    
-    const orderDoc = await Order.findOne(query);
-    
-    if (!orderDoc) {
-      return res.status(404).json({
-        success: false,
-        error: 'Order not found'
-      });
-    }
-    
     const io = req.app.get('io');
-    
-    // Extract all editable fields from request body
-    const {
-      items,               // Array of products (full replacement)
-      localFreight,        // Pricing fields
-      transportation,
-      gstPercent,
-      discount,
-      comment,             // Metadata fields
-      employeeName,
-      employeeId,
-      expectedDeliveryDate,
-      notes,
-      advance              // Payment
-    } = req.body;
-    
-    let itemsChanged = false;
-    let inventoryAffected = [];
-    
-    // ═══════════════════════════════════════════════════════════════════════
-    // STEP 1: Handle items update (add, remove, change products)
-    // ═══════════════════════════════════════════════════════════════════════
-    if (items !== undefined && Array.isArray(items) && items.length > 0) {
-      const oldItems = orderDoc.items;
-      
-      // Build lookup map for old items (by product ID or product name)
-      const oldItemsByKey = new Map();
-      oldItems.forEach(item => {
-        const key = item.product?.toString() || item.productName?.toLowerCase().trim();
-        oldItemsByKey.set(key, item.toObject());
-        // Also add by productName for flexible matching
-        if (item.productName) {
-          oldItemsByKey.set(item.productName.toLowerCase().trim(), item.toObject());
-        }
-      });
-      
-      // Process new items
-      const newFormattedItems = [];
-      const newItemKeys = new Set();
-      
-      for (const item of items) {
-        if (!item.productName && !item.product) {
-          return res.status(400).json({
-            success: false,
-            error: 'Each item must have a productName or product ID'
-          });
-        }
-        
-        if (!item.quantity || item.quantity <= 0) {
-          return res.status(400).json({
-            success: false,
-            error: `Invalid quantity for "${item.productName || 'Unknown'}". Must be greater than 0.`
-          });
-        }
-        
-        if (item.price === undefined || item.price < 0) {
-          return res.status(400).json({
-            success: false,
-            error: `Invalid price for "${item.productName || 'Unknown'}".`
-          });
-        }
-        
-        // Resolve product ID if not provided
-        let productId = item.product || null;
-        if (!productId && item.productName) {
-          const foundProduct = await Product.findOne({
-            name: { $regex: `^${item.productName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' },
-            isActive: true
-          }).select('_id').lean();
-          if (foundProduct) productId = foundProduct._id;
-        }
-        
-        // Build matching key
-        const itemKey = productId?.toString() || item.productName?.toLowerCase().trim();
-        newItemKeys.add(itemKey);
-        // Also track by name
-        if (item.productName) {
-          newItemKeys.add(item.productName.toLowerCase().trim());
-        }
-        
-        // Check if this item existed in the old order
-        const oldItem = oldItemsByKey.get(itemKey)
-          || (item.productName ? oldItemsByKey.get(item.productName.toLowerCase().trim()) : null);
-        
-        if (oldItem) {
-          // ── EXISTING ITEM: validate delivered quantity constraint ──
-          const deliveredQty = oldItem.deliveredQuantity || 0;
-          
-          if (item.quantity < deliveredQty) {
-            return res.status(400).json({
-              success: false,
-              error: `Cannot reduce "${item.productName}" quantity to ${item.quantity}. Already delivered: ${deliveredQty}. Minimum allowed: ${deliveredQty}.`
-            });
-          }
-          
-          newFormattedItems.push({
-            product: productId || oldItem.product,
-            productName: item.productName || oldItem.productName,
-            narration: item.narration !== undefined ? item.narration : (oldItem.narration || ''),
-            price: item.price,
-            quantity: item.quantity,
-            deliveredQuantity: deliveredQty,
-            remainingQuantity: item.quantity - deliveredQty,
-            total: item.price * item.quantity
-          });
-        } else {
-          // ── NEW ITEM: add with zero delivered ──
-          newFormattedItems.push({
-            product: productId,
-            productName: item.productName,
-            narration: item.narration || '',
-            price: item.price,
-            quantity: item.quantity,
-            deliveredQuantity: 0,
-            remainingQuantity: item.quantity,
-            total: item.price * item.quantity
-          });
-        }
-      }
-      
-      // ── CHECK: Can't remove items that have partial deliveries ──
-      for (const oldItem of oldItems) {
-        const oldKey = oldItem.product?.toString() || oldItem.productName?.toLowerCase().trim();
-        const oldNameKey = oldItem.productName?.toLowerCase().trim();
-        
-        const isKept = newItemKeys.has(oldKey) || (oldNameKey && newItemKeys.has(oldNameKey));
-        
-        if (!isKept && (oldItem.deliveredQuantity || 0) > 0) {
-          return res.status(400).json({
-            success: false,
-            error: `Cannot remove "${oldItem.productName}" from order — ${oldItem.deliveredQuantity} units already delivered. Reduce quantity instead.`
-          });
-        }
-      }
-      
-      // ── ATOMIC INVENTORY ADJUSTMENT ──
-      // Compares old quantities vs new quantities, adjusts inventory with $inc + $gte guard
-      const inventoryResult = await adjustInventory(
-        oldItems.map(i => ({ product: i.product, quantity: i.quantity })),
-        newFormattedItems.map(i => ({ product: i.product, quantity: i.quantity })),
-        io
-      );
-      
-      if (!inventoryResult.success) {
-        return res.status(400).json({
-          success: false,
-          error: inventoryResult.error || 'Inventory adjustment failed. Check stock availability.'
-        });
-      }
-      
-      inventoryAffected = inventoryResult.affectedProducts || [];
-      
-      // ── APPLY ITEM CHANGES ──
-      orderDoc.items = newFormattedItems;
-      itemsChanged = true;
-      
-      // Recalculate subtotal from new items
-      const newSubtotal = newFormattedItems.reduce((sum, item) => sum + item.total, 0);
-      orderDoc.subtotal = newSubtotal;
-    }
-    
-    // ═══════════════════════════════════════════════════════════════════════
-    // STEP 2: Handle pricing field updates
-    // ═══════════════════════════════════════════════════════════════════════
-    if (localFreight !== undefined) orderDoc.localFreight = localFreight;
-    if (transportation !== undefined) orderDoc.transportation = transportation;
-    if (gstPercent !== undefined) orderDoc.gstPercent = gstPercent;
-    if (discount !== undefined) orderDoc.discount = discount;
-    
-    // Recalculate totals if items or pricing changed
-    if (itemsChanged || localFreight !== undefined || transportation !== undefined || gstPercent !== undefined || discount !== undefined) {
-      const gstAmount = (orderDoc.subtotal * orderDoc.gstPercent) / 100;
-      orderDoc.gstAmount = gstAmount;
-      orderDoc.grandTotal = orderDoc.subtotal + (orderDoc.localFreight || 0) + (orderDoc.transportation || 0) + gstAmount - (orderDoc.discount || 0);
-      orderDoc.balanceDue = orderDoc.grandTotal - (orderDoc.advance || 0);
-    }
-    
-    // ═══════════════════════════════════════════════════════════════════════
-    // STEP 3: Handle metadata field updates
-    // ═══════════════════════════════════════════════════════════════════════
-    if (comment !== undefined) orderDoc.comment = comment;
-    if (employeeName !== undefined) orderDoc.employeeName = employeeName;
-    if (employeeId !== undefined) orderDoc.employee = employeeId;
-    if (expectedDeliveryDate !== undefined) orderDoc.expectedDeliveryDate = expectedDeliveryDate;
-    if (notes !== undefined) orderDoc.notes = notes;
-    
-    // ═══════════════════════════════════════════════════════════════════════
-    // STEP 4: Handle advance payment update (AFTER totals are recalculated)
-    // ═══════════════════════════════════════════════════════════════════════
-    if (advance !== undefined) {
-      if (typeof advance !== 'number' || advance < 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Advance must be a non-negative number'
-        });
-      }
-      
-      if (advance > orderDoc.grandTotal) {
-        return res.status(400).json({
-          success: false,
-          error: `Advance (₹${advance}) cannot exceed grand total (₹${orderDoc.grandTotal})`
-        });
-      }
-      
-      orderDoc.advance = advance;
-      orderDoc.balanceDue = orderDoc.grandTotal - advance;
-    }
-    
-    // ═══════════════════════════════════════════════════════════════════════
-    // STEP 5: Status safety checks (auto-calculated by pre-save hook)
-    // ═══════════════════════════════════════════════════════════════════════
-    if (req.body.status !== undefined) {
-      console.log(`⚠️  Status update ignored for order ${id}. Status is auto-calculated.`);
-      delete req.body.status;
-      if (!orderDoc.status || orderDoc.status === null) {
-        orderDoc.status = 'open';
-      }
-    }
-    
-    if (!orderDoc.status || orderDoc.status === null) {
-      orderDoc.status = 'open';
-    }
-    
-    // ═══════════════════════════════════════════════════════════════════════
-    // STEP 6: Save (pre-save hook auto-calculates status, progress, paymentStatus)
-    // ═══════════════════════════════════════════════════════════════════════
-    try {
-      await orderDoc.save();
-    } catch (saveError) {
-      console.error('❌ Order save error:', {
-        error: saveError.message,
-        orderId: id,
-        orderStatus: orderDoc.status,
-        errors: saveError.errors
-      });
-      throw saveError;
-    }
-    
-    const updatedOrder = orderDoc.toObject();
-    
-    // ═══════════════════════════════════════════════════════════════════════
-    // STEP 7: Invalidate cache + emit events
-    // ═══════════════════════════════════════════════════════════════════════
-    await invalidateOrderCache(isObjectId ? id : updatedOrder._id.toString());
-    await initializeOrderCache(updatedOrder);
+    const before = await auditSnapshot('order', orderQueryOf(req.params.id));
+    const result = await updateOrder(req.params.id, req.body, req.user._id, io, { actor: req.user });
+    
+    await recordAudit(req, {
+      entity: 'order',
+      entityId: result.order._id,
+      entityRef: result.order.orderNumber,
+      action: 'update',
+      before,
+      after: result.order,
+      metadata: req.body.changeReason ? { reason: req.body.changeReason } : null
+    });
     
     const deletedCount = await delByPattern('orders:list:*');
     console.log(`🗑️  Orders list caches invalidated after order update (${deletedCount} keys cleared)`);
     
-    if (io) {
-      io.emit('order:updated', { order: updatedOrder });
-      
-      if (advance !== undefined) {
-        io.emit('order:payment-updated', {
-          orderId: updatedOrder._id,
-          orderNumber: updatedOrder.orderNumber,
-          advance: updatedOrder.advance,
-          balanceDue: updatedOrder.balanceDue,
-          paymentStatus: updatedOrder.paymentStatus
-        });
-      }
-      
-      if (itemsChanged) {
-        io.emit('order:items-updated', {
-          orderId: updatedOrder._id,
-          orderNumber: updatedOrder.orderNumber,
-          itemCount: updatedOrder.items.length,
-          grandTotal: updatedOrder.grandTotal,
-          inventoryAffected: inventoryAffected.length
-        });
-      }
-    }
-    
-    // Build response message
-    let message = 'Order updated successfully';
-    if (itemsChanged && advance !== undefined) {
-      message = `Items updated (${updatedOrder.items.length} products, ₹${updatedOrder.grandTotal} total). Advance: ₹${advance}. Balance: ₹${updatedOrder.balanceDue}`;
-    } else if (itemsChanged) {
-      message = `Items updated: ${updatedOrder.items.length} products, subtotal ₹${updatedOrder.subtotal}, grand total ₹${updatedOrder.grandTotal}`;
-    } else if (advance !== undefined) {
-      message = `Advance updated to ₹${advance}. Balance due: ₹${updatedOrder.balanceDue}. Status: ${updatedOrder.status}`;
-    }
-    
     res.json({
       success: true,
-      data: updatedOrder,
-      message,
-      inventoryAffected: inventoryAffected.length > 0 ? inventoryAffected : undefined
+      data: result.order,
+      message: result.message,
+      inventoryAffected: result.inventoryAffected.length > 0 ? result.inventoryAffected : undefined
     });
   } catch (error) {
+    if (error.approvalRule) {
+      const order = await Order.findOne(orderQueryOf(req.params.id)).select(APPROVAL_ORDER_FIELDS).lean().catch(() => null);
+      if (order) {
+        const { approvalReason, ...payload } = req.body;
+        return sendPendingApproval(res, {
+          type: 'order.update',
+          ...error.approvalRule,
+          order,
+          payload,
+          reason: approvalReason
+        }, req.user, req.app.get('io'));
+      }
+    }
+    
     console.error('Update order error:', error);
     
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message).join(', ');
       return res.status(400).json({
@@ -1347,8 +1211,8 @@ router.put('/:id', checkOrderLock, async (req, res) => {
 
 // @route   PATCH /api/orders/:id/payment
 // @desc    Record payment for an order (creates payment history entry)
-// @access  Private
-router.patch('/:id/payment', async (req, res) => {
+// @access  Private (payment.record)
+router.patch('/:id/payment', requirePermission('payment.record'), async (req, res) => {
   try {
     const {
       amount,
@@ -1384,6 +1248,7 @@ router.patch('/:id/payment', async (req, res) => {
     }
     
     const io = req.app.get('io');
+    const before = await auditSnapshot('order', orderId);
     
     const result = await recordOrderPayment(
       orderId,
@@ -1399,6 +1264,16 @@ router.patch('/:id/payment', async (req, res) => {
       io
     );
     
+    await recordAudit(req, {
+      entity: 'order',
+      entityId: result.order._id,
+      entityRef: result.order.orderNumber,
+      action: 'payment',
+      before,
+      after: result.order,
+      metadata: { paymentNumber: result.payment?.paymentNumber, amount, paymentMethod, transactionReference }
+    });
+    
     res.json({
       success: true,
       data: result,
@@ -1456,6 +1331,137 @@ router.get('/:id/payments', async (req, res) => {
   }
 });
 
+// ============================================================================
+// SECURITY DEPOSIT — separate ledger, never part of grandTotal / advance
+// ============================================================================
+
+// Resolve :id (ObjectId or order number) to an order _id
+async function resolveOrderId(id) {
+  if (/^[0-9a-fA-F]{24}$/.test(id)) return id;
+  const order = await Order.findOne({ orderNumber: id.toUpperCase() }).select('_id').lean();
+  return order ? order._id : null;
+}
+
+function recordDepositAudit(req, action, before, result) {
+  return recordAudit(req, {
+    entity: 'order',
+    entityId: result.order._id,
+    entityRef: result.order.orderNumber,
+    action,
+    before,
+    after: result.order,
+    metadata: result.transaction
+  });
+}
+
+// @route   GET /api/orders/:id/deposit
+// @desc    Deposit ledger for an order (collected, forfeited, refunded, held)
+// @access  Private
+router.get('/:id/deposit', async (req, res) => {
+  try {
+    const orderId = await resolveOrderId(req.params.id);
+    const order = orderId && await Order.findById(orderId)
+      .select('orderNumber partyName depositTransactions depositCollected depositForfeited depositRefunded depositHeld depositStatus')
+      .populate('depositTransactions.recordedBy', 'name')
+      .lean();
+    
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        partyName: order.partyName,
+        collected: order.depositCollected || 0,
+        forfeited: order.depositForfeited || 0,
+        refunded: order.depositRefunded || 0,
+        held: order.depositHeld || 0,
+        status: order.depositStatus || 'none',
+        transactions: order.depositTransactions || []
+      }
+    });
+  } catch (error) {
+    console.error('Get order deposit error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   POST /api/orders/:id/deposit
+// @desc    Collect (or top up) a refundable security deposit.
+//          Body: { amount, paymentMethod?, paymentDate?, transactionReference?, notes? }
+// @access  Private (payment.record)
+router.post('/:id/deposit', requirePermission('payment.record'), async (req, res) => {
+  try {
+    const orderId = await resolveOrderId(req.params.id);
+    if (!orderId) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    
+    const before = await auditSnapshot('order', orderId);
+    const result = await collectDeposit(orderId, req.body, req.user._id, req.app.get('io'));
+    await recordDepositAudit(req, 'deposit_collect', before, result);
+    
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `Deposit of ₹${result.transaction.amount} collected. Held: ₹${result.order.depositHeld}`
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+// @route   POST /api/orders/:id/deposit/forfeit
+// @desc    Keep part of the held deposit for damages. Body: { amount, reason }
+// @access  Private (payment.refund)
+router.post('/:id/deposit/forfeit', requirePermission('payment.refund'), async (req, res) => {
+  try {
+    const orderId = await resolveOrderId(req.params.id);
+    if (!orderId) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    
+    const before = await auditSnapshot('order', orderId);
+    const result = await forfeitDeposit(orderId, req.body, req.user._id, req.app.get('io'));
+    await recordDepositAudit(req, 'deposit_forfeit', before, result);
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `₹${result.transaction.amount} of deposit forfeited. Held: ₹${result.order.depositHeld}`
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+// @route   POST /api/orders/:id/deposit/refund
+// @desc    Refund held deposit to the client (amount defaults to everything held).
+//          Body: { amount?, paymentMethod?, paymentDate?, transactionReference?, notes? }
+// @access  Private (payment.refund)
+router.post('/:id/deposit/refund', requirePermission('payment.refund'), async (req, res) => {
+  try {
+    const orderId = await resolveOrderId(req.params.id);
+    if (!orderId) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    
+    const before = await auditSnapshot('order', orderId);
+    const result = await refundDeposit(orderId, req.body, req.user._id, req.app.get('io'));
+    await recordDepositAudit(req, 'deposit_refund', before, result);
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `Deposit refund of ₹${result.transaction.amount} recorded. ${result.order.depositHeld > 0 ? `Still held: ₹${result.order.depositHeld}` : 'Deposit fully settled.'}`
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
 // @route   GET /api/orders/:id/deliveries
 // @desc    Get all deliveries for an order (optimized with lean())
 // @access  Private
@@ -1484,7 +1490,7 @@ router.get('/:id/deliveries', async (req, res) => {
 });
 
 // @route   GET /api/orders/:id/history
-// @desc    Get complete order history (deliveries + invoices) - ULTRA OPTIMIZED with aggregation
+// @desc    Get complete order history (deliveries + invoices + field-level revisions) - ULTRA OPTIMIZED with aggregation
 // @access  Private
 router.get('/:id/history', async (req, res) => {
   try {
@@ -1556,6 +1562,9 @@ router.get('/:id/history', async (req, res) => {
     
     const order = result[0];
     
+    // Field-level amendment trail (items, prices, discount, payments, ...)
+    const revisions = await getOrderRevisions(order._id);
+    
     // Format history
     const history = order.deliveries.map(delivery => ({
       delivery: {
@@ -1597,8 +1606,10 @@ router.get('/:id/history', async (req, res) => {
           employeeName: order.employeeName
         },
         history: history,
+        revisions,
         summary: {
           totalDeliveries: order.deliveries.length,
+          totalRevisions: revisions.length,
           totalInvoices: order.deliveries.filter(d => d.invoiceGenerated).length,
           totalDelivered: order.items.reduce((sum, item) => sum + (item.deliveredQuantity || 0), 0),
           totalRemaining: order.items.reduce((sum, item) => sum + (item.remainingQuantity || 0), 0)
@@ -1659,6 +1670,45 @@ router.get('/:id/invoices', async (req, res) => {
   }
 });
 
+// @route   GET /api/orders/:id/estimate.pdf
+// @desc    Download order estimate as PDF (?format=a4|thermal, default a4)
+// @access  Private
+router.get('/:id/estimate.pdf', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
+    const query = isObjectId ? { _id: id } : { orderNumber: id.toUpperCase() };
+    
+    const order = await Order.findOne(query).lean();
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+    
+    // Address is not denormalized on the order — read it from the client
+    const client = order.client
+      ? await Client.findById(order.client).select('address gstin').lean()
+      : null;
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="Estimate-${order.orderNumber}.pdf"`);
+    
+    renderOrderEstimatePdf(order, res, { format: req.query.format, client });
+  } catch (error) {
+    console.error('Render estimate PDF error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/orders/:id/returns
 // @desc    Get all returns for a specific order
 // @access  Private
@@ -1707,14 +1757,25 @@ router.get('/:id/returns', async (req, res) => {
 
 // @route   POST /api/orders/:id/deliveries
 // @desc    Create partial delivery for order
-// @access  Private
-router.post('/:id/deliveries', checkOrderLock, async (req, res) => {
+// @access  Private (delivery.create)
+router.post('/:id/deliveries', requirePermission('delivery.create'), checkOrderLock, async (req, res) => {
   try {
     const { id } = req.params;
     const io = req.app.get('io');
     
+    const before = await auditSnapshot('order', orderQueryOf(id));
     const result = await createDelivery(req.body, id, req.user._id, io);
     
+    await recordAudit(req, {
+      entity: 'order',
+      entityId: result.order._id,
+      entityRef: result.order.orderNumber,
+      action: 'delivery',
+      before,
+      after: result.order,
+      metadata: { deliveryNumber: result.delivery.deliveryNumber, status: result.delivery.status }
+    });
+    
     // Invalidate ALL orders list cache variations when delivery is created (order status/progress may change)
     const deletedCount = await delByPattern('orders:list:*');
     console.log(`🗑️  Orders list caches invalidated after delivery creation (${deletedCount} cache keys cleared)`);
@@ -1725,7 +1786,56 @@ router.post('/:id/deliveries', checkOrderLock, async (req, res) => {
     });
   } catch (error) {
     console.error('Create delivery error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error',
+      ...(error.insufficientItem && { insufficientItem: error.insufficientItem })
+    });
+  }
+});
+
+// @route   POST /api/orders/:id/check-in
+// @desc    Check in hired items (stock goes back from "on hire" to inventory).
+//          Body: { items?: [{ product | productName, quantity, condition?, damageCharge?, damageReason? }],
+//                  checkInDate?, waiveLateFee?, notes? }
+//          condition: good | damaged | needs_cleaning | lost (damaged/needs_cleaning → quarantine stock)
+//          No items → checks in everything still out on hire. Late fees are added to the order balance.
+// @access  Private (rental.check_in)
+router.post('/:id/check-in', requirePermission('rental.check_in'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
+    const query = isObjectId ? { _id: id } : { orderNumber: id.toUpperCase() };
+    
+    const order = await Order.findOne(query).select('_id').lean();
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+    
+    if (req.body.waiveLateFee && !hasPermission(req.user, 'rental.waive_late_fee')) {
+      return res.status(403).json({
+        success: false,
+        error: "Permission 'rental.waive_late_fee' is required to waive late-return fees"
+      });
+    }
+    
+    const io = req.app.get('io');
+    const result = await checkInRental(order._id.toString(), req.body, req.user._id, io);
+    
+    res.json({
+      success: true,
+      data: result.order,
+      checkIn: result.checkIn,
+      lateFeeCharged: result.lateFeeCharged,
+      damageCharges: result.damageCharges,
+      message: `Items checked in.${result.lateFeeCharged > 0 ? ` Late-return fee ₹${result.lateFeeCharged} added to the order balance.` : ''}${result.damageCharges.length > 0 ? ` Damage charges ₹${result.damageCharges.reduce((sum, c) => sum + c.amount, 0)} added to the order balance.` : ''}`
+    });
+  } catch (error) {
+    console.error('Rental check-in error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Server error'
     });
@@ -1734,8 +1844,8 @@ router.post('/:id/deliveries', checkOrderLock, async (req, res) => {
 
 // @route   PATCH /api/orders/deliveries/:deliveryId/status
 // @desc    Update delivery status
-// @access  Private
-router.patch('/deliveries/:deliveryId/status', async (req, res) => {
+// @access  Private (delivery.update_status)
+router.patch('/deliveries/:deliveryId/status', requirePermission('delivery.update_status'), async (req, res) => {
   try {
     const { deliveryId } = req.params;
     const { status } = req.body;
@@ -1747,9 +1857,22 @@ router.patch('/deliveries/:deliveryId/status', async (req, res) => {
       });
     }
     
+    const delivery = await Delivery.findById(deliveryId).select('order status').lean();
+    const before = await auditSnapshot('order', delivery?.order);
+    
     const io = req.app.get('io');
     const result = await updateDeliveryStatus(deliveryId, status, req.user._id, io);
     
+    await recordAudit(req, {
+      entity: 'order',
+      entityId: result.delivery.order,
+      entityRef: result.delivery.orderNumber,
+      action: 'delivery_status',
+      before,
+      after: await auditSnapshot('order', result.delivery.order),
+      metadata: { deliveryNumber: result.delivery.deliveryNumber, from: delivery?.status || null, to: result.delivery.status }
+    });
+    
     res.json({
       success: true,
       ...result
@@ -1765,8 +1888,8 @@ router.patch('/deliveries/:deliveryId/status', async (req, res) => {
 
 // @route   POST /api/orders/deliveries/:deliveryId/invoice
 // @desc    Generate invoice for delivery
-// @access  Private
-router.post('/deliveries/:deliveryId/invoice', async (req, res) => {
+// @access  Private (delivery.invoice)
+router.post('/deliveries/:deliveryId/invoice', requirePermission('delivery.invoice'), async (req, res) => {
   try {
     const { deliveryId } = req.params;
     const io = req.app.get('io');
@@ -1812,106 +1935,90 @@ router.post('/deliveries/:deliveryId/invoice', async (req, res) => {
   }
 });
 
-// @route   PATCH /api/orders/:id/cancel
-// @desc    Cancel order — restores ONLY undelivered inventory back to products.
-//          Orders with ANY deliveries cannot be cancelled (use refund flow instead).
-//          Updates client stats and invalidates all caches.
+// @route   GET /api/orders/deliveries/:deliveryId/invoice.pdf
+// @desc    Download delivery invoice as PDF (?format=a4|thermal, default a4)
 // @access  Private
-router.patch('/:id/cancel', async (req, res) => {
+router.get('/deliveries/:deliveryId/invoice.pdf', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { reason } = req.body; // Optional cancellation reason
-    const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
-    const query = isObjectId ? { _id: id } : { orderNumber: id.toUpperCase() };
+    const { deliveryId } = req.params;
+    const isObjectId = /^[0-9a-fA-F]{24}$/.test(deliveryId);
+    const query = isObjectId ? { delivery: deliveryId } : { deliveryNumber: deliveryId.toUpperCase() };
     
-    const order = await Order.findOne(query).lean();
+    const invoice = await DeliveryInvoice.findOne(query)
+      .populate('client', 'address gstin')
+      .lean();
     
-    if (!order) {
+    if (!invoice) {
       return res.status(404).json({
         success: false,
-        error: 'Order not found'
+        error: 'Invoice not generated for this delivery yet'
       });
     }
     
-    // Already cancelled
-    if (order.status === 'cancelled') {
-      return res.status(400).json({
-        success: false,
-        error: 'Order is already cancelled'
-      });
-    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="Invoice-${invoice.invoiceNumber}.pdf"`);
     
-    // Completed/locked orders cannot be cancelled
-    if (order.status === 'completed' || order.isLocked) {
-      return res.status(400).json({
-        success: false,
-        error: 'Completed orders cannot be cancelled'
-      });
+    renderDeliveryInvoicePdf(invoice, res, { format: req.query.format, client: invoice.client });
+  } catch (error) {
+    console.error('Render invoice PDF error:', error);
+    if (res.headersSent) {
+      return res.end();
     }
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/orders/:id/cancel
+// @desc    Cancel order — restores ONLY undelivered inventory back to products.
+//          Orders with ANY deliveries cannot be cancelled (use refund flow instead).
+//          Updates client stats and invalidates all caches.
+//          Without order.cancel — or for an order with payments, without approval.decide —
+//          the cancellation is queued for approval instead (202 { pendingApproval: true }).
+// @access  Private (order.update; order.cancel to cancel directly)
+router.patch('/:id/cancel', requirePermission('order.update'), async (req, res) => {
+  try {
+    const { reason } = req.body; // Optional cancellation reason
+    const io = req.app.get('io');
     
-    // Check if any deliveries exist — if items are delivered, can't cancel
-    const deliveryCount = await Delivery.countDocuments({ order: order._id });
-    if (deliveryCount > 0) {
-      return res.status(400).json({
+    const order = await Order.findOne(orderQueryOf(req.params.id)).select(APPROVAL_ORDER_FIELDS).lean();
+    if (!order) {
+      return res.status(404).json({
         success: false,
-        error: `Cannot cancel — ${deliveryCount} delivery(s) already made for this order. Only undelivered orders can be cancelled.`
+        error: 'Order not found'
       });
     }
     
-    const io = req.app.get('io');
-    const { restoreInventory } = require('../utils/inventoryManager');
-    
-    // Restore inventory for ALL items (since nothing was delivered, restore full quantities)
-    const inventoryResult = await restoreInventory(order.items, io);
-    
-    // Update order status to cancelled
-    const updatedOrder = await Order.findOneAndUpdate(
-      query,
-      {
-        status: 'cancelled',
-        cancelReason: reason || null,
-        cancelledAt: new Date()
-      },
-      { new: true }
-    ).lean();
-    
-    // Update client stats
-    if (order.client) {
-      try {
-        await Client.findByIdAndUpdate(order.client, {
-          $inc: {
-            totalOrders: -1,
-            openOrders: -1,
-            totalSpent: -(order.grandTotal || 0),
-            totalDue: -(order.balanceDue || 0)
-          }
-        });
-      } catch (clientErr) {
-        console.error('⚠️ Error updating client stats on cancel:', clientErr.message);
-      }
+    const approvalRule = cancelApprovalRule(req.user, order);
+    if (approvalRule) {
+      // Don't queue a cancellation that could never be applied
+      await assertCancellable(order);
+      return sendPendingApproval(res, {
+        type: 'order.cancel',
+        ...approvalRule,
+        order,
+        payload: { reason },
+        reason
+      }, req.user, io);
     }
     
-    // Invalidate all caches
-    await invalidateOrderCache(order._id.toString());
-    const deletedCacheKeys = await delByPattern('orders:list:*');
-    console.log(`🗑️ Order ${order.orderNumber} cancelled — ${deletedCacheKeys} cache keys cleared`);
+    const before = await auditSnapshot('order', order._id);
+    const { order: updatedOrder, inventoryResult } = await cancelOrder(req.params.id, reason, req.user._id, io);
+    
+    await recordAudit(req, {
+      entity: 'order',
+      entityId: updatedOrder._id,
+      entityRef: updatedOrder.orderNumber,
+      action: 'cancel',
+      before,
+      after: updatedOrder,
+      metadata: reason ? { reason } : null
+    });
     
-    // Emit Socket.IO events
-    if (io) {
-      io.emit('order:cancelled', {
-        orderId: updatedOrder._id,
-        orderNumber: updatedOrder.orderNumber,
-        reason: reason || null
-      });
-      
-      if (inventoryResult.affectedProducts?.length > 0) {
-        io.emit('order:inventory-restored', {
-          orderId: updatedOrder._id,
-          orderNumber: updatedOrder.orderNumber,
-          affectedProducts: inventoryResult.affectedProducts
-        });
-      }
-    }
+    const deletedCacheKeys = await delByPattern('orders:list:*');
+    console.log(`🗑️ Order ${updatedOrder.orderNumber} cancelled — ${deletedCacheKeys} cache keys cleared`);
     
     res.json({
       success: true,
@@ -1922,7 +2029,7 @@ router.patch('/:id/cancel', async (req, res) => {
     });
   } catch (error) {
     console.error('Cancel order error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Server error'
     });
@@ -1930,134 +2037,42 @@ router.patch('/:id/cancel', async (req, res) => {
 });
 
 // @route   DELETE /api/orders/:id
-// @desc    Delete order and all related data (deliveries, invoices) - Admin only
-// @access  Admin only
-router.delete('/:id', adminOnly, async (req, res) => {
+// @desc    Delete order and all related data (deliveries, invoices).
+//          Without order.delete the deletion is queued for approval instead (202);
+//          optional body.reason explains it.
+// @access  Private (order.update; order.delete to delete directly)
+router.delete('/:id', requirePermission('order.update'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
-    const query = isObjectId ? { _id: id } : { orderNumber: id.toUpperCase() };
-    
-    // Get order with all details
-    const order = await Order.findOne(query).lean();
+    const io = req.app.get('io');
     
-    if (!order) {
+    const target = await Order.findOne(orderQueryOf(req.params.id)).select(APPROVAL_ORDER_FIELDS).lean();
+    if (!target) {
       return res.status(404).json({
         success: false,
         error: 'Order not found'
       });
     }
     
-    // Admin can delete any order (including completed/locked ones)
-    // No restrictions - admin has full control
-    
-    const io = req.app.get('io');
-    const { restoreInventory } = require('../utils/inventoryManager');
-    const User = require('../models/User');
-    const Client = require('../models/Client');
-    
-    // Step 1: Find all deliveries for this order
-    const deliveries = await Delivery.find({ order: order._id }).select('_id invoice deliveryPerformance').lean();
-    const deliveryIds = deliveries.map(d => d._id);
-    const invoiceIds = deliveries.filter(d => d.invoice).map(d => d.invoice);
-    
-    // Step 1.5: Get delivery performance stats BEFORE deletion (for employee stats update)
-    let deliveryPerformanceStats = {};
-    if (deliveryIds.length > 0) {
-      const stats = await Delivery.aggregate([
-        { $match: { _id: { $in: deliveryIds } } },
-        {
-          $group: {
-            _id: '$deliveryPerformance',
-            count: { $sum: 1 }
-          }
-        }
-      ]);
-      
-      stats.forEach(stat => {
-        deliveryPerformanceStats[stat._id] = stat.count || 0;
-      });
-    }
-    
-    // Step 2: Delete all delivery invoices
-    let deletedInvoicesCount = 0;
-    if (invoiceIds.length > 0) {
-      const invoiceResult = await DeliveryInvoice.deleteMany({ _id: { $in: invoiceIds } });
-      deletedInvoicesCount = invoiceResult.deletedCount;
-      console.log(`🗑️  Deleted ${deletedInvoicesCount} delivery invoice(s) for order ${order.orderNumber}`);
-    }
-    
-    // Step 3: Delete all deliveries
-    let deletedDeliveriesCount = 0;
-    if (deliveryIds.length > 0) {
-      const deliveryResult = await Delivery.deleteMany({ _id: { $in: deliveryIds } });
-      deletedDeliveriesCount = deliveryResult.deletedCount;
-      console.log(`🗑️  Deleted ${deletedDeliveriesCount} delivery(ies) for order ${order.orderNumber}`);
-    }
-    
-    // Step 4: DO NOT restore inventory when deleting order
-    // Inventory should remain as-is (products were already delivered/used)
-    // Only restore inventory when cancelling orders, not deleting them
-    
-    // Step 5: Update client stats (decrease totalOrders and totalSpent)
-    if (order.client) {
-      try {
-        await Client.findByIdAndUpdate(order.client, {
-          $inc: {
-            totalOrders: -1,
-            totalSpent: -order.grandTotal
-          }
-        });
-        console.log(`📊 Updated client stats for order ${order.orderNumber}`);
-      } catch (clientError) {
-        console.error('⚠️  Error updating client stats:', clientError);
-      }
-    }
-    
-    // Step 6: Update employee stats (decrease totalOrders and delivery counts)
-    if (order.employee) {
-      try {
-        const updateFields = {
-          $inc: {
-            'employeeStats.totalOrders': -1,
-            'employeeStats.totalDeliveries': -deletedDeliveriesCount
-          }
-        };
-        
-        // Subtract delivery performance counts (using stats collected before deletion)
-        if (deliveryPerformanceStats.on_time) {
-          updateFields.$inc['employeeStats.onTimeDeliveries'] = -deliveryPerformanceStats.on_time;
-        }
-        if (deliveryPerformanceStats.early) {
-          updateFields.$inc['employeeStats.earlyDeliveries'] = -deliveryPerformanceStats.early;
-        }
-        if (deliveryPerformanceStats.late) {
-          updateFields.$inc['employeeStats.lateDeliveries'] = -deliveryPerformanceStats.late;
-        }
-        
-        await User.findByIdAndUpdate(order.employee, updateFields);
-        console.log(`👤 Updated employee stats for order ${order.orderNumber}`);
-      } catch (employeeError) {
-        console.error('⚠️  Error updating employee stats:', employeeError);
-      }
+    const approvalRule = deleteApprovalRule(req.user, target);
+    if (approvalRule) {
+      return sendPendingApproval(res, {
+        type: 'order.delete',
+        ...approvalRule,
+        order: target,
+        reason: req.body?.reason
+      }, req.user, io);
     }
     
-    // Step 7: Delete the order
-    await Order.deleteOne(query);
-    console.log(`✅ Deleted order ${order.orderNumber}`);
-    
-    // Step 8: Invalidate Redis cache
-    await invalidateOrderCache(order._id.toString());
+    const { order, deletedDeliveries, deletedInvoices } = await deleteOrder(req.params.id, req.user._id, io);
     
-    // Step 9: Emit Socket.IO events
-    if (io) {
-      io.emit('order:deleted', {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        deletedDeliveries: deletedDeliveriesCount,
-        deletedInvoices: deletedInvoicesCount
-      });
-    }
+    await recordAudit(req, {
+      entity: 'order',
+      entityId: order._id,
+      entityRef: order.orderNumber,
+      action: 'delete',
+      before: order,
+      metadata: { deletedDeliveries, deletedInvoices }
+    });
     
     // Invalidate ALL orders list cache variations when order is deleted
     const deletedCount = await delByPattern('orders:list:*');
@@ -2068,13 +2083,13 @@ router.delete('/:id', adminOnly, async (req, res) => {
       message: `Order ${order.orderNumber} and all related data deleted successfully`,
       data: {
         orderNumber: order.orderNumber,
-        deletedDeliveries: deletedDeliveriesCount,
-        deletedInvoices: deletedInvoicesCount
+        deletedDeliveries,
+        deletedInvoices
       }
     });
   } catch (error) {
     console.error('Delete order error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Server error'
     });
@@ -2,9 +2,23 @@ const express = require('express');
 const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
-const { protect, adminOnly } = require('../middleware/auth');
+const InventoryMovement = require('../models/InventoryMovement');
+const { protect, requirePermission } = require('../middleware/auth');
 const { get, set, del, delByPattern } = require('../config/redis');
 const { upload, compressAndSaveImage, deleteOldImage } = require('../middleware/upload');
+const { getProductAvailability, checkAvailability } = require('../utils/availabilityManager');
+const { withStockByLocation } = require('../utils/locationManager');
+const { emitEvent } = require('../utils/realtime');
+const { auditSnapshot, recordAudit } = require('../utils/auditLog');
+const {
+  getLowStockProducts,
+  getReorderSuggestions,
+  setInventory,
+  recordMovements,
+  transactional,
+  inStockTransaction,
+  getStockCard
+} = require('../utils/inventoryManager');
 
 const router = express.Router();
 
@@ -21,6 +35,24 @@ const CACHE_KEYS = {
   lowStock: (threshold) => `products:lowstock:${threshold}`
 };
 
+// Optional number from JSON or multipart form-data — null / '' / 'null' clear it
+const nullableNumber = (value) => (value === null || value === '' || value === 'null' ? null : Number(value));
+
+/**
+ * Stock level fields sent in a create / update body (see models/Product.js)
+ * @returns {Object} only the fields that were sent
+ */
+function stockLevelFields(body) {
+  const data = {};
+  ['minStockLevel', 'reorderPoint', 'reorderQuantity'].forEach(field => {
+    if (body[field] !== undefined) data[field] = nullableNumber(body[field]);
+  });
+  if (body.preferredSupplier !== undefined) {
+    data.preferredSupplier = body.preferredSupplier && body.preferredSupplier !== 'null' ? body.preferredSupplier : null;
+  }
+  return data;
+}
+
 // ============================================================================
 // CATALOG INVALIDATION — Called by every CRUD operation
 // Invalidates Redis catalog + emits Socket.IO event to all Flutter apps
@@ -38,16 +70,18 @@ async function invalidateCatalog(io, eventType, productData) {
     set(CACHE_KEYS.catalogVersion(), newVersion, 1800)
   ]);
   
-  // Emit catalog update event to ALL connected Flutter apps
+  // Emit catalog update event to every signed-in Flutter app (staff room)
   // Flutter listens for this and updates its local Hive/SQLite cache instantly
   if (io) {
-    io.emit('catalog:updated', {
+    emitEvent(io, 'catalog:updated', {
       type: eventType, // 'product_created', 'product_updated', 'product_deleted', 'inventory_updated'
       product: productData ? {
         _id: productData._id,
         name: productData.name,
         price: productData.price,
         unit: productData.unit,
+        hsnCode: productData.hsnCode || '',
+        gstRate: productData.gstRate ?? null,
         category: productData.category,
         categoryName: productData.categoryName,
         isFastSale: productData.isFastSale,
@@ -56,7 +90,7 @@ async function invalidateCatalog(io, eventType, productData) {
       } : null,
       version: newVersion,
       timestamp: new Date().toISOString()
-    });
+    }, { staff: true });
   }
   
   console.log(`🔄 Catalog invalidated (v${newVersion}) — ${eventType}`);
@@ -109,7 +143,7 @@ router.get('/catalog', async (req, res) => {
     // Select ONLY fields Flutter needs for order creation + search
     // No description, no timestamps — keep it lightweight
     const products = await Product.find({ isActive: true })
-      .select('name price unit category categoryName isFastSale image')
+      .select('name price unit hsnCode gstRate category categoryName isFastSale image')
       .sort('name')
       .lean();
     
@@ -208,6 +242,7 @@ router.get('/catalog/version', async (req, res) => {
 
 // @route   GET /api/products
 // @desc    Get products with pagination, search, filtering (admin panel)
+//          Stock in total (inventory) and per location (stockByLocation)
 //          For Flutter order creation, use /catalog instead
 // @access  Private
 router.get('/', async (req, res) => {
@@ -295,7 +330,7 @@ router.get('/', async (req, res) => {
     
     const response = {
       success: true,
-      data: products,
+      data: await withStockByLocation(products),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -315,25 +350,26 @@ router.get('/', async (req, res) => {
 });
 
 // @route   GET /api/products/low-stock
-// @desc    Get products with low inventory (cached)
+// @desc    Get products below their own minimum stock level (cached), with stock per location.
+//          ?threshold= applies one number to every product instead
 // @access  Private
 router.get('/low-stock', async (req, res) => {
   try {
-    const { threshold = 10 } = req.query;
+    const threshold = req.query.threshold !== undefined && req.query.threshold !== ''
+      ? parseInt(req.query.threshold)
+      : null;
+    
+    if (Number.isNaN(threshold)) {
+      return res.status(400).json({ success: false, error: 'threshold must be a number' });
+    }
     
-    const cacheKey = CACHE_KEYS.lowStock(threshold);
+    const cacheKey = CACHE_KEYS.lowStock(threshold ?? 'levels');
     const cached = await get(cacheKey);
     if (cached) {
       return res.json(cached);
     }
     
-    const lowStockProducts = await Product.find({
-      isActive: true,
-      inventory: { $ne: null, $lt: parseInt(threshold), $gte: 0 }
-    })
-    .select('name inventory category categoryName unit price')
-    .sort('inventory')
-    .lean();
+    const lowStockProducts = await withStockByLocation(await getLowStockProducts(threshold));
     
     const response = {
       success: true,
@@ -351,6 +387,25 @@ router.get('/low-stock', async (req, res) => {
   }
 });
 
+// @route   GET /api/products/reorder-suggestions
+// @desc    Products at or below their reorder point, grouped by preferred supplier
+//          (stock position = inventory + units out on hire + units on open purchase orders)
+// @access  Private
+router.get('/reorder-suggestions', async (req, res) => {
+  try {
+    const groups = await getReorderSuggestions();
+    
+    res.json({
+      success: true,
+      data: groups,
+      count: groups.reduce((total, group) => total + group.itemCount, 0)
+    });
+  } catch (error) {
+    console.error('Get reorder suggestions error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
 // @route   GET /api/products/categories
 // @desc    Get all product categories (cached 1 hour)
 // @access  Private
@@ -426,8 +481,120 @@ router.get('/search', async (req, res) => {
   }
 });
 
+// @route   POST /api/products/availability
+// @desc    Check an order draft against the rental calendar (bulk).
+//          Body: { items: [{ product, quantity, lineType?, hireFrom?, hireTo? }], excludeOrderId? }
+//          Rental lines need their quantity free on every hire day; sale lines from today onwards.
+//          excludeOrderId ignores that order's own bookings (when editing an order).
+// @access  Private
+router.post('/availability', async (req, res) => {
+  try {
+    const { items, excludeOrderId } = req.body;
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, error: 'items array is required' });
+    }
+    
+    const result = await checkAvailability(items, { excludeOrderId });
+    
+    res.json({
+      success: true,
+      available: result.available,
+      data: result.items
+    });
+  } catch (error) {
+    console.error('Check availability error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+// @route   GET /api/products/:id/availability?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @desc    Per-day free quantity for a product (owned stock minus open rental bookings)
+// @access  Private
+router.get('/:id/availability', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid product ID' });
+    }
+    
+    const { from, to, excludeOrderId } = req.query;
+    const data = await getProductAvailability(req.params.id, from, to, { excludeOrderId });
+    
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Get product availability error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+// @route   GET /api/products/:id/movements?from=&to=&type=&page=&limit=
+// @desc    Stock movements of a product, newest first (what changed inventory, by how much, who and why)
+// @access  Private
+router.get('/:id/movements', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid product ID' });
+    }
+    
+    const { from, to, type, page = 1, limit = 50 } = req.query;
+    
+    const query = { product: req.params.id };
+    if (type) query.type = type;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+    
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      InventoryMovement.countDocuments(query)
+    ]);
+    
+    res.json({
+      success: true,
+      data: movements,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get product movements error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   GET /api/products/:id/stock-card?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @desc    Stock card: opening stock, movements with running balance, in / out by type, closing stock
+//          (whole days, default this month so far)
+// @access  Private
+router.get('/:id/stock-card', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid product ID' });
+    }
+    
+    const data = await getStockCard(req.params.id, { from: req.query.from, to: req.query.to });
+    
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Get stock card error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
 // @route   GET /api/products/:id
-// @desc    Get single product by ID
+// @desc    Get single product by ID (with stockByLocation)
 // @access  Private
 router.get('/:id', async (req, res) => {
   try {
@@ -437,7 +604,8 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Product not found' });
     }
     
-    res.json({ success: true, data: product });
+    const [data] = await withStockByLocation([product]);
+    res.json({ success: true, data });
   } catch (error) {
     console.error('Get product error:', error);
     res.status(500).json({ success: false, error: 'Server error' });
@@ -450,10 +618,10 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/products
 // @desc    Create product with optional image upload
-// @access  Admin only
-router.post('/', adminOnly, upload, compressAndSaveImage, async (req, res) => {
+// @access  Private (catalog.manage)
+router.post('/', requirePermission('catalog.manage'), upload, compressAndSaveImage, async (req, res) => {
   try {
-    const { name, description, price, inventory, category, unit, isFastSale } = req.body;
+    const { name, description, price, inventory, category, unit, isFastSale, hsnCode, gstRate, lateFeePerDay } = req.body;
     
     if (!name) {
       return res.status(400).json({ success: false, error: 'Product name is required' });
@@ -466,7 +634,11 @@ router.post('/', adminOnly, upload, compressAndSaveImage, async (req, res) => {
       inventory: inventory || null,
       category: category || null,
       unit,
-      isFastSale: isFastSale === true || isFastSale === 'true'
+      isFastSale: isFastSale === true || isFastSale === 'true',
+      hsnCode: hsnCode || '',
+      gstRate: gstRate === undefined || gstRate === null || gstRate === '' || gstRate === 'null' ? null : Number(gstRate),
+      lateFeePerDay: lateFeePerDay === undefined || lateFeePerDay === null || lateFeePerDay === '' || lateFeePerDay === 'null' ? null : Number(lateFeePerDay),
+      ...stockLevelFields(req.body)
     };
     
     // Denormalize category name
@@ -482,7 +654,26 @@ router.post('/', adminOnly, upload, compressAndSaveImage, async (req, res) => {
       productData.image = req.imagePath;
     }
     
-    const product = await Product.create(productData);
+    // The product and its opening stock record are saved together
+    const product = await transactional(async () => {
+      const created = await Product.create(productData);
+      if (created.inventory) {
+        try {
+          await recordMovements([{
+            product: created._id,
+            productName: created.name,
+            type: 'opening',
+            quantity: created.inventory,
+            before: null,
+            after: created.inventory
+          }], { source: { type: 'manual', id: created._id, detail: 'New product' }, user: req.user });
+        } catch (error) {
+          if (!inStockTransaction()) await Product.deleteOne({ _id: created._id });
+          throw error;
+        }
+      }
+      return created;
+    })();
     
     // Update category product count
     if (category) {
@@ -495,7 +686,7 @@ router.post('/', adminOnly, upload, compressAndSaveImage, async (req, res) => {
     
     // Also emit legacy event for backward compatibility
     if (io) {
-      io.emit('product:created', { product });
+      emitEvent(io, 'product:created', { product }, { staff: true });
     }
     
     res.status(201).json({
@@ -515,16 +706,23 @@ router.post('/', adminOnly, upload, compressAndSaveImage, async (req, res) => {
     if (error.code === 11000) {
       return res.status(400).json({ success: false, error: 'Product with this name already exists' });
     }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({ success: false, error: messages.join(', ') });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ success: false, error: `Invalid value for field "${error.path}": ${error.value}` });
+    }
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
 // @route   PUT /api/products/:id
 // @desc    Update product with optional image upload
-// @access  Admin only
-router.put('/:id', adminOnly, upload, compressAndSaveImage, async (req, res) => {
+// @access  Private (catalog.manage)
+router.put('/:id', requirePermission('catalog.manage'), upload, compressAndSaveImage, async (req, res) => {
   try {
-    const { name, description, price, inventory, category, unit, isActive, isFastSale } = req.body;
+    const { name, description, price, inventory, category, unit, isActive, isFastSale, hsnCode, gstRate, lateFeePerDay } = req.body;
     
     const existingProduct = await Product.findById(req.params.id).lean();
     
@@ -552,6 +750,20 @@ router.put('/:id', adminOnly, upload, compressAndSaveImage, async (req, res) =>
     
     if (unit !== undefined) updateData.unit = unit;
     
+    // GST master: null/empty gstRate → fall back to order-level gstPercent
+    if (hsnCode !== undefined) updateData.hsnCode = hsnCode || '';
+    if (gstRate !== undefined) {
+      updateData.gstRate = gstRate === null || gstRate === '' || gstRate === 'null' ? null : Number(gstRate);
+    }
+    
+    // Rental late fee: null/empty → per-day rentals charge their daily rate
+    if (lateFeePerDay !== undefined) {
+      updateData.lateFeePerDay = lateFeePerDay === null || lateFeePerDay === '' || lateFeePerDay === 'null' ? null : Number(lateFeePerDay);
+    }
+    
+    // Minimum level, reorder point / quantity, preferred supplier
+    Object.assign(updateData, stockLevelFields(req.body));
+    
     // Boolean fields — handle string "true"/"false" from multipart form-data
     if (isActive !== undefined) {
       updateData.isActive = isActive === true || isActive === 'true';
@@ -587,11 +799,33 @@ router.put('/:id', adminOnly, upload, compressAndSaveImage, async (req, res) =>
       updateData.image = req.imagePath;
     }
     
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).lean();
+    // The update and the record of stock entered on the form are saved together
+    const product = await transactional(async () => {
+      const updated = await Product.findByIdAndUpdate(
+        req.params.id,
+        updateData,
+        { new: true, runValidators: true }
+      ).lean();
+      
+      // Stock entered on the product form (before = as read above)
+      const oldInventory = existingProduct.inventory ?? null;
+      if (updated && 'inventory' in updateData && updated.inventory !== oldInventory) {
+        try {
+          await recordMovements([{
+            product: updated._id,
+            productName: updated.name,
+            type: 'manual',
+            quantity: (updated.inventory || 0) - (oldInventory || 0),
+            before: oldInventory,
+            after: updated.inventory
+          }], { source: { type: 'manual', id: updated._id, detail: 'Product edit' }, user: req.user });
+        } catch (error) {
+          if (!inStockTransaction()) await Product.findByIdAndUpdate(updated._id, { inventory: oldInventory });
+          throw error;
+        }
+      }
+      return updated;
+    })();
     
     if (!product) {
       return res.status(404).json({ success: false, error: 'Product not found after update' });
@@ -602,7 +836,7 @@ router.put('/:id', adminOnly, upload, compressAndSaveImage, async (req, res) =>
     await invalidateCatalog(io, 'product_updated', product);
     
     if (io) {
-      io.emit('product:updated', { product });
+      emitEvent(io, 'product:updated', { product }, { staff: true });
     }
     
     res.json({
@@ -631,8 +865,8 @@ router.put('/:id', adminOnly, upload, compressAndSaveImage, async (req, res) =>
 
 // @route   DELETE /api/products/:id
 // @desc    Soft delete product (sets isActive=false)
-// @access  Admin only
-router.delete('/:id', adminOnly, async (req, res) => {
+// @access  Private (catalog.manage)
+router.delete('/:id', requirePermission('catalog.manage'), async (req, res) => {
   try {
     const product = await Product.findByIdAndUpdate(
       req.params.id,
@@ -654,7 +888,7 @@ router.delete('/:id', adminOnly, async (req, res) => {
     await invalidateCatalog(io, 'product_deleted', product);
     
     if (io) {
-      io.emit('product:deleted', { productId: product._id });
+      emitEvent(io, 'product:deleted', { productId: product._id }, { staff: true });
     }
     
     res.json({ success: true, message: 'Product deleted successfully' });
@@ -666,8 +900,8 @@ router.delete('/:id', adminOnly, async (req, res) => {
 
 // @route   DELETE /api/products/:id/image
 // @desc    Delete product image only
-// @access  Admin only
-router.delete('/:id/image', adminOnly, async (req, res) => {
+// @access  Private (catalog.manage)
+router.delete('/:id/image', requirePermission('catalog.manage'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     
@@ -688,7 +922,7 @@ router.delete('/:id/image', adminOnly, async (req, res) => {
     await invalidateCatalog(io, 'product_updated', product.toObject());
     
     if (io) {
-      io.emit('product:updated', { product: product.toObject() });
+      emitEvent(io, 'product:updated', { product: product.toObject() }, { staff: true });
     }
     
     res.json({
@@ -703,33 +937,146 @@ router.delete('/:id/image', adminOnly, async (req, res) => {
 });
 
 // @route   PUT /api/products/:id/inventory
-// @desc    Update product inventory (admin manual adjustment)
-// @access  Admin only
-router.put('/:id/inventory', adminOnly, async (req, res) => {
+// @desc    Update product inventory (admin manual adjustment). Body: { inventory (null = stop tracking), note? }
+// @access  Private (inventory.adjust)
+router.put('/:id/inventory', requirePermission('inventory.adjust'), async (req, res) => {
   try {
-    const { inventory } = req.body;
+    const { note } = req.body;
+    const inventory = req.body.inventory === null || req.body.inventory === '' ? null : Number(req.body.inventory);
     
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      { inventory },
-      { new: true }
-    ).lean();
+    if (inventory !== null && (!Number.isFinite(inventory) || inventory < 0)) {
+      return res.status(400).json({ success: false, error: 'inventory must be a number ≥ 0 (or null to stop tracking)' });
+    }
     
-    if (!product) {
+    const before = await auditSnapshot('product', req.params.id);
+    const result = await setInventory(req.params.id, inventory, {
+      source: { type: 'manual', id: req.params.id, detail: 'Inventory adjustment' },
+      user: req.user,
+      note: note || null
+    });
+    
+    if (!result) {
       return res.status(404).json({ success: false, error: 'Product not found' });
     }
+    const { product } = result;
+    
+    await recordAudit(req, {
+      entity: 'product',
+      entityId: product._id,
+      entityRef: product.name,
+      action: 'inventory_adjust',
+      before: before && { ...before, inventory: result.before },
+      after: product,
+      metadata: { change: (product.inventory || 0) - (result.before || 0), note: note || null }
+    });
     
     // Invalidate catalog + notify all Flutter apps
     const io = req.app.get('io');
     await invalidateCatalog(io, 'inventory_updated', product);
     
     if (io) {
-      io.emit('product:inventory-updated', { product });
+      emitEvent(io, 'product:inventory-updated', { product }, { staff: true });
     }
     
     res.json({ success: true, data: product });
   } catch (error) {
     console.error('Update inventory error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.statusCode ? error.message : 'Server error' });
+  }
+});
+
+// @route   PUT /api/products/:id/quarantine
+// @desc    Clear quarantine stock (damaged / needs-cleaning units from returns and check-ins).
+//          Body: { action: 'release' | 'write_off', quantity }
+//          release → repaired/cleaned units go back to inventory; write_off → beyond repair, removed
+// @access  Private (inventory.adjust)
+router.put('/:id/quarantine', requirePermission('inventory.adjust'), async (req, res) => {
+  try {
+    const { action, quantity } = req.body;
+    const qty = Number(quantity);
+    
+    if (!['release', 'write_off'].includes(action)) {
+      return res.status(400).json({ success: false, error: "action must be 'release' or 'write_off'" });
+    }
+    if (!qty || qty <= 0) {
+      return res.status(400).json({ success: false, error: 'quantity must be greater than 0' });
+    }
+    
+    const inc = action === 'release'
+      ? { quarantineStock: -qty, inventory: qty }
+      : { quarantineStock: -qty };
+    
+    // ATOMIC: only if enough units are in quarantine — released units are recorded in the same step
+    const product = await transactional(async () => {
+      const updated = await Product.findOneAndUpdate(
+        { _id: req.params.id, quarantineStock: { $gte: qty }, ...(action === 'release' && { inventory: { $ne: null } }) },
+        { $inc: inc },
+        { new: true }
+      ).lean();
+      
+      if (updated && action === 'release') {
+        try {
+          await recordMovements([{
+            product: updated._id,
+            productName: updated.name,
+            type: 'quarantine_release',
+            quantity: qty,
+            before: updated.inventory - qty,
+            after: updated.inventory
+          }], { source: { type: 'manual', id: updated._id, detail: 'Quarantine release' }, user: req.user });
+        } catch (error) {
+          if (!inStockTransaction()) await Product.findByIdAndUpdate(updated._id, { $inc: { quarantineStock: qty, inventory: -qty } });
+          throw error;
+        }
+      }
+      return updated;
+    })();
+    
+    if (!product) {
+      const existing = await Product.findById(req.params.id).select('name quarantineStock inventory').lean();
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Product not found' });
+      }
+      return res.status(400).json({
+        success: false,
+        error: existing.inventory === null && action === 'release'
+          ? `Inventory tracking is disabled for "${existing.name}"`
+          : `Only ${existing.quarantineStock || 0} units of "${existing.name}" are in quarantine`
+      });
+    }
+    
+    await recordAudit(req, {
+      entity: 'product',
+      entityId: product._id,
+      entityRef: product.name,
+      action: `quarantine_${action}`,
+      before: {
+        ...product,
+        quarantineStock: product.quarantineStock + qty,
+        ...(action === 'release' && { inventory: product.inventory - qty })
+      },
+      after: product,
+      metadata: { quantity: qty }
+    });
+    
+    const io = req.app.get('io');
+    await invalidateCatalog(io, 'inventory_updated', product);
+    
+    if (io) {
+      emitEvent(io, 'product:inventory-updated', { product }, { staff: true });
+    }
+    
+    console.log(`🔧 Quarantine ${action === 'release' ? 'released' : 'written off'}: ${product.name} ×${qty}`);
+    
+    res.json({
+      success: true,
+      data: product,
+      message: action === 'release'
+        ? `${qty} units of "${product.name}" released back to inventory`
+        : `${qty} units of "${product.name}" written off`
+    });
+  } catch (error) {
+    console.error('Update quarantine error:', error);
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
@@ -0,0 +1,446 @@
+const express = require('express');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const SupplierBill = require('../models/SupplierBill');
+const { protect, requirePermission } = require('../middleware/auth');
+const { delByPattern } = require('../config/redis');
+const { hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/auditLog');
+const {
+  findPurchaseOrder,
+  createPurchaseOrder,
+  draftFromReorder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  findBill,
+  createBill,
+  recordBillPayment,
+  cancelBill
+} = require('../utils/purchaseManager');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Bills are read by purchasing (purchase.manage) and by whoever pays them (supplier.pay)
+const canReadBills = (req, res, next) => {
+  if (hasPermission(req.user, 'purchase.manage') || hasPermission(req.user, 'supplier.pay')) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    error: "Permission 'purchase.manage' or 'supplier.pay' is required for this action"
+  });
+};
+
+// ============================================================================
+// SUPPLIER BILLS
+// ============================================================================
+
+// @route   GET /api/purchases/bills
+// @desc    Supplier bills, newest first.
+//          Query: supplier, purchaseOrder, status (unpaid, partially_paid, paid, cancelled), overdue=true, page, limit
+// @access  Private (purchase.manage or supplier.pay)
+router.get('/bills', canReadBills, async (req, res) => {
+  try {
+    const { supplier, purchaseOrder, status, overdue, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (supplier) query.supplier = supplier;
+    if (purchaseOrder) query.purchaseOrder = purchaseOrder;
+    if (status) query.status = status;
+    if (overdue === 'true') {
+      query.status = { $in: ['unpaid', 'partially_paid'] };
+      query.dueDate = { $ne: null, $lt: new Date() };
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [bills, total, totals] = await Promise.all([
+      SupplierBill.find(query)
+        .select('-payments')
+        .sort({ billDate: -1, createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      SupplierBill.countDocuments(query),
+      SupplierBill.aggregate([
+        { $match: { ...query, status: query.status || { $ne: 'cancelled' } } },
+        { $group: { _id: null, amount: { $sum: '$amount' }, paidAmount: { $sum: '$paidAmount' }, balanceDue: { $sum: '$balanceDue' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: bills,
+      summary: {
+        amount: totals[0]?.amount || 0,
+        paidAmount: totals[0]?.paidAmount || 0,
+        balanceDue: totals[0]?.balanceDue || 0
+      },
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get supplier bills error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/purchases/bills/:billId
+// @desc    One bill (by _id or bill number) with its payments
+// @access  Private (purchase.manage or supplier.pay)
+router.get('/bills/:billId', canReadBills, async (req, res) => {
+  try {
+    const bill = await findBill(req.params.billId);
+
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bill not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: bill
+    });
+  } catch (error) {
+    console.error('Get supplier bill error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/purchases/bills
+// @desc    Enter a supplier's bill.
+//          Body: { purchaseOrder? (or supplier), supplierBillNumber, amount?, billDate?, dueDate?, notes? }
+//          Against a purchase order, amount defaults to what is not billed yet.
+// @access  Private (purchase.manage)
+router.post('/bills', requirePermission('purchase.manage'), async (req, res) => {
+  try {
+    const bill = await createBill(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: bill,
+      message: `Bill ${bill.billNumber} recorded`
+    });
+  } catch (error) {
+    console.error('Create supplier bill error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/purchases/bills/:billId/payments
+// @desc    Pay (part of) a bill. Body: { amount, paymentMethod?, reference?, paidAt?, note? }
+// @access  Private (supplier.pay)
+router.post('/bills/:billId/payments', requirePermission('supplier.pay'), async (req, res) => {
+  try {
+    const before = await findBill(req.params.billId);
+    const { bill, payment } = await recordBillPayment(req.params.billId, req.body, req.user);
+
+    await recordAudit(req, {
+      entity: 'supplier_bill',
+      entityId: bill._id,
+      entityRef: bill.billNumber,
+      action: 'payment',
+      before,
+      after: bill,
+      metadata: {
+        supplier: bill.supplierName,
+        amount: payment.amount,
+        paymentMethod: payment.paymentMethod,
+        reference: payment.reference
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: bill,
+      message: `Paid ₹${payment.amount} on ${bill.billNumber}${bill.status === 'paid' ? ' — bill fully paid' : ''}`
+    });
+  } catch (error) {
+    console.error('Supplier bill payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/purchases/bills/:billId/cancel
+// @desc    Cancel a bill entered by mistake (unpaid bills only). Body: { reason? }
+// @access  Private (purchase.manage)
+router.post('/bills/:billId/cancel', requirePermission('purchase.manage'), async (req, res) => {
+  try {
+    const before = await findBill(req.params.billId);
+    const bill = await cancelBill(req.params.billId, { reason: req.body?.reason });
+
+    await recordAudit(req, {
+      entity: 'supplier_bill',
+      entityId: bill._id,
+      entityRef: bill.billNumber,
+      action: 'cancel',
+      before,
+      after: bill,
+      metadata: { supplier: bill.supplierName, reason: req.body?.reason || null }
+    });
+
+    res.json({
+      success: true,
+      data: bill,
+      message: `Bill ${bill.billNumber} cancelled`
+    });
+  } catch (error) {
+    console.error('Cancel supplier bill error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// ============================================================================
+// PURCHASE ORDERS
+// ============================================================================
+
+// @route   GET /api/purchases
+// @desc    Purchase orders, newest first. Query: status, supplier, product, page, limit
+// @access  Private (purchase.manage)
+router.get('/', requirePermission('purchase.manage'), async (req, res) => {
+  try {
+    const { status, supplier, product, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (supplier) query.supplier = supplier;
+    if (product) query['items.product'] = product;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [purchaseOrders, total] = await Promise.all([
+      PurchaseOrder.find(query)
+        .select('-receipts')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      PurchaseOrder.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: purchaseOrders,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/purchases/from-reorder
+// @desc    Draft a purchase order from a supplier's reorder suggestions. Body: { supplier }
+// @access  Private (purchase.manage)
+router.post('/from-reorder', requirePermission('purchase.manage'), async (req, res) => {
+  try {
+    const purchaseOrder = await draftFromReorder(req.body.supplier, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: purchaseOrder,
+      message: `Draft ${purchaseOrder.poNumber} created with ${purchaseOrder.items.length} product(s) — check the unit costs before sending`
+    });
+  } catch (error) {
+    console.error('Draft purchase order from reorder error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/purchases/:id
+// @desc    One purchase order (by _id or PO number) with its receipts and bills
+// @access  Private (purchase.manage)
+router.get('/:id', requirePermission('purchase.manage'), async (req, res) => {
+  try {
+    const purchaseOrder = await findPurchaseOrder(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      });
+    }
+
+    const bills = await SupplierBill.find({ purchaseOrder: purchaseOrder._id })
+      .select('-payments')
+      .sort({ billDate: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { ...purchaseOrder, bills }
+    });
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/purchases
+// @desc    Create a draft purchase order.
+//          Body: { supplier, items: [{ product, quantity, unitCost, gstRate? }], expectedDate?, notes? }
+// @access  Private (purchase.manage)
+router.post('/', requirePermission('purchase.manage'), async (req, res) => {
+  try {
+    const purchaseOrder = await createPurchaseOrder(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: purchaseOrder,
+      message: `Purchase order ${purchaseOrder.poNumber} created as draft`
+    });
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/purchases/:id
+// @desc    Edit a draft (supplier, items, expectedDate, notes)
+// @access  Private (purchase.manage)
+router.put('/:id', requirePermission('purchase.manage'), async (req, res) => {
+  try {
+    const purchaseOrder = await updatePurchaseOrder(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/purchases/:id/send
+// @desc    Mark a draft as sent to the supplier (it can't be edited after this)
+// @access  Private (purchase.manage)
+router.post('/:id/send', requirePermission('purchase.manage'), async (req, res) => {
+  try {
+    const purchaseOrder = await sendPurchaseOrder(req.params.id);
+
+    res.json({
+      success: true,
+      data: purchaseOrder,
+      message: `Purchase order ${purchaseOrder.poNumber} sent to ${purchaseOrder.supplierName}`
+    });
+  } catch (error) {
+    console.error('Send purchase order error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/purchases/:id/receive
+// @desc    Receive goods — adds them to stock with a movement record per product.
+//          Body: { items?: [{ product, quantity }], note? } — without items everything outstanding is received
+// @access  Private (purchase.manage)
+router.post('/:id/receive', requirePermission('purchase.manage'), async (req, res) => {
+  try {
+    const before = await findPurchaseOrder(req.params.id);
+    const { purchaseOrder, receipt, stock } = await receivePurchaseOrder(req.params.id, req.body, req.user, req.app.get('io'));
+
+    await recordAudit(req, {
+      entity: 'purchase_order',
+      entityId: purchaseOrder._id,
+      entityRef: purchaseOrder.poNumber,
+      action: 'receive',
+      before,
+      after: purchaseOrder,
+      metadata: {
+        receiptNumber: receipt.receiptNumber,
+        items: receipt.items,
+        stock: stock.affectedProducts.map(p => ({ product: p._id, name: p.name, before: p.oldInventory, after: p.newInventory }))
+      }
+    });
+
+    const deletedCount = await delByPattern('products:lowstock:*');
+    console.log(`🗑️  Low-stock caches invalidated after receipt (${deletedCount} keys cleared)`);
+
+    res.json({
+      success: true,
+      data: { ...purchaseOrder, stock: stock.affectedProducts },
+      message: `${receipt.receiptNumber}: received ${receipt.items.reduce((total, item) => total + item.quantity, 0)} unit(s)` +
+        (purchaseOrder.status === 'received' ? ` — ${purchaseOrder.poNumber} fully received` : '') +
+        (stock.missingProducts.length > 0 ? `. Not added to stock (product deleted): ${stock.missingProducts.join(', ')}` : '')
+    });
+  } catch (error) {
+    console.error('Receive purchase order error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/purchases/:id/cancel
+// @desc    Cancel a draft / sent order, or close a partly received one (rest will not come). Body: { reason? }
+// @access  Private (purchase.manage)
+router.post('/:id/cancel', requirePermission('purchase.manage'), async (req, res) => {
+  try {
+    const purchaseOrder = await cancelPurchaseOrder(req.params.id, { reason: req.body?.reason });
+
+    res.json({
+      success: true,
+      data: purchaseOrder,
+      message: `Purchase order ${purchaseOrder.poNumber} ${purchaseOrder.status}`
+    });
+  } catch (error) {
+    console.error('Cancel purchase order error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,356 @@
+const express = require('express');
+const Quotation = require('../models/Quotation');
+const Client = require('../models/Client');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  findQuotation,
+  createQuotation,
+  reviseQuotation,
+  transitionQuotation,
+  expireStaleQuotations,
+  convertQuotation
+} = require('../utils/quotationManager');
+const { renderQuotationPdf } = require('../utils/pdfGenerator');
+const { delByPattern } = require('../config/redis');
+const { emitEvent, orderScope } = require('../utils/realtime');
+const { assertPermission } = require('../utils/permissions');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+function sendError(res, error, fallback) {
+  res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+    success: false,
+    error: error.message || fallback,
+    ...(error.insufficientItem && { insufficientItem: error.insufficientItem }),
+    ...(error.overbookedItems && { overbookedItems: error.overbookedItems })
+  });
+}
+
+// @route   GET /api/quotations
+// @desc    List quotations with pagination. Filters: search, status, client, event, from, to (quotation date)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const {
+      search,
+      status,
+      client,
+      event,
+      from,
+      to,
+      page = 1,
+      limit = 50,
+      sort = '-quotationDate'
+    } = req.query;
+
+    await expireStaleQuotations();
+
+    const query = {};
+
+    if (search) {
+      const searchRegex = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [
+        { quotationNumber: searchRegex },
+        { partyName: searchRegex },
+        { mobile: searchRegex }
+      ];
+    }
+    if (status) query.status = status;
+    if (client) query.client = client;
+    if (event) query.event = event;
+
+    if (from || to) {
+      query.quotationDate = {};
+      if (from) query.quotationDate.$gte = new Date(from);
+      if (to) {
+        const toDate = new Date(to);
+        toDate.setHours(23, 59, 59, 999);
+        query.quotationDate.$lte = toDate;
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [quotations, total] = await Promise.all([
+      Quotation.find(query)
+        .select('-versions -items')
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Quotation.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: quotations,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get quotations error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   GET /api/quotations/:id
+// @desc    Single quotation (ObjectId or quotation number). Version history via /:id/versions
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    await expireStaleQuotations();
+
+    const quotation = await findQuotation(req.params.id, '-versions');
+
+    if (!quotation) {
+      return res.status(404).json({ success: false, error: 'Quotation not found' });
+    }
+
+    res.json({
+      success: true,
+      data: quotation
+    });
+  } catch (error) {
+    console.error('Get quotation error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   GET /api/quotations/:id/versions
+// @desc    Version history — previous versions (oldest first) plus the current one
+// @access  Private
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const quotation = await findQuotation(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({ success: false, error: 'Quotation not found' });
+    }
+
+    const { versions = [], ...current } = quotation;
+
+    res.json({
+      success: true,
+      data: {
+        quotationNumber: quotation.quotationNumber,
+        currentVersion: quotation.version,
+        versions: [
+          ...versions,
+          {
+            version: current.version,
+            items: current.items,
+            subtotal: current.subtotal,
+            localFreight: current.localFreight,
+            transportation: current.transportation,
+            gstPercent: current.gstPercent,
+            gstAmount: current.gstAmount,
+            cgstAmount: current.cgstAmount,
+            sgstAmount: current.sgstAmount,
+            igstAmount: current.igstAmount,
+            discount: current.discount,
+            grandTotal: current.grandTotal,
+            validUntil: current.validUntil,
+            status: current.status,
+            isCurrent: true
+          }
+        ]
+      }
+    });
+  } catch (error) {
+    console.error('Get quotation versions error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   GET /api/quotations/:id/pdf
+// @desc    Download quotation as PDF (?format=a4|thermal, default a4)
+// @access  Private
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const quotation = await findQuotation(req.params.id, '-versions');
+
+    if (!quotation) {
+      return res.status(404).json({ success: false, error: 'Quotation not found' });
+    }
+
+    const client = quotation.client
+      ? await Client.findById(quotation.client).select('address gstin').lean()
+      : null;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="Quotation-${quotation.quotationNumber}.pdf"`);
+
+    renderQuotationPdf(quotation, res, { format: req.query.format, client });
+  } catch (error) {
+    console.error('Render quotation PDF error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   POST /api/quotations
+// @desc    Create a draft quotation (same items / freight / GST body as POST /api/orders; stock is not touched)
+// @access  Private (quotation.manage)
+router.post('/', requirePermission('quotation.manage'), async (req, res) => {
+  try {
+    const quotation = await createQuotation(req.body, req.user._id, { actor: req.user });
+
+    const io = req.app.get('io');
+    if (io) {
+      emitEvent(io, 'quotation:created', { quotation }, { clients: [quotation.client], employees: [quotation.createdBy, req.user._id] });
+    }
+
+    console.log(`📝 Quotation ${quotation.quotationNumber} created for ${quotation.partyName}`);
+
+    res.status(201).json({
+      success: true,
+      data: quotation
+    });
+  } catch (error) {
+    console.error('Create quotation error:', error);
+    sendError(res, error, 'Server error');
+  }
+});
+
+// @route   PUT /api/quotations/:id
+// @desc    Revise a quotation. The current version is kept in history and the quotation returns to draft.
+// @access  Private (quotation.manage)
+router.put('/:id', requirePermission('quotation.manage'), async (req, res) => {
+  try {
+    const quotation = await reviseQuotation(req.params.id, req.body, req.user._id, { actor: req.user });
+
+    const io = req.app.get('io');
+    if (io) {
+      emitEvent(io, 'quotation:revised', { quotation }, { clients: [quotation.client], employees: [quotation.createdBy, req.user._id] });
+    }
+
+    res.json({
+      success: true,
+      message: `Quotation ${quotation.quotationNumber} revised to version ${quotation.version}`,
+      data: quotation
+    });
+  } catch (error) {
+    console.error('Revise quotation error:', error);
+    sendError(res, error, 'Server error');
+  }
+});
+
+// @route   POST /api/quotations/:id/send | /accept | /reject | /expire
+// @desc    Move a quotation through its workflow. /reject accepts { reason }
+// @access  Private (quotation.manage)
+['send', 'accept', 'reject', 'expire'].forEach(action => {
+  router.post(`/:id/${action}`, requirePermission('quotation.manage'), async (req, res) => {
+    try {
+      const quotation = await transitionQuotation(req.params.id, action, { reason: req.body?.reason });
+
+      const io = req.app.get('io');
+      if (io) {
+        emitEvent(io, 'quotation:status-changed', {
+          quotationId: quotation._id,
+          quotationNumber: quotation.quotationNumber,
+          status: quotation.status
+        }, { clients: [quotation.client], employees: [quotation.createdBy, req.user._id] });
+      }
+
+      res.json({
+        success: true,
+        message: `Quotation ${quotation.quotationNumber} marked ${quotation.status}`,
+        data: quotation
+      });
+    } catch (error) {
+      console.error(`Quotation ${action} error:`, error);
+      sendError(res, error, 'Server error');
+    }
+  });
+});
+
+// @route   POST /api/quotations/:id/convert
+// @desc    Convert an accepted quotation into an order (inventory and availability checked now)
+//          Body (optional): { advance, expectedDeliveryDate, allowOverbooking, employeeName, employeeId }
+//          The quoted discount was checked when the quotation was priced; an advance needs payment.record,
+//          allowOverbooking needs approval.decide.
+// @access  Private (quotation.manage)
+router.post('/:id/convert', requirePermission('quotation.manage'), async (req, res) => {
+  try {
+    if (req.body?.advance > 0) {
+      assertPermission(req.user, 'payment.record', `Recording an advance requires permission 'payment.record'`);
+    }
+
+    const io = req.app.get('io');
+    const result = await convertQuotation(req.params.id, req.body || {}, req.user._id, io, { actor: req.user });
+
+    await delByPattern('orders:list:*');
+
+    if (io) {
+      emitEvent(io, 'quotation:converted', {
+        quotationId: result.quotation._id,
+        quotationNumber: result.quotation.quotationNumber,
+        orderId: result.order._id,
+        orderNumber: result.order.orderNumber
+      }, { ...orderScope(result.order), employees: [result.quotation.createdBy, req.user._id] });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Quotation ${result.quotation.quotationNumber} converted to order ${result.order.orderNumber}`,
+      data: {
+        order: result.order,
+        quotation: result.quotation,
+        affectedProducts: result.affectedProducts,
+        ...(result.overbookedItems && {
+          overbookedItems: result.overbookedItems,
+          overbookingAcceptedBy: result.overbookingAcceptedBy
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Convert quotation error:', error);
+    sendError(res, error, 'Server error');
+  }
+});
+
+// @route   DELETE /api/quotations/:id
+// @desc    Delete a quotation that has not been converted
+// @access  Private (quotation.delete)
+router.delete('/:id', requirePermission('quotation.delete'), async (req, res) => {
+  try {
+    const quotation = await findQuotation(req.params.id, '_id quotationNumber status client createdBy');
+    if (!quotation) {
+      return res.status(404).json({ success: false, error: 'Quotation not found' });
+    }
+    if (quotation.status === 'converted') {
+      return res.status(400).json({
+        success: false,
+        error: `Quotation ${quotation.quotationNumber} is converted to an order and cannot be deleted`
+      });
+    }
+
+    await Quotation.deleteOne({ _id: quotation._id });
+
+    const io = req.app.get('io');
+    if (io) {
+      emitEvent(io, 'quotation:deleted', { quotationId: quotation._id, quotationNumber: quotation.quotationNumber }, { clients: [quotation.client], employees: [quotation.createdBy, req.user._id] });
+    }
+
+    console.log(`🗑️  Quotation ${quotation.quotationNumber} deleted`);
+
+    res.json({
+      success: true,
+      message: `Quotation ${quotation.quotationNumber} deleted`
+    });
+  } catch (error) {
+    console.error('Delete quotation error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+module.exports = router;
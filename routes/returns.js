@@ -1,14 +1,12 @@
 const express = require('express');
-const mongoose = require('mongoose');
 const Return = require('../models/Return');
-const Order = require('../models/Order');
-const Delivery = require('../models/Delivery');
 const Client = require('../models/Client');
 const Payment = require('../models/Payment');
-const { protect, adminOnly } = require('../middleware/auth');
-const { restoreInventory } = require('../utils/inventoryManager');
-const { invalidateOrderCache, initializeOrderCache } = require('../utils/orderCache');
+const { protect, requirePermission } = require('../middleware/auth');
+const { createReturn } = require('../utils/returnManager');
 const { del, delByPattern } = require('../config/redis');
+const { emitEvent } = require('../utils/realtime');
+const { recordAudit } = require('../utils/auditLog');
 
 const router = express.Router();
 
@@ -22,273 +20,40 @@ router.use(protect);
 // @route   POST /api/returns
 // @desc    Create a return for delivered items. This is an atomic operation that:
 //          1. Validates returned quantities don't exceed delivered quantities
-//          2. Restores inventory for returned products
+//          2. Restores inventory for returned products in good condition
+//             (damaged / needs_cleaning → quarantine stock, lost → written off)
 //          3. Updates the order (reduces deliveredQty, recalculates progress/status)
 //          4. Calculates refundable amount if client overpaid
 //          5. Updates client financial summary
+//          6. Adds damage charges (per-line damageCharge + damageReason) to the order balance
 //
 //          The original order's grandTotal stays unchanged (audit trail).
 //          Returns are tracked separately.
-// @access  Private
-router.post('/', async (req, res) => {
+// @access  Private (return.create)
+router.post('/', requirePermission('return.create'), async (req, res) => {
   try {
-    const {
-      orderId,
-      items,       // [{ product, productName, quantity, price }]
-      reason,
-      deliveryId,  // Optional: which delivery items came from
-      notes
-    } = req.body;
-    
-    // ── VALIDATE INPUT ──
-    if (!orderId) {
-      return res.status(400).json({ success: false, error: 'orderId is required' });
-    }
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ success: false, error: 'items array is required with at least one item' });
-    }
-    
-    // ── GET ORDER ──
-    const orderDoc = await Order.findById(orderId);
-    if (!orderDoc) {
-      return res.status(404).json({ success: false, error: 'Order not found' });
-    }
-    
-    // Can't return from cancelled orders
-    if (orderDoc.status === 'cancelled') {
-      return res.status(400).json({ success: false, error: 'Cannot return items from a cancelled order' });
-    }
-    
-    // Can't return from orders with no deliveries
-    if (orderDoc.progress === 0) {
-      return res.status(400).json({ success: false, error: 'No items have been delivered. Nothing to return.' });
-    }
-    
     const io = req.app.get('io');
-    
-    // ── BUILD RETURN ITEMS + VALIDATE QUANTITIES ──
-    const returnItems = [];
-    const orderItemsMap = new Map();
-    
-    // Build lookup map for order items
-    orderDoc.items.forEach((item, index) => {
-      const key = item.product?.toString() || item.productName?.toLowerCase().trim();
-      orderItemsMap.set(key, { item, index });
-      if (item.productName) {
-        orderItemsMap.set(item.productName.toLowerCase().trim(), { item, index });
-      }
-    });
-    
-    for (const returnItem of items) {
-      if (!returnItem.quantity || returnItem.quantity <= 0) {
-        return res.status(400).json({
-          success: false,
-          error: `Invalid return quantity for "${returnItem.productName || 'Unknown'}". Must be greater than 0.`
-        });
-      }
-      
-      // Find the item in the order
-      const itemKey = returnItem.product?.toString() || returnItem.productName?.toLowerCase().trim();
-      const match = orderItemsMap.get(itemKey)
-        || (returnItem.productName ? orderItemsMap.get(returnItem.productName.toLowerCase().trim()) : null);
-      
-      if (!match) {
-        return res.status(400).json({
-          success: false,
-          error: `Product "${returnItem.productName || returnItem.product}" not found in order ${orderDoc.orderNumber}`
-        });
-      }
-      
-      const orderItem = match.item;
-      const delivered = orderItem.deliveredQuantity || 0;
-      const alreadyReturned = orderItem.returnedQuantity || 0;
-      const returnable = delivered - alreadyReturned; // what's still with the customer
-      
-      // Can't return more than what's still with the customer
-      if (returnItem.quantity > returnable) {
-        return res.status(400).json({
-          success: false,
-          error: `Cannot return ${returnItem.quantity} of "${orderItem.productName}". Only ${returnable} currently with customer (delivered: ${delivered}, already returned: ${alreadyReturned}).`
-        });
-      }
-      
-      const price = returnItem.price || orderItem.price;
-      
-      returnItems.push({
-        product: orderItem.product,
-        productName: orderItem.productName,
-        narration: orderItem.narration || '',
-        price: price,
-        quantity: returnItem.quantity,
-        total: price * returnItem.quantity,
-        _orderItemIndex: match.index // internal: for updating order
-      });
-    }
-    
-    const returnTotal = returnItems.reduce((sum, item) => sum + item.total, 0);
-    
-    // ── STEP 1: RESTORE INVENTORY (atomic) ──
-    const inventoryResult = await restoreInventory(
-      returnItems.map(item => ({
-        product: item.product,
-        productName: item.productName,
-        quantity: item.quantity
-      })),
-      io
-    );
-    
-    // ── STEP 2: UPDATE ORDER ──
-    // INCREMENT returnedQuantity (don't reduce deliveredQuantity!)
-    // deliveredQuantity = what was physically delivered (never goes down)
-    // returnedQuantity = what came back (goes up on each return)
-    // Frontend can compute: activeWithCustomer = deliveredQuantity - returnedQuantity
-    for (const returnItem of returnItems) {
-      const orderItem = orderDoc.items[returnItem._orderItemIndex];
-      orderItem.returnedQuantity = (orderItem.returnedQuantity || 0) + returnItem.quantity;
-    }
-    
-    // Update return tracking on order
-    orderDoc.returnedAmount = (orderDoc.returnedAmount || 0) + returnTotal;
-    orderDoc.totalReturns = (orderDoc.totalReturns || 0) + 1;
-    
-    // Unlock order if it was locked (returns reopen it)
-    if (orderDoc.isLocked) {
-      orderDoc.isLocked = false;
-    }
-    
-    // Save order (pre-save hook recalculates: progress, status, paymentStatus, balanceDue)
-    // If all items are returned, pre-save hook sets status = "returned"
-    await orderDoc.save();
-    
-    // ── STEP 3: CALCULATE REFUNDABLE AMOUNT ──
-    const isFastOrder = orderDoc.isFastOrder === true;
-    const effectiveTotal = orderDoc.grandTotal - orderDoc.returnedAmount;
-    let refundableAmount = 0;
-    
-    if (!isFastOrder && orderDoc.advance > effectiveTotal) {
-      refundableAmount = orderDoc.advance - effectiveTotal;
-    }
-    
-    // ── STEP 4: CREATE RETURN DOCUMENT ──
-    const cleanItems = returnItems.map(({ _orderItemIndex, ...rest }) => rest);
-    
-    let deliveryNumber = null;
-    if (deliveryId) {
-      const delivery = await Delivery.findById(deliveryId).select('deliveryNumber').lean();
-      if (delivery) deliveryNumber = delivery.deliveryNumber;
-    }
-    
-    const returnDoc = new Return({
-      order: orderDoc._id,
-      orderNumber: orderDoc.orderNumber,
-      delivery: deliveryId || null,
-      deliveryNumber: deliveryNumber,
-      client: orderDoc.client || null,
-      partyName: orderDoc.partyName,
-      mobile: orderDoc.mobile,
-      items: cleanItems,
-      returnTotal,
-      refundableAmount: isFastOrder ? 0 : refundableAmount,
-      refundedAmount: 0,
-      reason: reason || (isFastOrder ? 'Fast order return' : null),
-      processedBy: req.user._id,
-      notes: notes || null
+    const { message, data } = await createReturn(req.body, req.user._id, io);
+    
+    await recordAudit(req, {
+      entity: 'return',
+      entityId: data.return._id,
+      entityRef: data.return.returnNumber,
+      action: 'create',
+      after: data.return,
+      metadata: { order: data.order._id, orderNumber: data.order.orderNumber, balanceDue: data.order.balanceDue }
     });
     
-    await returnDoc.save();
-    
-    // ── STEP 5: UPDATE CLIENT (skip for fast orders — no client exists) ──
-    if (!isFastOrder && orderDoc.client) {
-      try {
-        const clientUpdate = {
-          $inc: {
-            totalReturns: 1,
-            totalReturnValue: returnTotal
-          }
-        };
-        
-        if (refundableAmount > 0) {
-          clientUpdate.$inc.refundableBalance = refundableAmount;
-        }
-        
-        await Client.findByIdAndUpdate(orderDoc.client, clientUpdate);
-      } catch (clientErr) {
-        console.error('⚠️ Error updating client on return:', clientErr.message);
-      }
-    }
-    
-    // ── STEP 6: INVALIDATE CACHES ──
-    await invalidateOrderCache(orderDoc._id.toString());
-    await initializeOrderCache(orderDoc.toObject());
     await delByPattern('orders:list:*');
     
-    // ── STEP 7: EMIT SOCKET.IO EVENTS ──
-    if (io) {
-      io.emit('return:created', {
-        returnDoc: returnDoc.toObject(),
-        order: orderDoc.toObject()
-      });
-      
-      io.emit('order:updated', { order: orderDoc.toObject() });
-      
-      if (inventoryResult.affectedProducts?.length > 0) {
-        io.emit('order:inventory-restored', {
-          orderId: orderDoc._id,
-          orderNumber: orderDoc.orderNumber,
-          affectedProducts: inventoryResult.affectedProducts,
-          reason: 'return'
-        });
-      }
-      
-      if (refundableAmount > 0) {
-        io.emit('client:refund-due', {
-          clientId: orderDoc.client,
-          partyName: orderDoc.partyName,
-          refundableAmount,
-          returnNumber: returnDoc.returnNumber
-        });
-      }
-    }
-    
-    console.log(`✅ Return ${returnDoc.returnNumber} processed: ${cleanItems.length} items, ₹${returnTotal} value${orderDoc.status === 'returned' ? ' (order fully returned)' : ''}`);
-    
     res.status(201).json({
       success: true,
-      message: `Return ${returnDoc.returnNumber} processed. ${cleanItems.length} items returned (₹${returnTotal}).${orderDoc.status === 'returned' ? ' Order fully returned.' : ''}${refundableAmount > 0 ? ` Client is owed ₹${refundableAmount} refund.` : ''}`,
-      data: {
-        return: returnDoc.toObject(),
-        order: {
-          _id: orderDoc._id,
-          orderNumber: orderDoc.orderNumber,
-          grandTotal: orderDoc.grandTotal,
-          returnedAmount: orderDoc.returnedAmount,
-          effectiveTotal,
-          advance: orderDoc.advance,
-          balanceDue: orderDoc.balanceDue,
-          status: orderDoc.status,
-          paymentStatus: orderDoc.paymentStatus,
-          progress: orderDoc.progress,
-          isFastOrder: isFastOrder,
-          // Per-item return tracking for frontend
-          items: orderDoc.items.map(item => ({
-            productName: item.productName,
-            quantity: item.quantity,
-            price: item.price,
-            total: item.total,
-            deliveredQuantity: item.deliveredQuantity,
-            returnedQuantity: item.returnedQuantity || 0,
-            remainingQuantity: item.remainingQuantity,
-            // Computed: what's currently with the customer
-            activeWithCustomer: (item.deliveredQuantity || 0) - (item.returnedQuantity || 0)
-          }))
-        },
-        inventoryRestored: inventoryResult.affectedProducts || [],
-        refundableAmount: isFastOrder ? 0 : refundableAmount
-      }
+      message,
+      data
     });
   } catch (error) {
     console.error('Create return error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Server error'
     });
@@ -413,8 +178,8 @@ router.get('/:id', async (req, res) => {
 // @desc    Record a refund payment for a return. Creates a Payment record
 //          and updates the return's refunded amount and client's balances.
 //          Can be called multiple times for partial refunds.
-// @access  Private
-router.patch('/:id/refund', async (req, res) => {
+// @access  Private (payment.refund)
+router.patch('/:id/refund', requirePermission('payment.refund'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -455,6 +220,8 @@ router.patch('/:id/refund', async (req, res) => {
       });
     }
     
+    const before = returnDoc.toObject();
+    
     // ── CREATE REFUND PAYMENT RECORD ──
     const payment = new Payment({
       amount,
@@ -497,21 +264,31 @@ router.patch('/:id/refund', async (req, res) => {
       }
     }
     
+    await recordAudit(req, {
+      entity: 'return',
+      entityId: returnDoc._id,
+      entityRef: returnDoc.returnNumber,
+      action: 'refund',
+      before,
+      after: returnDoc.toObject(),
+      metadata: { paymentNumber: payment.paymentNumber, amount, paymentMethod, transactionReference, client: returnDoc.client }
+    });
+    
     // ── EMIT EVENTS ──
     const io = req.app.get('io');
     if (io) {
-      io.emit('return:refunded', {
+      emitEvent(io, 'return:refunded', {
         returnId: returnDoc._id,
         returnNumber: returnDoc.returnNumber,
         amount,
         refundStatus: returnDoc.refundStatus,
         paymentNumber: payment.paymentNumber
-      });
+      }, { orders: [returnDoc.order], clients: [returnDoc.client], employees: [req.user._id] });
       
-      io.emit('payment:recorded', {
+      emitEvent(io, 'payment:recorded', {
         payment: payment.toObject(),
         type: 'return_refund'
-      });
+      }, { orders: [returnDoc.order], clients: [returnDoc.client], employees: [req.user._id] });
     }
     
     res.json({
@@ -0,0 +1,230 @@
+const express = require('express');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { protect, requirePermission, requireTwoFactor } = require('../middleware/auth');
+const {
+  PERMISSIONS,
+  ALL,
+  SYSTEM_ROLES,
+  unknownPermissions,
+  invalidateRoleCache
+} = require('../utils/permissions');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * Validate a permissions array from the request body
+ * @returns {String|null} error message
+ */
+function checkPermissions(permissions) {
+  if (!Array.isArray(permissions)) return 'permissions must be an array of permission names';
+  const unknown = unknownPermissions(permissions);
+  if (unknown.length > 0) return `Unknown permission(s): ${unknown.join(', ')}. See GET /api/roles/permissions`;
+  return null;
+}
+
+// @route   GET /api/roles
+// @desc    All roles with their permissions and how many active users hold each
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+      User.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const userCounts = Object.fromEntries(counts.map(entry => [entry._id, entry.count]));
+
+    res.json({
+      success: true,
+      data: roles.map(role => ({ ...role, userCount: userCounts[role.name] || 0 }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/roles/permissions
+// @desc    Permission catalogue — name → description ('*' grants everything)
+// @access  Private
+router.get('/permissions', (req, res) => {
+  res.json({
+    success: true,
+    data: PERMISSIONS
+  });
+});
+
+// @route   POST /api/roles
+// @desc    Create a role. Body: { name, label, description?, permissions: [] }
+// @access  Private (role.manage)
+router.post('/', requirePermission('role.manage'), requireTwoFactor, async (req, res) => {
+  try {
+    const { name, label, description, permissions = [] } = req.body;
+
+    if (!name || !label) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role name and label are required'
+      });
+    }
+
+    const permissionError = checkPermissions(permissions);
+    if (permissionError) {
+      return res.status(400).json({
+        success: false,
+        error: permissionError
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      label,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user._id
+    });
+    invalidateRoleCache();
+
+    console.log(`🔐 Role "${role.name}" created by ${req.user.name}`);
+
+    res.status(201).json({
+      success: true,
+      data: role,
+      message: `Role "${role.label}" created successfully`
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/roles/:name
+// @desc    Update a role's label, description or permissions (applies to its users within a minute).
+//          The admin role always keeps every permission.
+// @access  Private (role.manage)
+router.put('/:name', requirePermission('role.manage'), requireTwoFactor, async (req, res) => {
+  try {
+    const { label, description, permissions } = req.body;
+    const name = req.params.name.toLowerCase();
+
+    const updateData = {};
+    if (label !== undefined) updateData.label = label;
+    if (description !== undefined) updateData.description = description;
+
+    if (permissions !== undefined) {
+      if (name === 'admin') {
+        return res.status(400).json({
+          success: false,
+          error: 'The admin role always has every permission'
+        });
+      }
+      const permissionError = checkPermissions(permissions);
+      if (permissionError) {
+        return res.status(400).json({
+          success: false,
+          error: permissionError
+        });
+      }
+      updateData.permissions = [...new Set(permissions)];
+    }
+
+    const role = await Role.findOneAndUpdate(
+      { name },
+      updateData,
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+    invalidateRoleCache();
+
+    console.log(`🔐 Role "${role.name}" updated by ${req.user.name}${updateData.permissions ? ` (${role.permissions.includes(ALL) ? 'all' : role.permissions.length} permissions)` : ''}`);
+
+    res.json({
+      success: true,
+      data: role,
+      message: `Role "${role.label}" updated successfully`
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/roles/:name
+// @desc    Delete a custom role - only if no user holds it. Built-in roles cannot be deleted.
+// @access  Private (role.manage)
+router.delete('/:name', requirePermission('role.manage'), requireTwoFactor, async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+
+    if (SYSTEM_ROLES.includes(name)) {
+      return res.status(400).json({
+        success: false,
+        error: `"${name}" is a built-in role and cannot be deleted`
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: name });
+    if (userCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot delete role. ${userCount} user(s) have this role. Please assign them another role first.`
+      });
+    }
+
+    const role = await Role.findOneAndDelete({ name }).lean();
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+    invalidateRoleCache();
+
+    res.json({
+      success: true,
+      message: `Role "${role.label}" deleted successfully`
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
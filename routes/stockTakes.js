@@ -0,0 +1,306 @@
+const express = require('express');
+const StockTake = require('../models/StockTake');
+const { protect, requirePermission } = require('../middleware/auth');
+const { delByPattern } = require('../config/redis');
+const { hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/auditLog');
+const {
+  findStockTake,
+  withVariances,
+  countSheet,
+  startStockTake,
+  submitCounts,
+  closeCounting,
+  reopenCounting,
+  reviewLines,
+  postStockTake,
+  getReport,
+  cancelStockTake
+} = require('../utils/stockTakeManager');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Counters (stock_take.count) and reviewers (inventory.adjust) both open stock-takes
+const canCountOrReview = (req, res, next) => {
+  if (hasPermission(req.user, 'inventory.adjust') || hasPermission(req.user, 'stock_take.count')) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    error: "Permission 'inventory.adjust' or 'stock_take.count' is required for this action"
+  });
+};
+
+// @route   GET /api/stock-takes
+// @desc    Stock-takes, newest first. Query: status (counting, review, posted, cancelled), page, limit
+//          Counters only see stock-takes that are counting.
+// @access  Private (inventory.adjust or stock_take.count)
+router.get('/', canCountOrReview, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const isReviewer = hasPermission(req.user, 'inventory.adjust');
+
+    const query = {};
+    if (status) query.status = status;
+    if (!isReviewer) query.status = 'counting';
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [stockTakes, total] = await Promise.all([
+      StockTake.find(query)
+        .select('-report -items.counts')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      StockTake.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: stockTakes.map(({ items, ...stockTake }) => ({
+        ...stockTake,
+        progress: {
+          products: items.length,
+          ...(isReviewer && { withVariance: items.filter(line => line.variance).length })
+        }
+      })),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get stock-takes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/stock-takes
+// @desc    Start a stock-take — snapshots stock of every tracked product. Body: { title, categories?: [id], notes? }
+// @access  Private (inventory.adjust)
+router.post('/', requirePermission('inventory.adjust'), async (req, res) => {
+  try {
+    const stockTake = await startStockTake(req.body, req.user, req.app.get('io'));
+
+    res.status(201).json({
+      success: true,
+      data: withVariances(stockTake),
+      message: `Stock-take ${stockTake.stockTakeNumber} started with ${stockTake.items.length} products`
+    });
+  } catch (error) {
+    console.error('Start stock-take error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/stock-takes/:id
+// @desc    One stock-take (by _id or number). Reviewers get system stock, counts and variances;
+//          counters get a blind count sheet with only their own counts.
+// @access  Private (inventory.adjust or stock_take.count)
+router.get('/:id', canCountOrReview, async (req, res) => {
+  try {
+    const stockTake = await findStockTake(req.params.id);
+
+    if (!stockTake) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stock-take not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: hasPermission(req.user, 'inventory.adjust')
+        ? withVariances(stockTake)
+        : countSheet(stockTake, req.user)
+    });
+  } catch (error) {
+    console.error('Get stock-take error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/stock-takes/:id/counts
+// @desc    Submit counted quantities. Body: { counts: [{ product, quantity, area?, note? }], deviceId? }
+//          A later count for the same product and area replaces the earlier one; areas add up.
+// @access  Private (stock_take.count or inventory.adjust)
+router.post('/:id/counts', canCountOrReview, async (req, res) => {
+  try {
+    const { stockTake, accepted } = await submitCounts(req.params.id, req.body, req.user, req.app.get('io'));
+
+    res.status(201).json({
+      success: true,
+      data: countSheet(stockTake, req.user),
+      message: `${accepted} count(s) recorded on ${stockTake.stockTakeNumber}`
+    });
+  } catch (error) {
+    console.error('Submit stock-take counts error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/stock-takes/:id/close
+// @desc    Close counting and work out variances (counting → review)
+// @access  Private (inventory.adjust)
+router.post('/:id/close', requirePermission('inventory.adjust'), async (req, res) => {
+  try {
+    const stockTake = await closeCounting(req.params.id, req.app.get('io'));
+    const withVariance = stockTake.items.filter(line => line.decision === 'pending').length;
+
+    res.json({
+      success: true,
+      data: stockTake,
+      message: `Counting closed — ${withVariance} variance(s) to review, ${stockTake.progress.notCounted} product(s) not counted`
+    });
+  } catch (error) {
+    console.error('Close stock-take counting error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/stock-takes/:id/reopen
+// @desc    Reopen counting for a recount (review → counting)
+// @access  Private (inventory.adjust)
+router.post('/:id/reopen', requirePermission('inventory.adjust'), async (req, res) => {
+  try {
+    const stockTake = await reopenCounting(req.params.id, req.app.get('io'));
+
+    res.json({
+      success: true,
+      data: stockTake,
+      message: `Counting reopened on ${stockTake.stockTakeNumber}`
+    });
+  } catch (error) {
+    console.error('Reopen stock-take counting error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/stock-takes/:id/review
+// @desc    Approve / reject variances. Body: { lines: [{ product, decision: 'approved' | 'rejected', note? }] }
+//          or { approveAll: true } for every pending variance
+// @access  Private (inventory.adjust)
+router.post('/:id/review', requirePermission('inventory.adjust'), async (req, res) => {
+  try {
+    const stockTake = await reviewLines(req.params.id, req.body);
+    const pending = stockTake.items.filter(line => line.decision === 'pending').length;
+
+    res.json({
+      success: true,
+      data: stockTake,
+      message: pending > 0 ? `${pending} variance(s) still pending` : 'All variances decided — ready to post'
+    });
+  } catch (error) {
+    console.error('Review stock-take error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/stock-takes/:id/post
+// @desc    Post approved variances to stock in one batch and freeze the report. Body: { reason }
+// @access  Private (inventory.adjust)
+router.post('/:id/post', requirePermission('inventory.adjust'), async (req, res) => {
+  try {
+    const { stockTake, stock } = await postStockTake(req.params.id, req.body, req.user, req.app.get('io'));
+
+    await recordAudit(req, {
+      entity: 'stock_take',
+      entityId: stockTake._id,
+      entityRef: stockTake.stockTakeNumber,
+      action: 'post',
+      before: { ...stockTake, status: 'review' },
+      after: stockTake,
+      metadata: {
+        reason: stockTake.reason,
+        summary: stockTake.report.summary,
+        adjustments: stock.affectedProducts.map(p => ({ product: p._id, name: p.name, before: p.oldInventory, after: p.newInventory }))
+      }
+    });
+
+    const deletedCount = await delByPattern('products:lowstock:*');
+    console.log(`🗑️  Low-stock caches invalidated after stock-take (${deletedCount} keys cleared)`);
+
+    res.json({
+      success: true,
+      data: stockTake,
+      message: `${stockTake.stockTakeNumber} posted — ${stock.affectedProducts.length} product(s) adjusted`
+    });
+  } catch (error) {
+    console.error('Post stock-take error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/stock-takes/:id/report
+// @desc    Variance report — frozen once posted (frozen: true), otherwise a preview from the current counts
+// @access  Private (inventory.adjust)
+router.get('/:id/report', requirePermission('inventory.adjust'), async (req, res) => {
+  try {
+    const report = await getReport(req.params.id);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get stock-take report error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/stock-takes/:id/cancel
+// @desc    Cancel a stock-take that is counting or in review (stock is not touched). Body: { reason? }
+// @access  Private (inventory.adjust)
+router.post('/:id/cancel', requirePermission('inventory.adjust'), async (req, res) => {
+  try {
+    const stockTake = await cancelStockTake(req.params.id, { reason: req.body?.reason }, req.app.get('io'));
+
+    res.json({
+      success: true,
+      data: stockTake,
+      message: `Stock-take ${stockTake.stockTakeNumber} cancelled`
+    });
+  } catch (error) {
+    console.error('Cancel stock-take error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+const SUPPLIER_FIELDS = ['name', 'contactPerson', 'phone', 'email', 'gstin', 'address', 'leadTimeDays', 'notes'];
+
+// Only the supplier fields that were sent
+function pickSupplierFields(body) {
+  const data = {};
+  SUPPLIER_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field] === '' ? null : body[field];
+  });
+  return data;
+}
+
+// @route   GET /api/suppliers
+// @desc    Get suppliers (with how many active products prefer each)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { active = 'true', search } = req.query;
+    const query = active !== 'all' ? { isActive: active === 'true' } : {};
+    if (search) {
+      query.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const [suppliers, productCounts] = await Promise.all([
+      Supplier.find(query).sort('name').lean(),
+      Product.aggregate([
+        { $match: { isActive: true, preferredSupplier: { $ne: null } } },
+        { $group: { _id: '$preferredSupplier', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countBySupplier = new Map(productCounts.map(row => [row._id.toString(), row.count]));
+
+    res.json({
+      success: true,
+      data: suppliers.map(supplier => ({
+        ...supplier,
+        productCount: countBySupplier.get(supplier._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   GET /api/suppliers/:id
+// @desc    Get supplier with the products that prefer it
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id).lean();
+
+    if (!supplier) {
+      return res.status(404).json({ success: false, error: 'Supplier not found' });
+    }
+
+    const products = await Product.find({ preferredSupplier: supplier._id, isActive: true })
+      .select('name inventory unit minStockLevel reorderPoint reorderQuantity')
+      .sort('name')
+      .lean();
+
+    res.json({ success: true, data: { ...supplier, products } });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   POST /api/suppliers
+// @desc    Create supplier { name, contactPerson?, phone?, email?, gstin?, address?, leadTimeDays?, notes? }
+// @access  Private (catalog.manage)
+router.post('/', requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ success: false, error: 'Supplier name is required' });
+    }
+
+    const supplier = await Supplier.create(pickSupplierFields(req.body));
+
+    res.status(201).json({ success: true, data: supplier });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, error: 'Supplier with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({ success: false, error: messages.join(', ') });
+    }
+    console.error('Create supplier error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/suppliers/:id
+// @desc    Update supplier (same fields as create, plus isActive)
+// @access  Private (catalog.manage)
+router.put('/:id', requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const updateData = pickSupplierFields(req.body);
+    if (req.body.isActive !== undefined) {
+      updateData.isActive = req.body.isActive === true || req.body.isActive === 'true';
+    }
+
+    const supplier = await Supplier.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!supplier) {
+      return res.status(404).json({ success: false, error: 'Supplier not found' });
+    }
+
+    res.json({ success: true, data: supplier });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, error: 'Supplier with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({ success: false, error: messages.join(', ') });
+    }
+    console.error('Update supplier error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/suppliers/:id
+// @desc    Soft delete supplier (products keep it as preferred supplier until changed)
+// @access  Private (catalog.manage)
+router.delete('/:id', requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    ).lean();
+
+    if (!supplier) {
+      return res.status(404).json({ success: false, error: 'Supplier not found' });
+    }
+
+    res.json({ success: true, message: 'Supplier deleted' });
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+module.exports = router;
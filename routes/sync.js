@@ -0,0 +1,117 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { processSyncBatch, getChanges, OPERATION_TYPES, CHANGE_TYPES } = require('../utils/syncManager');
+const { auditContext } = require('../utils/auditLog');
+const { hasPermission, redactClientBalance, redactOrderBalance } = require('../utils/permissions');
+const { delByPattern } = require('../config/redis');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// @route   POST /api/sync
+// @desc    Apply a batch of operations recorded offline (mixed types, max 100):
+//          order.create, order.update, order.cancel, payment, delivery, delivery.status, return
+//
+//          Body: { deviceId?, operations: [{ opId, type, order?, delivery?, baseVersion?,
+//                                            dependsOn?, clientTimestamp?, data }] }
+//          - opId: idempotency key — a replayed opId returns the stored result ("duplicate")
+//          - order: _id, order number, or the offlineId of an order created offline
+//          - baseVersion: the updatedAt the device last saw; edits made on the server since
+//            then come back as "conflict" with the server copy and its revisions
+//          - operations are applied in causal order; dependents of a failed operation are "skipped"
+//
+//          - order operations held back by an approval rule (large discount, cancelling an order
+//            with payments) are queued in /api/approvals and come back as "pending_approval"
+//
+//          Response: results in request order — status applied | duplicate | pending_approval |
+//                    conflict | failed | skipped
+//          Flutter marks applied/duplicate/pending_approval as synced, shows conflicts, retries failed/skipped later.
+//          Each operation needs the same permission as its REST endpoint (e.g. payment → payment.record).
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { operations, deviceId } = req.body;
+    const io = req.app.get('io');
+
+    const { results, summary } = await processSyncBatch(operations, {
+      user: req.user,
+      deviceId: deviceId || null,
+      io,
+      audit: auditContext(req)
+    });
+
+    if (summary.applied > 0) {
+      const deletedCacheKeys = await delByPattern('orders:list:*');
+      console.log(`🔄 Sync complete: ${summary.applied} applied, ${summary.duplicate} duplicates, ${summary.conflict} conflicts, ${summary.failed} failed, ${summary.skipped} skipped (${deletedCacheKeys} cache keys cleared)`);
+    }
+
+    res.json({
+      success: true,
+      results,
+      summary
+    });
+  } catch (error) {
+    console.error('Sync error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error during sync',
+      ...(error.statusCode === 400 && { operationTypes: OPERATION_TYPES })
+    });
+  }
+});
+
+// @route   GET /api/sync/changes?since=<cursor>&types=orders,clients&limit=500
+// @desc    Delta download — orders, clients, products, categories, colours and payments
+//          created / updated since the cursor, plus tombstones for deleted records.
+//          - No "since" → full download (start of a local copy)
+//          - Keep the returned cursor; while hasMore is true call again straight away
+//          - resyncRequired: true → the cursor is too old, drop local data and start without "since"
+//          limit is per type (default 500, max 2000). Deactivated products / colours come back
+//          as updates with isActive: false. Payments, client balance fields and order amounts
+//          paid / owed need client.view_balance (without it payments are left out of the default types).
+// @access  Private
+router.get('/changes', async (req, res) => {
+  try {
+    const { since, types, limit } = req.query;
+    const canViewBalances = hasPermission(req.user, 'client.view_balance');
+
+    let selected = types ? types.split(',').map(type => type.trim()).filter(Boolean) : undefined;
+    if (!canViewBalances) {
+      if (selected?.includes('payments')) {
+        return res.status(403).json({
+          success: false,
+          error: "Permission 'client.view_balance' is required for payments"
+        });
+      }
+      selected = selected || Object.keys(CHANGE_TYPES).filter(type => type !== 'payments');
+    }
+
+    const result = await getChanges(since, { types: selected, limit });
+
+    // Client balances and order amounts paid / owed need client.view_balance
+    const { clients, orders } = result.changes || {};
+    if (clients) {
+      clients.created = redactClientBalance(req.user, clients.created);
+      clients.updated = redactClientBalance(req.user, clients.updated);
+    }
+    if (orders) {
+      orders.created = redactOrderBalance(req.user, orders.created);
+      orders.updated = redactOrderBalance(req.user, orders.updated);
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Sync changes error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+/**
+ * PDF Page Check - Renders A4 invoices with many items and checks their page count
+ * (page-number footers must not push extra blank pages into multi-page bills).
+ * No database needed.
+ * Run: npm run check:pdf
+ */
+
+const { PassThrough } = require('stream');
+const { renderDeliveryInvoicePdf } = require('../utils/pdfGenerator');
+
+// Items on the invoice → pages expected
+const CASES = [
+  { items: 5, pages: 1 },
+  { items: 25, pages: 2 },
+  { items: 40, pages: 3 }, // totals block runs onto the third page
+  { items: 60, pages: 3 }
+];
+
+function sampleInvoice(itemCount) {
+  const items = Array.from({ length: itemCount }, (_, i) => ({
+    productName: `Chair ${i + 1}`,
+    quantity: 2,
+    price: 100,
+    total: 200,
+    hsnCode: '9403',
+    gstRate: 18
+  }));
+  return {
+    invoiceNumber: 'INV-CHECK',
+    invoiceDate: new Date(),
+    orderNumber: 'ORD-CHECK',
+    deliveryNumber: 'DEL-CHECK',
+    deliveryDate: new Date(),
+    partyName: 'Page Check',
+    mobile: '9999999999',
+    items,
+    subtotal: itemCount * 200,
+    grandTotal: itemCount * 200,
+    advance: 0,
+    balanceDue: itemCount * 200
+  };
+}
+
+// Page objects in the finished PDF ("/Type /Page", not "/Type /Pages")
+function renderPageCount(invoice) {
+  return new Promise((resolve, reject) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      const pdf = Buffer.concat(chunks).toString('latin1');
+      resolve((pdf.match(/\/Type \/Page\b(?!s)/g) || []).length);
+    });
+    stream.on('error', reject);
+    renderDeliveryInvoicePdf(invoice, stream, { format: 'a4' });
+  });
+}
+
+const checkPdfPages = async () => {
+  let failed = 0;
+
+  for (const { items, pages } of CASES) {
+    const count = await renderPageCount(sampleInvoice(items));
+    const ok = count === pages;
+    if (!ok) failed++;
+    console.log(`${ok ? '✅' : '❌'} ${items} items → ${count} page(s), expected ${pages}`);
+  }
+
+  if (failed > 0) {
+    console.error(`${failed} invoice(s) rendered the wrong number of pages`);
+    process.exit(1);
+  }
+  console.log('PDF page counts OK');
+};
+
+checkPdfPages();
@@ -0,0 +1,128 @@
+/**
+ * Stock Event Check - Stock changes made inside a transaction send their socket events after
+ * the commit, numbered (eventSeq) and logged for replay; aborted attempts send nothing.
+ * No database needed: Mongo calls are stubbed, and like the real capped RealtimeEvent log,
+ * sequencing / logging fails when it runs inside a transaction's session.
+ * Run: npm run check:stock-events
+ */
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const Counter = require('../models/Counter');
+const RealtimeEvent = require('../models/RealtimeEvent');
+
+mongoose.set('transactionAsyncLocalStorage', true);
+const { reduceInventory } = require('../utils/inventoryManager');
+
+const inTransaction = () => Boolean(mongoose.transactionAsyncLocalStorage.getStore()?.session);
+
+// ── Stubbed database: one product, a replica set, a transaction that retries write conflicts ──
+let stock = 10;
+let seq = 0;
+let ledgerFailures = [];
+let committed = false;
+const logged = [];
+
+mongoose.connection.db = { admin: () => ({ command: async () => ({ setName: 'rs0' }) }) };
+mongoose.connection.transaction = async (fn) => {
+  const session = {};
+  for (let attempt = 1; ; attempt++) {
+    const before = stock;
+    committed = false;
+    try {
+      const result = await new Promise((resolve, reject) => {
+        mongoose.transactionAsyncLocalStorage.run({ session }, () => fn(session).then(resolve, reject));
+      });
+      committed = true;
+      return result;
+    } catch (error) {
+      stock = before;
+      if (!/WriteConflict/.test(error.message) || attempt === 3) throw error;
+    }
+  }
+};
+
+Product.findOneAndUpdate = async (filter, update) => {
+  if (stock < filter.inventory.$gte) return null;
+  stock += update.$inc.inventory;
+  return { _id: filter._id, name: 'Wedding Tent', inventory: stock, minStockLevel: 0 };
+};
+InventoryMovement.insertMany = async (records) => {
+  const failure = ledgerFailures.shift();
+  if (failure) throw new Error(failure);
+  return records;
+};
+Counter.next = async () => {
+  if (inTransaction()) throw new Error('Counter.next ran inside the transaction');
+  return ++seq;
+};
+RealtimeEvent.create = async (entry) => {
+  if (inTransaction()) throw new Error('Cannot write to a capped collection in a transaction');
+  logged.push(entry);
+};
+
+// Socket.IO stand-in: records what was emitted and whether the transaction had committed
+const emitted = [];
+const io = { to: () => ({ emit: (event, message) => emitted.push({ event, message, committed }) }) };
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+const item = { product: new mongoose.Types.ObjectId(), productName: 'Wedding Tent', quantity: 2 };
+
+const CASES = [
+  {
+    name: 'committed stock change gets an eventSeq and a replay entry',
+    ledgerFailures: [],
+    expect: { success: true, events: 1 }
+  },
+  {
+    name: 'retried attempt sends its event once',
+    ledgerFailures: ['WriteConflict'],
+    expect: { success: true, events: 1 }
+  },
+  {
+    name: 'aborted transaction sends nothing',
+    ledgerFailures: ['disk full', 'disk full', 'disk full'],
+    expect: { success: false, events: 0 }
+  }
+];
+
+const checkStockEvents = async () => {
+  let failed = 0;
+  const { log, error } = console;
+
+  for (const testCase of CASES) {
+    emitted.length = 0;
+    logged.length = 0;
+    ledgerFailures = [...testCase.ledgerFailures];
+
+    console.log = () => {};
+    console.error = () => {};
+    const result = await reduceInventory([item], io, { movement: { source: { type: 'order' } } });
+    await settle();
+    console.log = log;
+    console.error = error;
+
+    const stockEvents = emitted.filter(e => e.event === 'product:inventory-updated');
+    const problems = [];
+    if (result.success !== testCase.expect.success) problems.push(`success ${result.success}`);
+    if (stockEvents.length !== testCase.expect.events) problems.push(`${stockEvents.length} event(s) sent`);
+    stockEvents.forEach(({ message, committed: afterCommit }) => {
+      if (!Number.isInteger(message.eventSeq)) problems.push('no eventSeq');
+      if (!afterCommit) problems.push('sent before commit');
+      if (!logged.some(entry => entry.seq === message.eventSeq)) problems.push('not in the replay log');
+    });
+
+    if (problems.length > 0) failed++;
+    console.log(`${problems.length === 0 ? '✅' : '❌'} ${testCase.name}${problems.length ? ` — ${problems.join(', ')}` : ''}`);
+  }
+
+  if (failed > 0) {
+    console.error(`${failed} stock event check(s) failed`);
+    process.exit(1);
+  }
+  console.log('Stock events OK');
+  process.exit(0);
+};
+
+checkStockEvents();
@@ -0,0 +1,155 @@
+/**
+ * Stock Fallback Check - On a standalone MongoDB server (no transactions), a stock change whose
+ * ledger records can't be written is undone by the function that made it, and records that
+ * were partly written are removed. Stock and ledger must end up as they started.
+ * No database needed: Product and InventoryMovement calls run against an in-memory store.
+ * Run: npm run check:stock-fallback
+ */
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+
+mongoose.set('transactionAsyncLocalStorage', true);
+const { reduceInventory, receiveStock } = require('../utils/inventoryManager');
+const { restockByCondition, reverseRestock } = require('../utils/damageManager');
+const { dispatchRentalItems, returnFromHire } = require('../utils/rentalManager');
+
+// ── In-memory store: one product on a standalone server ──
+const productId = new mongoose.Types.ObjectId();
+let product;
+let ledger;
+let ledgerFails;
+
+mongoose.connection.db = { admin: () => ({ command: async () => ({ ismaster: true }) }) };
+
+function matches(filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '_id') return String(condition) === String(productId);
+    const value = product[field];
+    if (condition && typeof condition === 'object') {
+      if ('$ne' in condition && value === condition.$ne) return false;
+      if ('$gte' in condition && !(value >= condition.$gte)) return false;
+      return true;
+    }
+    return value === condition;
+  });
+}
+
+function applyUpdate(update) {
+  if (Array.isArray(update)) {
+    product.inventory = (product.inventory ?? 0) + update[0].$set.inventory.$add[1];
+  } else if (update.$inc) {
+    Object.entries(update.$inc).forEach(([field, value]) => { product[field] = (product[field] || 0) + value; });
+  } else {
+    Object.assign(product, update);
+  }
+  return { _id: productId, name: 'Wedding Tent', ...product };
+}
+
+Product.findOneAndUpdate = async (filter, update) => (matches(filter) ? applyUpdate(update) : null);
+Product.findByIdAndUpdate = async (id, update) => applyUpdate(update);
+Product.findById = () => ({ select: () => ({ lean: async () => ({ _id: productId, name: 'Wedding Tent', ...product }) }) });
+
+// Writes the first record, then fails (ordered: false can leave part of a batch behind)
+InventoryMovement.insertMany = async (records) => {
+  if (!ledgerFails) {
+    ledger.push(...records);
+    return records;
+  }
+  ledger.push(records[0]);
+  throw new Error('disk full');
+};
+InventoryMovement.deleteMany = async ({ _id }) => {
+  const ids = _id.$in.map(String);
+  ledger = ledger.filter(record => !ids.includes(String(record._id)));
+};
+
+const line = (quantity, condition = 'good') => ({ product: productId, productName: 'Wedding Tent', quantity, condition });
+const movement = { source: { type: 'order' } };
+
+// Each case: stock to start from, the call (ledger failing), and what the call should report
+const CASES = [
+  {
+    name: 'reduceInventory',
+    run: () => reduceInventory([line(3)], null, { movement })
+  },
+  {
+    name: 'receiveStock',
+    run: () => receiveStock([line(5)], movement)
+  },
+  {
+    name: 'restockByCondition (good + damaged)',
+    run: () => restockByCondition([line(2), line(1, 'damaged')], null, { movement })
+  },
+  {
+    name: 'restockByCondition from hire',
+    start: { onHire: 4 },
+    run: () => restockByCondition([line(2), line(1, 'needs_cleaning')], null, { fromHire: true, movement })
+  },
+  {
+    name: 'reverseRestock keeps the recorded restock',
+    run: () => reverseRestock([{ product: productId, name: 'Wedding Tent', condition: 'good', quantity: 2, inc: { inventory: 2 } }], movement)
+  },
+  {
+    name: 'dispatchRentalItems',
+    run: () => dispatchRentalItems([line(2)], null, movement)
+  },
+  {
+    name: 'returnFromHire',
+    start: { onHire: 4 },
+    run: () => returnFromHire([line(2)], null, movement)
+  }
+];
+
+const checkStockFallback = async () => {
+  let failed = 0;
+  const { log, error } = console;
+
+  for (const testCase of CASES) {
+    product = { inventory: 10, onHire: 0, quarantineStock: 0, ...testCase.start };
+    const before = { ...product };
+    ledger = [];
+    ledgerFails = true;
+
+    console.log = () => {};
+    console.error = () => {};
+    let outcome;
+    try {
+      const result = await testCase.run();
+      outcome = result?.success === false ? 'reported failure' : 'reported success';
+    } catch (err) {
+      outcome = err.statusCode === 500 ? 'threw' : `threw ${err.message}`;
+    }
+    console.log = log;
+    console.error = error;
+
+    const problems = [];
+    if (outcome === 'reported success' || outcome.startsWith('threw ')) problems.push(outcome);
+    if (JSON.stringify(product) !== JSON.stringify(before)) problems.push(`stock ${JSON.stringify(before)} → ${JSON.stringify(product)}`);
+    if (ledger.length > 0) problems.push(`${ledger.length} movement(s) left in the ledger`);
+
+    if (problems.length > 0) failed++;
+    console.log(`${problems.length === 0 ? '✅' : '❌'} ${testCase.name}: ${problems.length ? problems.join(', ') : `${outcome}, stock and ledger unchanged`}`);
+  }
+
+  // The undo must only run on failure — a working ledger keeps the change and its record
+  product = { inventory: 10, onHire: 0, quarantineStock: 0 };
+  ledger = [];
+  ledgerFails = false;
+  console.log = () => {};
+  await restockByCondition([line(2)], null, { movement });
+  console.log = log;
+  const kept = product.inventory === 12 && ledger.length === 1;
+  if (!kept) failed++;
+  console.log(`${kept ? '✅' : '❌'} restockByCondition with a working ledger: inventory ${product.inventory}, ${ledger.length} movement(s)`);
+
+  if (failed > 0) {
+    console.error(`${failed} stock fallback check(s) failed`);
+    process.exit(1);
+  }
+  console.log('Stock fallback OK');
+  process.exit(0);
+};
+
+checkStockFallback();
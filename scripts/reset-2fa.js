@@ -0,0 +1,46 @@
+/**
+ * Reset Two-Factor Script - Turns off 2FA for an account that lost its authenticator
+ * and backup codes (e.g. the admin). Signs the account out of all devices.
+ * Run: npm run reset-2fa -- <username>
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { forceLogoutUser } = require('../utils/sessionManager');
+
+const resetTwoFactor = async () => {
+  const username = (process.argv[2] || '').toLowerCase();
+  if (!username) {
+    console.error('Usage: npm run reset-2fa -- <username>');
+    process.exit(1);
+  }
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+    
+    const user = await User.findOneAndUpdate(
+      { username },
+      { twoFactor: { enabled: false, enabledAt: null, secret: null, pendingSecret: null, backupCodes: [], lastUsedStep: null } }
+    ).select('username role').lean();
+    
+    if (!user) {
+      console.error(`User '${username}' not found`);
+    } else {
+      const revoked = await forceLogoutUser(user._id, { reason: '2fa_reset' });
+      console.log(`✅ Two-factor authentication reset for ${user.username} (${revoked} session(s) signed out)`);
+      console.log('   Log in with the password and set it up again.');
+    }
+    
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+    process.exit(user ? 0 : 1);
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    process.exit(1);
+  }
+};
+
+resetTwoFactor();
@@ -6,6 +6,7 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const { seedRoles } = require('../utils/permissions');
 
 const seedUsers = async () => {
   try {
@@ -13,6 +14,9 @@ const seedUsers = async () => {
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('Connected to MongoDB');
     
+    // Built-in roles (admin, manager, cashier, delivery_staff, accountant, viewer, employee)
+    await seedRoles();
+    
     // Check if admin exists
     const existingAdmin = await User.findOne({ role: 'admin' });
     
@@ -52,6 +56,7 @@ const seedUsers = async () => {
     console.log('Admin:');
     console.log('  Username: admin');
     console.log('  Password: Radhika@Khushbu@2004');
+    console.log('  Two-factor authentication must be set up at first login');
     console.log('\nEmployee:');
     console.log('  Username: employee');
     console.log('  Password: password@123');
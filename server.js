@@ -8,6 +8,8 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/db');
 const { connectRedis, getStatus } = require('./config/redis');
+const { initRealtime } = require('./utils/realtime');
+const { seedRoles } = require('./utils/permissions');
 
 // Route imports
 const authRoutes = require('./routes/auth');
@@ -24,8 +26,8 @@ const io = new Server(server);
 
 const PORT = 3102;
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then make sure the built-in roles exist
+connectDB().then(() => seedRoles());
 
 // Connect to Redis (non-blocking, optional)
 // System works fine without Redis, just slower
@@ -37,14 +39,8 @@ if (process.env.REDIS_ENABLED !== 'false') {
   console.log('ℹ️  Redis disabled via environment variable');
 }
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log(`🔌 Client connected: ${socket.id}`);
-  
-  socket.on('disconnect', () => {
-    console.log(`🔌 Client disconnected: ${socket.id}`);
-  });
-});
+// Socket.IO: JWT handshake + room-scoped events (see utils/realtime.js)
+initRealtime(io);
 
 // Make io accessible in routes
 app.set('io', io);
@@ -76,6 +72,7 @@ const authLimiter = rateLimit({
   }
 });
 app.use('/api/auth/login', authLimiter);
+app.use('/api/auth/refresh', authLimiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -88,12 +85,24 @@ app.use('/uploads', express.static('uploads'));
 app.use('/api/auth', authRoutes);
 app.use('/api/categories', require('./routes/categories'));
 app.use('/api/colours', require('./routes/colours'));
+app.use('/api/suppliers', require('./routes/suppliers'));
+app.use('/api/purchases', require('./routes/purchases'));
+app.use('/api/stock-takes', require('./routes/stockTakes'));
+app.use('/api/locations', require('./routes/locations'));
 app.use('/api/products', productRoutes);
+// Before /api/employees — staff use their own attendance without employee.manage
+app.use('/api/employees/:id/attendance', require('./routes/attendance'));
 app.use('/api/employees', employeeRoutes);
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/audit', require('./routes/audit'));
 app.use('/api/invoices', invoiceRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/approvals', require('./routes/approvals'));
 app.use('/api/clients', clientRoutes);
 app.use('/api/returns', require('./routes/returns'));
+app.use('/api/events', require('./routes/events'));
+app.use('/api/quotations', require('./routes/quotations'));
+app.use('/api/sync', require('./routes/sync'));
 app.use('/api/analytics', analyticsRoutes);
 
 // Health check route
@@ -186,8 +195,11 @@ app.get('/', (req, res) => {
         auth: '/api/auth',
         products: '/api/products',
         employees: '/api/employees',
+        roles: '/api/roles',
+        audit: '/api/audit',
         invoices: '/api/invoices',
         orders: '/api/orders',
+        approvals: '/api/approvals',
         clients: '/api/clients',
         analytics: '/api/analytics',
         health: '/api/health'
@@ -0,0 +1,274 @@
+const ApprovalRequest = require('../models/ApprovalRequest');
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const { createOrder, updateOrder, cancelOrder, deleteOrder } = require('./orderManager');
+const { hasPermission } = require('./permissions');
+const { emitEvent } = require('./realtime');
+
+/**
+ * Approval Manager
+ *
+ * Order actions that break an approval rule are stored as a pending ApprovalRequest
+ * instead of being applied:
+ *   discount              discount above 10% of the subtotal without discount.above_10pct (create / edit)
+ *   cancel                cancelling without order.cancel
+ *   cancel_with_payments  cancelling an order that has payments, without approval.decide
+ *   delete                deleting without order.delete
+ *   overbooking           creating an order with allowOverbooking without approval.decide
+ *
+ * Users with approval.decide approve or reject from /api/approvals. On approval the stored
+ * action runs through orderManager exactly as if the requester had made it — so the usual
+ * stock, delivery and lock checks still apply at that moment.
+ */
+
+const SEQUENCE = 'approval';
+
+const RULE_MESSAGES = {
+  discount: 'discount is above the allowed limit',
+  cancel: 'cancelling orders needs approval',
+  cancel_with_payments: 'the order has payments received',
+  delete: 'deleting orders needs approval',
+  overbooking: 'accepting an overbooking needs approval'
+};
+
+// Fields sent with socket notifications (the stored payload stays server-side)
+const SUMMARY_FIELDS = [
+  '_id', 'approvalNumber', 'type', 'rule', 'ruleDetails', 'status', 'order', 'orderNumber',
+  'partyName', 'reason', 'requestedBy', 'requestedByName', 'decidedByName', 'decisionNote',
+  'result', 'error', 'createdAt', 'decidedAt'
+];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function approvalQuery(id) {
+  const value = id.toString();
+  return /^[0-9a-fA-F]{24}$/.test(value) ? { _id: value } : { approvalNumber: value.toUpperCase() };
+}
+
+function summarize(approval) {
+  return Object.fromEntries(SUMMARY_FIELDS.map(field => [field, approval[field] ?? null]));
+}
+
+function describeRule(rule) {
+  return RULE_MESSAGES[rule] || rule;
+}
+
+/**
+ * Approval rule that holds back cancelling this order, or null if the user may cancel it
+ */
+function cancelApprovalRule(user, order) {
+  if (!hasPermission(user, 'order.cancel')) {
+    return { rule: 'cancel', details: { status: order.status } };
+  }
+  if ((order.advance || 0) > 0 && !hasPermission(user, 'approval.decide')) {
+    return { rule: 'cancel_with_payments', details: { advance: order.advance, grandTotal: order.grandTotal } };
+  }
+  return null;
+}
+
+/**
+ * Approval rule that holds back deleting this order, or null if the user may delete it
+ */
+function deleteApprovalRule(user, order) {
+  if (!hasPermission(user, 'order.delete')) {
+    return { rule: 'delete', details: { status: order.status, advance: order.advance || 0 } };
+  }
+  return null;
+}
+
+function notify(io, event, approval) {
+  emitEvent(io, event, { approval: summarize(approval) }, {
+    approvers: true,
+    employees: [approval.requestedBy]
+  });
+}
+
+/**
+ * Store an order action for approval
+ * A pending cancel / delete for the same order is reused; a pending edit is replaced
+ * by the newer one (it would fail against the changed order anyway).
+ * @param {Object} request - { type, rule, details, order (lean, optional), payload, reason }
+ * @returns {Object} { approval, existing }
+ */
+async function requestApproval({ type, rule, details = {}, order = null, payload = {}, reason = null }, user, io) {
+  if (order) {
+    const pending = await ApprovalRequest.findOne({ order: order._id, type, status: 'pending' }).lean();
+    if (pending && type !== 'order.update') {
+      return { approval: pending, existing: true };
+    }
+    if (pending) {
+      await ApprovalRequest.updateOne(
+        { _id: pending._id, status: 'pending' },
+        { status: 'withdrawn', decisionNote: 'Replaced by a newer edit' }
+      );
+    }
+  }
+
+  const seq = await Counter.next(SEQUENCE);
+  const approval = (await ApprovalRequest.create({
+    approvalNumber: `APR${String(seq).padStart(5, '0')}`,
+    type,
+    rule,
+    ruleDetails: details,
+    order: order?._id || null,
+    orderNumber: order?.orderNumber || null,
+    partyName: order?.partyName || payload.partyName || null,
+    baseVersion: order?.updatedAt || null,
+    payload,
+    reason,
+    requestedBy: user._id,
+    requestedByName: user.name
+  })).toObject();
+
+  console.log(`🕒 Approval ${approval.approvalNumber} requested: ${type} (${rule}) by ${user.name}`);
+  notify(io, 'approval:requested', approval);
+
+  return { approval, existing: false };
+}
+
+// Edits are replayed only on the version of the order they were made against
+async function assertOrderUnchanged(approval) {
+  const order = await Order.findById(approval.order).select('updatedAt').lean();
+  if (!order) {
+    throw httpError('Order no longer exists', 404);
+  }
+  if (approval.baseVersion && order.updatedAt > approval.baseVersion) {
+    throw httpError(`Order ${approval.orderNumber} was changed after this request was made. Ask for a new approval.`, 409);
+  }
+}
+
+// Run the stored action as the requester → result stored on the request
+const ACTIONS = {
+  'order.create': async (approval, io) => {
+    const result = await createOrder(approval.payload, approval.requestedBy, io, { approval });
+    return { orderId: result.order._id, orderNumber: result.order.orderNumber, grandTotal: result.order.grandTotal };
+  },
+  'order.update': async (approval, io) => {
+    await assertOrderUnchanged(approval);
+    const data = { ...approval.payload, changeReason: approval.payload.changeReason || `Approved request ${approval.approvalNumber}` };
+    const result = await updateOrder(approval.order, data, approval.requestedBy, io, { source: 'approval' });
+    return { orderId: result.order._id, orderNumber: result.order.orderNumber, message: result.message };
+  },
+  'order.cancel': async (approval, io) => {
+    const result = await cancelOrder(approval.order, approval.payload.reason || approval.reason, approval.requestedBy, io, { source: 'approval' });
+    return { orderId: result.order._id, orderNumber: result.order.orderNumber, status: result.order.status };
+  },
+  'order.delete': async (approval, io) => {
+    const result = await deleteOrder(approval.order, approval.requestedBy, io, {
+      source: 'approval',
+      reason: `Approved request ${approval.approvalNumber}`
+    });
+    return { orderNumber: result.order.orderNumber, deletedDeliveries: result.deletedDeliveries, deletedInvoices: result.deletedInvoices };
+  }
+};
+
+// Why a request can't be decided (not found / already decided)
+async function notPendingError(id) {
+  const approval = await ApprovalRequest.findOne(approvalQuery(id)).select('approvalNumber status').lean();
+  if (!approval) {
+    return httpError('Approval request not found', 404);
+  }
+  return httpError(`Approval request ${approval.approvalNumber} is already ${approval.status}`, 400);
+}
+
+/**
+ * Approve a pending request and run its action
+ * The request is claimed (pending → processing) first, so two approvers can't both run it.
+ * @throws {Error} statusCode 404 / 400 (not pending), or the action's own error —
+ *                 the request is then left as failed with the reason
+ */
+async function approveRequest(id, user, { note } = {}, io) {
+  const approval = await ApprovalRequest.findOneAndUpdate(
+    { ...approvalQuery(id), status: 'pending' },
+    { status: 'processing', decidedBy: user._id, decidedByName: user.name, decidedAt: new Date(), decisionNote: note || null },
+    { new: true }
+  ).lean();
+
+  if (!approval) {
+    throw await notPendingError(id);
+  }
+
+  let update;
+  let failure = null;
+  try {
+    update = { status: 'approved', result: await ACTIONS[approval.type](approval, io) };
+  } catch (error) {
+    failure = error;
+    update = { status: 'failed', error: error.message };
+  }
+
+  const saved = await ApprovalRequest.findByIdAndUpdate(approval._id, update, { new: true }).lean();
+  notify(io, 'approval:decided', saved);
+
+  if (failure) {
+    console.log(`⚠️  Approval ${saved.approvalNumber} approved by ${user.name} but failed: ${failure.message}`);
+    const error = httpError(`Approved, but the ${approval.type} could not be applied: ${failure.message}`, failure.statusCode && failure.statusCode < 500 ? 409 : 500);
+    error.approval = saved;
+    throw error;
+  }
+
+  console.log(`✅ Approval ${saved.approvalNumber} approved by ${user.name}`);
+  return saved;
+}
+
+/**
+ * Reject a pending request — nothing on the order changes
+ * @throws {Error} statusCode 404 / 400 (not pending)
+ */
+async function rejectRequest(id, user, { note } = {}, io) {
+  const approval = await ApprovalRequest.findOneAndUpdate(
+    { ...approvalQuery(id), status: 'pending' },
+    { status: 'rejected', decidedBy: user._id, decidedByName: user.name, decidedAt: new Date(), decisionNote: note || null },
+    { new: true }
+  ).lean();
+
+  if (!approval) {
+    throw await notPendingError(id);
+  }
+
+  console.log(`🚫 Approval ${approval.approvalNumber} rejected by ${user.name}`);
+  notify(io, 'approval:decided', approval);
+  return approval;
+}
+
+/**
+ * Withdraw your own pending request
+ * @throws {Error} statusCode 404 / 400 (not pending) / 403 (someone else's request)
+ */
+async function withdrawRequest(id, user, io) {
+  const approval = await ApprovalRequest.findOneAndUpdate(
+    { ...approvalQuery(id), status: 'pending', requestedBy: user._id },
+    { status: 'withdrawn', decidedAt: new Date() },
+    { new: true }
+  ).lean();
+
+  if (!approval) {
+    const existing = await ApprovalRequest.findOne(approvalQuery(id)).select('status').lean();
+    if (existing?.status === 'pending') {
+      throw httpError('Only the requester can withdraw this request', 403);
+    }
+    throw await notPendingError(id);
+  }
+
+  notify(io, 'approval:decided', approval);
+  return approval;
+}
+
+async function findApproval(id) {
+  return ApprovalRequest.findOne(approvalQuery(id)).lean();
+}
+
+module.exports = {
+  describeRule,
+  cancelApprovalRule,
+  deleteApprovalRule,
+  requestApproval,
+  approveRequest,
+  rejectRequest,
+  withdrawRequest,
+  findApproval
+};
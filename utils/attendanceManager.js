@@ -0,0 +1,450 @@
+const Attendance = require('../models/Attendance');
+const Leave = require('../models/Leave');
+const Delivery = require('../models/Delivery');
+const { emitEvent } = require('./realtime');
+
+/**
+ * Attendance Manager — shifts (check-in / check-out), leave and attendance reports
+ *
+ * Reports link the deliveries the employee recorded (Delivery.deliveredBy): per day by
+ * deliveryDate, and per shift by when the delivery was recorded (during the shift or
+ * outside of it), so field productivity can be compared with hours worked.
+ *
+ * Days are local calendar days (midnight to midnight, server time zone). A past day with
+ * no shift and no approved leave counts as absent.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DELIVERY_FIELDS = 'deliveryNumber orderNumber partyName deliveryDate actualDeliveryDate deliveryPerformance status grandTotal createdAt';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function startOfDay(value) {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+function sameId(a, b) {
+  return Boolean(a && b) && a.toString() === b.toString();
+}
+
+/**
+ * Parse a date query value
+ * @throws {Error} statusCode 400 for an invalid date
+ */
+function parseDay(value, label = 'date') {
+  // YYYY-MM-DD is a local day (new Date() would read it as UTC midnight)
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  const date = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : new Date(value || Date.now());
+  if (isNaN(date.getTime())) {
+    throw httpError(`${label} must be a valid date (YYYY-MM-DD)`, 400);
+  }
+  return startOfDay(date);
+}
+
+/**
+ * Check-in / check-out point from the request body
+ * Only managers recording for someone else may set `at`; the employee's own device uses the server time.
+ */
+function buildPoint(body = {}, employee, actor) {
+  const { latitude, longitude, accuracy, deviceId, note, at } = body;
+  const recordedForOther = !sameId(employee._id, actor._id);
+  const given = (value) => value !== undefined && value !== null && value !== '';
+
+  const hasLatitude = given(latitude);
+  const hasLongitude = given(longitude);
+  if (hasLatitude !== hasLongitude) {
+    throw httpError('latitude and longitude must be sent together', 400);
+  }
+  if (hasLatitude) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+      throw httpError('latitude must be between -90 and 90 and longitude between -180 and 180', 400);
+    }
+  }
+  if (given(accuracy) && !(Number(accuracy) >= 0)) {
+    throw httpError('accuracy must be a distance in metres', 400);
+  }
+
+  let time = new Date();
+  if (recordedForOther && at) {
+    time = new Date(at);
+    if (isNaN(time.getTime()) || time > new Date()) {
+      throw httpError('at must be a valid time that is not in the future', 400);
+    }
+  }
+
+  return {
+    at: time,
+    latitude: hasLatitude ? Number(latitude) : null,
+    longitude: hasLongitude ? Number(longitude) : null,
+    accuracy: given(accuracy) ? Number(accuracy) : null,
+    deviceId: deviceId || null,
+    note: note || null,
+    recordedBy: recordedForOther ? actor._id : null
+  };
+}
+
+/**
+ * Start a shift
+ * @param {Object} employee - user being checked in ({ _id, name })
+ * @param {Object} body - { latitude?, longitude?, accuracy?, deviceId?, note?, at? (managers only) }
+ * @param {Object} actor - signed-in user
+ * @throws {Error} statusCode 400 (bad location) / 409 (already checked in)
+ */
+async function checkIn(employee, body, actor, io) {
+  const point = buildPoint(body, employee, actor);
+
+  const open = await Attendance.findOne({ employee: employee._id, status: 'open' }).select('checkIn.at').lean();
+  if (open) {
+    throw httpError(`Already checked in since ${open.checkIn.at.toISOString()}. Check out first.`, 409);
+  }
+
+  let attendance;
+  try {
+    attendance = await Attendance.create({
+      employee: employee._id,
+      employeeName: employee.name,
+      date: startOfDay(point.at),
+      checkIn: point
+    });
+  } catch (error) {
+    // Parallel check-in won the race (unique open-shift index)
+    if (error.code === 11000) throw httpError('Already checked in. Check out first.', 409);
+    throw error;
+  }
+
+  console.log(`🟢 ${employee.name} checked in${point.latitude !== null ? ` at ${point.latitude},${point.longitude}` : ''}`);
+  emitEvent(io, 'attendance:checked-in', { attendance: attendance.toObject() }, { employees: [employee._id] });
+
+  return attendance.toObject();
+}
+
+/**
+ * End the open shift
+ * @throws {Error} statusCode 400 (bad location / time before check-in) / 404 (not checked in)
+ */
+async function checkOut(employee, body, actor, io) {
+  const point = buildPoint(body, employee, actor);
+
+  const open = await Attendance.findOne({ employee: employee._id, status: 'open' }).lean();
+  if (!open) {
+    throw httpError('Not checked in', 404);
+  }
+  if (point.at < open.checkIn.at) {
+    throw httpError('Check-out time is before the check-in time', 400);
+  }
+
+  const workedMinutes = Math.round((point.at - open.checkIn.at) / 60000);
+  const attendance = await Attendance.findOneAndUpdate(
+    { _id: open._id, status: 'open' },
+    { status: 'closed', checkOut: point, workedMinutes },
+    { new: true }
+  ).lean();
+
+  if (!attendance) {
+    throw httpError('Not checked in', 404);
+  }
+
+  console.log(`🔴 ${employee.name} checked out after ${(workedMinutes / 60).toFixed(1)}h`);
+  emitEvent(io, 'attendance:checked-out', { attendance }, { employees: [employee._id] });
+
+  return attendance;
+}
+
+// Approved leave overlapping [start, end)
+function approvedLeaves(employeeId, start, end) {
+  return Leave.find({
+    employee: employeeId,
+    status: 'approved',
+    from: { $lt: end },
+    to: { $gte: start }
+  })
+    .sort({ from: 1 })
+    .lean();
+}
+
+function deliveriesBetween(employeeId, start, end) {
+  return Delivery.find({
+    deliveredBy: employeeId,
+    deliveryDate: { $gte: start, $lt: end }
+  })
+    .select(DELIVERY_FIELDS)
+    .sort({ deliveryDate: 1 })
+    .lean();
+}
+
+function performanceCounts(deliveries) {
+  return {
+    onTime: deliveries.filter(delivery => delivery.deliveryPerformance === 'on_time').length,
+    early: deliveries.filter(delivery => delivery.deliveryPerformance === 'early').length,
+    late: deliveries.filter(delivery => delivery.deliveryPerformance === 'late').length
+  };
+}
+
+// Minutes of a shift, counting an open shift up to now
+function shiftMinutes(shift, now = new Date()) {
+  return shift.status === 'open'
+    ? Math.max(0, Math.round((now - shift.checkIn.at) / 60000))
+    : shift.workedMinutes;
+}
+
+/**
+ * One day of one employee: shifts (with the deliveries recorded during each), leave and deliveries
+ */
+async function dailyReport(employee, dateValue) {
+  const day = parseDay(dateValue);
+  const next = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+  const now = new Date();
+
+  const [shifts, leaves, deliveries] = await Promise.all([
+    Attendance.find({ employee: employee._id, date: day }).sort({ 'checkIn.at': 1 }).lean(),
+    approvedLeaves(employee._id, day, next),
+    deliveriesBetween(employee._id, day, next)
+  ]);
+
+  const inShift = new Set();
+  const shiftRows = shifts.map(shift => {
+    const end = shift.checkOut?.at || now;
+    const recorded = deliveries.filter(delivery => delivery.createdAt >= shift.checkIn.at && delivery.createdAt <= end);
+    recorded.forEach(delivery => inShift.add(delivery._id.toString()));
+    return {
+      ...shift,
+      workedMinutes: shiftMinutes(shift, now),
+      deliveries: recorded.map(delivery => delivery.deliveryNumber)
+    };
+  });
+
+  const workedMinutes = shiftRows.reduce((total, shift) => total + shift.workedMinutes, 0);
+  let status = 'absent';
+  if (shifts.length > 0) status = 'present';
+  else if (leaves.length > 0) status = 'on_leave';
+  else if (day > now) status = 'upcoming';
+
+  return {
+    employee: { _id: employee._id, name: employee.name },
+    date: day,
+    status,
+    checkedIn: shifts.some(shift => shift.status === 'open'),
+    firstCheckIn: shifts[0]?.checkIn.at || null,
+    lastCheckOut: shifts.filter(shift => shift.checkOut).map(shift => shift.checkOut.at).pop() || null,
+    workedMinutes,
+    workedHours: round2(workedMinutes / 60),
+    shifts: shiftRows,
+    leave: leaves[0] || null,
+    deliveries,
+    deliverySummary: {
+      total: deliveries.length,
+      duringShifts: inShift.size,
+      outsideShifts: deliveries.length - inShift.size,
+      ...performanceCounts(deliveries)
+    }
+  };
+}
+
+/**
+ * One calendar month of one employee: a row per day plus totals
+ * @param {String} month - YYYY-MM (default: current month)
+ */
+async function monthlyReport(employee, month) {
+  const now = new Date();
+  let start = new Date(now.getFullYear(), now.getMonth(), 1);
+  if (month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw httpError('month must be YYYY-MM', 400);
+    }
+    start = new Date(Number(match[1]), Number(match[2]) - 1, 1);
+  }
+  const end = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+  const today = startOfDay(now);
+
+  const [shifts, leaves, deliveries] = await Promise.all([
+    Attendance.find({ employee: employee._id, date: { $gte: start, $lt: end } }).sort({ 'checkIn.at': 1 }).lean(),
+    approvedLeaves(employee._id, start, end),
+    deliveriesBetween(employee._id, start, end)
+  ]);
+
+  const days = [];
+  for (let day = new Date(start); day < end; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    const key = day.getTime();
+    const dayShifts = shifts.filter(shift => shift.date.getTime() === key);
+    const dayDeliveries = deliveries.filter(delivery => startOfDay(delivery.deliveryDate).getTime() === key);
+    const leave = leaves.find(entry => entry.from.getTime() <= key && entry.to.getTime() >= key);
+    const workedMinutes = dayShifts.reduce((total, shift) => total + shiftMinutes(shift, now), 0);
+
+    let status = 'absent';
+    if (dayShifts.length > 0) status = 'present';
+    else if (leave) status = 'on_leave';
+    else if (day > today) status = 'upcoming';
+    else if (key === today.getTime()) status = 'not_checked_in';
+
+    days.push({
+      date: new Date(day),
+      status,
+      shifts: dayShifts.length,
+      firstCheckIn: dayShifts[0]?.checkIn.at || null,
+      lastCheckOut: dayShifts.filter(shift => shift.checkOut).map(shift => shift.checkOut.at).pop() || null,
+      workedMinutes,
+      leaveType: leave ? leave.type : null,
+      deliveries: dayDeliveries.length
+    });
+  }
+
+  const count = (status) => days.filter(day => day.status === status).length;
+  const presentDays = count('present');
+  const workedMinutes = days.reduce((total, day) => total + day.workedMinutes, 0);
+  const workedHours = round2(workedMinutes / 60);
+
+  return {
+    employee: { _id: employee._id, name: employee.name },
+    month: `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`,
+    summary: {
+      presentDays,
+      leaveDays: count('on_leave'),
+      absentDays: count('absent'),
+      workedMinutes,
+      workedHours,
+      averageHoursPerPresentDay: presentDays > 0 ? round2(workedHours / presentDays) : 0,
+      deliveries: deliveries.length,
+      deliveriesPerPresentDay: presentDays > 0 ? round2(deliveries.length / presentDays) : 0,
+      deliveriesPerHour: workedHours > 0 ? round2(deliveries.length / workedHours) : 0,
+      // Deliveries recorded on days without a shift
+      deliveriesOnDaysWithoutShift: days.filter(day => day.status !== 'present').reduce((total, day) => total + day.deliveries, 0),
+      ...performanceCounts(deliveries)
+    },
+    days
+  };
+}
+
+/**
+ * Request (or, for attendance.manage recording for someone else, directly record) leave
+ * @param {Object} body - { type?, from, to?, reason? }
+ * @param {Boolean} canManage - actor has attendance.manage
+ * @throws {Error} statusCode 400 (dates) / 409 (overlaps pending or approved leave)
+ */
+async function requestLeave(employee, body, actor, canManage, io) {
+  const { type = 'casual', reason } = body;
+  if (!body.from) {
+    throw httpError('from is required', 400);
+  }
+  const from = parseDay(body.from, 'from');
+  const to = parseDay(body.to || body.from, 'to');
+  if (to < from) {
+    throw httpError('to must be on or after from', 400);
+  }
+  if (!Leave.schema.path('type').enumValues.includes(type)) {
+    throw httpError(`type must be one of: ${Leave.schema.path('type').enumValues.join(', ')}`, 400);
+  }
+
+  const overlap = await Leave.findOne({
+    employee: employee._id,
+    status: { $in: ['pending', 'approved'] },
+    from: { $lte: to },
+    to: { $gte: from }
+  }).select('from to status').lean();
+  if (overlap) {
+    throw httpError(`Overlaps ${overlap.status} leave from ${overlap.from.toDateString()} to ${overlap.to.toDateString()}`, 409);
+  }
+
+  const recordDirectly = canManage && !sameId(employee._id, actor._id);
+  const leave = await Leave.create({
+    employee: employee._id,
+    employeeName: employee.name,
+    type,
+    from,
+    to,
+    days: Math.round((to - from) / DAY_MS) + 1,
+    reason: reason || null,
+    requestedBy: actor._id,
+    ...(recordDirectly && {
+      status: 'approved',
+      decidedBy: actor._id,
+      decidedByName: actor.name,
+      decidedAt: new Date()
+    })
+  });
+
+  emitEvent(io, recordDirectly ? 'leave:decided' : 'leave:requested', { leave: leave.toObject() }, { employees: [employee._id] });
+  return leave.toObject();
+}
+
+/**
+ * Approve or reject a pending leave request
+ * @param {String} decision - 'approved' | 'rejected'
+ * @throws {Error} statusCode 403 (own leave) / 404 / 409 (no longer pending)
+ */
+async function decideLeave(employeeId, leaveId, decision, actor, { note } = {}, io) {
+  if (sameId(employeeId, actor._id)) {
+    throw httpError('You cannot decide your own leave request', 403);
+  }
+
+  const leave = await Leave.findOneAndUpdate(
+    { _id: leaveId, employee: employeeId, status: 'pending' },
+    {
+      status: decision,
+      decidedBy: actor._id,
+      decidedByName: actor.name,
+      decidedAt: new Date(),
+      decisionNote: note || null
+    },
+    { new: true }
+  ).lean();
+
+  if (!leave) {
+    const exists = await Leave.exists({ _id: leaveId, employee: employeeId });
+    throw exists ? httpError('Leave request is no longer pending', 409) : httpError('Leave not found', 404);
+  }
+
+  console.log(`🗓️  Leave of ${leave.employeeName} (${leave.days} day(s)) ${decision} by ${actor.name}`);
+  emitEvent(io, 'leave:decided', { leave }, { employees: [employeeId] });
+  return leave;
+}
+
+/**
+ * Cancel leave — the employee while it is pending or has not started, attendance.manage any time
+ * @throws {Error} statusCode 404 / 409
+ */
+async function cancelLeave(employeeId, leaveId, actor, canManage, io) {
+  const query = { _id: leaveId, employee: employeeId, status: { $in: ['pending', 'approved'] } };
+  if (!canManage) {
+    query.$or = [{ status: 'pending' }, { from: { $gt: startOfDay(new Date()) } }];
+  }
+
+  const leave = await Leave.findOneAndUpdate(
+    query,
+    { status: 'cancelled', decidedBy: actor._id, decidedByName: actor.name, decidedAt: new Date() },
+    { new: true }
+  ).lean();
+
+  if (!leave) {
+    const exists = await Leave.exists({ _id: leaveId, employee: employeeId });
+    throw exists
+      ? httpError('This leave can no longer be cancelled', 409)
+      : httpError('Leave not found', 404);
+  }
+
+  emitEvent(io, 'leave:decided', { leave }, { employees: [employeeId] });
+  return leave;
+}
+
+module.exports = {
+  parseDay,
+  checkIn,
+  checkOut,
+  dailyReport,
+  monthlyReport,
+  requestLeave,
+  decideLeave,
+  cancelLeave
+};
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+const Counter = require('../models/Counter');
+const Session = require('../models/Session');
+const Order = require('../models/Order');
+const Client = require('../models/Client');
+const Invoice = require('../models/Invoice');
+const Product = require('../models/Product');
+const Return = require('../models/Return');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const SupplierBill = require('../models/SupplierBill');
+const StockTake = require('../models/StockTake');
+const StockTransfer = require('../models/StockTransfer');
+
+/**
+ * Audit Log — tamper-evident trail of financial mutations
+ *
+ *   await recordAudit(req, {
+ *     entity: 'order', entityId, entityRef: 'ORD2610001', action: 'payment',
+ *     before, after, metadata: { amount, paymentMethod }
+ *   });
+ *
+ * before / after may be full documents — only the fields in SNAPSHOT_FIELDS for the
+ * entity are kept. The first argument is the request (actor, IP, user agent, device)
+ * or a context built earlier with auditContext(req) (e.g. for offline sync batches).
+ *
+ * Hash chain: hash = sha256(canonical JSON of the entry's HASHED_FIELDS, including
+ * prevHash = the previous entry's hash). The highest seq ever written is also kept in
+ * the "audit" counter, so removing the newest entries is detected too. verifyAuditChain()
+ * recomputes everything.
+ *
+ * Recording fails open — an audit write error is logged and never fails the mutation.
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+const COUNTER = 'audit';
+const MAX_APPEND_ATTEMPTS = 5;
+const MAX_REPORTED_PROBLEMS = 50;
+
+const HASHED_FIELDS = [
+  'seq', 'at', 'actor', 'actorName', 'actorRole', 'ip', 'userAgent', 'deviceId', 'sessionId',
+  'entity', 'entityId', 'entityRef', 'action', 'before', 'after', 'metadata', 'prevHash'
+];
+
+// Values kept in before / after snapshots, per entity
+const SNAPSHOT_FIELDS = {
+  order: [
+    'orderNumber', 'status', 'paymentStatus', 'items', 'subtotal', 'localFreight', 'transportation',
+    'gstPercent', 'gstAmount', 'discount', 'grandTotal', 'advance', 'balanceDue',
+    'depositCollected', 'depositForfeited', 'depositRefunded', 'depositHeld', 'depositStatus'
+  ],
+  client: ['partyName', 'totalSpent', 'totalPaid', 'totalDue', 'advanceBalance', 'refundableBalance', 'depositHeld'],
+  invoice: [
+    'invoiceNumber', 'status', 'paymentStatus', 'deliveryStatus', 'items', 'subtotal', 'gstAmount',
+    'discount', 'grandTotal', 'advance', 'balanceDue'
+  ],
+  product: ['name', 'inventory', 'onHire', 'quarantineStock'],
+  return: ['returnNumber', 'orderNumber', 'returnTotal', 'damageChargeTotal', 'refundableAmount', 'refundedAmount', 'refundStatus'],
+  purchase_order: ['poNumber', 'supplierName', 'status', 'items', 'grandTotal', 'billedAmount'],
+  supplier_bill: ['billNumber', 'supplierBillNumber', 'supplierName', 'poNumber', 'status', 'amount', 'paidAmount', 'balanceDue'],
+  stock_take: ['stockTakeNumber', 'title', 'status', 'reason', 'postedByName', 'postedAt'],
+  stock_transfer: ['transferNumber', 'fromLocationName', 'toLocationName', 'status', 'items', 'cancelReason']
+};
+
+const MODELS = {
+  order: Order,
+  client: Client,
+  invoice: Invoice,
+  product: Product,
+  return: Return,
+  purchase_order: PurchaseOrder,
+  supplier_bill: SupplierBill,
+  stock_take: StockTake,
+  stock_transfer: StockTransfer
+};
+
+// ObjectIds → strings, Dates → ISO strings, undefined → null
+function normalize(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// JSON with object keys sorted, so the same entry always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashEntry(entry) {
+  const content = Object.fromEntries(HASHED_FIELDS.map(field => [field, normalize(entry[field] ?? null)]));
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+function snapshot(entity, doc) {
+  if (!doc) return null;
+  const fields = SNAPSHOT_FIELDS[entity];
+  const values = fields
+    ? Object.fromEntries(fields.filter(field => doc[field] !== undefined).map(field => [field, doc[field]]))
+    : doc;
+  return normalize(values);
+}
+
+/**
+ * Current values of a record, for the "before" side — read before mutating it
+ * @param {String|Object} idOrQuery - _id, or a query such as { orderNumber }
+ * @returns {Object|null} lean document with the entity's snapshot fields (null if not found / on error)
+ */
+async function auditSnapshot(entity, idOrQuery) {
+  const Model = MODELS[entity];
+  if (!Model || !idOrQuery) return null;
+  try {
+    const query = typeof idOrQuery === 'object' && !idOrQuery._bsontype ? idOrQuery : { _id: idOrQuery };
+    return await Model.findOne(query).select((SNAPSHOT_FIELDS[entity] || []).join(' ')).lean();
+  } catch (error) {
+    console.error(`⚠️  Could not read ${entity} for the audit log:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Who / from where, taken from a request (keep it for work that outlives the request)
+ */
+function auditContext(req) {
+  const user = req.user || {};
+  return {
+    actor: user._id || null,
+    actorName: user.name || null,
+    actorRole: user.role || null,
+    ip: req.ip || null,
+    userAgent: req.headers?.['user-agent'] || null,
+    deviceId: req.headers?.['x-device-id'] || req.body?.deviceId || null,
+    sessionId: user.sessionId ? user.sessionId.toString() : null
+  };
+}
+
+// Append with the next seq; a concurrent append taking the same seq (unique index) retries
+async function appendEntry(fields) {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash').lean();
+    const entry = {
+      ...fields,
+      seq: (last?.seq || 0) + 1,
+      prevHash: last?.hash || GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+
+    try {
+      await AuditLog.create(entry);
+      await Counter.updateOne({ _id: COUNTER }, { $max: { seq: entry.seq } }, { upsert: true });
+      return entry;
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/**
+ * Append an audit entry (fails open)
+ * @param {Object} source - the request, or a context from auditContext()
+ * @param {Object} entry - { entity, entityId, entityRef, action, before, after, metadata }
+ */
+async function recordAudit(source, { entity, entityId = null, entityRef = null, action, before = null, after = null, metadata = null }) {
+  try {
+    const context = source?.headers ? auditContext(source) : { ...source };
+
+    // Device of the signed-in session when the request didn't name one
+    if (!context.deviceId && context.sessionId) {
+      const session = await Session.findById(context.sessionId).select('deviceId').lean();
+      context.deviceId = session?.deviceId || null;
+    }
+
+    const entry = await appendEntry({
+      at: new Date(),
+      actor: context.actor ? context.actor.toString() : null,
+      actorName: context.actorName || null,
+      actorRole: context.actorRole || null,
+      ip: context.ip || null,
+      userAgent: context.userAgent || null,
+      deviceId: context.deviceId || null,
+      sessionId: context.sessionId || null,
+      entity,
+      entityId: entityId ? entityId.toString() : null,
+      entityRef: entityRef || null,
+      action,
+      before: snapshot(entity, before),
+      after: snapshot(entity, after),
+      metadata: metadata ? normalize(metadata) : null
+    });
+
+    console.log(`🧾 Audit #${entry.seq}: ${entity}.${action}${entityRef ? ` ${entityRef}` : ''} by ${context.actorName || 'system'}`);
+    return entry;
+  } catch (error) {
+    console.error(`⚠️  Could not write audit log (${entity}.${action}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Recompute the chain and report every break
+ * @returns {Object} { valid, checked, lastSeq, expectedLastSeq, problems: [{ seq, problem }] }
+ */
+async function verifyAuditChain() {
+  const problems = [];
+  const report = (seq, problem) => {
+    if (problems.length < MAX_REPORTED_PROBLEMS) problems.push({ seq, problem });
+  };
+
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+
+  const cursor = AuditLog.find().sort({ seq: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    checked++;
+    if (entry.seq !== expectedSeq) {
+      report(entry.seq, `Entries ${expectedSeq}-${entry.seq - 1} are missing`);
+    }
+    if (entry.prevHash !== prevHash) {
+      report(entry.seq, 'Does not link to the previous entry (prevHash mismatch)');
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      report(entry.seq, 'Contents were changed after it was written (hash mismatch)');
+    }
+    expectedSeq = entry.seq + 1;
+    prevHash = entry.hash;
+  }
+
+  const lastSeq = expectedSeq - 1;
+  const expectedLastSeq = await Counter.current(COUNTER);
+  if (expectedLastSeq > lastSeq) {
+    report(expectedLastSeq, `Latest entries ${lastSeq + 1}-${expectedLastSeq} are missing`);
+  }
+
+  return {
+    valid: problems.length === 0,
+    checked,
+    lastSeq,
+    expectedLastSeq,
+    problems
+  };
+}
+
+module.exports = {
+  SNAPSHOT_FIELDS,
+  auditContext,
+  auditSnapshot,
+  recordAudit,
+  verifyAuditChain
+};
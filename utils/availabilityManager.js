@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { isRentalLine } = require('./rentalManager');
+
+/**
+ * Availability Manager — date-aware stock for rental items
+ *
+ * Product.inventory is a single "on the shelf right now" number, so it cannot tell whether
+ * 20 shamianas are free on 14 December when three weddings overlap. This computes it per day:
+ *
+ *   owned        = inventory + onHire            (everything the shop has, in or out)
+ *   booked(day)  = Σ open rental lines covering that day (quantity not yet checked in)
+ *   free(day)    = owned − booked(day)
+ *
+ * Rules:
+ *   - A rental line covers hireFrom → hireTo (falls back to the order's expectedDeliveryDate)
+ *   - Units still out past hireTo (overdue) stay booked until they are checked in
+ *   - Sale lines already reduced inventory at order creation, so they are not counted again.
+ *     A NEW sale (order draft) consumes its quantity from today onwards.
+ *   - Products with inventory tracking disabled (null) are always available
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+function startOfDay(value) {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+function toDayKey(date) {
+  const d = new Date(date);
+  const month = (d.getMonth() + 1).toString().padStart(2, '0');
+  const day = d.getDate().toString().padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse and validate a from/to range (inclusive, whole days)
+ * @throws {Error} statusCode 400 on invalid or too-long range
+ */
+function parseRange(from, to) {
+  const start = startOfDay(from || new Date());
+  const end = startOfDay(to || from || new Date());
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    const error = new Error('Invalid from/to date');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (end < start) {
+    const error = new Error('"to" cannot be before "from"');
+    error.statusCode = 400;
+    throw error;
+  }
+  if ((end - start) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    const error = new Error(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Open rental bookings for the given products that touch [start, end]
+ * @returns {Array} [{ productId, orderId, orderNumber, partyName, quantity, from, to, overdue }]
+ */
+async function getRentalBookings(productIds, start, end, { excludeOrderId } = {}) {
+  const query = {
+    hasRentalItems: true,
+    status: { $nin: ['cancelled', 'completed'] },
+    'items.product': { $in: productIds }
+  };
+  if (excludeOrderId && mongoose.isValidObjectId(excludeOrderId)) {
+    query._id = { $ne: excludeOrderId };
+  }
+
+  const orders = await Order.find(query)
+    .select('orderNumber partyName expectedDeliveryDate items.product items.lineType items.quantity items.deliveredQuantity items.checkedInQuantity items.hireFrom items.hireTo')
+    .lean();
+
+  const today = startOfDay(new Date());
+  const idSet = new Set(productIds.map(id => id.toString()));
+  const bookings = [];
+
+  for (const order of orders) {
+    for (const line of order.items) {
+      if (!isRentalLine(line) || !line.product || !idSet.has(line.product.toString())) continue;
+
+      const quantity = (line.quantity || 0) - (line.checkedInQuantity || 0);
+      if (quantity <= 0) continue;
+
+      const from = startOfDay(line.hireFrom || order.expectedDeliveryDate || today);
+      let to = startOfDay(line.hireTo || from);
+
+      // Out past the return date → stays booked until it is checked in
+      const outOnHire = (line.deliveredQuantity || 0) - (line.checkedInQuantity || 0);
+      const overdue = outOnHire > 0 && to < today;
+      if (overdue) {
+        to = end > to ? end : to;
+      }
+
+      if (from > end || to < start) continue;
+
+      bookings.push({
+        productId: line.product.toString(),
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        partyName: order.partyName,
+        quantity,
+        from,
+        to,
+        overdue
+      });
+    }
+  }
+
+  return bookings;
+}
+
+/**
+ * Per-day calendar for one product from pre-loaded bookings
+ */
+function buildCalendar(product, bookings, start, end) {
+  const tracked = product.inventory !== null && product.inventory !== undefined;
+  const owned = tracked ? (product.inventory || 0) + (product.onHire || 0) : null;
+
+  const days = [];
+  for (let day = new Date(start); day <= end; day = new Date(day.getTime() + DAY_MS)) {
+    const dayStart = startOfDay(day);
+    const dayBookings = bookings.filter(b => b.from <= dayStart && b.to >= dayStart);
+    const booked = dayBookings.reduce((sum, b) => sum + b.quantity, 0);
+
+    days.push({
+      date: toDayKey(dayStart),
+      booked,
+      free: tracked ? owned - booked : null,
+      bookings: dayBookings.map(b => ({
+        orderId: b.orderId,
+        orderNumber: b.orderNumber,
+        partyName: b.partyName,
+        quantity: b.quantity,
+        overdue: b.overdue
+      }))
+    });
+  }
+
+  return {
+    productId: product._id,
+    productName: product.name,
+    tracked,
+    owned,
+    inventory: product.inventory,
+    onHire: product.onHire || 0,
+    from: toDayKey(start),
+    to: toDayKey(end),
+    minFree: tracked && days.length > 0 ? Math.min(...days.map(d => d.free)) : null,
+    days
+  };
+}
+
+/**
+ * Availability calendar for a single product
+ * @param {String} productId - Product ID
+ * @param {Date|String} from - First day (default today)
+ * @param {Date|String} to - Last day (default = from)
+ * @param {Object} options - { excludeOrderId } — ignore an order's own bookings (order edits)
+ */
+async function getProductAvailability(productId, from, to, options = {}) {
+  const { start, end } = parseRange(from, to);
+
+  const product = await Product.findById(productId).select('name inventory onHire').lean();
+  if (!product) {
+    const error = new Error('Product not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const bookings = await getRentalBookings([product._id], start, end, options);
+  return buildCalendar(product, bookings, start, end);
+}
+
+/**
+ * Check whether an order draft fits the calendar
+ * Rental lines need `quantity` free on every day of their hire window;
+ * sale lines need it free on every day from today until the last existing booking.
+ *
+ * @param {Array} items - Draft lines { product, productName, quantity, lineType, hireFrom, hireTo }
+ * @param {Object} options - { excludeOrderId }
+ * @returns {Object} { available, items: [{ productId, productName, tracked, requested, minFree, shortfalls }] }
+ */
+async function checkAvailability(items, options = {}) {
+  const today = startOfDay(new Date());
+  const lines = (items || []).filter(item => item.product && mongoose.isValidObjectId(item.product) && item.quantity > 0);
+
+  if (lines.length === 0) {
+    return { available: true, items: [] };
+  }
+
+  // Demand windows per product
+  const demandsByProduct = new Map();
+  for (const item of lines) {
+    const key = item.product.toString();
+    if (!demandsByProduct.has(key)) demandsByProduct.set(key, []);
+
+    if (isRentalLine(item)) {
+      const from = startOfDay(item.hireFrom || today);
+      demandsByProduct.get(key).push({
+        quantity: item.quantity,
+        from,
+        to: startOfDay(item.hireTo || from)
+      });
+    } else {
+      demandsByProduct.get(key).push({ quantity: item.quantity, from: today, to: null });
+    }
+  }
+
+  const productIds = [...demandsByProduct.keys()];
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('name inventory onHire')
+    .lean();
+
+  // One booking query for the whole draft
+  const rangeStart = new Date(Math.min(today.getTime(), ...[...demandsByProduct.values()].flat().map(d => d.from.getTime())));
+  const rangeEnd = new Date(Math.max(
+    rangeStart.getTime(),
+    ...[...demandsByProduct.values()].flat().filter(d => d.to).map(d => d.to.getTime())
+  ) + MAX_RANGE_DAYS * DAY_MS);
+  const bookings = await getRentalBookings(products.map(p => p._id), rangeStart, rangeEnd, options);
+
+  const results = [];
+  for (const product of products) {
+    const key = product._id.toString();
+    const demands = demandsByProduct.get(key);
+    const productBookings = bookings.filter(b => b.productId === key);
+    const requested = demands.reduce((sum, d) => sum + d.quantity, 0);
+
+    if (product.inventory === null || product.inventory === undefined) {
+      results.push({ productId: product._id, productName: product.name, tracked: false, requested, minFree: null, shortfalls: [] });
+      continue;
+    }
+
+    // Sale demand runs until the last day anything is booked (or today)
+    const lastBookedDay = productBookings.reduce((max, b) => (b.to > max ? b.to : max), today);
+    const windows = demands.map(d => ({ ...d, to: d.to || lastBookedDay }));
+    const start = windows.reduce((min, d) => (d.from < min ? d.from : min), windows[0].from);
+    const end = windows.reduce((max, d) => (d.to > max ? d.to : max), windows[0].to);
+
+    const calendar = buildCalendar(product, productBookings, start, end);
+    const shortfalls = [];
+    let minFree = null;
+
+    calendar.days.forEach((day, index) => {
+      const dayStart = startOfDay(start.getTime() + index * DAY_MS);
+      const needed = windows
+        .filter(d => d.from <= dayStart && d.to >= dayStart)
+        .reduce((sum, d) => sum + d.quantity, 0);
+      if (needed === 0) return;
+
+      minFree = minFree === null ? day.free : Math.min(minFree, day.free);
+      if (needed > day.free) {
+        shortfalls.push({
+          date: day.date,
+          requested: needed,
+          free: Math.max(0, day.free),
+          bookedBy: day.bookings.map(b => b.orderNumber)
+        });
+      }
+    });
+
+    results.push({ productId: product._id, productName: product.name, tracked: true, requested, minFree, shortfalls });
+  }
+
+  return {
+    available: results.every(r => r.shortfalls.length === 0),
+    items: results
+  };
+}
+
+/**
+ * Readable summary of shortfalls for error messages
+ */
+function describeShortfalls(result) {
+  return result.items
+    .filter(item => item.shortfalls.length > 0)
+    .map(item => {
+      const first = item.shortfalls[0];
+      const more = item.shortfalls.length > 1 ? ` (+${item.shortfalls.length - 1} more day(s))` : '';
+      return `"${item.productName}" on ${first.date}: free ${first.free}, requested ${first.requested}${more}`;
+    })
+    .join('; ');
+}
+
+module.exports = {
+  getProductAvailability,
+  checkAvailability,
+  describeShortfalls,
+  getRentalBookings
+};
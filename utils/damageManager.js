@@ -0,0 +1,227 @@
+const Product = require('../models/Product');
+const { emitEvent } = require('./realtime');
+const { recordMovements, transactional, inStockTransaction } = require('./inventoryManager');
+
+/**
+ * Damage & Loss Assessment
+ *
+ * Items coming back (sales returns or rental check-ins) carry a condition:
+ *   good           → back into Product.inventory
+ *   damaged        → Product.quarantineStock (needs repair before it can go out again)
+ *   needs_cleaning → Product.quarantineStock (needs cleaning before it can go out again)
+ *   lost           → never comes back (rental: leaves onHire, owned stock shrinks)
+ *
+ * A line may carry a damageCharge (assessed by staff) with a damageReason.
+ * Charges are added to the order (order.additionalCharges → grandTotal → balanceDue).
+ */
+
+const CONDITIONS = ['good', 'damaged', 'lost', 'needs_cleaning'];
+
+// Condition → additionalCharges.type
+const CHARGE_TYPES = {
+  good: 'damage',
+  damaged: 'damage',
+  needs_cleaning: 'cleaning',
+  lost: 'loss'
+};
+
+const CONDITION_LABELS = {
+  good: 'Good',
+  damaged: 'Damaged',
+  needs_cleaning: 'Needs cleaning',
+  lost: 'Lost'
+};
+
+/**
+ * Validate condition + damage charge on an incoming line
+ * @returns {Object} { condition, damageCharge, damageReason }
+ * @throws {Error} statusCode 400 on an unknown condition or a charge without a reason
+ */
+function assessLine(item) {
+  const condition = item.condition || 'good';
+  if (!CONDITIONS.includes(condition)) {
+    const error = new Error(`Invalid condition "${condition}" for "${item.productName || 'Unknown'}". Use: ${CONDITIONS.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const damageCharge = Math.round((Number(item.damageCharge) || 0) * 100) / 100;
+  if (damageCharge < 0) {
+    const error = new Error(`Damage charge for "${item.productName || 'Unknown'}" cannot be negative`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const damageReason = (item.damageReason || '').trim();
+  if (damageCharge > 0 && !damageReason && condition === 'good') {
+    const error = new Error(`A damageReason is required to charge for "${item.productName || 'Unknown'}" returned in good condition`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { condition, damageCharge, damageReason };
+}
+
+/**
+ * Stock movement for a quantity coming back in a given condition
+ * fromHire: the units were counted in onHire (rental check-in)
+ */
+function stockDelta(condition, quantity, fromHire) {
+  const inc = {};
+  if (fromHire) inc.onHire = -quantity;
+  if (condition === 'good') inc.inventory = quantity;
+  if (condition === 'damaged' || condition === 'needs_cleaning') inc.quarantineStock = quantity;
+  return inc;
+}
+
+/**
+ * Put returned stock where it belongs by condition (ATOMIC per line)
+ * Products with inventory tracking disabled (null) are skipped; a physical return is never blocked.
+ *
+ * @param {Array} items - { product, productName, quantity, condition }
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} options - { fromHire, movement } — fromHire: units come back from onHire;
+ *                           movement: ledger context for units back in inventory ('return' / 'rental_return')
+ * @returns {Object} { success, moves: [{ product, name, condition, quantity, inc, inventory, quarantineStock }] }
+ * @throws {Error} statusCode 500 when the movements can't be recorded (nothing is restocked then)
+ */
+async function restockByCondition(items, io, { fromHire = false, movement = {} } = {}) {
+  const moves = [];
+
+  for (const item of items) {
+    const productId = item.product?._id || item.product;
+    if (!productId) continue;
+
+    const inc = stockDelta(item.condition || 'good', item.quantity, fromHire);
+    if (Object.keys(inc).length === 0) continue;
+
+    const filter = { _id: productId, inventory: { $ne: null } };
+    if (fromHire) filter.onHire = { $gte: item.quantity };
+
+    const result = await Product.findOneAndUpdate(filter, { $inc: inc }, { new: true, lean: true });
+    if (!result) continue;
+
+    moves.push({
+      product: result._id,
+      name: result.name,
+      condition: item.condition || 'good',
+      quantity: item.quantity,
+      inc,
+      inventory: result.inventory,
+      onHire: result.onHire || 0,
+      quarantineStock: result.quarantineStock || 0
+    });
+
+    if (io) {
+      emitEvent(io, 'product:inventory-updated', {
+        product: {
+          _id: result._id,
+          name: result.name,
+          inventory: result.inventory,
+          onHire: result.onHire || 0,
+          quarantineStock: result.quarantineStock || 0,
+          category: result.category,
+          price: result.price
+        }
+      }, { staff: true });
+    }
+  }
+
+  try {
+    await recordMovements(inventoryMovements(moves, movement.type || (fromHire ? 'rental_return' : 'return')), movement);
+  } catch (error) {
+    // Stock back without its ledger record must not stand
+    if (!inStockTransaction()) await shiftMoves(moves, -1);
+    throw error;
+  }
+
+  const quarantined = moves.filter(m => m.inc.quarantineStock);
+  if (quarantined.length > 0) {
+    console.log(`🔧 Quarantined: ${quarantined.map(m => `${m.name} ×${m.quantity} (${m.condition})`).join(', ')}`);
+  }
+
+  return { success: true, moves };
+}
+
+/**
+ * Ledger entries for the moves that changed Product.inventory (good condition only —
+ * quarantine and onHire are not part of the ledger)
+ */
+function inventoryMovements(moves, type) {
+  return moves
+    .filter(move => move.inc.inventory)
+    .map(move => ({
+      product: move.product,
+      productName: move.name,
+      type,
+      quantity: move.inc.inventory,
+      before: move.inventory - move.inc.inventory,
+      after: move.inventory
+    }));
+}
+
+/**
+ * Apply restockByCondition moves again (sign 1) or take them back (sign -1)
+ * @returns {Array} The moves as applied, with the inventory after each
+ */
+async function shiftMoves(moves, sign) {
+  const shifted = [];
+  for (const move of moves) {
+    const inc = {};
+    Object.entries(move.inc).forEach(([field, value]) => { inc[field] = sign * value; });
+    const result = await Product.findByIdAndUpdate(move.product, { $inc: inc }, { new: true, lean: true });
+    if (result) shifted.push({ ...move, inc, inventory: result.inventory });
+  }
+  return shifted;
+}
+
+/**
+ * Undo restockByCondition moves (used when the order/return save fails afterwards)
+ * @param {Object|null} movement - Ledger context; the reversal is recorded as 'rollback'
+ *                                 (null: undoing a restock that was never recorded)
+ */
+async function reverseRestock(moves, movement = {}) {
+  const reversed = await shiftMoves(moves, -1);
+  if (!movement) return;
+
+  try {
+    await recordMovements(inventoryMovements(reversed, 'rollback'), movement);
+  } catch (error) {
+    // The recorded restock stays in force rather than an unrecorded reversal
+    if (!inStockTransaction()) await shiftMoves(moves, 1);
+    throw error;
+  }
+}
+
+/**
+ * Group assessed lines into order charges (one per charge type) with a reason trail
+ * @param {Array} lines - { productName, quantity, condition, damageCharge, damageReason }
+ * @param {String} source - e.g. "Return RET26100001" or "Check-in"
+ * @returns {Array} [{ type, amount, description }]
+ */
+function buildDamageCharges(lines, source) {
+  const byType = new Map();
+
+  for (const line of lines) {
+    if (!line.damageCharge || line.damageCharge <= 0) continue;
+    const type = CHARGE_TYPES[line.condition] || 'damage';
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push(line);
+  }
+
+  return [...byType.entries()].map(([type, typeLines]) => ({
+    type,
+    amount: Math.round(typeLines.reduce((sum, l) => sum + l.damageCharge, 0) * 100) / 100,
+    description: `${source}: ${typeLines.map(l =>
+      `${l.productName} ×${l.quantity} ${CONDITION_LABELS[l.condition].toLowerCase()}${l.damageReason ? ` (${l.damageReason})` : ''} ₹${l.damageCharge}`
+    ).join(', ')}`
+  }));
+}
+
+module.exports = {
+  CONDITIONS,
+  assessLine,
+  restockByCondition: transactional(restockByCondition),
+  reverseRestock: transactional(reverseRestock),
+  buildDamageCharges
+};
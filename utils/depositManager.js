@@ -0,0 +1,259 @@
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const Client = require('../models/Client');
+const { invalidateOrderCache, initializeOrderCache } = require('./orderCache');
+const { emitEvent, orderScope } = require('./realtime');
+
+/**
+ * Security Deposit Manager
+ *
+ * Decoration hires take a refundable deposit. It is NOT an order payment:
+ *   - never added to order.advance, so balanceDue / paymentStatus stay correct
+ *   - never part of grandTotal
+ *   - tracked in order.depositTransactions (collect → forfeit for damages → refund the rest)
+ *   - cash movements also get a Payment record (deposit_collected / deposit_refund)
+ *   - client.depositHeld is the total still held across the client's orders
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+async function findOrder(orderId) {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    const error = new Error('Order not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return order;
+}
+
+function validateAmount(amount) {
+  if (!amount || isNaN(amount) || amount <= 0) {
+    const error = new Error('Deposit amount must be positive');
+    error.statusCode = 400;
+    throw error;
+  }
+  return round2(Number(amount));
+}
+
+/**
+ * Save the order and keep caches / client total / listeners in sync
+ */
+async function saveDepositChange(order, clientDelta, transaction, io) {
+  order.$locals.revision = { by: transaction.recordedBy, source: 'deposit', reason: `Deposit ${transaction.type}` };
+  await order.save(); // pre-save recalculates deposit totals + status
+
+  if (order.client && clientDelta !== 0) {
+    try {
+      await Client.findByIdAndUpdate(order.client, { $inc: { depositHeld: clientDelta } });
+    } catch (clientErr) {
+      console.error('⚠️ Error updating client deposit balance:', clientErr.message);
+    }
+  }
+
+  await invalidateOrderCache(order._id.toString());
+  await initializeOrderCache(order.toObject());
+
+  if (io) {
+    emitEvent(io, 'order:deposit-updated', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      transaction,
+      depositCollected: order.depositCollected,
+      depositForfeited: order.depositForfeited,
+      depositRefunded: order.depositRefunded,
+      depositHeld: order.depositHeld,
+      depositStatus: order.depositStatus
+    }, orderScope(order));
+  }
+}
+
+/**
+ * Payment record for deposit cash (only when the order has a client — Payment.client is required)
+ */
+async function createDepositPayment(order, paymentType, amount, data, userId) {
+  if (!order.client) return null;
+
+  const payment = new Payment({
+    amount,
+    paymentDate: data.paymentDate || new Date(),
+    paymentMethod: data.paymentMethod || 'cash',
+    transactionReference: data.transactionReference,
+    client: order.client,
+    partyName: order.partyName,
+    mobile: order.mobile,
+    order: order._id,
+    orderNumber: order.orderNumber,
+    paymentType,
+    isAllocated: true,
+    allocatedAmount: amount,
+    remainingAmount: 0,
+    recordedBy: userId,
+    notes: data.notes || (paymentType === 'deposit_collected'
+      ? `Security deposit for ${order.orderNumber}`
+      : `Deposit refund for ${order.orderNumber}`),
+    recordedFrom: 'order_page'
+  });
+
+  await payment.save();
+  return payment;
+}
+
+/**
+ * Collect (or top up) a security deposit on an order
+ * @param {Object} data - { amount, paymentMethod, paymentDate, transactionReference, notes }
+ */
+async function collectDeposit(orderId, data, userId, io) {
+  try {
+    const amount = validateAmount(data.amount);
+    const order = await findOrder(orderId);
+
+    if (order.status === 'cancelled') {
+      const error = new Error('Cannot collect a deposit on a cancelled order');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const payment = await createDepositPayment(order, 'deposit_collected', amount, data, userId);
+
+    order.depositTransactions.push({
+      type: 'collect',
+      amount,
+      date: data.paymentDate || new Date(),
+      paymentMethod: data.paymentMethod || 'cash',
+      transactionReference: data.transactionReference,
+      reason: data.notes,
+      payment: payment?._id || null,
+      paymentNumber: payment?.paymentNumber || null,
+      recordedBy: userId
+    });
+    const transaction = order.depositTransactions[order.depositTransactions.length - 1];
+
+    await saveDepositChange(order, amount, transaction.toObject(), io);
+    console.log(`🔐 Deposit collected for ${order.orderNumber}: ₹${amount} (held ₹${order.depositHeld})`);
+
+    return {
+      success: true,
+      order: order.toObject(),
+      transaction: transaction.toObject(),
+      payment: payment ? payment.toObject() : null
+    };
+  } catch (error) {
+    console.error('Collect deposit error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Forfeit part of the held deposit (damages / missing items) — money is kept, nothing is paid out
+ * @param {Object} data - { amount, reason }
+ */
+async function forfeitDeposit(orderId, data, userId, io) {
+  try {
+    const amount = validateAmount(data.amount);
+    const order = await findOrder(orderId);
+
+    if (!data.reason || !data.reason.trim()) {
+      const error = new Error('A reason is required to forfeit a deposit');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (amount > order.depositHeld) {
+      const error = new Error(`Forfeit amount (₹${amount}) exceeds deposit held (₹${order.depositHeld})`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    order.depositTransactions.push({
+      type: 'forfeit',
+      amount,
+      date: data.date || new Date(),
+      reason: data.reason.trim(),
+      recordedBy: userId
+    });
+    const transaction = order.depositTransactions[order.depositTransactions.length - 1];
+
+    await saveDepositChange(order, -amount, transaction.toObject(), io);
+    console.log(`⚠️  Deposit forfeited for ${order.orderNumber}: ₹${amount} — ${data.reason.trim()}`);
+
+    return {
+      success: true,
+      order: order.toObject(),
+      transaction: transaction.toObject()
+    };
+  } catch (error) {
+    console.error('Forfeit deposit error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Refund held deposit to the client (defaults to everything still held)
+ * @param {Object} data - { amount?, paymentMethod, paymentDate, transactionReference, notes }
+ */
+async function refundDeposit(orderId, data, userId, io) {
+  try {
+    const order = await findOrder(orderId);
+    const amount = validateAmount(data.amount !== undefined ? data.amount : order.depositHeld);
+
+    if (amount > order.depositHeld) {
+      const error = new Error(`Refund amount (₹${amount}) exceeds deposit held (₹${order.depositHeld})`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const payment = await createDepositPayment(order, 'deposit_refund', amount, data, userId);
+
+    order.depositTransactions.push({
+      type: 'refund',
+      amount,
+      date: data.paymentDate || new Date(),
+      paymentMethod: data.paymentMethod || 'cash',
+      transactionReference: data.transactionReference,
+      reason: data.notes,
+      payment: payment?._id || null,
+      paymentNumber: payment?.paymentNumber || null,
+      recordedBy: userId
+    });
+    const transaction = order.depositTransactions[order.depositTransactions.length - 1];
+
+    await saveDepositChange(order, -amount, transaction.toObject(), io);
+    console.log(`💸 Deposit refunded for ${order.orderNumber}: ₹${amount} (held ₹${order.depositHeld})`);
+
+    return {
+      success: true,
+      order: order.toObject(),
+      transaction: transaction.toObject(),
+      payment: payment ? payment.toObject() : null
+    };
+  } catch (error) {
+    console.error('Refund deposit error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Deposit totals for a client across all orders
+ */
+async function getClientDepositSummary(clientId) {
+  const orders = await Order.find({ client: clientId, depositStatus: { $ne: 'none' } })
+    .select('orderNumber depositCollected depositForfeited depositRefunded depositHeld depositStatus')
+    .lean();
+
+  return {
+    collected: round2(orders.reduce((sum, o) => sum + (o.depositCollected || 0), 0)),
+    forfeited: round2(orders.reduce((sum, o) => sum + (o.depositForfeited || 0), 0)),
+    refunded: round2(orders.reduce((sum, o) => sum + (o.depositRefunded || 0), 0)),
+    held: round2(orders.reduce((sum, o) => sum + (o.depositHeld || 0), 0)),
+    ordersHoldingDeposit: orders
+      .filter(o => o.depositHeld > 0)
+      .map(o => ({ orderNumber: o.orderNumber, depositHeld: o.depositHeld, depositStatus: o.depositStatus }))
+  };
+}
+
+module.exports = {
+  collectDeposit,
+  forfeitDeposit,
+  refundDeposit,
+  getClientDepositSummary
+};
@@ -0,0 +1,94 @@
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+
+/**
+ * Event Manager — helpers shared by /api/events and the order flow
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Find an event by ObjectId or event number (EVT26120001)
+ * @returns {Object|null} Lean event
+ */
+async function findEvent(id, select) {
+  if (!id) return null;
+  const idString = id.toString();
+  const isObjectId = /^[0-9a-fA-F]{24}$/.test(idString);
+  const query = isObjectId ? { _id: idString } : { eventNumber: idString.toUpperCase() };
+
+  let finder = Event.findOne(query);
+  if (select) finder = finder.select(select);
+  return finder.lean();
+}
+
+/**
+ * Resolve the event an order is being created under
+ * @throws {Error} statusCode 400 when the event is missing or cancelled
+ */
+async function resolveEventForOrder(eventId) {
+  const event = await findEvent(eventId, 'eventNumber name status');
+  if (!event) {
+    const error = new Error(`Event "${eventId}" not found`);
+    error.statusCode = 400;
+    throw error;
+  }
+  if (event.status === 'cancelled') {
+    const error = new Error(`Event ${event.eventNumber} is cancelled. Orders cannot be added to it.`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return event;
+}
+
+/**
+ * Consolidated billing across all orders of an event
+ * Cancelled orders are listed but not counted.
+ */
+async function getEventBilling(eventId) {
+  const orders = await Order.find({ event: eventId })
+    .select('orderNumber partyName orderDate expectedDeliveryDate status paymentStatus progress subtotal gstAmount cgstAmount sgstAmount igstAmount discount grandTotal returnedAmount additionalChargesTotal advance balanceDue depositHeld')
+    .sort('orderDate')
+    .lean();
+
+  const active = orders.filter(o => o.status !== 'cancelled');
+  const sum = (field) => round2(active.reduce((total, o) => total + (o[field] || 0), 0));
+
+  const grandTotal = sum('grandTotal');
+  const returnedAmount = sum('returnedAmount');
+
+  return {
+    orders: orders.map(o => ({
+      ...o,
+      effectiveTotal: round2((o.grandTotal || 0) - (o.returnedAmount || 0))
+    })),
+    summary: {
+      totalOrders: active.length,
+      cancelledOrders: orders.length - active.length,
+      subtotal: sum('subtotal'),
+      gstAmount: sum('gstAmount'),
+      cgstAmount: sum('cgstAmount'),
+      sgstAmount: sum('sgstAmount'),
+      igstAmount: sum('igstAmount'),
+      discount: sum('discount'),
+      additionalCharges: sum('additionalChargesTotal'),
+      grandTotal,
+      returnedAmount,
+      effectiveTotal: round2(grandTotal - returnedAmount),
+      paid: sum('advance'),
+      balanceDue: sum('balanceDue'),
+      depositHeld: sum('depositHeld'),
+      paymentStatus: active.length === 0
+        ? 'unpaid'
+        : active.every(o => o.paymentStatus === 'paid')
+          ? 'paid'
+          : active.some(o => o.paymentStatus !== 'unpaid') ? 'partial' : 'unpaid'
+    }
+  };
+}
+
+module.exports = {
+  findEvent,
+  resolveEventForOrder,
+  getEventBilling
+};
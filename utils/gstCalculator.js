@@ -0,0 +1,197 @@
+const Product = require('../models/Product');
+
+/**
+ * GST Calculator
+ * Per-line GST with HSN/SAC codes and the CGST/SGST vs IGST split.
+ *
+ * Rate resolution for each line (first match wins):
+ *   1. item.gstRate   — explicit rate sent with the line (or carried from the order line)
+ *   2. product.gstRate — rate configured on the product master
+ *   3. gstPercent      — document-level default (legacy single-rate behaviour)
+ *
+ * Supply type:
+ *   placeOfSupply (2-digit state code) === shop state code → intra-state → CGST + SGST (half each)
+ *   placeOfSupply differs                                   → inter-state → IGST (full rate)
+ *   Unknown place of supply is treated as intra-state (walk-in / local customer)
+ *
+ * GST is charged on the line totals (subtotal) only. Freight and discount stay outside
+ * the taxable value, same as the original single-rate formula, so legacy documents
+ * without HSN rates produce exactly the same gstAmount as before.
+ */
+
+// 2-digit state code, PAN, entity number, Z, check character
+const GSTIN_PATTERN = /^\d{2}[A-Z0-9]{13}$/;
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Shop's own state code: SHOP_STATE_CODE, else the first 2 digits of SHOP_GSTIN
+ */
+function getShopStateCode() {
+  const explicit = (process.env.SHOP_STATE_CODE || '').trim();
+  if (explicit) return explicit.padStart(2, '0');
+  const gstin = (process.env.SHOP_GSTIN || '').trim();
+  return /^\d{2}/.test(gstin) ? gstin.slice(0, 2) : null;
+}
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function isRate(value) {
+  return value !== undefined && value !== null && value !== '' && !isNaN(Number(value));
+}
+
+/**
+ * Resolve place of supply (state code) for a document
+ * Priority: explicit value → client.stateCode → client GSTIN prefix → null
+ */
+function resolvePlaceOfSupply(placeOfSupply, client) {
+  if (placeOfSupply) return String(placeOfSupply).trim().padStart(2, '0');
+  if (client?.stateCode) return String(client.stateCode).trim().padStart(2, '0');
+  if (client?.gstin && /^\d{2}/.test(client.gstin)) return client.gstin.slice(0, 2);
+  return null;
+}
+
+/**
+ * Validate a client's GST details; the state code defaults to the GSTIN's state prefix
+ * @returns {Object} { gstin, stateCode } — null when not given
+ * @throws {Error} statusCode 400 on a malformed GSTIN / state code, or a state code the GSTIN contradicts
+ */
+function resolveClientGst(gstin, stateCode) {
+  const normalizedGstin = gstin ? String(gstin).trim().toUpperCase() : null;
+  if (normalizedGstin && !GSTIN_PATTERN.test(normalizedGstin)) {
+    throw httpError(`Invalid GSTIN ${normalizedGstin} (expected 15 characters starting with the 2-digit state code)`, 400);
+  }
+  
+  const gstinStateCode = normalizedGstin ? normalizedGstin.slice(0, 2) : null;
+  const code = stateCode ? String(stateCode).trim().padStart(2, '0') : gstinStateCode;
+  if (code && !/^\d{2}$/.test(code)) {
+    throw httpError(`Invalid state code ${stateCode} (expected 2 digits)`, 400);
+  }
+  if (gstinStateCode && code !== gstinStateCode) {
+    throw httpError(`State code ${code} does not match GSTIN ${normalizedGstin} (state ${gstinStateCode})`, 400);
+  }
+  
+  return { gstin: normalizedGstin, stateCode: code };
+}
+
+function isInterStateSupply(placeOfSupply) {
+  const shopStateCode = getShopStateCode();
+  if (!placeOfSupply || !shopStateCode) return false;
+  return placeOfSupply !== shopStateCode;
+}
+
+/**
+ * Split a line's tax into CGST/SGST or IGST
+ * CGST takes the rounded half and SGST the remainder so the parts always add up
+ */
+function splitTax(taxAmount, isInterState) {
+  const tax = round2(taxAmount);
+  if (isInterState) {
+    return { cgstAmount: 0, sgstAmount: 0, igstAmount: tax };
+  }
+  const cgstAmount = round2(tax / 2);
+  return { cgstAmount, sgstAmount: round2(tax - cgstAmount), igstAmount: 0 };
+}
+
+/**
+ * Compute tax for a single line at a known rate
+ */
+function computeLineTax(taxableValue, gstRate, isInterState) {
+  const taxable = round2(taxableValue);
+  const rate = Number(gstRate) || 0;
+  return {
+    taxableValue: taxable,
+    gstRate: rate,
+    ...splitTax((taxable * rate) / 100, isInterState)
+  };
+}
+
+/**
+ * Sum the tax components of already-taxed lines
+ */
+function sumTax(items) {
+  const totals = items.reduce((acc, item) => {
+    acc.cgstAmount += item.cgstAmount || 0;
+    acc.sgstAmount += item.sgstAmount || 0;
+    acc.igstAmount += item.igstAmount || 0;
+    return acc;
+  }, { cgstAmount: 0, sgstAmount: 0, igstAmount: 0 });
+
+  totals.cgstAmount = round2(totals.cgstAmount);
+  totals.sgstAmount = round2(totals.sgstAmount);
+  totals.igstAmount = round2(totals.igstAmount);
+  totals.gstAmount = round2(totals.cgstAmount + totals.sgstAmount + totals.igstAmount);
+  return totals;
+}
+
+/**
+ * Apply GST to document lines
+ * @param {Array} items - Lines with { product, total, gstRate?, hsnCode? }
+ * @param {Object} options - { gstPercent, placeOfSupply, client, resetRates }
+ *   resetRates: ignore rates stored on the lines (used when the document-level GST % is changed)
+ * @returns {Object} { items, gstAmount, cgstAmount, sgstAmount, igstAmount, placeOfSupply, isInterState }
+ */
+async function applyGst(items, options = {}) {
+  const { gstPercent = 0, client = null, resetRates = false } = options;
+  const placeOfSupply = resolvePlaceOfSupply(options.placeOfSupply, client);
+  const isInterState = isInterStateSupply(placeOfSupply);
+
+  // One query for all product tax masters
+  const productIds = [...new Set(items.map(i => i.product?.toString()).filter(Boolean))];
+  const products = productIds.length > 0
+    ? await Product.find({ _id: { $in: productIds } }).select('hsnCode gstRate').lean()
+    : [];
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  const taxedItems = items.map(item => {
+    const product = productMap.get(item.product?.toString()) || {};
+    const gstRate = !resetRates && isRate(item.gstRate)
+      ? Number(item.gstRate)
+      : (isRate(product.gstRate) ? Number(product.gstRate) : Number(gstPercent) || 0);
+    const taxableValue = item.total !== undefined ? item.total : (item.price || 0) * (item.quantity || 0);
+
+    return {
+      ...item,
+      hsnCode: item.hsnCode || product.hsnCode || '',
+      ...computeLineTax(taxableValue, gstRate, isInterState)
+    };
+  });
+
+  return {
+    items: taxedItems,
+    ...sumTax(taxedItems),
+    placeOfSupply,
+    isInterState
+  };
+}
+
+/**
+ * Reverse tax for returned quantity of a line, at the rate charged on the original line
+ * @param {Object} originalLine - Order line (carries gstRate)
+ * @param {Number} taxableValue - Value of the returned quantity
+ * @param {Boolean} isInterState - Supply type of the original document
+ */
+function reverseLineTax(originalLine, taxableValue, isInterState) {
+  return {
+    hsnCode: originalLine.hsnCode || '',
+    ...computeLineTax(taxableValue, originalLine.gstRate || 0, isInterState)
+  };
+}
+
+module.exports = {
+  applyGst,
+  computeLineTax,
+  reverseLineTax,
+  sumTax,
+  resolvePlaceOfSupply,
+  resolveClientGst,
+  isInterStateSupply,
+  getShopStateCode,
+  round2
+};
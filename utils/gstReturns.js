@@ -0,0 +1,540 @@
+const DeliveryInvoice = require('../models/DeliveryInvoice');
+const Return = require('../models/Return');
+const Product = require('../models/Product');
+const { getShopStateCode, round2 } = require('./gstCalculator');
+
+/**
+ * GST Returns
+ * Builds GSTR-1 and GSTR-3B for a month from DeliveryInvoice (outward supplies)
+ * and Return (credit notes against the original invoice).
+ *
+ * GSTR-1 sections produced:
+ *   b2b    → invoices to registered customers (customer GSTIN present)
+ *   b2cl   → inter-state invoices to unregistered customers above B2CL_LIMIT
+ *   b2cs   → all other unregistered supplies, aggregated by place of supply + rate
+ *   cdnr   → credit notes to registered customers
+ *   cdnur  → credit notes against B2CL invoices
+ *   hsn    → HSN/SAC summary (net of credit notes)
+ *
+ * Credit notes against B2CS invoices are netted into the B2CS rows, as the portal expects.
+ * The JSON under `portal` follows the GST offline tool schema and can be uploaded as-is.
+ */
+
+// Inter-state B2C invoices above this value are reported invoice-wise (B2CL)
+const B2CL_LIMIT = 100000;
+
+const STATE_NAMES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka',
+  '30': 'Goa', '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+// Product unit → GST Unit Quantity Code
+const UQC_MAP = {
+  piece: 'PCS', pcs: 'PCS', nos: 'NOS', set: 'SET', pair: 'PRS',
+  meter: 'MTR', metre: 'MTR', mtr: 'MTR', kg: 'KGS', kgs: 'KGS',
+  sqft: 'SQF', sqm: 'SQM', roll: 'ROL', box: 'BOX', dozen: 'DOZ', day: 'OTH'
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Parse "YYYY-MM" into a date range
+ */
+function getMonthRange(month) {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+  if (!match) {
+    const error = new Error('month is required in YYYY-MM format');
+    error.statusCode = 400;
+    throw error;
+  }
+  const year = parseInt(match[1], 10);
+  const monthIndex = parseInt(match[2], 10) - 1;
+  if (monthIndex < 0 || monthIndex > 11) {
+    const error = new Error('Invalid month');
+    error.statusCode = 400;
+    throw error;
+  }
+  return {
+    start: new Date(year, monthIndex, 1),
+    end: new Date(year, monthIndex + 1, 0, 23, 59, 59, 999),
+    fp: `${match[2]}${match[1]}` // Return period as the portal expects (MMYYYY)
+  };
+}
+
+// Portal JSON date: dd-mm-yyyy
+function portalDate(value) {
+  const date = new Date(value);
+  return `${date.getDate().toString().padStart(2, '0')}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getFullYear()}`;
+}
+
+// Offline tool CSV date: dd-Mon-yyyy
+function csvDate(value) {
+  const date = new Date(value);
+  return `${date.getDate().toString().padStart(2, '0')}-${MONTHS[date.getMonth()]}-${date.getFullYear()}`;
+}
+
+function posLabel(code) {
+  return code ? `${code}-${STATE_NAMES[code] || 'Unknown'}` : '';
+}
+
+/**
+ * Group a document's lines by GST rate
+ * Legacy documents (single gstPercent, no per-line rates) become one line at that rate
+ */
+function rateLines(doc) {
+  const hasLineTax = (doc.items || []).some(item => item.gstRate !== undefined && item.gstRate !== null);
+
+  if (!hasLineTax) {
+    const txval = round2(doc.taxableValue !== undefined
+      ? doc.taxableValue
+      : (doc.subtotal !== undefined ? doc.subtotal : (doc.returnTotal || 0)));
+    const tax = round2(doc.gstAmount || doc.taxAmount || 0);
+    const half = round2(tax / 2);
+    return [{
+      rt: doc.gstPercent || 0,
+      txval,
+      iamt: doc.isInterState ? tax : 0,
+      camt: doc.isInterState ? 0 : half,
+      samt: doc.isInterState ? 0 : round2(tax - half),
+      csamt: 0
+    }];
+  }
+
+  const byRate = new Map();
+  for (const item of doc.items) {
+    const rt = item.gstRate || 0;
+    const line = byRate.get(rt) || { rt, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+    line.txval += item.taxableValue !== undefined ? item.taxableValue : (item.total || 0);
+    line.iamt += item.igstAmount || 0;
+    line.camt += item.cgstAmount || 0;
+    line.samt += item.sgstAmount || 0;
+    byRate.set(rt, line);
+  }
+
+  return [...byRate.values()].map(line => ({
+    rt: line.rt,
+    txval: round2(line.txval),
+    iamt: round2(line.iamt),
+    camt: round2(line.camt),
+    samt: round2(line.samt),
+    csamt: 0
+  }));
+}
+
+function toPortalItems(lines) {
+  return lines.map((line, index) => ({
+    num: index + 1,
+    itm_det: { rt: line.rt, txval: line.txval, iamt: line.iamt, camt: line.camt, samt: line.samt, csamt: line.csamt }
+  }));
+}
+
+function addTax(target, line, sign = 1) {
+  target.txval = round2((target.txval || 0) + sign * line.txval);
+  target.iamt = round2((target.iamt || 0) + sign * line.iamt);
+  target.camt = round2((target.camt || 0) + sign * line.camt);
+  target.samt = round2((target.samt || 0) + sign * line.samt);
+  target.csamt = round2((target.csamt || 0) + sign * (line.csamt || 0));
+  return target;
+}
+
+/**
+ * Classify an outward supply into b2b / b2cl / b2cs
+ */
+function classify(gstin, isInterState, value) {
+  if (gstin) return 'b2b';
+  if (isInterState && value > B2CL_LIMIT) return 'b2cl';
+  return 'b2cs';
+}
+
+// ============================================================================
+// GSTR-1
+// ============================================================================
+
+/**
+ * Build GSTR-1 for a month
+ * @param {String} month - "YYYY-MM"
+ * @returns {Object} { month, fp, gstin, portal, creditNotes, summary, warnings }
+ */
+async function buildGstr1(month) {
+  const { start, end, fp } = getMonthRange(month);
+  const shopStateCode = getShopStateCode();
+  const warnings = [];
+
+  const [invoices, returns] = await Promise.all([
+    DeliveryInvoice.find({ invoiceDate: { $gte: start, $lte: end } })
+      .populate('client', 'gstin stateCode')
+      .sort('invoiceNumber')
+      .lean(),
+    Return.find({ returnDate: { $gte: start, $lte: end } })
+      .populate('client', 'gstin stateCode')
+      .populate('invoice', 'invoiceNumber invoiceDate grandTotal customerGstin placeOfSupply isInterState')
+      .sort('returnNumber')
+      .lean()
+  ]);
+
+  // Units for the HSN summary UQC column
+  const productIds = new Set();
+  [...invoices, ...returns].forEach(doc => (doc.items || []).forEach(item => {
+    if (item.product) productIds.add(item.product.toString());
+  }));
+  const products = productIds.size > 0
+    ? await Product.find({ _id: { $in: [...productIds] } }).select('unit').lean()
+    : [];
+  const unitMap = new Map(products.map(p => [p._id.toString(), p.unit]));
+
+  const b2bMap = new Map();   // ctin → { ctin, inv: [] }
+  const b2clMap = new Map();  // pos → { pos, inv: [] }
+  const b2csMap = new Map();  // sply_ty|pos|rt → row
+  const hsnMap = new Map();   // hsn|rt|uqc → row
+  const cdnrMap = new Map();  // ctin → { ctin, nt: [] }
+  const cdnur = [];
+  const creditNotes = [];
+
+  const addHsn = (doc, sign) => {
+    for (const item of doc.items || []) {
+      const hsn = item.hsnCode || '';
+      const rt = item.gstRate !== undefined && item.gstRate !== null ? item.gstRate : (doc.gstPercent || 0);
+      const unit = (unitMap.get(item.product?.toString()) || '').toLowerCase();
+      const uqc = UQC_MAP[unit] || 'OTH';
+      const key = `${hsn}|${rt}|${uqc}`;
+
+      if (!hsn) {
+        warnings.push(`${doc.invoiceNumber || doc.returnNumber}: "${item.productName}" has no HSN/SAC code`);
+      }
+
+      const row = hsnMap.get(key) || { hsn_sc: hsn, desc: item.productName, uqc, qty: 0, rt, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+      row.qty = round2(row.qty + sign * (item.quantity || 0));
+      addTax(row, {
+        txval: item.taxableValue !== undefined ? item.taxableValue : (item.total || 0),
+        iamt: item.igstAmount || 0,
+        camt: item.cgstAmount || 0,
+        samt: item.sgstAmount || 0
+      }, sign);
+      hsnMap.set(key, row);
+    }
+  };
+
+  // ── Outward supplies (tax invoices) ──
+  for (const invoice of invoices) {
+    const gstin = invoice.customerGstin || invoice.client?.gstin || null;
+    const pos = invoice.placeOfSupply || invoice.client?.stateCode || shopStateCode;
+    const lines = rateLines(invoice);
+    const section = classify(gstin, invoice.isInterState, invoice.grandTotal);
+
+    if (!pos) {
+      warnings.push(`${invoice.invoiceNumber}: place of supply unknown (set SHOP_STATE_CODE or client state code)`);
+    }
+
+    const inv = {
+      inum: invoice.invoiceNumber,
+      idt: portalDate(invoice.invoiceDate),
+      val: round2(invoice.grandTotal)
+    };
+
+    if (section === 'b2b') {
+      const entry = b2bMap.get(gstin) || { ctin: gstin, inv: [] };
+      entry.inv.push({ ...inv, pos, rchrg: 'N', inv_typ: 'R', itms: toPortalItems(lines), _party: invoice.partyName });
+      b2bMap.set(gstin, entry);
+    } else if (section === 'b2cl') {
+      const entry = b2clMap.get(pos) || { pos, inv: [] };
+      entry.inv.push({ ...inv, itms: toPortalItems(lines) });
+      b2clMap.set(pos, entry);
+    } else {
+      const splyTy = invoice.isInterState ? 'INTER' : 'INTRA';
+      for (const line of lines) {
+        const key = `${splyTy}|${pos}|${line.rt}`;
+        const row = b2csMap.get(key) || { sply_ty: splyTy, pos, typ: 'OE', rt: line.rt, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+        b2csMap.set(key, addTax(row, line));
+      }
+    }
+
+    addHsn(invoice, 1);
+  }
+
+  // ── Credit notes (returns) ──
+  for (const ret of returns) {
+    const original = ret.invoice;
+    if (!original) {
+      // Goods came back before they were invoiced — no tax was reported, nothing to reverse
+      warnings.push(`${ret.returnNumber}: no tax invoice found for order ${ret.orderNumber}, skipped`);
+      continue;
+    }
+
+    const gstin = original.customerGstin || ret.client?.gstin || null;
+    const pos = original.placeOfSupply || ret.client?.stateCode || shopStateCode;
+    const isInterState = original.isInterState === true;
+    const lines = rateLines({ ...ret, isInterState });
+    const section = classify(gstin, isInterState, original.grandTotal);
+
+    const note = {
+      ntty: 'C',
+      nt_num: ret.returnNumber,
+      nt_dt: portalDate(ret.returnDate),
+      val: round2(ret.returnTotal)
+    };
+
+    creditNotes.push({
+      noteNumber: ret.returnNumber,
+      noteDate: ret.returnDate,
+      originalInvoiceNumber: original.invoiceNumber,
+      originalInvoiceDate: original.invoiceDate,
+      partyName: ret.partyName,
+      gstin,
+      placeOfSupply: pos,
+      section: section === 'b2b' ? 'cdnr' : (section === 'b2cl' ? 'cdnur' : 'b2cs'),
+      value: note.val,
+      taxableValue: round2(lines.reduce((sum, l) => sum + l.txval, 0)),
+      taxAmount: round2(ret.taxAmount || 0)
+    });
+
+    if (section === 'b2b') {
+      const entry = cdnrMap.get(gstin) || { ctin: gstin, nt: [] };
+      entry.nt.push({ ...note, pos, rchrg: 'N', inv_typ: 'R', itms: toPortalItems(lines) });
+      cdnrMap.set(gstin, entry);
+    } else if (section === 'b2cl') {
+      cdnur.push({ typ: 'B2CL', ...note, pos, itms: toPortalItems(lines) });
+    } else {
+      // B2CS is reported net — reduce the matching aggregate row
+      const splyTy = isInterState ? 'INTER' : 'INTRA';
+      for (const line of lines) {
+        const key = `${splyTy}|${pos}|${line.rt}`;
+        const row = b2csMap.get(key) || { sply_ty: splyTy, pos, typ: 'OE', rt: line.rt, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+        b2csMap.set(key, addTax(row, line, -1));
+      }
+    }
+
+    addHsn(ret, -1);
+  }
+
+  const b2b = [...b2bMap.values()];
+  const portal = {
+    gstin: process.env.SHOP_GSTIN || '',
+    fp,
+    b2b: b2b.map(entry => ({ ctin: entry.ctin, inv: entry.inv.map(({ _party, ...rest }) => rest) })),
+    b2cl: [...b2clMap.values()],
+    b2cs: [...b2csMap.values()],
+    cdnr: [...cdnrMap.values()],
+    cdnur,
+    hsn: {
+      data: [...hsnMap.values()].map((row, index) => ({ num: index + 1, ...row }))
+    }
+  };
+
+  // Section totals for the month-end review screen
+  const sumLines = (rows) => rows.reduce((acc, row) => addTax(acc, row), { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 });
+  const invoiceLines = (entries) => entries.flatMap(e => e.inv.flatMap(i => i.itms.map(x => x.itm_det)));
+  const noteLines = (notes) => notes.flatMap(n => n.itms.map(x => x.itm_det));
+
+  const summary = {
+    invoiceCount: invoices.length,
+    creditNoteCount: creditNotes.length,
+    b2b: sumLines(invoiceLines(portal.b2b)),
+    b2cl: sumLines(invoiceLines(portal.b2cl)),
+    b2cs: sumLines(portal.b2cs),
+    cdnr: sumLines(noteLines(portal.cdnr.flatMap(e => e.nt))),
+    cdnur: sumLines(noteLines(portal.cdnur)),
+    hsn: sumLines(portal.hsn.data)
+  };
+
+  return {
+    month,
+    fp,
+    gstin: portal.gstin,
+    portal,
+    // Internal view: each return with the original invoice it reverses
+    creditNotes,
+    summary,
+    partyNames: Object.fromEntries(b2b.flatMap(e => e.inv.map(i => [i.inum, i._party]))),
+    warnings: [...new Set(warnings)]
+  };
+}
+
+// ============================================================================
+// GSTR-3B
+// ============================================================================
+
+/**
+ * Build GSTR-3B summary for a month (derived from the same GSTR-1 data)
+ * 3.1(a) taxable outward supplies, 3.1(c) nil-rated, 3.2 inter-state B2C by place of supply
+ */
+async function buildGstr3b(month) {
+  const gstr1 = await buildGstr1(month);
+  const { portal } = gstr1;
+
+  const taxable = { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+  const nilRated = { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+  const unregInter = new Map();
+
+  const take = (det, sign = 1) => addTax(det.rt > 0 ? taxable : nilRated, det, sign);
+  const takeUnreg = (pos, det, sign = 1) => {
+    if (!pos || det.iamt === 0) return;
+    const row = unregInter.get(pos) || { pos, txval: 0, iamt: 0 };
+    row.txval = round2(row.txval + sign * det.txval);
+    row.iamt = round2(row.iamt + sign * det.iamt);
+    unregInter.set(pos, row);
+  };
+
+  portal.b2b.forEach(e => e.inv.forEach(i => i.itms.forEach(x => take(x.itm_det))));
+  portal.b2cl.forEach(e => e.inv.forEach(i => i.itms.forEach(x => {
+    take(x.itm_det);
+    takeUnreg(e.pos, x.itm_det);
+  })));
+  portal.b2cs.forEach(row => {
+    take(row);
+    if (row.sply_ty === 'INTER') takeUnreg(row.pos, row);
+  });
+  portal.cdnr.forEach(e => e.nt.forEach(n => n.itms.forEach(x => take(x.itm_det, -1))));
+  portal.cdnur.forEach(n => n.itms.forEach(x => {
+    take(x.itm_det, -1);
+    takeUnreg(n.pos, x.itm_det, -1);
+  }));
+
+  const zero = { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+
+  return {
+    month,
+    fp: gstr1.fp,
+    gstin: gstr1.gstin,
+    portal: {
+      gstin: gstr1.gstin,
+      ret_period: gstr1.fp,
+      sup_details: {
+        osup_det: taxable,
+        osup_zero: { ...zero },
+        osup_nil_exmp: { txval: nilRated.txval, iamt: 0, camt: 0, samt: 0, csamt: 0 },
+        isup_rev: { ...zero },
+        osup_nongst: { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 }
+      },
+      inter_sup: {
+        unreg_details: [...unregInter.values()].filter(row => row.txval !== 0),
+        comp_details: [],
+        uin_details: []
+      }
+    },
+    summary: {
+      taxableValue: taxable.txval,
+      igst: taxable.iamt,
+      cgst: taxable.camt,
+      sgst: taxable.samt,
+      totalTax: round2(taxable.iamt + taxable.camt + taxable.samt),
+      nilRatedValue: nilRated.txval
+    },
+    warnings: gstr1.warnings
+  };
+}
+
+// ============================================================================
+// CSV EXPORT (GST offline tool column layout)
+// ============================================================================
+
+function csvEscape(value) {
+  const str = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(headers, rows) {
+  return [headers, ...rows].map(row => row.map(csvEscape).join(',')).join('\n') + '\n';
+}
+
+const GSTR1_CSV_SECTIONS = ['b2b', 'b2cl', 'b2cs', 'cdnr', 'cdnur', 'hsn'];
+
+/**
+ * Render one GSTR-1 section as CSV
+ * @param {Object} gstr1 - Result of buildGstr1
+ * @param {String} section - b2b | b2cl | b2cs | cdnr | cdnur | hsn
+ */
+function gstr1SectionToCsv(gstr1, section) {
+  const { portal, creditNotes, partyNames } = gstr1;
+  const originalOf = new Map(creditNotes.map(n => [n.noteNumber, n]));
+
+  switch (section) {
+    case 'b2b':
+      return toCsv(
+        ['GSTIN/UIN of Recipient', 'Receiver Name', 'Invoice Number', 'Invoice date', 'Invoice Value', 'Place Of Supply', 'Reverse Charge', 'Applicable % of Tax Rate', 'Invoice Type', 'E-Commerce GSTIN', 'Rate', 'Taxable Value', 'Cess Amount'],
+        portal.b2b.flatMap(e => e.inv.flatMap(i => i.itms.map(x => [
+          e.ctin, partyNames[i.inum] || '', i.inum, csvDate(parseDate(i.idt)), i.val, posLabel(i.pos), 'N', '', 'Regular B2B', '', x.itm_det.rt, x.itm_det.txval, x.itm_det.csamt
+        ])))
+      );
+    case 'b2cl':
+      return toCsv(
+        ['Invoice Number', 'Invoice date', 'Invoice Value', 'Place Of Supply', 'Applicable % of Tax Rate', 'Rate', 'Taxable Value', 'Cess Amount', 'E-Commerce GSTIN'],
+        portal.b2cl.flatMap(e => e.inv.flatMap(i => i.itms.map(x => [
+          i.inum, csvDate(parseDate(i.idt)), i.val, posLabel(e.pos), '', x.itm_det.rt, x.itm_det.txval, x.itm_det.csamt, ''
+        ])))
+      );
+    case 'b2cs':
+      return toCsv(
+        ['Type', 'Place Of Supply', 'Applicable % of Tax Rate', 'Rate', 'Taxable Value', 'Cess Amount', 'E-Commerce GSTIN'],
+        portal.b2cs.map(row => [row.typ, posLabel(row.pos), '', row.rt, row.txval, row.csamt, ''])
+      );
+    case 'cdnr':
+      return toCsv(
+        ['GSTIN/UIN of Recipient', 'Receiver Name', 'Note Number', 'Note Date', 'Note Type', 'Place Of Supply', 'Reverse Charge', 'Note Supply Type', 'Note Value', 'Applicable % of Tax Rate', 'Rate', 'Taxable Value', 'Cess Amount', 'Original Invoice Number'],
+        portal.cdnr.flatMap(e => e.nt.flatMap(n => n.itms.map(x => [
+          e.ctin, originalOf.get(n.nt_num)?.partyName || '', n.nt_num, csvDate(parseDate(n.nt_dt)), n.ntty, posLabel(n.pos), 'N', 'Regular B2B', n.val, '', x.itm_det.rt, x.itm_det.txval, x.itm_det.csamt, originalOf.get(n.nt_num)?.originalInvoiceNumber || ''
+        ])))
+      );
+    case 'cdnur':
+      return toCsv(
+        ['UR Type', 'Note Number', 'Note Date', 'Note Type', 'Place Of Supply', 'Note Value', 'Applicable % of Tax Rate', 'Rate', 'Taxable Value', 'Cess Amount', 'Original Invoice Number'],
+        portal.cdnur.flatMap(n => n.itms.map(x => [
+          n.typ, n.nt_num, csvDate(parseDate(n.nt_dt)), n.ntty, posLabel(n.pos), n.val, '', x.itm_det.rt, x.itm_det.txval, x.itm_det.csamt, originalOf.get(n.nt_num)?.originalInvoiceNumber || ''
+        ]))
+      );
+    case 'hsn':
+      return toCsv(
+        ['HSN', 'Description', 'UQC', 'Total Quantity', 'Total Value', 'Rate', 'Taxable Value', 'Integrated Tax Amount', 'Central Tax Amount', 'State/UT Tax Amount', 'Cess Amount'],
+        portal.hsn.data.map(row => [
+          row.hsn_sc, row.desc, row.uqc, row.qty,
+          round2(row.txval + row.iamt + row.camt + row.samt + row.csamt),
+          row.rt, row.txval, row.iamt, row.camt, row.samt, row.csamt
+        ])
+      );
+    default: {
+      const error = new Error(`Invalid section. Use one of: ${GSTR1_CSV_SECTIONS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+}
+
+// dd-mm-yyyy → Date
+function parseDate(value) {
+  const [day, month, year] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Render GSTR-3B summary as CSV (one row per table)
+ */
+function gstr3bToCsv(gstr3b) {
+  const { sup_details: sup, inter_sup: inter } = gstr3b.portal;
+  const rows = [
+    ['3.1(a) Outward taxable supplies', '', sup.osup_det.txval, sup.osup_det.iamt, sup.osup_det.camt, sup.osup_det.samt, sup.osup_det.csamt],
+    ['3.1(b) Zero rated supplies', '', sup.osup_zero.txval, sup.osup_zero.iamt, 0, 0, sup.osup_zero.csamt],
+    ['3.1(c) Nil rated / exempted', '', sup.osup_nil_exmp.txval, 0, 0, 0, 0],
+    ['3.1(d) Inward supplies (reverse charge)', '', sup.isup_rev.txval, sup.isup_rev.iamt, sup.isup_rev.camt, sup.isup_rev.samt, sup.isup_rev.csamt],
+    ['3.1(e) Non-GST outward supplies', '', sup.osup_nongst.txval, 0, 0, 0, 0],
+    ...inter.unreg_details.map(row => ['3.2 Inter-state supplies to unregistered persons', posLabel(row.pos), row.txval, row.iamt, 0, 0, 0])
+  ];
+  return toCsv(['Table', 'Place Of Supply', 'Taxable Value', 'Integrated Tax', 'Central Tax', 'State/UT Tax', 'Cess'], rows);
+}
+
+module.exports = {
+  buildGstr1,
+  buildGstr3b,
+  gstr1SectionToCsv,
+  gstr3bToCsv,
+  GSTR1_CSV_SECTIONS
+};
@@ -1,4 +1,10 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const User = require('../models/User');
+require('../models/Supplier'); // populate('preferredSupplier')
+const { emitEvent, holdEvents, releaseEvents } = require('./realtime');
 
 /**
  * ATOMIC Inventory Manager v2.0
@@ -17,13 +23,193 @@ const Product = require('../models/Product');
  *     { $inc: { inventory: -2 } },                   // Atomic decrement
  *   );
  *   → MongoDB guarantees only one operation succeeds at a time
+ * 
+ * Every change that sticks is written to the InventoryMovement ledger. Functions that move stock
+ * take a movement context: { type?, source: { type, id, ref, detail }, user, note }
+ * 
+ * A stock change and its ledger records go together (see transactional()): on a replica set they
+ * commit in one transaction; on a standalone server a failed ledger write undoes the stock change.
  */
 
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Low-stock level for products without their own minStockLevel
 const LOW_STOCK_THRESHOLD = 10;
 
+const STOCK_LEVEL_FIELDS = 'minStockLevel reorderPoint reorderQuantity preferredSupplier';
+
+/**
+ * Low-stock level of a product — its own minStockLevel, else LOW_STOCK_THRESHOLD
+ */
+function lowStockLevel(product) {
+  return product.minStockLevel ?? LOW_STOCK_THRESHOLD;
+}
+
+function isLowStock(product) {
+  return product.inventory !== null && product.inventory !== undefined && product.inventory < lowStockLevel(product);
+}
+
+/**
+ * Level at which a reorder is suggested — reorderPoint, else minStockLevel (null → never)
+ */
+function reorderLevel(product) {
+  return product.reorderPoint ?? product.minStockLevel ?? null;
+}
+
+// Stock the shop owns and will have back — hired units return
+function stockPosition(product) {
+  return (product.inventory || 0) + (product.onHire || 0);
+}
+
+// Entry for the inventory:low-stock-alert event
+function lowStockEntry(product) {
+  const level = reorderLevel(product);
+  return {
+    _id: product._id,
+    name: product.name,
+    inventory: product.inventory,
+    category: product.category,
+    minStockLevel: lowStockLevel(product),
+    reorderPoint: level,
+    reorderSuggested: level !== null && stockPosition(product) <= level
+  };
+}
+
+// Transactions need a replica set or mongos — checked once per connection
+let transactionSupport = null;
+
+function supportsTransactions() {
+  if (!transactionSupport) {
+    transactionSupport = Promise.resolve()
+      .then(() => mongoose.connection.db.admin().command({ hello: 1 }))
+      .then(hello => Boolean(hello.setName) || hello.msg === 'isdbgrid')
+      .catch(error => {
+        transactionSupport = null;
+        console.error('❌ Could not check MongoDB transaction support:', error.message);
+        return false;
+      });
+  }
+  return transactionSupport;
+}
+
+/**
+ * True while running inside a stock transaction — models pick up its session on their own
+ * (transactionAsyncLocalStorage, enabled in config/db.js)
+ */
+function inStockTransaction() {
+  return Boolean(mongoose.transactionAsyncLocalStorage?.getStore()?.session);
+}
+
+/**
+ * Wrap a stock function so its stock updates and ledger records commit together
+ * Replica set / mongos: runs in one transaction (nested calls join the outer one); an error
+ * inside aborts everything. Socket events emitted inside are sent after the commit.
+ * Standalone: runs as is — the function undoes its own stock change when the ledger write fails.
+ * @param {Function} fn - Stock function; must rethrow inside a transaction instead of compensating
+ * @param {Function} onError - Turns a failed transaction into fn's result shape (default: rethrow)
+ */
+function transactional(fn, onError) {
+  return async function (...args) {
+    if (inStockTransaction() || !(await supportsTransactions())) {
+      return fn(...args);
+    }
+    let transactionSession = null;
+    try {
+      const result = await mongoose.connection.transaction(session => {
+        transactionSession = session;
+        holdEvents(session);
+        return fn(...args);
+      });
+      releaseEvents(transactionSession);
+      return result;
+    } catch (error) {
+      if (!onError) throw error;
+      console.error(`❌ ${fn.name} rolled back:`, error.message);
+      return onError(error);
+    }
+  };
+}
+
+// onError for stock functions that report failure as { success: false, error }
+const stockFailure = (error) => ({ success: false, error: error.message });
+
+/**
+ * Write movement records for stock changes already applied
+ * Throws when the records can't be written — the caller must not keep its stock change.
+ * Inside a stock transaction the abort takes the records with it; outside one, any records
+ * that did get written are removed first.
+ * @param {Array} movements - [{ product, productName, type, quantity, before, after }]
+ * @param {Object} context - { source: { type, id, ref, detail }, user: { _id, name? }, note }
+ */
+async function recordMovements(movements, { source = { type: 'system' }, user = null, note = null } = {}) {
+  if (!movements || movements.length === 0) return;
+  
+  const records = movements.map(movement => ({ _id: new mongoose.Types.ObjectId(), ...movement }));
+  try {
+    // Managers get a user id from the routes; the name is kept on the record
+    let userName = user?.name || null;
+    if (user?._id && !userName) {
+      userName = (await User.findById(user._id).select('name').lean())?.name || null;
+    }
+    
+    await InventoryMovement.insertMany(records.map(record => ({
+      ...record,
+      source,
+      user: user?._id || null,
+      userName,
+      note
+    })), { ordered: false });
+  } catch (error) {
+    console.error(`❌ Could not record ${movements.length} inventory movement(s) for ${source?.type} ${source?.ref || ''}:`, error.message);
+    if (!inStockTransaction()) {
+      await InventoryMovement.deleteMany({ _id: { $in: records.map(record => record._id) } })
+        .catch(cleanupError => console.error('   ❌ Could not remove partly written movements:', cleanupError.message));
+    }
+    throw httpError(`Stock movement could not be recorded: ${error.message}`, 500);
+  }
+}
+
+/**
+ * Movement records for affectedProducts entries ({ _id, name, oldInventory, newInventory })
+ */
+function movementsOf(affectedProducts, type) {
+  return affectedProducts.map(product => ({
+    product: product._id,
+    productName: product.name,
+    type,
+    quantity: product.newInventory - product.oldInventory,
+    before: product.oldInventory,
+    after: product.newInventory
+  }));
+}
+
+/**
+ * Fill in source numbers that only exist after the stock moved
+ * (order, delivery and return numbers are assigned when the document is saved)
+ * @param {Object} source - { type, id } as passed to the stock change
+ * @param {Object} fields - { ref?, detail? }
+ */
+async function labelMovements({ type, id }, { ref, detail } = {}) {
+  const set = {};
+  if (ref) set['source.ref'] = ref;
+  if (detail) set['source.detail'] = detail;
+  if (!id || Object.keys(set).length === 0) return;
+  
+  try {
+    await InventoryMovement.updateMany({ 'source.type': type, 'source.id': id }, { $set: set });
+  } catch (error) {
+    console.error(`❌ Could not label inventory movements for ${type} ${id}:`, error.message);
+  }
+}
+
 /**
  * Rollback inventory reductions that were already applied
- * Used when a later item in the batch fails the inventory check
+ * Used when a later item in the batch fails the inventory check.
+ * Not written to the ledger — the reductions it undoes were never recorded either.
  * @param {Array} reducedItems - Items that were successfully reduced
  */
 async function rollbackReductions(reducedItems) {
@@ -53,11 +239,12 @@ async function rollbackReductions(reducedItems) {
  * 
  * @param {Array} items - Order/invoice items with { product, productName, quantity }
  * @param {Object} io - Socket.IO instance for real-time updates
- * @param {Object} options - { allowPartial: false } — if true, skip insufficient items instead of failing
+ * @param {Object} options - { allowPartial: false, movement } — allowPartial: skip insufficient items instead of failing;
+ *                           movement: ledger context (type defaults to 'sale')
  * @returns {Object} { success, affectedProducts, lowStockProducts, error?, insufficientItem? }
  */
 async function reduceInventory(items, io, options = {}) {
-  const { allowPartial = false } = options;
+  const { allowPartial = false, movement = {} } = options;
   const affectedProducts = [];
   const lowStockProducts = [];
   
@@ -135,19 +322,14 @@ async function reduceInventory(items, io, options = {}) {
         quantityReduced: item.quantity
       });
       
-      // Low stock warning
-      if (result.inventory < LOW_STOCK_THRESHOLD) {
-        lowStockProducts.push({
-          _id: result._id,
-          name: result.name,
-          inventory: result.inventory,
-          category: result.category
-        });
+      // Low stock warning (product's own minimum level)
+      if (isLowStock(result)) {
+        lowStockProducts.push(lowStockEntry(result));
       }
       
       // Real-time inventory update to all connected apps
       if (io) {
-        io.emit('product:inventory-updated', {
+        emitEvent(io, 'product:inventory-updated', {
           product: {
             _id: result._id,
             name: result.name,
@@ -155,13 +337,15 @@ async function reduceInventory(items, io, options = {}) {
             category: result.category,
             price: result.price
           }
-        });
+        }, { staff: true });
       }
     }
     
+    await recordMovements(movementsOf(affectedProducts, movement.type || 'sale'), movement);
+    
     // Batch low stock alert
     if (io && lowStockProducts.length > 0) {
-      io.emit('inventory:low-stock-alert', { products: lowStockProducts });
+      emitEvent(io, 'inventory:low-stock-alert', { products: lowStockProducts }, { staff: true });
     }
     
     return {
@@ -170,8 +354,9 @@ async function reduceInventory(items, io, options = {}) {
       lowStockProducts
     };
   } catch (error) {
-    // Unexpected error — rollback what we've done so far
+    // Unexpected error (or the ledger write failed) — rollback what we've done so far
     console.error('❌ Unexpected error in reduceInventory:', error);
+    if (inStockTransaction()) throw error;
     if (affectedProducts.length > 0) {
       await rollbackReductions(affectedProducts);
     }
@@ -188,9 +373,10 @@ async function reduceInventory(items, io, options = {}) {
  * 
  * @param {Array} items - Items with { product, productName, quantity }
  * @param {Object} io - Socket.IO instance
+ * @param {Object} movement - Ledger context (type defaults to 'sale_cancel'; 'rollback' when undoing a failed save)
  * @returns {Object} { success, affectedProducts }
  */
-async function restoreInventory(items, io) {
+async function restoreInventory(items, io, movement = {}) {
   const affectedProducts = [];
   
   try {
@@ -234,7 +420,7 @@ async function restoreInventory(items, io) {
       });
       
       if (io) {
-        io.emit('product:inventory-updated', {
+        emitEvent(io, 'product:inventory-updated', {
           product: {
             _id: result._id,
             name: result.name,
@@ -242,10 +428,12 @@ async function restoreInventory(items, io) {
             category: result.category,
             price: result.price
           }
-        });
+        }, { staff: true });
       }
     }
     
+    await recordMovements(movementsOf(affectedProducts, movement.type || 'sale_cancel'), movement);
+    
     if (affectedProducts.length > 0) {
       console.log(`✅ Inventory restored for ${affectedProducts.length} products:`);
       affectedProducts.forEach(p => {
@@ -259,6 +447,11 @@ async function restoreInventory(items, io) {
     };
   } catch (error) {
     console.error('❌ Error restoring inventory:', error);
+    if (inStockTransaction()) throw error;
+    // Take back what was restored — a restoration without its ledger record must not stand
+    if (affectedProducts.length > 0) {
+      await rollbackAdjustments(affectedProducts.map(p => ({ ...p, adjustment: p.quantityRestored })));
+    }
     return {
       success: false,
       error: error.message
@@ -273,9 +466,10 @@ async function restoreInventory(items, io) {
  * @param {Array} oldItems - Original items
  * @param {Array} newItems - Updated items
  * @param {Object} io - Socket.IO instance
+ * @param {Object} movement - Ledger context (type defaults to 'sale_edit')
  * @returns {Object} { success, affectedProducts, lowStockProducts }
  */
-async function adjustInventory(oldItems, newItems, io) {
+async function adjustInventory(oldItems, newItems, io, movement = {}) {
   const affectedProducts = [];
   const lowStockProducts = [];
   
@@ -338,14 +532,14 @@ async function adjustInventory(oldItems, newItems, io) {
           adjustment: -difference
         });
         
-        if (result.inventory < LOW_STOCK_THRESHOLD) {
-          lowStockProducts.push({ _id: result._id, name: result.name, inventory: result.inventory, category: result.category });
+        if (isLowStock(result)) {
+          lowStockProducts.push(lowStockEntry(result));
         }
         
         if (io) {
-          io.emit('product:inventory-updated', {
+          emitEvent(io, 'product:inventory-updated', {
             product: { _id: result._id, name: result.name, inventory: result.inventory, category: result.category, price: result.price }
-          });
+          }, { staff: true });
         }
       } else {
         // Need LESS items → restore inventory (always safe, no guard needed)
@@ -366,16 +560,18 @@ async function adjustInventory(oldItems, newItems, io) {
           });
           
           if (io) {
-            io.emit('product:inventory-updated', {
+            emitEvent(io, 'product:inventory-updated', {
               product: { _id: result._id, name: result.name, inventory: result.inventory, category: result.category, price: result.price }
-            });
+            }, { staff: true });
           }
         }
       }
     }
     
+    await recordMovements(movementsOf(affectedProducts, movement.type || 'sale_edit'), movement);
+    
     if (io && lowStockProducts.length > 0) {
-      io.emit('inventory:low-stock-alert', { products: lowStockProducts });
+      emitEvent(io, 'inventory:low-stock-alert', { products: lowStockProducts }, { staff: true });
     }
     
     return {
@@ -385,6 +581,7 @@ async function adjustInventory(oldItems, newItems, io) {
     };
   } catch (error) {
     console.error('❌ Error adjusting inventory:', error);
+    if (inStockTransaction()) throw error;
     // Rollback all adjustments on unexpected error
     if (affectedProducts.length > 0) {
       console.log(`🔄 Rolling back ${affectedProducts.length} inventory adjustments due to error...`);
@@ -397,11 +594,294 @@ async function adjustInventory(oldItems, newItems, io) {
   }
 }
 
+/**
+ * Add received stock (purchase receipts) using ATOMIC operations, with a movement record per product
+ * Products without inventory tracking (null) start tracking from the received quantity.
+ * 
+ * @param {Array} items - [{ product, productName, quantity }]
+ * @param {Object} context - { type: movement type, source: { type, id, ref, detail }, user, note }
+ * @param {Object} io - Socket.IO instance
+ * @returns {Object} { success, affectedProducts, missingProducts }
+ * @throws {Error} statusCode 500 when the movements can't be recorded (no stock is added then)
+ */
+async function receiveStock(items, { type = 'purchase_receipt', source, user = null, note = null } = {}, io) {
+  const affectedProducts = [];
+  const missingProducts = [];
+  
+  for (const item of items) {
+    if (!item.product || !(item.quantity > 0)) continue;
+    
+    // ATOMIC: inventory = (inventory ?? 0) + quantity
+    const result = await Product.findOneAndUpdate(
+      { _id: item.product },
+      [{ $set: { inventory: { $add: [{ $ifNull: ['$inventory', 0] }, item.quantity] } } }],
+      { new: true, lean: true }
+    );
+    
+    if (!result) {
+      console.warn(`⚠️ Product ${item.product} ("${item.productName || 'Unknown'}") not found — received stock not added`);
+      missingProducts.push(item.productName || item.product.toString());
+      continue;
+    }
+    
+    affectedProducts.push({
+      _id: result._id,
+      name: result.name,
+      oldInventory: result.inventory - item.quantity,
+      newInventory: result.inventory,
+      quantityReceived: item.quantity
+    });
+    
+    if (io) {
+      emitEvent(io, 'product:inventory-updated', {
+        product: { _id: result._id, name: result.name, inventory: result.inventory, category: result.category, price: result.price }
+      }, { staff: true });
+    }
+  }
+  
+  try {
+    await recordMovements(movementsOf(affectedProducts, type), { source, user, note });
+  } catch (error) {
+    if (!inStockTransaction()) {
+      await rollbackAdjustments(affectedProducts.map(p => ({ ...p, adjustment: p.quantityReceived })));
+    }
+    throw error;
+  }
+  
+  if (affectedProducts.length > 0) {
+    console.log(`📥 Stock received (${source?.ref || type}): ${affectedProducts.map(p => `${p.name} +${p.quantityReceived}`).join(', ')}`);
+  }
+  
+  return {
+    success: missingProducts.length === 0,
+    affectedProducts,
+    missingProducts
+  };
+}
+
+/**
+ * Apply signed stock corrections (stock-take posting) using ATOMIC operations — all-or-nothing
+ * A shortage is guarded like a sale: it never takes inventory below 0. Changes are $inc deltas,
+ * so stock that moved after the count is kept.
+ * 
+ * @param {Array} adjustments - [{ product, productName, quantity }] — quantity: + found, − missing
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} movement - Ledger context (type defaults to 'stock_take')
+ * @returns {Object} { success, affectedProducts, lowStockProducts, error? }
+ */
+async function applyStockAdjustments(adjustments, io, movement = {}) {
+  const affectedProducts = [];
+  const lowStockProducts = [];
+  
+  try {
+    for (const item of adjustments) {
+      if (!item.product || !item.quantity) continue;
+      
+      const filter = { _id: item.product, inventory: { $ne: null } };
+      if (item.quantity < 0) filter.inventory.$gte = -item.quantity;
+      
+      const result = await Product.findOneAndUpdate(
+        filter,
+        { $inc: { inventory: item.quantity } },
+        { new: true, lean: true }
+      );
+      
+      if (!result) {
+        const product = await Product.findById(item.product).select('name inventory').lean();
+        if (affectedProducts.length > 0) {
+          await rollbackAdjustments(affectedProducts);
+        }
+        
+        return {
+          success: false,
+          error: !product
+            ? `Product "${item.productName || item.product}" no longer exists`
+            : product.inventory === null || product.inventory === undefined
+              ? `Inventory tracking is disabled for "${product.name}"`
+              : `"${product.name}" has only ${product.inventory} in stock now — cannot take off ${-item.quantity}`
+        };
+      }
+      
+      affectedProducts.push({
+        _id: result._id,
+        name: result.name,
+        oldInventory: result.inventory - item.quantity,
+        newInventory: result.inventory,
+        adjustment: item.quantity
+      });
+      
+      if (isLowStock(result)) {
+        lowStockProducts.push(lowStockEntry(result));
+      }
+      
+      if (io) {
+        emitEvent(io, 'product:inventory-updated', {
+          product: { _id: result._id, name: result.name, inventory: result.inventory, category: result.category, price: result.price }
+        }, { staff: true });
+      }
+    }
+    
+    await recordMovements(movementsOf(affectedProducts, movement.type || 'stock_take'), movement);
+    
+    if (io && lowStockProducts.length > 0) {
+      emitEvent(io, 'inventory:low-stock-alert', { products: lowStockProducts }, { staff: true });
+    }
+    
+    return {
+      success: true,
+      affectedProducts,
+      lowStockProducts
+    };
+  } catch (error) {
+    console.error('❌ Error applying stock adjustments:', error);
+    if (inStockTransaction()) throw error;
+    if (affectedProducts.length > 0) {
+      await rollbackAdjustments(affectedProducts);
+    }
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Set a product's stock to an entered value (manual adjustment), with a movement record
+ * @param {String} productId
+ * @param {Number|null} inventory - New stock; null disables tracking
+ * @param {Object} movement - Ledger context (type defaults to 'manual')
+ * @returns {Object|null} { product, before } — null when the product does not exist
+ * @throws {Error} statusCode 500 when the movement can't be recorded (the stock is left as it was)
+ */
+async function setInventory(productId, inventory, movement = {}) {
+  // Untracked products keep no stock at any location
+  const update = inventory === null ? { inventory, locationStock: [] } : { inventory };
+  
+  // ATOMIC: the document from before the update gives the exact stock that was replaced
+  const previous = await Product.findByIdAndUpdate(
+    productId,
+    update,
+    { new: false, runValidators: true }
+  ).lean();
+  
+  if (!previous) return null;
+  
+  const before = previous.inventory ?? null;
+  if (before !== inventory) {
+    try {
+      await recordMovements([{
+        product: previous._id,
+        productName: previous.name,
+        type: movement.type || 'manual',
+        quantity: (inventory || 0) - (before || 0),
+        before,
+        after: inventory
+      }], movement);
+    } catch (error) {
+      if (!inStockTransaction()) {
+        await Product.findByIdAndUpdate(previous._id, {
+          inventory: before,
+          ...(inventory === null && { locationStock: previous.locationStock || [] })
+        });
+      }
+      throw error;
+    }
+  }
+  
+  return { product: { ...previous, ...update }, before };
+}
+
+// YYYY-MM-DD is a local day (new Date() would read it as UTC midnight)
+function parseDay(value, label) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw httpError(`${label} must be a valid date (YYYY-MM-DD)`, 400);
+  }
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+/**
+ * Stock card — opening stock, every movement with its running balance, and closing stock
+ * for a date range (whole days, default: this month so far)
+ * 
+ * Closing stock is worked back from the current inventory through the movements after the range,
+ * so stock that predates the ledger still opens at the right figure.
+ * 
+ * @param {String} productId
+ * @param {Object} range - { from?, to? } YYYY-MM-DD
+ * @returns {Object} { product, from, to, openingStock, totalIn, totalOut, closingStock, byType, movements }
+ */
+async function getStockCard(productId, { from, to } = {}) {
+  const product = await Product.findById(productId)
+    .select('name unit inventory onHire quarantineStock category categoryName')
+    .lean();
+  if (!product) {
+    throw httpError('Product not found', 404);
+  }
+  
+  const now = new Date();
+  const start = from ? parseDay(from, 'from') : new Date(now.getFullYear(), now.getMonth(), 1);
+  const lastDay = to ? parseDay(to, 'to') : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const end = new Date(lastDay);
+  end.setDate(end.getDate() + 1);
+  
+  if (lastDay < start) {
+    throw httpError('to must be on or after from', 400);
+  }
+  
+  const [movements, later] = await Promise.all([
+    InventoryMovement.find({ product: product._id, createdAt: { $gte: start, $lt: end } })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean(),
+    InventoryMovement.aggregate([
+      { $match: { product: product._id, createdAt: { $gte: end } } },
+      { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+    ])
+  ]);
+  
+  const net = movements.reduce((sum, movement) => sum + movement.quantity, 0);
+  const closingStock = (product.inventory || 0) - (later[0]?.quantity || 0);
+  const openingStock = closingStock - net;
+  
+  let balance = openingStock;
+  let totalIn = 0;
+  let totalOut = 0;
+  const byType = {};
+  const lines = movements.map(movement => {
+    balance += movement.quantity;
+    if (movement.quantity > 0) totalIn += movement.quantity;
+    else totalOut -= movement.quantity;
+    
+    if (!byType[movement.type]) byType[movement.type] = { in: 0, out: 0, count: 0 };
+    byType[movement.type][movement.quantity > 0 ? 'in' : 'out'] += Math.abs(movement.quantity);
+    byType[movement.type].count++;
+    
+    return { ...movement, balance };
+  });
+  
+  return {
+    product,
+    from: start,
+    to: lastDay,
+    openingStock,
+    totalIn,
+    totalOut,
+    closingStock,
+    byType,
+    movements: lines
+  };
+}
+
 /**
  * Rollback inventory adjustments (reverses both reductions and restorations)
  * adjustment < 0 means we reduced → add back (reverse = positive)
  * adjustment > 0 means we restored → take back (reverse = negative)
  * Formula: $inc: { inventory: -adjustment } handles both cases
+ * Not written to the ledger — the adjustments it undoes were never recorded either.
  */
 async function rollbackAdjustments(adjustedItems) {
   if (!adjustedItems || adjustedItems.length === 0) return;
@@ -423,33 +903,136 @@ async function rollbackAdjustments(adjustedItems) {
 }
 
 /**
- * Get low stock products (inventory < threshold)
- * Already optimized — uses indexed query with lean()
- * @param {Number} threshold - Inventory threshold (default: 10)
- * @returns {Array} Low stock products
+ * Get low stock products — inventory below each product's own minStockLevel
+ * (LOW_STOCK_THRESHOLD when it has none), or below one threshold for all products when given
+ * @param {Number|null} threshold - Same threshold for every product (overrides minStockLevel)
+ * @returns {Array} Low stock products, with minStockLevel set to the level applied
  */
-async function getLowStockProducts(threshold = 10) {
+async function getLowStockProducts(threshold = null) {
   try {
-    const products = await Product.find({
-      isActive: true,
-      inventory: { $ne: null, $lt: threshold, $gte: 0 }
-    })
-    .select('name inventory category unit price')
-    .sort('inventory')
-    .lean();
+    const query = { isActive: true, inventory: { $ne: null, $gte: 0 } };
+    if (threshold !== null && threshold !== undefined) {
+      query.inventory.$lt = threshold;
+    } else {
+      query.$expr = { $lt: ['$inventory', { $ifNull: ['$minStockLevel', LOW_STOCK_THRESHOLD] }] };
+    }
     
-    return products;
+    const products = await Product.find(query)
+      .select(`name inventory onHire locationStock category categoryName unit price ${STOCK_LEVEL_FIELDS}`)
+      .sort('inventory')
+      .lean();
+    
+    return products.map(product => ({
+      ...product,
+      minStockLevel: threshold ?? lowStockLevel(product)
+    }));
   } catch (error) {
     console.error('Error getting low stock products:', error);
     return [];
   }
 }
 
+/**
+ * Units ordered from suppliers and not received yet (open purchase orders), per product id
+ * @returns {Map} productId → quantity
+ */
+async function getOnOrderQuantities(productIds = null) {
+  const match = { status: { $in: ['draft', 'sent', 'partially_received'] } };
+  if (productIds) match['items.product'] = { $in: productIds };
+  
+  const rows = await PurchaseOrder.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    ...(productIds ? [{ $match: { 'items.product': { $in: productIds } } }] : []),
+    { $group: { _id: '$items.product', quantity: { $sum: { $subtract: ['$items.quantity', '$items.receivedQuantity'] } } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.quantity]));
+}
+
+/**
+ * Reorder suggestions — products whose stock position (inventory + onHire + on open purchase
+ * orders) is at or below their reorder level, grouped by preferred supplier (products without one come last)
+ * @returns {Array} [{ supplier, items: [{ product, name, unit, inventory, onHire, onOrder, stockPosition,
+ *                     reorderPoint, suggestedQuantity }], itemCount, totalQuantity }]
+ */
+async function getReorderSuggestions() {
+  const products = await Product.find({
+    isActive: true,
+    inventory: { $ne: null },
+    $or: [{ reorderPoint: { $ne: null } }, { minStockLevel: { $ne: null } }],
+    $expr: {
+      $lte: [
+        { $add: ['$inventory', { $ifNull: ['$onHire', 0] }] },
+        { $ifNull: ['$reorderPoint', '$minStockLevel'] }
+      ]
+    }
+  })
+    .select(`name unit inventory onHire category categoryName ${STOCK_LEVEL_FIELDS}`)
+    .populate('preferredSupplier', 'name contactPerson phone email leadTimeDays isActive')
+    .sort('name')
+    .lean();
+  
+  const onOrder = await getOnOrderQuantities(products.map(product => product._id));
+  
+  const groups = new Map();
+  for (const product of products) {
+    const level = reorderLevel(product);
+    const ordered = onOrder.get(product._id.toString()) || 0;
+    const position = stockPosition(product) + ordered;
+    // Already covered by open purchase orders
+    if (position > level) continue;
+    
+    const supplier = product.preferredSupplier || null;
+    const key = supplier ? supplier._id.toString() : 'none';
+    if (!groups.has(key)) {
+      groups.set(key, { supplier, items: [], itemCount: 0, totalQuantity: 0 });
+    }
+    
+    const suggestedQuantity = product.reorderQuantity ?? Math.max(level - position, 1);
+    
+    const group = groups.get(key);
+    group.items.push({
+      product: product._id,
+      name: product.name,
+      unit: product.unit,
+      categoryName: product.categoryName,
+      inventory: product.inventory,
+      onHire: product.onHire || 0,
+      onOrder: ordered,
+      stockPosition: position,
+      minStockLevel: lowStockLevel(product),
+      reorderPoint: level,
+      suggestedQuantity
+    });
+    group.itemCount++;
+    group.totalQuantity += suggestedQuantity;
+  }
+  
+  return [...groups.values()].sort((a, b) => {
+    if (!a.supplier) return 1;
+    if (!b.supplier) return -1;
+    return a.supplier.name.localeCompare(b.supplier.name);
+  });
+}
+
 module.exports = {
-  reduceInventory,
-  restoreInventory,
-  adjustInventory,
+  reduceInventory: transactional(reduceInventory, stockFailure),
+  restoreInventory: transactional(restoreInventory, stockFailure),
+  adjustInventory: transactional(adjustInventory, stockFailure),
   rollbackReductions,
   rollbackAdjustments,
-  getLowStockProducts
+  receiveStock: transactional(receiveStock),
+  applyStockAdjustments: transactional(applyStockAdjustments, stockFailure),
+  setInventory: transactional(setInventory),
+  transactional,
+  inStockTransaction,
+  stockFailure,
+  recordMovements,
+  labelMovements,
+  getStockCard,
+  getOnOrderQuantities,
+  LOW_STOCK_THRESHOLD,
+  isLowStock,
+  getLowStockProducts,
+  getReorderSuggestions
 };
@@ -0,0 +1,569 @@
+const Location = require('../models/Location');
+const StockTransfer = require('../models/StockTransfer');
+const Product = require('../models/Product');
+const Counter = require('../models/Counter');
+const { emitEvent } = require('./realtime');
+
+/**
+ * Location Manager — stock by location, transfers between locations, picking for deliveries
+ *
+ * Product.inventory stays the total every other manager works with. Stock at non-default
+ * locations is kept in Product.locationStock; the default location holds the rest:
+ *
+ *   default location stock = inventory − Σ locationStock.quantity
+ *
+ * So sales, returns, receipts, stock-takes and manual edits (which don't name a location)
+ * land on the default location without any change to those code paths.
+ *
+ * Moving stock between locations never changes the total — shiftStock() moves units with one
+ * atomic update, guarded so a location can't give away more than it holds. A delivery picked
+ * from another location shifts the units it takes from that location to the default one,
+ * where the sale (or hire dispatch) already took them from.
+ *
+ * The default location can go below zero when orders sell stock that sits elsewhere —
+ * it evens out when those orders are delivered from the location holding the stock.
+ */
+
+const TRANSFER_SEQUENCE = 'stock_transfer';
+const LOCATION_FIELDS = ['name', 'code', 'type', 'address', 'notes'];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Find a location by ObjectId or code (GD1)
+ * @returns {Object|null} Lean location
+ */
+async function findLocation(id) {
+  if (!id) return null;
+  const idString = id.toString();
+  const query = /^[0-9a-fA-F]{24}$/.test(idString) ? { _id: idString } : { code: idString.toUpperCase() };
+  return Location.findOne(query).lean();
+}
+
+async function loadLocation(id, { active = false } = {}) {
+  const location = await findLocation(id);
+  if (!location) throw httpError('Location not found', 404);
+  if (active && !location.isActive) throw httpError(`Location ${location.name} is inactive`, 400);
+  return location;
+}
+
+function getDefaultLocation() {
+  return Location.findOne({ isDefault: true }).lean();
+}
+
+// Active locations, the default one first
+function getLocations() {
+  return Location.find({ isActive: true }).sort({ isDefault: -1, name: 1 }).lean();
+}
+
+/**
+ * Stock at the default location — whatever isn't kept at another one
+ */
+function defaultQuantity(product) {
+  return (product.inventory || 0) - (product.locationStock || []).reduce((sum, entry) => sum + entry.quantity, 0);
+}
+
+function quantityAt(product, location) {
+  if (location.isDefault) return defaultQuantity(product);
+  const entry = (product.locationStock || []).find(e => e.location?.toString() === location._id.toString());
+  return entry ? entry.quantity : 0;
+}
+
+/**
+ * Per-location stock of a product — one entry per location (null when inventory isn't tracked)
+ */
+function stockByLocation(product, locations) {
+  if (product.inventory === null || product.inventory === undefined) return null;
+  return locations.map(location => ({
+    location: location._id,
+    code: location.code,
+    name: location.name,
+    isDefault: location.isDefault,
+    quantity: quantityAt(product, location)
+  }));
+}
+
+/**
+ * Add stockByLocation to lean products (replaces the raw locationStock field)
+ * Needs locationStock and inventory selected.
+ */
+async function withStockByLocation(products) {
+  const locations = await getLocations();
+  return products.map(({ locationStock, ...product }) => ({
+    ...product,
+    stockByLocation: stockByLocation({ ...product, locationStock }, locations)
+  }));
+}
+
+/**
+ * Active locations with the stock each holds ({ units, products } with stock there)
+ */
+async function listLocations({ includeInactive = false } = {}) {
+  const [locations, [totals]] = await Promise.all([
+    Location.find(includeInactive ? {} : { isActive: true }).sort({ isDefault: -1, name: 1 }).lean(),
+    Product.aggregate([
+      { $match: { isActive: true, inventory: { $ne: null } } },
+      {
+        $facet: {
+          all: [{ $group: { _id: null, units: { $sum: '$inventory' } } }],
+          atDefault: [
+            { $match: { $expr: { $gt: [{ $subtract: ['$inventory', { $sum: '$locationStock.quantity' }] }, 0] } } },
+            { $count: 'products' }
+          ],
+          byLocation: [
+            { $unwind: '$locationStock' },
+            { $match: { 'locationStock.quantity': { $ne: 0 } } },
+            { $group: { _id: '$locationStock.location', units: { $sum: '$locationStock.quantity' }, products: { $sum: 1 } } }
+          ]
+        }
+      }
+    ])
+  ]);
+
+  const byLocation = new Map(totals.byLocation.map(row => [row._id.toString(), row]));
+  const totalUnits = totals.all[0]?.units || 0;
+  const elsewhere = totals.byLocation.reduce((sum, row) => sum + row.units, 0);
+
+  const data = locations.map(location => {
+    if (location.isDefault) {
+      return { ...location, units: totalUnits - elsewhere, products: totals.atDefault[0]?.products || 0 };
+    }
+    const row = byLocation.get(location._id.toString());
+    return { ...location, units: row ? row.units : 0, products: row ? row.products : 0 };
+  });
+
+  return { locations: data, totalUnits };
+}
+
+/**
+ * Products with stock at a location (negative at the default location = sold, still to be picked elsewhere)
+ * @param {Object} query - { search?, page?, limit? }
+ */
+async function getLocationStock(id, { search, page = 1, limit = 100 } = {}) {
+  const location = await loadLocation(id);
+
+  const query = { isActive: true, inventory: { $ne: null } };
+  if (location.isDefault) {
+    query.$expr = { $ne: [{ $subtract: ['$inventory', { $sum: '$locationStock.quantity' }] }, 0] };
+  } else {
+    query.locationStock = { $elemMatch: { location: location._id, quantity: { $ne: 0 } } };
+  }
+  if (search) {
+    query.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+  }
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+
+  const [products, total] = await Promise.all([
+    Product.find(query)
+      .select('name unit categoryName inventory locationStock')
+      .sort('name')
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    Product.countDocuments(query)
+  ]);
+
+  return {
+    location,
+    products: products.map(product => ({
+      _id: product._id,
+      name: product.name,
+      unit: product.unit,
+      categoryName: product.categoryName,
+      quantity: quantityAt(product, location),
+      inventory: product.inventory
+    })),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    }
+  };
+}
+
+// Only the location fields that were sent
+function pickLocationFields(body) {
+  const data = {};
+  LOCATION_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field] === '' ? null : body[field];
+  });
+  return data;
+}
+
+/**
+ * Create a location — the first one becomes the default (it holds all existing stock)
+ */
+async function createLocation(body = {}) {
+  const hasDefault = await Location.exists({ isDefault: true });
+  const location = await Location.create({ ...pickLocationFields(body), isDefault: !hasDefault });
+  console.log(`📍 Location ${location.code} created${location.isDefault ? ' (default)' : ''}`);
+  return location.toObject();
+}
+
+/**
+ * A location can only be deactivated when it isn't the default and holds no stock
+ * @throws {Error} statusCode 400 / 409
+ */
+async function assertCanDeactivate(location) {
+  if (location.isDefault) {
+    throw httpError(`${location.name} is the default location — make another location the default first`, 400);
+  }
+  const holding = await Product.countDocuments({
+    locationStock: { $elemMatch: { location: location._id, quantity: { $ne: 0 } } }
+  });
+  if (holding > 0) {
+    throw httpError(`${location.name} still holds stock of ${holding} product(s) — transfer it out first`, 409);
+  }
+}
+
+/**
+ * Update a location (same fields as create, plus isActive)
+ */
+async function updateLocation(id, body = {}) {
+  const location = await loadLocation(id);
+  const updateData = pickLocationFields(body);
+  if (body.isActive !== undefined) {
+    updateData.isActive = body.isActive === true || body.isActive === 'true';
+    if (!updateData.isActive && location.isActive) await assertCanDeactivate(location);
+  }
+
+  return Location.findByIdAndUpdate(location._id, updateData, { new: true, runValidators: true }).lean();
+}
+
+async function deactivateLocation(id) {
+  const location = await loadLocation(id);
+  await assertCanDeactivate(location);
+  return Location.findByIdAndUpdate(location._id, { isActive: false }, { new: true }).lean();
+}
+
+/**
+ * Make a location the default — the old default's stock becomes an explicit locationStock entry
+ * and the new default's entry is folded into the remainder (one atomic update per product)
+ */
+async function setDefaultLocation(id) {
+  const location = await loadLocation(id, { active: true });
+  if (location.isDefault) return location;
+
+  const previous = await getDefaultLocation();
+  if (previous) {
+    await Product.updateMany({ inventory: { $ne: null } }, [{
+      $set: {
+        locationStock: {
+          $filter: {
+            input: {
+              $concatArrays: [
+                {
+                  $filter: {
+                    input: { $ifNull: ['$locationStock', []] },
+                    cond: { $ne: ['$$this.location', location._id] }
+                  }
+                },
+                [{ location: previous._id, quantity: { $subtract: ['$inventory', { $sum: '$locationStock.quantity' }] } }]
+              ]
+            },
+            cond: { $ne: ['$$this.quantity', 0] }
+          }
+        }
+      }
+    }]);
+    await Location.updateOne({ _id: previous._id }, { isDefault: false });
+  }
+
+  const updated = await Location.findByIdAndUpdate(location._id, { isDefault: true }, { new: true }).lean();
+  console.log(`📍 Default location: ${previous ? `${previous.code} → ` : ''}${updated.code}`);
+  return updated;
+}
+
+/**
+ * Move units of one product between two locations (total inventory unchanged)
+ * ATOMIC: the source is checked and both sides change in one update.
+ * @param {Object} from / to - Locations ({ _id, isDefault })
+ * @param {Object} options - { guard: false } skips the stock check (rollbacks)
+ * @returns {Object|null} Updated lean product, null if the source doesn't hold enough
+ */
+async function shiftStock(productId, from, to, quantity, { guard = true } = {}) {
+  if (!to.isDefault) {
+    await Product.updateOne(
+      { _id: productId, 'locationStock.location': { $ne: to._id } },
+      { $push: { locationStock: { location: to._id, quantity: 0 } } }
+    );
+  }
+
+  const filter = { _id: productId, inventory: { $ne: null } };
+  if (guard) {
+    if (from.isDefault) {
+      filter.$expr = { $gte: [{ $subtract: ['$inventory', { $sum: '$locationStock.quantity' }] }, quantity] };
+    } else {
+      filter.locationStock = { $elemMatch: { location: from._id, quantity: { $gte: quantity } } };
+    }
+  }
+
+  const inc = {};
+  const arrayFilters = [];
+  if (!from.isDefault) {
+    inc['locationStock.$[from].quantity'] = -quantity;
+    arrayFilters.push({ 'from.location': from._id });
+  }
+  if (!to.isDefault) {
+    inc['locationStock.$[to].quantity'] = quantity;
+    arrayFilters.push({ 'to.location': to._id });
+  }
+
+  return Product.findOneAndUpdate(filter, { $inc: inc }, { new: true, arrayFilters, lean: true });
+}
+
+/**
+ * Move lines that were already moved back where they came from (no stock check)
+ * @param {Array} moved - [{ product, name, quantity }] as returned by moveItems()
+ */
+async function undoMoves(moved, from, to) {
+  if (!moved || moved.length === 0) return;
+
+  console.log(`🔄 Moving ${moved.length} line(s) back ${to.code} → ${from.code}...`);
+  for (const line of moved) {
+    try {
+      await shiftStock(line.product, to, from, line.quantity, { guard: false });
+    } catch (err) {
+      console.error(`   ❌ Failed to move "${line.name}" back to ${from.code}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Move a batch of lines between locations — all-or-nothing
+ * Products without inventory tracking are skipped.
+ * @param {Array} items - [{ product, productName?, quantity }]
+ * @returns {Object} { success, moved: [{ product, name, quantity }], error?, insufficientItem? }
+ */
+async function moveItems(items, from, to) {
+  const moved = [];
+
+  try {
+    for (const item of items) {
+      if (!item.product || !item.quantity) continue;
+
+      const result = await shiftStock(item.product, from, to, item.quantity);
+      if (!result) {
+        const product = await Product.findById(item.product).select('name inventory locationStock').lean();
+        if (!product || product.inventory === null || product.inventory === undefined) continue;
+
+        const available = quantityAt(product, from);
+        await undoMoves(moved, from, to);
+        return {
+          success: false,
+          error: `Not enough "${product.name}" at ${from.name}. Available: ${available}, Requested: ${item.quantity}`,
+          insufficientItem: {
+            productId: product._id,
+            productName: product.name,
+            location: from._id,
+            locationName: from.name,
+            available,
+            requested: item.quantity
+          }
+        };
+      }
+
+      moved.push({ product: result._id, name: result.name, quantity: item.quantity });
+    }
+
+    return { success: true, moved };
+  } catch (error) {
+    console.error('❌ Unexpected error moving stock between locations:', error);
+    await undoMoves(moved, from, to);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Pick delivery lines from a location (createDelivery)
+ * The order (or hire dispatch) took the units from the default location; picking from
+ * another location shifts that to the location the goods actually left from.
+ * @param {Array} items - Delivery lines { product, quantity }
+ * @param {Object} location - Location picked from (null / default → nothing to do)
+ * @returns {Object} { success, picked, error?, insufficientItem? }
+ */
+async function pickFromLocation(items, location) {
+  if (!location || location.isDefault) return { success: true, picked: [] };
+
+  const defaultLocation = await getDefaultLocation();
+  const result = await moveItems(items, location, defaultLocation);
+  return result.success ? { success: true, picked: result.moved } : result;
+}
+
+/**
+ * Put picked lines back at their location (the delivery failed after picking)
+ */
+async function unpickFromLocation(picked, location) {
+  if (!location || location.isDefault || !picked || picked.length === 0) return;
+
+  await undoMoves(picked, location, await getDefaultLocation());
+}
+
+/**
+ * Find a transfer by ObjectId or number (TRF00003)
+ * @returns {Object|null} Lean transfer
+ */
+async function findTransfer(id) {
+  if (!id) return null;
+  const idString = id.toString();
+  const query = /^[0-9a-fA-F]{24}$/.test(idString) ? { _id: idString } : { transferNumber: idString.toUpperCase() };
+  return StockTransfer.findOne(query).lean();
+}
+
+function emitTransfer(io, event, transfer) {
+  emitEvent(io, event, {
+    transfer: {
+      _id: transfer._id,
+      transferNumber: transfer.transferNumber,
+      fromLocation: transfer.fromLocation,
+      fromLocationName: transfer.fromLocationName,
+      toLocation: transfer.toLocation,
+      toLocationName: transfer.toLocationName,
+      status: transfer.status,
+      items: transfer.items
+    }
+  }, { staff: true });
+}
+
+/**
+ * Transfer stock between locations — applied immediately, all-or-nothing
+ * @param {Object} body - { from, to, items: [{ product, quantity }], notes? }
+ * @throws {Error} statusCode 400 (bad lines / not enough stock, with insufficientItem) / 404
+ */
+async function createTransfer({ from, to, items, notes } = {}, user, io) {
+  if (!from || !to) {
+    throw httpError('from and to locations are required', 400);
+  }
+  const [fromLocation, toLocation] = await Promise.all([
+    loadLocation(from, { active: true }),
+    loadLocation(to, { active: true })
+  ]);
+  if (fromLocation._id.toString() === toLocation._id.toString()) {
+    throw httpError('from and to must be different locations', 400);
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError('items array is required', 400);
+  }
+
+  // One line per product
+  const quantities = new Map();
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    if (!item.product || !Number.isInteger(quantity) || quantity < 1) {
+      throw httpError('Each item needs a product and a whole quantity of at least 1', 400);
+    }
+    const key = String(item.product);
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+  }
+
+  const products = await Product.find({ _id: { $in: [...quantities.keys()] } }).select('name unit inventory').lean();
+  const productById = new Map(products.map(product => [product._id.toString(), product]));
+  const lines = [];
+  for (const [productId, quantity] of quantities) {
+    const product = productById.get(productId);
+    if (!product) throw httpError(`Product ${productId} not found`, 400);
+    if (product.inventory === null || product.inventory === undefined) {
+      throw httpError(`"${product.name}" has no inventory tracking`, 400);
+    }
+    lines.push({ product: product._id, productName: product.name, unit: product.unit || 'piece', quantity });
+  }
+
+  const result = await moveItems(lines, fromLocation, toLocation);
+  if (!result.success) {
+    const error = httpError(result.error, 400);
+    error.insufficientItem = result.insufficientItem;
+    throw error;
+  }
+
+  let transfer;
+  try {
+    const seq = await Counter.next(TRANSFER_SEQUENCE);
+    transfer = await StockTransfer.create({
+      transferNumber: `TRF${String(seq).padStart(5, '0')}`,
+      fromLocation: fromLocation._id,
+      fromLocationName: fromLocation.name,
+      toLocation: toLocation._id,
+      toLocationName: toLocation.name,
+      items: lines,
+      notes: notes || null,
+      transferredBy: user._id,
+      transferredByName: user.name
+    });
+  } catch (saveError) {
+    console.error('❌ Transfer save failed after moving stock. Moving it back...');
+    await undoMoves(result.moved, fromLocation, toLocation);
+    throw saveError;
+  }
+
+  const data = transfer.toObject();
+  emitTransfer(io, 'stock-transfer:created', data);
+  console.log(`🚚 Transfer ${data.transferNumber}: ${fromLocation.code} → ${toLocation.code}, ${lines.length} product(s)`);
+  return data;
+}
+
+/**
+ * Cancel a transfer — moves the stock back (fails if it has already left the destination)
+ * @throws {Error} statusCode 404 / 409
+ */
+async function cancelTransfer(id, { reason } = {}, user, io) {
+  const transfer = await findTransfer(id);
+  if (!transfer) throw httpError('Transfer not found', 404);
+  if (transfer.status !== 'completed') {
+    throw httpError(`${transfer.transferNumber} is ${transfer.status} — cannot cancel`, 409);
+  }
+
+  const [fromLocation, toLocation] = await Promise.all([
+    loadLocation(transfer.fromLocation),
+    loadLocation(transfer.toLocation)
+  ]);
+
+  // Claim the cancellation first so two cancels can't both move the stock back
+  const claimed = await StockTransfer.findOneAndUpdate(
+    { _id: transfer._id, status: 'completed' },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledByName: user.name, cancelReason: reason || null } },
+    { new: true }
+  ).lean();
+
+  if (!claimed) {
+    throw httpError('Transfer was changed by someone else. Reload it and try again.', 409);
+  }
+
+  const result = await moveItems(transfer.items, toLocation, fromLocation);
+  if (!result.success) {
+    await StockTransfer.updateOne(
+      { _id: transfer._id, status: 'cancelled' },
+      { $set: { status: 'completed', cancelledAt: null, cancelledByName: null, cancelReason: null } }
+    );
+    throw httpError(`Cannot cancel ${transfer.transferNumber}: ${result.error}`, 409);
+  }
+
+  emitTransfer(io, 'stock-transfer:cancelled', claimed);
+  console.log(`🚚 Transfer ${claimed.transferNumber} cancelled — stock back at ${fromLocation.code}`);
+  return claimed;
+}
+
+module.exports = {
+  findLocation,
+  loadLocation,
+  getDefaultLocation,
+  withStockByLocation,
+  listLocations,
+  getLocationStock,
+  createLocation,
+  updateLocation,
+  deactivateLocation,
+  setDefaultLocation,
+  pickFromLocation,
+  unpickFromLocation,
+  findTransfer,
+  createTransfer,
+  cancelTransfer
+};
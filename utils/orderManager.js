@@ -4,7 +4,19 @@ const DeliveryInvoice = require('../models/DeliveryInvoice');
 const Product = require('../models/Product');
 const Client = require('../models/Client');
 const User = require('../models/User');
-const { reduceInventory, restoreInventory } = require('./inventoryManager');
+const { reduceInventory, restoreInventory, adjustInventory, labelMovements } = require('./inventoryManager');
+const { applyGst, round2 } = require('./gstCalculator');
+const {
+  isRentalLine,
+  buildRentalFields,
+  calculateLineTotal,
+  dispatchRentalItems,
+  returnFromHire
+} = require('./rentalManager');
+const { checkAvailability, describeShortfalls } = require('./availabilityManager');
+const { resolveEventForOrder } = require('./eventManager');
+const { loadLocation, pickFromLocation, unpickFromLocation } = require('./locationManager');
+const { emitEvent, orderScope } = require('./realtime');
 const {
   initializeOrderCache,
   invalidateOrderCache,
@@ -15,11 +27,44 @@ const {
   acquireOrderLock,
   releaseOrderLock
 } = require('./orderCache');
+const { hasPermission, assertPermission, assertOrderPricing } = require('./permissions');
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Find an order by ObjectId or order number
+ */
+function orderQuery(id) {
+  const value = id.toString();
+  return /^[0-9a-fA-F]{24}$/.test(value) ? { _id: value } : { orderNumber: value.toUpperCase() };
+}
+
+/**
+ * Rental fields to carry from an order line to delivery/invoice lines
+ */
+function rentalFieldsOf(orderItem) {
+  if (!isRentalLine(orderItem)) return {};
+  return {
+    lineType: 'rental',
+    hireFrom: orderItem.hireFrom,
+    hireTo: orderItem.hireTo,
+    rentalPricing: orderItem.rentalPricing,
+    hireDays: orderItem.hireDays
+  };
+}
 
 /**
  * Create new order
+ * options.quotation: { _id, quotationNumber } when converting an accepted quotation
+ * options.actor: the signed-in user — their discount / advance permissions are enforced
+ * options.approval: { approvalNumber } when an approver released this order (see approvalManager)
+ * options.overbookingBy: user accepting an overbooking for callers without an actor (quotation conversion)
  */
-async function createOrder(orderData, userId, io) {
+async function createOrder(orderData, userId, io, { quotation = null, actor = null, approval = null, overbookingBy = null } = {}) {
   try {
     const {
       partyName,
@@ -35,17 +80,23 @@ async function createOrder(orderData, userId, io) {
       employeeId,
       comment, // Customization comments (not in invoice)
       notes,
+      // GST: placeOfSupply (state code) overrides the client's state; customerGstin is saved on the client
+      placeOfSupply,
+      customerGstin,
+      // Overbooking: by default a booking that would overbook a date is rejected;
+      // allowOverbooking: true creates it anyway and returns the shortfalls as warnings —
+      // only for users with approval.decide, anyone else's order goes for approval
+      allowOverbooking = false,
+      // Event / venue booking to file this order under (ObjectId or event number)
+      eventId,
       // Offline sync fields
       offlineId,
       createdOfflineAt,
       deviceId
     } = orderData;
     
-    // Calculate totals
-    const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const gstAmount = (subtotal * gstPercent) / 100;
-    const grandTotal = subtotal + localFreight + transportation + gstAmount - discount;
-    const balanceDue = grandTotal - advance;
+    // Event must exist and be open before anything else is touched
+    const event = eventId ? await resolveEventForOrder(eventId) : null;
     
     // Format items with product lookup
     const formattedItems = await Promise.all(items.map(async (item) => {
@@ -63,6 +114,9 @@ async function createOrder(orderData, userId, io) {
         }
       }
       
+      // Rental lines: hire dates + pricing (throws 400 on invalid dates)
+      const rentalFields = buildRentalFields(item);
+      
       return {
         product: productId,
         productName: item.productName,
@@ -71,22 +125,83 @@ async function createOrder(orderData, userId, io) {
         quantity: item.quantity,
         deliveredQuantity: 0,
         remainingQuantity: item.quantity,
-        total: item.price * item.quantity,
+        total: calculateLineTotal({ ...rentalFields, price: item.price }, item.quantity),
+        ...rentalFields,
         // Parda-specific fields (only present for Parda/curtain products)
         ...(item.width !== undefined && { width: item.width }),
         ...(item.height !== undefined && { height: item.height }),
         ...(item.chunnut !== undefined && { chunnut: item.chunnut }),
         ...(item.colour && { colour: item.colour }),
-        ...(item.colourPrice !== undefined && { colourPrice: item.colourPrice })
+        ...(item.colourPrice !== undefined && { colourPrice: item.colourPrice }),
+        // Optional per-line GST override (else product master → order gstPercent)
+        ...(item.gstRate !== undefined && { gstRate: item.gstRate }),
+        ...(item.hsnCode && { hsnCode: item.hsnCode })
       };
     }));
     
+    // ── Date-aware availability: would this booking overbook any day? ──
+    let availabilityWarnings = [];
+    let overbookingAcceptedBy = null;
+    const availability = await checkAvailability(formattedItems);
+    if (!availability.available) {
+      const overbookedItems = availability.items.filter(item => item.shortfalls.length > 0);
+      if (!allowOverbooking) {
+        const error = new Error(`Overbooked: ${describeShortfalls(availability)}`);
+        error.statusCode = 400;
+        error.overbookedItems = overbookedItems;
+        throw error;
+      }
+      
+      // Released from the approval queue → the approver accepted it
+      overbookingAcceptedBy = approval
+        ? { _id: approval.decidedBy, name: approval.decidedByName }
+        : actor || overbookingBy;
+      if (!approval && !hasPermission(overbookingAcceptedBy, 'approval.decide')) {
+        const error = httpError(`Overbooked: ${describeShortfalls(availability)}. Permission 'approval.decide' is required to accept an overbooking.`, 403);
+        error.overbookedItems = overbookedItems;
+        error.approvalRule = {
+          rule: 'overbooking',
+          details: {
+            items: overbookedItems.map(item => ({
+              productName: item.productName,
+              shortfalls: item.shortfalls
+            }))
+          }
+        };
+        throw error;
+      }
+      
+      availabilityWarnings = overbookedItems;
+      console.warn(`⚠️  Overbooking accepted by ${overbookingAcceptedBy.name || overbookingAcceptedBy._id}: ${describeShortfalls(availability)}`);
+    }
+    
+    // Existing client's GST details decide the place of supply
+    const existingClient = await Client.findOne({ partyName, mobile })
+      .select('gstin stateCode')
+      .lean();
+    const gstin = customerGstin || existingClient?.gstin || null;
+    
+    // Calculate totals (per-line GST with CGST/SGST or IGST split)
+    const gst = await applyGst(formattedItems, {
+      gstPercent,
+      placeOfSupply,
+      client: { ...existingClient, gstin }
+    });
+    const taxedItems = gst.items;
+    const subtotal = round2(taxedItems.reduce((sum, item) => sum + item.total, 0));
+    const gstAmount = gst.gstAmount;
+    const grandTotal = round2(subtotal + localFreight + transportation + gstAmount - discount);
+    const balanceDue = grandTotal - advance;
+    
+    assertOrderPricing(actor, { discount, subtotal, advance });
+    
     // Find or create client
     const client = await Client.findOneAndUpdate(
       { partyName, mobile },
       {
         partyName,
         mobile,
+        ...(customerGstin && { gstin: customerGstin }),
         $inc: { totalOrders: 1, totalSpent: grandTotal }
       },
       { upsert: true, new: true, lean: true }
@@ -96,12 +211,18 @@ async function createOrder(orderData, userId, io) {
     const order = new Order({
       partyName,
       mobile,
-      items: formattedItems,
+      items: taxedItems,
       subtotal,
       localFreight,
       transportation,
       gstPercent,
       gstAmount,
+      cgstAmount: gst.cgstAmount,
+      sgstAmount: gst.sgstAmount,
+      igstAmount: gst.igstAmount,
+      placeOfSupply: gst.placeOfSupply,
+      isInterState: gst.isInterState,
+      customerGstin: gstin,
       discount,
       grandTotal,
       advance,
@@ -112,6 +233,8 @@ async function createOrder(orderData, userId, io) {
       comment: comment || null,
       notes,
       client: client._id,
+      ...(event && { event: event._id, eventNumber: event.eventNumber }),
+      ...(quotation && { quotation: quotation._id, quotationNumber: quotation.quotationNumber }),
       createdBy: userId,
       status: 'open',
       progress: 0,
@@ -127,7 +250,11 @@ async function createOrder(orderData, userId, io) {
     // If any item has insufficient stock, the entire operation fails cleanly
     // No orphaned orders with unreserved inventory
     // ═══════════════════════════════════════════════════════════════════════
-    const inventoryResult = await reduceInventory(formattedItems, io);
+    // Rental lines are not sold — their stock moves to "on hire" at dispatch instead
+    const saleItems = taxedItems.filter(item => !isRentalLine(item));
+    // Order number is assigned on save — the movements are labelled with it afterwards
+    const movement = { source: { type: 'order', id: order._id }, user: actor || { _id: userId } };
+    const inventoryResult = await reduceInventory(saleItems, io, { movement });
     if (!inventoryResult.success) {
       // Inventory validation failed — don't create the order
       const error = new Error(inventoryResult.error || 'Inventory validation failed');
@@ -137,14 +264,27 @@ async function createOrder(orderData, userId, io) {
     }
     
     // Inventory is now secured atomically — save the order
+    const revisionReason = [
+      quotation && `Converted from quotation ${quotation.quotationNumber}`,
+      approval && `Approved request ${approval.approvalNumber}`,
+      overbookingAcceptedBy && `Overbooking accepted by ${overbookingAcceptedBy.name || overbookingAcceptedBy._id}`
+    ].filter(Boolean).join('; ');
+    order.$locals.revision = {
+      by: userId,
+      source: quotation ? 'quotation' : approval ? 'approval' : 'order.create',
+      ...(revisionReason && { reason: revisionReason })
+    };
     try {
       await order.save();
     } catch (saveError) {
       // Order save failed AFTER inventory was reduced — rollback inventory
       console.error('❌ Order save failed after inventory reduction. Rolling back...');
-      await restoreInventory(formattedItems, io);
+      await restoreInventory(saleItems, io, { ...movement, type: 'rollback' });
       throw saveError;
     }
+    if (inventoryResult.affectedProducts.length > 0) {
+      await labelMovements(movement.source, { ref: order.orderNumber });
+    }
     
     // Update employee stats (async, non-blocking — doesn't affect order creation)
     if (employeeId || userId) {
@@ -160,13 +300,13 @@ async function createOrder(orderData, userId, io) {
     
     // Emit Socket.IO events
     if (io) {
-      io.emit('order:created', { order: order.toObject() });
+      emitEvent(io, 'order:created', { order: order.toObject() }, orderScope(order));
       if (inventoryResult.affectedProducts?.length > 0) {
-        io.emit('order:inventory-reduced', {
+        emitEvent(io, 'order:inventory-reduced', {
           orderId: order._id,
           orderNumber: order.orderNumber,
           affectedProducts: inventoryResult.affectedProducts
-        });
+        }, orderScope(order));
       }
     }
     
@@ -174,7 +314,11 @@ async function createOrder(orderData, userId, io) {
       success: true,
       order: order.toObject(),
       inventoryUpdated: inventoryResult.success,
-      affectedProducts: inventoryResult.affectedProducts || []
+      affectedProducts: inventoryResult.affectedProducts || [],
+      ...(availabilityWarnings.length > 0 && {
+        overbookedItems: availabilityWarnings,
+        overbookingAcceptedBy: { _id: overbookingAcceptedBy._id, name: overbookingAcceptedBy.name || null }
+      })
     };
   } catch (error) {
     console.error('Create order error:', error);
@@ -185,6 +329,7 @@ async function createOrder(orderData, userId, io) {
 /**
  * Create delivery (supports both full and partial delivery)
  * If items not provided, delivers all remaining items (full delivery)
+ * deliveryData.location picks the goods from that location's stock (default location when not given)
  */
 async function createDelivery(deliveryData, orderId, userId, io) {
   try {
@@ -210,9 +355,12 @@ async function createDelivery(deliveryData, orderId, userId, io) {
         gstPercent = 0,
         discount = 0,
         notes,
+        location, // Location picked from (_id or code) — default location when not given
         isFullDelivery = false // Flag to deliver all remaining items
       } = deliveryData;
       
+      const pickLocation = location ? await loadLocation(location, { active: true }) : null;
+      
       // Validate delivery quantities
       const deliveryItems = [];
       const orderItemsMap = new Map();
@@ -247,13 +395,17 @@ async function createDelivery(deliveryData, orderId, userId, io) {
               narration: orderItem.narration || '',
               price: orderItem.price,
               quantity: remaining,
-              total: orderItem.price * remaining,
+              total: calculateLineTotal(orderItem, remaining),
               // Carry Parda fields from order item
               ...(orderItem.width !== undefined && { width: orderItem.width }),
               ...(orderItem.height !== undefined && { height: orderItem.height }),
               ...(orderItem.chunnut !== undefined && { chunnut: orderItem.chunnut }),
               ...(orderItem.colour && { colour: orderItem.colour }),
-              ...(orderItem.colourPrice !== undefined && { colourPrice: orderItem.colourPrice })
+              ...(orderItem.colourPrice !== undefined && { colourPrice: orderItem.colourPrice }),
+              // Carry GST rate/HSN resolved on the order line
+              ...(orderItem.gstRate !== undefined && { gstRate: orderItem.gstRate }),
+              ...(orderItem.hsnCode && { hsnCode: orderItem.hsnCode }),
+              ...rentalFieldsOf(orderItem)
             });
           }
         }
@@ -328,21 +480,31 @@ async function createDelivery(deliveryData, orderId, userId, io) {
             narration: item.narration || orderItem.narration || '',
             price: item.price || orderItem.price,
             quantity: item.quantity,
-            total: (item.price || orderItem.price) * item.quantity,
+            total: calculateLineTotal({ ...orderItem, price: item.price || orderItem.price }, item.quantity),
             // Carry Parda fields from order item
             ...(orderItem.width !== undefined && { width: orderItem.width }),
             ...(orderItem.height !== undefined && { height: orderItem.height }),
             ...(orderItem.chunnut !== undefined && { chunnut: orderItem.chunnut }),
             ...(orderItem.colour && { colour: orderItem.colour }),
-            ...(orderItem.colourPrice !== undefined && { colourPrice: orderItem.colourPrice })
+            ...(orderItem.colourPrice !== undefined && { colourPrice: orderItem.colourPrice }),
+            // Carry GST rate/HSN resolved on the order line
+            ...(orderItem.gstRate !== undefined && { gstRate: orderItem.gstRate }),
+            ...(orderItem.hsnCode && { hsnCode: orderItem.hsnCode }),
+            ...rentalFieldsOf(orderItem)
           });
         }
       }
       
       // Calculate delivery totals
-      const subtotal = deliveryItems.reduce((sum, item) => sum + item.total, 0);
-      const gstAmount = (subtotal * gstPercent) / 100;
-      const grandTotal = subtotal + localFreight + transportation + gstAmount - discount;
+      // Lines keep the order's GST rate; gstPercent only applies to legacy lines without one
+      const gst = await applyGst(deliveryItems, {
+        gstPercent,
+        placeOfSupply: order.placeOfSupply
+      });
+      const taxedItems = gst.items;
+      const subtotal = round2(taxedItems.reduce((sum, item) => sum + item.total, 0));
+      const gstAmount = gst.gstAmount;
+      const grandTotal = round2(subtotal + localFreight + transportation + gstAmount - discount);
       
       // Create delivery
       const delivery = new Delivery({
@@ -350,12 +512,18 @@ async function createDelivery(deliveryData, orderId, userId, io) {
         orderNumber: order.orderNumber,
         partyName: order.partyName,
         mobile: order.mobile,
-        items: deliveryItems,
+        items: taxedItems,
         subtotal,
         localFreight,
         transportation,
         gstPercent,
         gstAmount,
+        cgstAmount: gst.cgstAmount,
+        sgstAmount: gst.sgstAmount,
+        igstAmount: gst.igstAmount,
+        placeOfSupply: gst.placeOfSupply,
+        isInterState: gst.isInterState,
+        customerGstin: order.customerGstin || null,
         discount,
         grandTotal,
         deliveryDate,
@@ -363,10 +531,49 @@ async function createDelivery(deliveryData, orderId, userId, io) {
         expectedDeliveryDate: order.expectedDeliveryDate,
         status: 'pending',
         deliveredBy: userId,
+        location: pickLocation ? pickLocation._id : null,
+        locationName: pickLocation ? pickLocation.name : null,
         notes
       });
       
-      await delivery.save();
+      // ── Picked from another location: take the units from its stock (atomic, all-or-nothing) ──
+      const pickResult = await pickFromLocation(taxedItems, pickLocation);
+      if (!pickResult.success) {
+        const error = new Error(pickResult.error);
+        error.insufficientItem = pickResult.insufficientItem;
+        error.statusCode = 400;
+        throw error;
+      }
+      
+      // ── Rental lines: move stock inventory → onHire (atomic, all-or-nothing) ──
+      const rentalDeliveryItems = taxedItems.filter(isRentalLine);
+      let hireResult = { affectedProducts: [] };
+      // Delivery number is assigned on save — the movements are labelled with it afterwards
+      const movement = { source: { type: 'delivery', id: delivery._id, ref: order.orderNumber }, user: { _id: userId } };
+      if (rentalDeliveryItems.length > 0) {
+        hireResult = await dispatchRentalItems(rentalDeliveryItems, io, movement);
+        if (!hireResult.success) {
+          await unpickFromLocation(pickResult.picked, pickLocation);
+          const error = new Error(hireResult.error);
+          error.insufficientItem = hireResult.insufficientItem;
+          error.statusCode = 400;
+          throw error;
+        }
+      }
+      
+      try {
+        await delivery.save();
+      } catch (saveError) {
+        await unpickFromLocation(pickResult.picked, pickLocation);
+        if (hireResult.affectedProducts.length > 0) {
+          console.error('❌ Delivery save failed after dispatching hire stock. Rolling back...');
+          await returnFromHire(hireResult.affectedProducts.map(p => ({ product: p._id, quantity: p.quantity })), io, { ...movement, type: 'rollback' });
+        }
+        throw saveError;
+      }
+      if (hireResult.affectedProducts.length > 0) {
+        await labelMovements(movement.source, { detail: delivery.deliveryNumber });
+      }
       
       // Update order with delivered quantities
       const orderUpdate = await Order.findById(orderId);
@@ -399,6 +606,7 @@ async function createDelivery(deliveryData, orderId, userId, io) {
         }
       }
       
+      orderUpdate.$locals.revision = { by: userId, source: 'delivery', reason: `Delivery ${delivery.deliveryNumber}` };
       await orderUpdate.save();
       
       // Update employee delivery stats (async, non-blocking)
@@ -434,8 +642,8 @@ async function createDelivery(deliveryData, orderId, userId, io) {
       
       // Emit Socket.IO events
       if (io) {
-        io.emit('delivery:created', { delivery: delivery.toObject(), order: orderUpdate.toObject() });
-        io.emit('order:updated', { order: orderUpdate.toObject() });
+        emitEvent(io, 'delivery:created', { delivery: delivery.toObject(), order: orderUpdate.toObject() }, orderScope(orderUpdate));
+        emitEvent(io, 'order:updated', { order: orderUpdate.toObject() }, orderScope(orderUpdate));
       }
       
       return {
@@ -499,6 +707,13 @@ async function generateDeliveryInvoice(deliveryId, invoiceData, userId, io) {
       transportation: delivery.transportation,
       gstPercent: delivery.gstPercent,
       gstAmount: delivery.gstAmount,
+      // GST split is copied as-is so the invoice matches the delivery challan exactly
+      cgstAmount: delivery.cgstAmount || 0,
+      sgstAmount: delivery.sgstAmount || 0,
+      igstAmount: delivery.igstAmount || 0,
+      placeOfSupply: delivery.placeOfSupply || order?.placeOfSupply || null,
+      isInterState: delivery.isInterState || false,
+      customerGstin: delivery.customerGstin || order?.customerGstin || null,
       discount: delivery.discount,
       grandTotal: delivery.grandTotal,
       advance,
@@ -523,6 +738,7 @@ async function generateDeliveryInvoice(deliveryId, invoiceData, userId, io) {
       const orderUpdate = await Order.findById(order._id);
       orderUpdate.advance = (orderUpdate.advance || 0) + advance;
       orderUpdate.balanceDue = orderUpdate.grandTotal - orderUpdate.advance;
+      orderUpdate.$locals.revision = { by: userId, source: 'invoice', reason: `Advance on invoice ${invoice.invoiceNumber}` };
       await orderUpdate.save();
       
       // Update cache
@@ -532,9 +748,9 @@ async function generateDeliveryInvoice(deliveryId, invoiceData, userId, io) {
     
     // Emit Socket.IO events
     if (io) {
-      io.emit('invoice:generated', { invoice: invoice.toObject(), delivery: delivery });
+      emitEvent(io, 'invoice:generated', { invoice: invoice.toObject(), delivery: delivery }, orderScope(order));
       if (advance > 0) {
-        io.emit('order:payment-updated', { order: order });
+        emitEvent(io, 'order:payment-updated', { order: order }, orderScope(order));
       }
     }
     
@@ -577,19 +793,19 @@ async function updateDeliveryStatus(deliveryId, status, userId, io) {
     
     // Emit Socket.IO events
     if (io) {
-      io.emit('delivery:status-updated', {
+      emitEvent(io, 'delivery:status-updated', {
         deliveryId: delivery._id,
         deliveryNumber: delivery.deliveryNumber,
         status: delivery.status
-      });
+      }, { orders: [delivery.order], employees: [userId] });
       
       // Also emit invoice update if invoice exists
       if (delivery.invoice) {
-        io.emit('invoice:delivery-status-updated', {
+        emitEvent(io, 'invoice:delivery-status-updated', {
           invoiceId: delivery.invoice,
           deliveryId: delivery._id,
           deliveryStatus: status
-        });
+        }, { orders: [delivery.order], employees: [userId] });
       }
     }
     
@@ -603,8 +819,566 @@ async function updateDeliveryStatus(deliveryId, status, userId, io) {
   }
 }
 
+/**
+ * Update order — items (full replacement, inventory adjusted atomically), pricing,
+ * metadata and advance. Status is auto-calculated by the pre-save hook.
+ * @param {String} orderId - ObjectId or order number
+ * @param {Object} data - same body as PUT /api/orders/:id
+ * @param {Object} options - { source } revision source recorded in order history,
+ *                           { actor } signed-in user whose discount / payment permissions apply
+ * @throws {Error} statusCode 404 / 403 (locked, permission) / 400 (validation, stock)
+ */
+async function updateOrder(orderId, data, userId, io, { source = 'order.update', actor = null } = {}) {
+  const orderDoc = await Order.findOne(orderQuery(orderId));
+  
+  if (!orderDoc) {
+    throw httpError('Order not found', 404);
+  }
+  
+  if (orderDoc.isLocked || orderDoc.status === 'completed') {
+    throw httpError('Order is completed and locked. Cannot be modified.', 403);
+  }
+  
+  // Extract all editable fields
+  const {
+    items,               // Array of products (full replacement)
+    localFreight,        // Pricing fields
+    transportation,
+    gstPercent,
+    discount,
+    placeOfSupply,       // GST state code (switches CGST+SGST ↔ IGST)
+    comment,             // Metadata fields
+    employeeName,
+    employeeId,
+    expectedDeliveryDate,
+    notes,
+    advance              // Payment
+  } = data;
+  
+  // Changing the advance is recording money
+  if (actor && advance !== undefined && advance !== orderDoc.advance) {
+    assertPermission(actor, 'payment.record', `Changing the advance requires permission 'payment.record'`);
+  }
+  
+  let itemsChanged = false;
+  let inventoryAffected = [];
+  
+  // ═══════════════════════════════════════════════════════════════════════
+  // STEP 1: Handle items update (add, remove, change products)
+  // ═══════════════════════════════════════════════════════════════════════
+  if (items !== undefined && Array.isArray(items) && items.length > 0) {
+    const oldItems = orderDoc.items;
+    
+    // Build lookup map for old items (by product ID or product name)
+    const oldItemsByKey = new Map();
+    oldItems.forEach(item => {
+      const key = item.product?.toString() || item.productName?.toLowerCase().trim();
+      oldItemsByKey.set(key, item.toObject());
+      // Also add by productName for flexible matching
+      if (item.productName) {
+        oldItemsByKey.set(item.productName.toLowerCase().trim(), item.toObject());
+      }
+    });
+    
+    // Process new items
+    const newFormattedItems = [];
+    const newItemKeys = new Set();
+    
+    for (const item of items) {
+      if (!item.productName && !item.product) {
+        throw httpError('Each item must have a productName or product ID', 400);
+      }
+      
+      if (!item.quantity || item.quantity <= 0) {
+        throw httpError(`Invalid quantity for "${item.productName || 'Unknown'}". Must be greater than 0.`, 400);
+      }
+      
+      if (item.price === undefined || item.price < 0) {
+        throw httpError(`Invalid price for "${item.productName || 'Unknown'}".`, 400);
+      }
+      
+      // Resolve product ID if not provided
+      let productId = item.product || null;
+      if (!productId && item.productName) {
+        const foundProduct = await Product.findOne({
+          name: { $regex: `^${item.productName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' },
+          isActive: true
+        }).select('_id').lean();
+        if (foundProduct) productId = foundProduct._id;
+      }
+      
+      // Build matching key
+      const itemKey = productId?.toString() || item.productName?.toLowerCase().trim();
+      newItemKeys.add(itemKey);
+      // Also track by name
+      if (item.productName) {
+        newItemKeys.add(item.productName.toLowerCase().trim());
+      }
+      
+      // Check if this item existed in the old order
+      const oldItem = oldItemsByKey.get(itemKey)
+        || (item.productName ? oldItemsByKey.get(item.productName.toLowerCase().trim()) : null);
+      
+      if (oldItem) {
+        // ── EXISTING ITEM: validate delivered quantity constraint ──
+        const deliveredQty = oldItem.deliveredQuantity || 0;
+        
+        if (item.quantity < deliveredQty) {
+          throw httpError(`Cannot reduce "${item.productName}" quantity to ${item.quantity}. Already delivered: ${deliveredQty}. Minimum allowed: ${deliveredQty}.`, 400);
+        }
+        
+        // Rental fields: keep the old line's unless the request changes them
+        const rentalFields = buildRentalFields({
+          lineType: oldItem.lineType,
+          hireFrom: oldItem.hireFrom,
+          hireTo: oldItem.hireTo,
+          rentalPricing: oldItem.rentalPricing,
+          ...item
+        });
+        
+        if (deliveredQty > 0 && rentalFields.lineType !== (oldItem.lineType || 'sale')) {
+          throw httpError(`Cannot change "${item.productName}" between sale and rental — ${deliveredQty} units already delivered.`, 400);
+        }
+        
+        newFormattedItems.push({
+          product: productId || oldItem.product,
+          productName: item.productName || oldItem.productName,
+          narration: item.narration !== undefined ? item.narration : (oldItem.narration || ''),
+          price: item.price,
+          quantity: item.quantity,
+          deliveredQuantity: deliveredQty,
+          remainingQuantity: item.quantity - deliveredQty,
+          total: calculateLineTotal({ ...rentalFields, price: item.price }, item.quantity),
+          gstRate: item.gstRate !== undefined ? item.gstRate : oldItem.gstRate,
+          hsnCode: item.hsnCode || oldItem.hsnCode || '',
+          checkedInQuantity: oldItem.checkedInQuantity || 0,
+          ...rentalFields
+        });
+      } else {
+        // ── NEW ITEM: add with zero delivered ──
+        const rentalFields = buildRentalFields(item);
+        newFormattedItems.push({
+          product: productId,
+          productName: item.productName,
+          narration: item.narration || '',
+          price: item.price,
+          quantity: item.quantity,
+          deliveredQuantity: 0,
+          remainingQuantity: item.quantity,
+          total: calculateLineTotal({ ...rentalFields, price: item.price }, item.quantity),
+          ...rentalFields,
+          ...(item.gstRate !== undefined && { gstRate: item.gstRate }),
+          ...(item.hsnCode && { hsnCode: item.hsnCode })
+        });
+      }
+    }
+    
+    // ── CHECK: Can't remove items that have partial deliveries ──
+    for (const oldItem of oldItems) {
+      const oldKey = oldItem.product?.toString() || oldItem.productName?.toLowerCase().trim();
+      const oldNameKey = oldItem.productName?.toLowerCase().trim();
+      
+      const isKept = newItemKeys.has(oldKey) || (oldNameKey && newItemKeys.has(oldNameKey));
+      
+      if (!isKept && (oldItem.deliveredQuantity || 0) > 0) {
+        throw httpError(`Cannot remove "${oldItem.productName}" from order — ${oldItem.deliveredQuantity} units already delivered. Reduce quantity instead.`, 400);
+      }
+    }
+    
+    // Discount limit against the new subtotal — before any stock moves
+    assertOrderPricing(actor, {
+      discount: discount !== undefined ? discount : (orderDoc.discount || 0),
+      subtotal: newFormattedItems.reduce((sum, item) => sum + item.total, 0)
+    });
+    
+    // ── ATOMIC INVENTORY ADJUSTMENT ──
+    // Compares old quantities vs new quantities, adjusts inventory with $inc + $gte guard
+    // Only sale lines hold stock — rental stock moves at dispatch/check-in
+    const inventoryResult = await adjustInventory(
+      oldItems.filter(i => !isRentalLine(i)).map(i => ({ product: i.product, quantity: i.quantity })),
+      newFormattedItems.filter(i => !isRentalLine(i)).map(i => ({ product: i.product, quantity: i.quantity })),
+      io,
+      { source: { type: 'order', id: orderDoc._id, ref: orderDoc.orderNumber }, user: actor || { _id: userId } }
+    );
+    
+    if (!inventoryResult.success) {
+      throw httpError(inventoryResult.error || 'Inventory adjustment failed. Check stock availability.', 400);
+    }
+    
+    inventoryAffected = inventoryResult.affectedProducts || [];
+    
+    // ── APPLY ITEM CHANGES ──
+    orderDoc.items = newFormattedItems;
+    itemsChanged = true;
+    
+    // Recalculate subtotal from new items
+    const newSubtotal = newFormattedItems.reduce((sum, item) => sum + item.total, 0);
+    orderDoc.subtotal = newSubtotal;
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════════
+  // STEP 2: Handle pricing field updates
+  // ═══════════════════════════════════════════════════════════════════════
+  if (!itemsChanged && discount !== undefined) {
+    assertOrderPricing(actor, { discount, subtotal: orderDoc.subtotal });
+  }
+  if (localFreight !== undefined) orderDoc.localFreight = localFreight;
+  if (transportation !== undefined) orderDoc.transportation = transportation;
+  const gstPercentChanged = gstPercent !== undefined && gstPercent !== orderDoc.gstPercent;
+  if (gstPercent !== undefined) orderDoc.gstPercent = gstPercent;
+  if (discount !== undefined) orderDoc.discount = discount;
+  if (placeOfSupply !== undefined) orderDoc.placeOfSupply = placeOfSupply || null;
+  
+  // Recalculate totals if items or pricing changed
+  if (itemsChanged || localFreight !== undefined || transportation !== undefined || gstPercent !== undefined || discount !== undefined || placeOfSupply !== undefined) {
+    // Per-line GST; a changed order-level GST % re-resolves every line's rate
+    const gst = await applyGst(orderDoc.items.map(item => item.toObject()), {
+      gstPercent: orderDoc.gstPercent,
+      placeOfSupply: orderDoc.placeOfSupply,
+      resetRates: gstPercentChanged
+    });
+    orderDoc.items = gst.items;
+    orderDoc.gstAmount = gst.gstAmount;
+    orderDoc.cgstAmount = gst.cgstAmount;
+    orderDoc.sgstAmount = gst.sgstAmount;
+    orderDoc.igstAmount = gst.igstAmount;
+    orderDoc.isInterState = gst.isInterState;
+    // Additional charges (late-return fees etc.) stay part of the grand total
+    orderDoc.grandTotal = round2(orderDoc.subtotal + (orderDoc.localFreight || 0) + (orderDoc.transportation || 0) + gst.gstAmount - (orderDoc.discount || 0) + (orderDoc.additionalChargesTotal || 0));
+    orderDoc.balanceDue = orderDoc.grandTotal - (orderDoc.advance || 0);
+
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════════
+  // STEP 3: Handle metadata field updates
+  // ═══════════════════════════════════════════════════════════════════════
+  if (comment !== undefined) orderDoc.comment = comment;
+  if (employeeName !== undefined) orderDoc.employeeName = employeeName;
+  if (employeeId !== undefined) orderDoc.employee = employeeId;
+  if (expectedDeliveryDate !== undefined) orderDoc.expectedDeliveryDate = expectedDeliveryDate;
+  if (notes !== undefined) orderDoc.notes = notes;
+  
+  // ═══════════════════════════════════════════════════════════════════════
+  // STEP 4: Handle advance payment update (AFTER totals are recalculated)
+  // ═══════════════════════════════════════════════════════════════════════
+  if (advance !== undefined) {
+    if (typeof advance !== 'number' || advance < 0) {
+      throw httpError('Advance must be a non-negative number', 400);
+    }
+    
+    if (advance > orderDoc.grandTotal) {
+      throw httpError(`Advance (₹${advance}) cannot exceed grand total (₹${orderDoc.grandTotal})`, 400);
+    }
+    
+    orderDoc.advance = advance;
+    orderDoc.balanceDue = orderDoc.grandTotal - advance;
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════════
+  // STEP 5: Status safety checks (auto-calculated by pre-save hook)
+  // ═══════════════════════════════════════════════════════════════════════
+  if (data.status !== undefined) {
+    console.log(`⚠️  Status update ignored for order ${orderId}. Status is auto-calculated.`);
+  }
+  
+  if (!orderDoc.status || orderDoc.status === null) {
+    orderDoc.status = 'open';
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════════
+  // STEP 6: Save (pre-save hook auto-calculates status, progress, paymentStatus)
+  // The revision plugin records a field-level diff of this edit (changeReason is optional)
+  // ═══════════════════════════════════════════════════════════════════════
+  orderDoc.$locals.revision = { by: userId, source, reason: data.changeReason };
+  try {
+    await orderDoc.save();
+  } catch (saveError) {
+    console.error('❌ Order save error:', {
+      error: saveError.message,
+      orderId,
+      orderStatus: orderDoc.status,
+      errors: saveError.errors
+    });
+    throw saveError;
+  }
+  
+  const updatedOrder = orderDoc.toObject();
+  
+  // ═══════════════════════════════════════════════════════════════════════
+  // STEP 7: Refresh order cache + emit events
+  // ═══════════════════════════════════════════════════════════════════════
+  await invalidateOrderCache(updatedOrder._id.toString());
+  await initializeOrderCache(updatedOrder);
+  
+  if (io) {
+    emitEvent(io, 'order:updated', { order: updatedOrder }, orderScope(updatedOrder));
+    
+    if (advance !== undefined) {
+      emitEvent(io, 'order:payment-updated', {
+        orderId: updatedOrder._id,
+        orderNumber: updatedOrder.orderNumber,
+        advance: updatedOrder.advance,
+        balanceDue: updatedOrder.balanceDue,
+        paymentStatus: updatedOrder.paymentStatus
+      }, orderScope(updatedOrder));
+    }
+    
+    if (itemsChanged) {
+      emitEvent(io, 'order:items-updated', {
+        orderId: updatedOrder._id,
+        orderNumber: updatedOrder.orderNumber,
+        itemCount: updatedOrder.items.length,
+        grandTotal: updatedOrder.grandTotal,
+        inventoryAffected: inventoryAffected.length
+      }, orderScope(updatedOrder));
+    }
+  }
+  
+  // Build response message
+  let message = 'Order updated successfully';
+  if (itemsChanged && advance !== undefined) {
+    message = `Items updated (${updatedOrder.items.length} products, ₹${updatedOrder.grandTotal} total). Advance: ₹${advance}. Balance: ₹${updatedOrder.balanceDue}`;
+  } else if (itemsChanged) {
+    message = `Items updated: ${updatedOrder.items.length} products, subtotal ₹${updatedOrder.subtotal}, grand total ₹${updatedOrder.grandTotal}`;
+  } else if (advance !== undefined) {
+    message = `Advance updated to ₹${advance}. Balance due: ₹${updatedOrder.balanceDue}. Status: ${updatedOrder.status}`;
+  }
+  
+  return {
+    order: updatedOrder,
+    itemsChanged,
+    inventoryAffected,
+    message
+  };
+}
+
+/**
+ * Can this order be cancelled? Only open orders without deliveries can.
+ * @throws {Error} statusCode 400 (already cancelled, completed, has deliveries)
+ */
+async function assertCancellable(order) {
+  // Already cancelled
+  if (order.status === 'cancelled') {
+    throw httpError('Order is already cancelled', 400);
+  }
+  
+  // Completed/locked orders cannot be cancelled
+  if (order.status === 'completed' || order.isLocked) {
+    throw httpError('Completed orders cannot be cancelled', 400);
+  }
+  
+  // Check if any deliveries exist — if items are delivered, can't cancel
+  const deliveryCount = await Delivery.countDocuments({ order: order._id });
+  if (deliveryCount > 0) {
+    throw httpError(`Cannot cancel — ${deliveryCount} delivery(s) already made for this order. Only undelivered orders can be cancelled.`, 400);
+  }
+}
+
+/**
+ * Cancel order — restores ONLY undelivered inventory back to products.
+ * Orders with ANY deliveries cannot be cancelled. Updates client stats.
+ * @param {String} orderId - ObjectId or order number
+ * @throws {Error} statusCode 404 / 400 (already cancelled, completed, has deliveries)
+ */
+async function cancelOrder(orderId, reason, userId, io, { source = 'cancel' } = {}) {
+  const query = orderQuery(orderId);
+  const order = await Order.findOne(query).lean();
+  
+  if (!order) {
+    throw httpError('Order not found', 404);
+  }
+  
+  await assertCancellable(order);
+  
+  // Restore inventory for ALL sale items (since nothing was delivered, restore full quantities)
+  // Rental lines never left inventory — nothing to restore for them
+  const inventoryResult = await restoreInventory(order.items.filter(item => !isRentalLine(item)), io, {
+    source: { type: 'order', id: order._id, ref: order.orderNumber },
+    user: { _id: userId },
+    note: reason || null
+  });
+  
+  // Update order status to cancelled
+  const updatedOrder = await Order.findOneAndUpdate(
+    query,
+    {
+      status: 'cancelled',
+      cancelReason: reason || null,
+      cancelledAt: new Date()
+    },
+    { new: true, revision: { by: userId, source, reason } }
+  ).lean();
+  
+  // Update client stats
+  if (order.client) {
+    try {
+      await Client.findByIdAndUpdate(order.client, {
+        $inc: {
+          totalOrders: -1,
+          openOrders: -1,
+          totalSpent: -(order.grandTotal || 0),
+          totalDue: -(order.balanceDue || 0)
+        }
+      });
+    } catch (clientErr) {
+      console.error('⚠️ Error updating client stats on cancel:', clientErr.message);
+    }
+  }
+  
+  await invalidateOrderCache(order._id.toString());
+  
+  // Emit Socket.IO events
+  if (io) {
+    emitEvent(io, 'order:cancelled', {
+      orderId: updatedOrder._id,
+      orderNumber: updatedOrder.orderNumber,
+      reason: reason || null
+    }, orderScope(updatedOrder));
+    
+    if (inventoryResult.affectedProducts?.length > 0) {
+      emitEvent(io, 'order:inventory-restored', {
+        orderId: updatedOrder._id,
+        orderNumber: updatedOrder.orderNumber,
+        affectedProducts: inventoryResult.affectedProducts
+      }, orderScope(updatedOrder));
+    }
+  }
+  
+  return {
+    order: updatedOrder,
+    inventoryResult
+  };
+}
+
+/**
+ * Delete an order with its deliveries and delivery invoices (any status, including completed).
+ * Inventory is NOT restored — cancel an order to put its stock back. Revision history is kept.
+ * @param {String} orderId - ObjectId or order number
+ * @throws {Error} statusCode 404
+ */
+async function deleteOrder(orderId, userId, io, { source = 'delete', reason } = {}) {
+  const order = await Order.findOne(orderQuery(orderId)).lean();
+  
+  if (!order) {
+    throw httpError('Order not found', 404);
+  }
+  
+  // Step 1: Find all deliveries for this order
+  const deliveries = await Delivery.find({ order: order._id }).select('_id invoice deliveryPerformance').lean();
+  const deliveryIds = deliveries.map(d => d._id);
+  const invoiceIds = deliveries.filter(d => d.invoice).map(d => d.invoice);
+  
+  // Step 1.5: Get delivery performance stats BEFORE deletion (for employee stats update)
+  let deliveryPerformanceStats = {};
+  if (deliveryIds.length > 0) {
+    const stats = await Delivery.aggregate([
+      { $match: { _id: { $in: deliveryIds } } },
+      {
+        $group: {
+          _id: '$deliveryPerformance',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    
+    stats.forEach(stat => {
+      deliveryPerformanceStats[stat._id] = stat.count || 0;
+    });
+  }
+  
+  // Step 2: Delete all delivery invoices
+  let deletedInvoicesCount = 0;
+  if (invoiceIds.length > 0) {
+    const invoiceResult = await DeliveryInvoice.deleteMany({ _id: { $in: invoiceIds } });
+    deletedInvoicesCount = invoiceResult.deletedCount;
+    console.log(`🗑️  Deleted ${deletedInvoicesCount} delivery invoice(s) for order ${order.orderNumber}`);
+  }
+  
+  // Step 3: Delete all deliveries
+  let deletedDeliveriesCount = 0;
+  if (deliveryIds.length > 0) {
+    const deliveryResult = await Delivery.deleteMany({ _id: { $in: deliveryIds } });
+    deletedDeliveriesCount = deliveryResult.deletedCount;
+    console.log(`🗑️  Deleted ${deletedDeliveriesCount} delivery(ies) for order ${order.orderNumber}`);
+  }
+  
+  // Step 4: DO NOT restore inventory when deleting order
+  // Inventory should remain as-is (products were already delivered/used)
+  // Only restore inventory when cancelling orders, not deleting them
+  
+  // Step 5: Update client stats (decrease totalOrders and totalSpent)
+  if (order.client) {
+    try {
+      await Client.findByIdAndUpdate(order.client, {
+        $inc: {
+          totalOrders: -1,
+          totalSpent: -order.grandTotal
+        }
+      });
+      console.log(`📊 Updated client stats for order ${order.orderNumber}`);
+    } catch (clientError) {
+      console.error('⚠️  Error updating client stats:', clientError);
+    }
+  }
+  
+  // Step 6: Update employee stats (decrease totalOrders and delivery counts)
+  if (order.employee) {
+    try {
+      const updateFields = {
+        $inc: {
+          'employeeStats.totalOrders': -1,
+          'employeeStats.totalDeliveries': -deletedDeliveriesCount
+        }
+      };
+      
+      // Subtract delivery performance counts (using stats collected before deletion)
+      if (deliveryPerformanceStats.on_time) {
+        updateFields.$inc['employeeStats.onTimeDeliveries'] = -deliveryPerformanceStats.on_time;
+      }
+      if (deliveryPerformanceStats.early) {
+        updateFields.$inc['employeeStats.earlyDeliveries'] = -deliveryPerformanceStats.early;
+      }
+      if (deliveryPerformanceStats.late) {
+        updateFields.$inc['employeeStats.lateDeliveries'] = -deliveryPerformanceStats.late;
+      }
+      
+      await User.findByIdAndUpdate(order.employee, updateFields);
+      console.log(`👤 Updated employee stats for order ${order.orderNumber}`);
+    } catch (employeeError) {
+      console.error('⚠️  Error updating employee stats:', employeeError);
+    }
+  }
+  
+  // Step 7: Delete the order (its revision history is kept)
+  await Order.deleteOne({ _id: order._id }, { revision: { by: userId, source, reason } });
+  console.log(`✅ Deleted order ${order.orderNumber}`);
+  
+  // Step 8: Invalidate Redis cache
+  await invalidateOrderCache(order._id.toString());
+  
+  // Step 9: Emit Socket.IO events
+  if (io) {
+    emitEvent(io, 'order:deleted', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      deletedDeliveries: deletedDeliveriesCount,
+      deletedInvoices: deletedInvoicesCount
+    }, orderScope(order));
+  }
+  
+  return {
+    order,
+    deletedDeliveries: deletedDeliveriesCount,
+    deletedInvoices: deletedInvoicesCount
+  };
+}
+
 module.exports = {
   createOrder,
+  updateOrder,
+  cancelOrder,
+  assertCancellable,
+  deleteOrder,
   createDelivery,
   generateDeliveryInvoice,
   updateDeliveryStatus
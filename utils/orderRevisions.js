@@ -0,0 +1,270 @@
+const OrderRevision = require('../models/OrderRevision');
+
+/**
+ * Order Revisions — field-level change history for orders
+ *
+ * Installed on the Order schema as a plugin, so every mutation is captured no matter
+ * which route or helper made it:
+ *   - document saves     → diff against the state the document was loaded with
+ *   - update queries     → diff the matched orders before/after the update
+ *   - deleteOne          → final snapshot
+ *
+ * Who / why is attached by the caller:
+ *   documents: order.$locals.revision = { by, source, reason }
+ *   queries:   Order.updateOne(filter, update, { revision: { by, source, reason } })
+ * Unattributed changes are recorded with source 'system'.
+ *
+ * Recording fails open — a revision write error is logged and never fails the order change.
+ */
+
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt', 'items']);
+const ITEM_IGNORED_FIELDS = new Set(['_id']);
+
+// Arrays that only ever grow — record the appended entries instead of the whole array
+const APPEND_ONLY_FIELDS = new Set(['additionalCharges', 'rentalCheckIns', 'depositTransactions']);
+
+// Headline values recorded when an order is created or deleted
+const SNAPSHOT_FIELDS = [
+  'status', 'subtotal', 'localFreight', 'transportation', 'gstPercent', 'gstAmount',
+  'discount', 'grandTotal', 'advance', 'balanceDue', 'expectedDeliveryDate'
+];
+
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+
+// ObjectIds → strings, Dates → ISO strings, undefined → null
+function normalize(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+function lineKey(item) {
+  const base = item.product?.toString() || item.productName?.toLowerCase().trim() || '';
+  return `${base}:${item.lineType || 'sale'}`;
+}
+
+function lineIdentity(item) {
+  return { product: item.product || null, productName: item.productName };
+}
+
+/**
+ * Field-by-field diff of two plain objects
+ * @returns {Array} [{ field, before, after }] or [{ field, added }] for append-only arrays
+ */
+function diffFields(before = {}, after = {}, ignored = IGNORED_FIELDS) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (ignored.has(field) || isEqual(before[field], after[field])) return;
+
+    const previous = before[field] || [];
+    const current = after[field] || [];
+    if (APPEND_ONLY_FIELDS.has(field) && current.length > previous.length
+        && isEqual(previous, current.slice(0, previous.length))) {
+      changes.push({ field, added: normalize(current.slice(previous.length)) });
+      return;
+    }
+
+    changes.push({ field, before: normalize(before[field]), after: normalize(after[field]) });
+  });
+
+  return changes;
+}
+
+/**
+ * Per-line diff of order items. Lines are matched by product (or name) + line type,
+ * the same way PUT /api/orders/:id matches them.
+ */
+function diffItems(beforeItems = [], afterItems = []) {
+  const unmatched = new Map();
+  beforeItems.forEach(item => {
+    const key = lineKey(item);
+    if (!unmatched.has(key)) unmatched.set(key, []);
+    unmatched.get(key).push(item);
+  });
+
+  const changes = [];
+
+  afterItems.forEach(item => {
+    const previous = unmatched.get(lineKey(item))?.shift();
+    if (!previous) {
+      const fields = diffFields({}, item, ITEM_IGNORED_FIELDS).map(({ field, after }) => ({ field, after }));
+      changes.push({ change: 'added', ...lineIdentity(item), fields });
+      return;
+    }
+    const fields = diffFields(previous, item, ITEM_IGNORED_FIELDS);
+    if (fields.length > 0) {
+      changes.push({ change: 'modified', ...lineIdentity(item), fields });
+    }
+  });
+
+  unmatched.forEach(lines => lines.forEach(item => {
+    const fields = diffFields(item, {}, ITEM_IGNORED_FIELDS).map(({ field, before }) => ({ field, before }));
+    changes.push({ change: 'removed', ...lineIdentity(item), fields });
+  }));
+
+  return changes;
+}
+
+function snapshotChanges(doc, side) {
+  return SNAPSHOT_FIELDS
+    .filter(field => doc[field] !== undefined && doc[field] !== null)
+    .map(field => ({ field, [side]: normalize(doc[field]) }));
+}
+
+/**
+ * Diff two states of an order
+ * @param {Object|null} before - null for a new order
+ * @param {Object|null} after - null for a deleted order
+ * @returns {Object} { action, changes, itemChanges }
+ */
+function diffOrder(before, after) {
+  if (!before) {
+    return { action: 'created', changes: snapshotChanges(after, 'after'), itemChanges: diffItems([], after.items) };
+  }
+  if (!after) {
+    return { action: 'deleted', changes: snapshotChanges(before, 'before'), itemChanges: diffItems(before.items, []) };
+  }
+  return { action: 'updated', changes: diffFields(before, after), itemChanges: diffItems(before.items, after.items) };
+}
+
+/**
+ * Write the next revision for an order (revision numbers are per order: 1, 2, 3 ...)
+ * @returns {Object|null} The revision, or null when nothing changed
+ */
+async function recordOrderRevision(before, after, { by = null, source = 'system', reason } = {}) {
+  const { action, changes, itemChanges } = diffOrder(before, after);
+  if (action === 'updated' && changes.length === 0 && itemChanges.length === 0) {
+    return null;
+  }
+
+  const order = after || before;
+  const maxAttempts = 5;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const last = await OrderRevision.findOne({ order: order._id })
+      .sort({ revision: -1 })
+      .select('revision')
+      .lean();
+
+    try {
+      return await OrderRevision.create({
+        order: order._id,
+        orderNumber: order.orderNumber,
+        revision: (last?.revision || 0) + 1,
+        action,
+        source,
+        changes,
+        itemChanges,
+        changedBy: by,
+        ...(reason && { reason })
+      });
+    } catch (error) {
+      // Concurrent revision took the same number — read again and retry
+      if (error.code !== 11000 || attempt === maxAttempts) throw error;
+    }
+  }
+  return null;
+}
+
+async function recordSafely(before, after, meta) {
+  try {
+    await recordOrderRevision(before, after, meta);
+  } catch (error) {
+    const order = after || before;
+    console.error(`❌ Failed to record revision for order ${order?.orderNumber || order?._id}:`, error.message);
+  }
+}
+
+/**
+ * Mongoose plugin for the Order schema
+ */
+function orderRevisionPlugin(schema) {
+  // Remember the loaded state — the next save is diffed against it
+  schema.post('init', function() {
+    this.$locals.revisionBase = this.toObject({ depopulate: true });
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.revisionIsNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', async function(doc) {
+    const before = doc.$locals.revisionIsNew ? null : doc.$locals.revisionBase;
+    const after = doc.toObject({ depopulate: true });
+    const meta = doc.$locals.revision || {};
+
+    // Saving the same document again diffs from here
+    doc.$locals.revisionBase = after;
+    doc.$locals.revision = null;
+
+    if (!before && !doc.$locals.revisionIsNew) return; // Hydrated without init (e.g. Model.hydrate)
+    await recordSafely(before, after, meta);
+  });
+
+  schema.pre(UPDATE_QUERIES, async function() {
+    const single = this.op !== 'updateMany';
+    let finder = this.model.find(this.getFilter()).lean();
+    if (single) {
+      // Same order the update will pick: first match in the query's sort
+      const { sort } = this.getOptions();
+      if (sort) finder = finder.sort(sort);
+      finder = finder.limit(1);
+    }
+    this._revisionBefore = await finder;
+  });
+
+  schema.post(UPDATE_QUERIES, async function(result) {
+    let before = this._revisionBefore || [];
+
+    // findOneAndUpdate returns the order it changed — only that one is diffed
+    if (this.op === 'findOneAndUpdate' && result?._id && before.length > 0) {
+      const updatedId = result._id.toString();
+      if (before[0]._id.toString() !== updatedId) {
+        console.warn(`⚠️  Order ${updatedId} was updated but order ${before[0]._id} was snapshotted — revision skipped`);
+        before = [];
+      }
+    }
+    if (before.length === 0) return;
+
+    const meta = this.getOptions().revision || {};
+    const after = await this.model.find({ _id: { $in: before.map(o => o._id) } }).lean();
+    const afterById = new Map(after.map(o => [o._id.toString(), o]));
+
+    for (const previous of before) {
+      const current = afterById.get(previous._id.toString());
+      if (current) await recordSafely(previous, current, meta);
+    }
+  });
+
+  schema.pre('deleteOne', { document: false, query: true }, async function() {
+    this._revisionBefore = await this.model.findOne(this.getFilter()).lean();
+  });
+
+  schema.post('deleteOne', { document: false, query: true }, async function() {
+    if (!this._revisionBefore) return;
+    await recordSafely(this._revisionBefore, null, this.getOptions().revision || {});
+  });
+}
+
+/**
+ * Revision timeline for an order (oldest first)
+ * options.since: only revisions recorded after this date
+ */
+async function getOrderRevisions(orderId, { since } = {}) {
+  return OrderRevision.find({ order: orderId, ...(since && { createdAt: { $gt: since } }) })
+    .sort({ revision: 1 })
+    .populate('changedBy', 'name username')
+    .lean();
+}
+
+module.exports = {
+  orderRevisionPlugin,
+  recordOrderRevision,
+  getOrderRevisions,
+  diffOrder
+};
@@ -2,6 +2,8 @@ const Payment = require('../models/Payment');
 const Order = require('../models/Order');
 const Invoice = require('../models/Invoice');
 const Client = require('../models/Client');
+const { getClientDepositSummary } = require('./depositManager');
+const { emitEvent, orderScope } = require('./realtime');
 
 /**
  * Record a payment for a specific order
@@ -64,6 +66,7 @@ async function recordOrderPayment(orderId, paymentData, userId, io) {
     // Update order advance
     order.advance = (order.advance || 0) + amount;
     order.balanceDue = order.grandTotal - order.advance;
+    order.$locals.revision = { by: userId, source: 'payment', reason: `Payment ${payment.paymentNumber}` };
     await order.save();
     
     // Update client stats
@@ -76,19 +79,19 @@ async function recordOrderPayment(orderId, paymentData, userId, io) {
     
     // Emit real-time events
     if (io) {
-      io.emit('payment:recorded', {
+      emitEvent(io, 'payment:recorded', {
         payment: payment.toObject(),
         order: order.toObject(),
         client: client.toObject()
-      });
+      }, orderScope(order));
       
-      io.emit('order:payment-updated', {
+      emitEvent(io, 'order:payment-updated', {
         orderId: order._id,
         orderNumber: order.orderNumber,
         advance: order.advance,
         balanceDue: order.balanceDue,
         paymentStatus: order.paymentStatus
-      });
+      }, orderScope(order));
     }
     
     return {
@@ -152,15 +155,15 @@ async function recordAdvancePayment(clientId, paymentData, userId, io) {
     
     // Emit real-time events
     if (io) {
-      io.emit('payment:recorded', {
+      emitEvent(io, 'payment:recorded', {
         payment: payment.toObject(),
         client: client.toObject()
-      });
+      }, { clients: [client._id], employees: [userId] });
       
-      io.emit('client:advance-updated', {
+      emitEvent(io, 'client:advance-updated', {
         clientId: client._id,
         advanceBalance: client.advanceBalance
-      });
+      }, { clients: [client._id], employees: [userId] });
     }
     
     return {
@@ -227,6 +230,7 @@ async function recordClientPayment(clientId, paymentData, userId, io) {
         // Update order
         order.advance = (order.advance || 0) + alloc.amount;
         order.balanceDue = order.grandTotal - order.advance;
+        order.$locals.revision = { by: userId, source: 'payment', reason: 'Client payment allocation' };
         await order.save();
         
         allocations.push({
@@ -255,6 +259,7 @@ async function recordClientPayment(clientId, paymentData, userId, io) {
         // Update order
         order.advance = (order.advance || 0) + paymentAmount;
         order.balanceDue = order.grandTotal - order.advance;
+        order.$locals.revision = { by: userId, source: 'payment', reason: 'Client payment auto-allocation' };
         await order.save();
         
         allocations.push({
@@ -311,28 +316,28 @@ async function recordClientPayment(clientId, paymentData, userId, io) {
     
     // Emit real-time events
     if (io) {
-      io.emit('payment:recorded', {
+      emitEvent(io, 'payment:recorded', {
         payment: payment.toObject(),
         client: client.toObject(),
         updatedOrders: updatedOrders.map(o => o.toObject())
-      });
+      }, { orders: updatedOrders.map(o => o._id), clients: [client._id], employees: [userId] });
       
       // Emit event for each updated order
       for (const order of updatedOrders) {
-        io.emit('order:payment-updated', {
+        emitEvent(io, 'order:payment-updated', {
           orderId: order._id,
           orderNumber: order.orderNumber,
           advance: order.advance,
           balanceDue: order.balanceDue,
           paymentStatus: order.paymentStatus
-        });
+        }, orderScope(order));
       }
       
       if (remainingPayment > 0) {
-        io.emit('client:advance-updated', {
+        emitEvent(io, 'client:advance-updated', {
           clientId: client._id,
           advanceBalance: client.advanceBalance
-        });
+        }, { clients: [client._id], employees: [userId] });
       }
     }
     
@@ -380,6 +385,7 @@ async function useAdvanceForOrder(orderId, amount, userId, io) {
     // Update order
     order.advance = (order.advance || 0) + amount;
     order.balanceDue = order.grandTotal - order.advance;
+    order.$locals.revision = { by: userId, source: 'payment', reason: 'Paid from client advance balance' };
     await order.save();
     
     // Update client
@@ -389,21 +395,21 @@ async function useAdvanceForOrder(orderId, amount, userId, io) {
     
     // Emit real-time events
     if (io) {
-      io.emit('order:advance-applied', {
+      emitEvent(io, 'order:advance-applied', {
         orderId: order._id,
         orderNumber: order.orderNumber,
         amount,
         newBalance: order.balanceDue,
         clientAdvanceBalance: client.advanceBalance
-      });
+      }, orderScope(order));
       
-      io.emit('order:payment-updated', {
+      emitEvent(io, 'order:payment-updated', {
         orderId: order._id,
         orderNumber: order.orderNumber,
         advance: order.advance,
         balanceDue: order.balanceDue,
         paymentStatus: order.paymentStatus
-      });
+      }, orderScope(order));
     }
     
     return {
@@ -504,6 +510,9 @@ async function getClientFinancialSummary(clientId) {
     // Get unallocated advances
     const unallocatedAdvances = await Payment.getUnallocatedAdvances(clientId);
     
+    // Security deposits (held separately — not part of totalPaid / netDue)
+    const deposits = await getClientDepositSummary(clientId);
+    
     // Calculate totals
     const totalOrderValue = orders.reduce((sum, o) => sum + o.grandTotal, 0);
     const totalPaid = orders.reduce((sum, o) => sum + (o.advance || 0), 0);
@@ -545,6 +554,7 @@ async function getClientFinancialSummary(clientId) {
             method: client.lastPaymentMethod
           } : null
         },
+        deposits,
         netDue: totalDue - (client.advanceBalance || 0)
       }
     };
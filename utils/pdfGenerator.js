@@ -0,0 +1,640 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * PDF Generator
+ * Renders delivery invoices and order estimates on the server so every device
+ * (Flutter app, web, counter PC) prints exactly the same bill.
+ *
+ * Two layouts are supported:
+ *   - a4      → full page bill with shop header, bordered item table and signature block
+ *   - thermal → 80mm roll (226pt wide) for the counter receipt printer
+ *
+ * Shop details come from environment variables so branding can change without a deploy:
+ *   SHOP_NAME, SHOP_TAGLINE, SHOP_ADDRESS, SHOP_PHONE, SHOP_EMAIL, SHOP_GSTIN, INVOICE_TERMS
+ *
+ * Built-in PDF fonts (Helvetica) have no ₹ glyph, so amounts are printed as "Rs."
+ */
+
+const A4_MARGIN = 40;
+const THERMAL_WIDTH = 226; // 80mm roll
+const THERMAL_MARGIN = 10;
+
+function getShopDetails() {
+  return {
+    name: process.env.SHOP_NAME || 'Khushi Wedding Mall',
+    tagline: process.env.SHOP_TAGLINE || 'Tent & Decoration',
+    address: process.env.SHOP_ADDRESS || '',
+    phone: process.env.SHOP_PHONE || '',
+    email: process.env.SHOP_EMAIL || '',
+    gstin: process.env.SHOP_GSTIN || '',
+    terms: process.env.INVOICE_TERMS || 'Goods once delivered are the responsibility of the party. Subject to local jurisdiction.'
+  };
+}
+
+// ============================================================================
+// FORMATTING HELPERS
+// ============================================================================
+
+function formatAmount(value) {
+  const num = Number(value) || 0;
+  return num.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatQuantity(value) {
+  const num = Number(value) || 0;
+  return Number.isInteger(num) ? num.toString() : num.toFixed(2);
+}
+
+function formatDate(value) {
+  if (!value) return '-';
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '-';
+  const day = date.getDate().toString().padStart(2, '0');
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  return `${day}/${month}/${date.getFullYear()}`;
+}
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function twoDigitWords(num) {
+  if (num < 20) return ONES[num];
+  return `${TENS[Math.floor(num / 10)]}${num % 10 ? ' ' + ONES[num % 10] : ''}`;
+}
+
+function threeDigitWords(num) {
+  const hundreds = Math.floor(num / 100);
+  const rest = num % 100;
+  const parts = [];
+  if (hundreds) parts.push(`${ONES[hundreds]} Hundred`);
+  if (rest) parts.push(twoDigitWords(rest));
+  return parts.join(' ');
+}
+
+/**
+ * Convert a whole number to words using the Indian numbering system
+ * (Crore / Lakh / Thousand / Hundred)
+ */
+function integerToIndianWords(num) {
+  if (num === 0) return 'Zero';
+
+  const parts = [];
+  const crore = Math.floor(num / 10000000);
+  num %= 10000000;
+  const lakh = Math.floor(num / 100000);
+  num %= 100000;
+  const thousand = Math.floor(num / 1000);
+  num %= 1000;
+
+  if (crore) parts.push(`${integerToIndianWords(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigitWords(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigitWords(thousand)} Thousand`);
+  if (num) parts.push(threeDigitWords(num));
+
+  return parts.join(' ');
+}
+
+/**
+ * Amount in words as printed on Indian bills
+ * e.g. 74228.5 → "Rupees Seventy Four Thousand Two Hundred Twenty Eight and Fifty Paise Only"
+ */
+function amountInWords(amount) {
+  const value = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(value / 100);
+  const paise = value % 100;
+
+  let words = `Rupees ${integerToIndianWords(rupees)}`;
+  if (paise > 0) {
+    words += ` and ${twoDigitWords(paise)} Paise`;
+  }
+  return `${words} Only`;
+}
+
+/**
+ * Extra description lines for an item (narration + Parda measurements)
+ */
+function describeItem(item) {
+  const lines = [];
+
+  if (item.narration) {
+    lines.push(item.narration);
+  }
+
+  if (item.lineType === 'rental' && item.hireFrom && item.hireTo) {
+    const pricing = item.rentalPricing === 'per_event' ? 'per event' : `${item.hireDays || 1} day(s)`;
+    lines.push(`On hire ${formatDate(item.hireFrom)} to ${formatDate(item.hireTo)} (${pricing})`);
+  }
+
+  if (item.hsnCode || item.gstRate > 0) {
+    const taxParts = [];
+    if (item.hsnCode) taxParts.push(`HSN/SAC: ${item.hsnCode}`);
+    if (item.gstRate > 0) taxParts.push(`GST ${item.gstRate}%`);
+    lines.push(taxParts.join('  '));
+  }
+
+  // Parda/curtain line: only printed when measurements or colour are present
+  const pardaParts = [];
+  if (item.width !== undefined && item.width !== null) pardaParts.push(`W: ${formatQuantity(item.width)}`);
+  if (item.height !== undefined && item.height !== null) pardaParts.push(`H: ${formatQuantity(item.height)}`);
+  if (item.chunnut !== undefined && item.chunnut !== null) pardaParts.push(`Chunnut: ${formatQuantity(item.chunnut)}`);
+  if (item.colour) {
+    const colourPrice = item.colourPrice !== undefined && item.colourPrice !== null
+      ? ` @ Rs.${formatAmount(item.colourPrice)}`
+      : '';
+    pardaParts.push(`Colour: ${item.colour}${colourPrice}`);
+  }
+  if (pardaParts.length > 0) {
+    lines.push(pardaParts.join('  '));
+  }
+
+  return lines;
+}
+
+/**
+ * Charges breakdown printed under the item table
+ * Same order and labels as the client ledger (Tally-style)
+ */
+function buildCharges(doc) {
+  const charges = [];
+  if (doc.localFreight > 0) charges.push({ label: 'Local Freight', amount: doc.localFreight });
+  if (doc.transportation > 0) charges.push({ label: 'Freight & Forwarding', amount: doc.transportation });
+  if (doc.cgstAmount > 0 || doc.sgstAmount > 0 || doc.igstAmount > 0) {
+    if (doc.cgstAmount > 0) charges.push({ label: 'CGST', amount: doc.cgstAmount });
+    if (doc.sgstAmount > 0) charges.push({ label: 'SGST', amount: doc.sgstAmount });
+    if (doc.igstAmount > 0) charges.push({ label: 'IGST', amount: doc.igstAmount });
+  } else if (doc.gstPercent > 0 || doc.gstAmount > 0) {
+    charges.push({ label: `GST ${doc.gstPercent || 0}%`, amount: doc.gstAmount || 0 });
+  }
+  if (doc.discount > 0) charges.push({ label: 'Less: Discount', amount: -doc.discount });
+  return charges;
+}
+
+// ============================================================================
+// DOCUMENT DATA — normalise DeliveryInvoice / Order into one printable shape
+// ============================================================================
+
+function buildInvoiceData(invoice, client) {
+  return {
+    title: getShopDetails().gstin ? 'TAX INVOICE' : 'INVOICE',
+    meta: [
+      { label: 'Invoice No', value: invoice.invoiceNumber },
+      { label: 'Invoice Date', value: formatDate(invoice.invoiceDate) },
+      { label: 'Order No', value: invoice.orderNumber },
+      { label: 'Delivery No', value: invoice.deliveryNumber },
+      { label: 'Delivery Date', value: formatDate(invoice.deliveryDate) }
+    ],
+    party: {
+      name: invoice.partyName,
+      mobile: invoice.mobile,
+      address: client?.address || '',
+      gstin: invoice.customerGstin || client?.gstin || '',
+      placeOfSupply: invoice.placeOfSupply || ''
+    },
+    items: invoice.items || [],
+    subtotal: invoice.subtotal || 0,
+    charges: buildCharges(invoice),
+    grandTotal: invoice.grandTotal || 0,
+    paid: invoice.advance || 0,
+    balanceDue: invoice.balanceDue !== undefined ? invoice.balanceDue : (invoice.grandTotal || 0) - (invoice.advance || 0),
+    notes: invoice.notes || ''
+  };
+}
+
+function buildEstimateData(order, client) {
+  return {
+    title: 'ESTIMATE',
+    meta: [
+      { label: 'Estimate No', value: order.orderNumber },
+      { label: 'Order Date', value: formatDate(order.orderDate) },
+      { label: 'Expected Delivery', value: formatDate(order.expectedDeliveryDate) },
+      ...(order.employeeName ? [{ label: 'Attended By', value: order.employeeName }] : [])
+    ],
+    party: {
+      name: order.partyName,
+      mobile: order.mobile,
+      address: client?.address || '',
+      gstin: order.customerGstin || client?.gstin || '',
+      placeOfSupply: order.placeOfSupply || ''
+    },
+    items: order.items || [],
+    subtotal: order.subtotal || 0,
+    charges: buildCharges(order),
+    grandTotal: order.grandTotal || 0,
+    paid: order.advance || 0,
+    balanceDue: order.balanceDue !== undefined ? order.balanceDue : (order.grandTotal || 0) - (order.advance || 0),
+    // Customization comment is internal — never printed. Only notes go on the estimate.
+    notes: order.notes || '',
+    footerNote: 'This is an estimate and not a tax invoice. Prices are valid subject to stock availability.'
+  };
+}
+
+function buildQuotationData(quotation, client) {
+  return {
+    title: 'QUOTATION',
+    meta: [
+      { label: 'Quotation No', value: quotation.version > 1 ? `${quotation.quotationNumber} (Rev ${quotation.version})` : quotation.quotationNumber },
+      { label: 'Date', value: formatDate(quotation.quotationDate) },
+      { label: 'Valid Until', value: formatDate(quotation.validUntil) },
+      ...(quotation.employeeName ? [{ label: 'Attended By', value: quotation.employeeName }] : [])
+    ],
+    party: {
+      name: quotation.partyName,
+      mobile: quotation.mobile,
+      address: client?.address || '',
+      gstin: quotation.customerGstin || client?.gstin || '',
+      placeOfSupply: quotation.placeOfSupply || ''
+    },
+    items: quotation.items || [],
+    subtotal: quotation.subtotal || 0,
+    charges: buildCharges(quotation),
+    grandTotal: quotation.grandTotal || 0,
+    paid: 0,
+    balanceDue: quotation.grandTotal || 0,
+    notes: quotation.notes || '',
+    footerNote: `This is a quotation and not a tax invoice. Prices are valid until ${formatDate(quotation.validUntil)}, subject to stock availability.`
+  };
+}
+
+// ============================================================================
+// A4 LAYOUT
+// ============================================================================
+
+const A4_COLUMNS = [
+  { key: 'index', label: '#', width: 25, align: 'left' },
+  { key: 'description', label: 'Item / Description', width: 245, align: 'left' },
+  { key: 'quantity', label: 'Qty', width: 55, align: 'right' },
+  { key: 'price', label: 'Rate', width: 85, align: 'right' },
+  { key: 'total', label: 'Amount', width: 105, align: 'right' }
+];
+
+function drawA4Header(doc, data, shop) {
+  const pageWidth = doc.page.width - A4_MARGIN * 2;
+
+  doc.font('Helvetica-Bold').fontSize(20).text(shop.name, A4_MARGIN, A4_MARGIN, { width: pageWidth * 0.65 });
+  doc.font('Helvetica').fontSize(9);
+  if (shop.tagline) doc.text(shop.tagline, { width: pageWidth * 0.65 });
+  if (shop.address) doc.text(shop.address, { width: pageWidth * 0.65 });
+  const contact = [shop.phone && `Ph: ${shop.phone}`, shop.email].filter(Boolean).join('  |  ');
+  if (contact) doc.text(contact, { width: pageWidth * 0.65 });
+  if (shop.gstin) doc.font('Helvetica-Bold').text(`GSTIN: ${shop.gstin}`, { width: pageWidth * 0.65 });
+  const headerBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(16)
+    .text(data.title, A4_MARGIN, A4_MARGIN, { width: pageWidth, align: 'right' });
+
+  doc.y = Math.max(headerBottom, A4_MARGIN + 30) + 8;
+  doc.moveTo(A4_MARGIN, doc.y).lineTo(A4_MARGIN + pageWidth, doc.y).lineWidth(1).stroke();
+  doc.y += 10;
+}
+
+function drawA4PartyAndMeta(doc, data) {
+  const pageWidth = doc.page.width - A4_MARGIN * 2;
+  const top = doc.y;
+  const leftWidth = pageWidth * 0.55;
+  const rightX = A4_MARGIN + leftWidth + 10;
+  const rightWidth = pageWidth - leftWidth - 10;
+
+  doc.font('Helvetica-Bold').fontSize(9).text('Bill To:', A4_MARGIN, top);
+  doc.font('Helvetica-Bold').fontSize(11).text(data.party.name || '-', A4_MARGIN, doc.y, { width: leftWidth });
+  doc.font('Helvetica').fontSize(9);
+  if (data.party.mobile) doc.text(`Mobile: ${data.party.mobile}`, { width: leftWidth });
+  if (data.party.address) doc.text(data.party.address, { width: leftWidth });
+  if (data.party.gstin) doc.text(`GSTIN: ${data.party.gstin}`, { width: leftWidth });
+  if (data.party.placeOfSupply) doc.text(`Place of Supply: ${data.party.placeOfSupply}`, { width: leftWidth });
+  const leftBottom = doc.y;
+
+  let metaY = top;
+  for (const row of data.meta) {
+    if (!row.value) continue;
+    doc.font('Helvetica-Bold').fontSize(9).text(`${row.label}:`, rightX, metaY, { width: rightWidth * 0.45 });
+    doc.font('Helvetica').text(String(row.value), rightX + rightWidth * 0.45, metaY, { width: rightWidth * 0.55, align: 'right' });
+    metaY += 13;
+  }
+
+  doc.y = Math.max(leftBottom, metaY) + 12;
+}
+
+function drawA4TableHeader(doc) {
+  const tableWidth = A4_COLUMNS.reduce((sum, col) => sum + col.width, 0);
+  const top = doc.y;
+
+  doc.rect(A4_MARGIN, top, tableWidth, 18).fillAndStroke('#eeeeee', '#999999');
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(9);
+
+  let x = A4_MARGIN;
+  for (const col of A4_COLUMNS) {
+    doc.text(col.label, x + 4, top + 5, { width: col.width - 8, align: col.align });
+    x += col.width;
+  }
+  doc.y = top + 18;
+}
+
+function drawA4Items(doc, data) {
+  const tableWidth = A4_COLUMNS.reduce((sum, col) => sum + col.width, 0);
+  const descCol = A4_COLUMNS[1];
+  const pageBottom = doc.page.height - A4_MARGIN - 60;
+
+  drawA4TableHeader(doc);
+
+  data.items.forEach((item, index) => {
+    const extraLines = describeItem(item);
+    doc.font('Helvetica-Bold').fontSize(9);
+    const nameHeight = doc.heightOfString(item.productName || '-', { width: descCol.width - 8 });
+    doc.font('Helvetica').fontSize(8);
+    const extraHeight = extraLines.reduce((sum, line) => sum + doc.heightOfString(line, { width: descCol.width - 8 }), 0);
+    const rowHeight = Math.max(nameHeight + extraHeight + 8, 18);
+
+    if (doc.y + rowHeight > pageBottom) {
+      doc.addPage();
+      doc.y = A4_MARGIN;
+      drawA4TableHeader(doc);
+    }
+
+    const top = doc.y;
+    const price = item.price || 0;
+    const total = item.total !== undefined ? item.total : price * (item.quantity || 0);
+
+    let x = A4_MARGIN;
+    for (const col of A4_COLUMNS) {
+      if (col.key === 'description') {
+        doc.font('Helvetica-Bold').fontSize(9).text(item.productName || '-', x + 4, top + 4, { width: col.width - 8 });
+        doc.font('Helvetica').fontSize(8).fillColor('#444444');
+        for (const line of extraLines) {
+          doc.text(line, x + 4, doc.y, { width: col.width - 8 });
+        }
+        doc.fillColor('#000000');
+      } else {
+        const value = {
+          index: String(index + 1),
+          quantity: formatQuantity(item.quantity),
+          price: formatAmount(price),
+          total: formatAmount(total)
+        }[col.key];
+        doc.font('Helvetica').fontSize(9).text(value, x + 4, top + 4, { width: col.width - 8, align: col.align });
+      }
+      x += col.width;
+    }
+
+    doc.moveTo(A4_MARGIN, top + rowHeight).lineTo(A4_MARGIN + tableWidth, top + rowHeight)
+      .lineWidth(0.5).strokeColor('#cccccc').stroke().strokeColor('#000000');
+    doc.y = top + rowHeight;
+  });
+
+  doc.y += 8;
+}
+
+function drawA4Totals(doc, data) {
+  const tableWidth = A4_COLUMNS.reduce((sum, col) => sum + col.width, 0);
+  const labelWidth = 140;
+  const valueWidth = 105;
+  const valueX = A4_MARGIN + tableWidth - valueWidth;
+  const labelX = valueX - labelWidth;
+
+  if (doc.y > doc.page.height - A4_MARGIN - 200) {
+    doc.addPage();
+    doc.y = A4_MARGIN;
+  }
+
+  const row = (label, amount, bold = false) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 10 : 9);
+    doc.text(label, labelX, y, { width: labelWidth, align: 'right' });
+    doc.text(formatAmount(amount), valueX, y, { width: valueWidth - 4, align: 'right' });
+    doc.y = y + (bold ? 16 : 13);
+  };
+
+  row('Subtotal', data.subtotal);
+  data.charges.forEach(charge => row(charge.label, charge.amount));
+
+  doc.moveTo(labelX, doc.y).lineTo(A4_MARGIN + tableWidth, doc.y).lineWidth(0.5).stroke();
+  doc.y += 4;
+  row('Grand Total (Rs.)', data.grandTotal, true);
+  if (data.paid > 0) {
+    row('Paid / Advance', data.paid);
+    row('Balance Due (Rs.)', data.balanceDue, true);
+  }
+
+  doc.y += 6;
+  doc.font('Helvetica-Bold').fontSize(9).text('Amount in words: ', A4_MARGIN, doc.y, { continued: true })
+    .font('Helvetica').text(amountInWords(data.grandTotal), { width: tableWidth });
+
+  if (data.notes) {
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(9).text('Notes: ', { continued: true })
+      .font('Helvetica').text(data.notes, { width: tableWidth });
+  }
+}
+
+function drawA4Footer(doc, data, shop) {
+  const pageWidth = doc.page.width - A4_MARGIN * 2;
+
+  if (doc.y > doc.page.height - A4_MARGIN - 90) {
+    doc.addPage();
+    doc.y = A4_MARGIN;
+  }
+
+  doc.moveDown(1.5);
+  const top = doc.y;
+  doc.font('Helvetica-Bold').fontSize(8).text('Terms & Conditions', A4_MARGIN, top, { width: pageWidth * 0.55 });
+  doc.font('Helvetica').fontSize(8).text(data.footerNote || shop.terms, { width: pageWidth * 0.55 });
+
+  doc.font('Helvetica-Bold').fontSize(9)
+    .text(`For ${shop.name}`, A4_MARGIN + pageWidth * 0.6, top, { width: pageWidth * 0.4, align: 'right' });
+  doc.font('Helvetica').fontSize(8)
+    .text('Authorised Signatory', A4_MARGIN + pageWidth * 0.6, top + 45, { width: pageWidth * 0.4, align: 'right' });
+}
+
+function renderA4(doc, data) {
+  const shop = getShopDetails();
+  drawA4Header(doc, data, shop);
+  drawA4PartyAndMeta(doc, data);
+  drawA4Items(doc, data);
+  drawA4Totals(doc, data);
+  drawA4Footer(doc, data, shop);
+}
+
+// ============================================================================
+// THERMAL LAYOUT (80mm roll)
+// ============================================================================
+
+/**
+ * Thermal rolls have no fixed page height — estimate it from the content
+ * so the whole bill lands on a single continuous "page"
+ */
+function estimateThermalHeight(data) {
+  const itemLines = data.items.reduce((sum, item) => sum + 2 + describeItem(item).length, 0);
+  const metaLines = data.meta.filter(m => m.value).length + (data.party.gstin ? 1 : 0);
+  const totalLines = 2 + data.charges.length + (data.paid > 0 ? 2 : 0);
+  const lines = 12 + metaLines + itemLines + totalLines + (data.notes ? 3 : 0);
+  return Math.max(300, lines * 12 + 120);
+}
+
+function renderThermal(doc, data) {
+  const shop = getShopDetails();
+  const width = THERMAL_WIDTH - THERMAL_MARGIN * 2;
+  const x = THERMAL_MARGIN;
+
+  const divider = () => {
+    doc.moveDown(0.2);
+    doc.moveTo(x, doc.y).lineTo(x + width, doc.y).dash(2, { space: 2 }).lineWidth(0.5).stroke().undash();
+    doc.moveDown(0.3);
+  };
+
+  const pair = (left, right, bold = false) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 9 : 8);
+    doc.text(left, x, y, { width: width * 0.6 });
+    const leftBottom = doc.y;
+    doc.text(right, x + width * 0.6, y, { width: width * 0.4, align: 'right' });
+    doc.y = Math.max(leftBottom, doc.y);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(12).text(shop.name, x, THERMAL_MARGIN, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(7);
+  if (shop.tagline) doc.text(shop.tagline, { width, align: 'center' });
+  if (shop.address) doc.text(shop.address, { width, align: 'center' });
+  if (shop.phone) doc.text(`Ph: ${shop.phone}`, { width, align: 'center' });
+  if (shop.gstin) doc.font('Helvetica-Bold').text(`GSTIN: ${shop.gstin}`, { width, align: 'center' });
+
+  divider();
+  doc.font('Helvetica-Bold').fontSize(10).text(data.title, x, doc.y, { width, align: 'center' });
+  divider();
+
+  for (const row of data.meta) {
+    if (row.value) pair(row.label, String(row.value));
+  }
+  pair('Party', data.party.name || '-');
+  if (data.party.mobile) pair('Mobile', data.party.mobile);
+  if (data.party.gstin) pair('GSTIN', data.party.gstin);
+
+  divider();
+  pair('Item', 'Amount', true);
+  divider();
+
+  for (const item of data.items) {
+    const price = item.price || 0;
+    const total = item.total !== undefined ? item.total : price * (item.quantity || 0);
+
+    doc.font('Helvetica-Bold').fontSize(8).text(item.productName || '-', x, doc.y, { width });
+    doc.font('Helvetica').fontSize(7);
+    for (const line of describeItem(item)) {
+      doc.text(line, x, doc.y, { width });
+    }
+    pair(`${formatQuantity(item.quantity)} x ${formatAmount(price)}`, formatAmount(total));
+  }
+
+  divider();
+  pair('Subtotal', formatAmount(data.subtotal));
+  data.charges.forEach(charge => pair(charge.label, formatAmount(charge.amount)));
+  divider();
+  pair('GRAND TOTAL', `Rs.${formatAmount(data.grandTotal)}`, true);
+  if (data.paid > 0) {
+    pair('Paid / Advance', formatAmount(data.paid));
+    pair('Balance Due', `Rs.${formatAmount(data.balanceDue)}`, true);
+  }
+
+  doc.moveDown(0.4);
+  doc.font('Helvetica').fontSize(7).text(amountInWords(data.grandTotal), x, doc.y, { width });
+
+  if (data.notes) {
+    doc.moveDown(0.3);
+    doc.text(`Notes: ${data.notes}`, x, doc.y, { width });
+  }
+
+  divider();
+  doc.font('Helvetica').fontSize(7).text(data.footerNote || 'Thank you for your business!', x, doc.y, { width, align: 'center' });
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Render printable data into a PDF and stream it to the given writable
+ * @param {Object} data - Normalised document data (buildInvoiceData / buildEstimateData)
+ * @param {Stream} stream - Writable stream (usually the Express response)
+ * @param {Object} options - { format: 'a4' | 'thermal', title }
+ */
+function renderPdf(data, stream, options = {}) {
+  const format = options.format === 'thermal' ? 'thermal' : 'a4';
+
+  const doc = format === 'thermal'
+    ? new PDFDocument({ size: [THERMAL_WIDTH, estimateThermalHeight(data)], margin: THERMAL_MARGIN })
+    : new PDFDocument({ size: 'A4', margin: A4_MARGIN, bufferPages: true });
+
+  doc.info.Title = options.title || data.title;
+  doc.info.Author = getShopDetails().name;
+
+  doc.pipe(stream);
+
+  if (format === 'thermal') {
+    renderThermal(doc, data);
+  } else {
+    renderA4(doc, data);
+
+    // Page numbers (only meaningful for multi-page A4 bills)
+    const range = doc.bufferedPageRange();
+    if (range.count > 1) {
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        // The footer sits in the bottom margin — without lifting it pdfkit would add a page per footer
+        const bottomMargin = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(7).text(
+          `Page ${i + 1} of ${range.count}`,
+          A4_MARGIN,
+          doc.page.height - A4_MARGIN + 10,
+          { width: doc.page.width - A4_MARGIN * 2, align: 'center', lineBreak: false }
+        );
+        doc.page.margins.bottom = bottomMargin;
+      }
+    }
+  }
+
+  doc.end();
+  return doc;
+}
+
+/**
+ * Render a DeliveryInvoice as PDF
+ * @param {Object} invoice - DeliveryInvoice document (lean)
+ * @param {Stream} stream - Writable stream
+ * @param {Object} options - { format: 'a4' | 'thermal', client }
+ */
+function renderDeliveryInvoicePdf(invoice, stream, options = {}) {
+  const data = buildInvoiceData(invoice, options.client);
+  return renderPdf(data, stream, { ...options, title: `Invoice ${invoice.invoiceNumber}` });
+}
+
+/**
+ * Render an Order as an estimate PDF
+ * @param {Object} order - Order document (lean)
+ * @param {Stream} stream - Writable stream
+ * @param {Object} options - { format: 'a4' | 'thermal', client }
+ */
+function renderOrderEstimatePdf(order, stream, options = {}) {
+  const data = buildEstimateData(order, options.client);
+  return renderPdf(data, stream, { ...options, title: `Estimate ${order.orderNumber}` });
+}
+
+/**
+ * Render a Quotation as PDF
+ * @param {Object} quotation - Quotation document (lean)
+ * @param {Stream} stream - Writable stream
+ * @param {Object} options - { format: 'a4' | 'thermal', client }
+ */
+function renderQuotationPdf(quotation, stream, options = {}) {
+  const data = buildQuotationData(quotation, options.client);
+  return renderPdf(data, stream, { ...options, title: `Quotation ${quotation.quotationNumber}` });
+}
+
+module.exports = {
+  renderDeliveryInvoicePdf,
+  renderOrderEstimatePdf,
+  renderQuotationPdf,
+  amountInWords,
+  formatAmount
+};
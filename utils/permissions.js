@@ -0,0 +1,335 @@
+const Role = require('../models/Role');
+
+/**
+ * Permissions — named actions checked by requirePermission() (middleware/auth.js)
+ *
+ * A user's role (User.role) maps to a list of permission names; '*' grants all of them.
+ * Role documents are read through a short in-memory cache, so edits made through
+ * /api/roles apply to signed-in users within ROLE_CACHE_TTL_MS (immediately on this instance).
+ * Built-in roles fall back to DEFAULT_ROLES when their document is missing.
+ */
+
+const PERMISSIONS = {
+  'order.create': 'Create orders (including offline orders)',
+  'order.update': 'Edit open orders',
+  'order.cancel': 'Cancel orders',
+  'order.delete': 'Delete orders',
+  'order.view_all': 'Receive realtime events for every order and subscribe to any order / client',
+  'delivery.create': 'Record deliveries against orders',
+  'delivery.update_status': 'Change delivery status',
+  'delivery.invoice': 'Generate delivery invoices',
+  'rental.check_in': 'Check in returned rental items',
+  'rental.waive_late_fee': 'Waive late-return fees at check-in',
+  'payment.record': 'Record payments and advances (orders, clients, invoices, deposits)',
+  'payment.refund': 'Refund returns and security deposits, forfeit deposits',
+  'discount.above_10pct': 'Give a discount above 10% of the item subtotal',
+  'approval.decide': 'Approve or reject pending approval requests (and skip the approval rules)',
+  'client.manage': 'Create and edit clients',
+  'client.view_balance': 'See client balances, payment history, financial summary and ledger',
+  'return.create': 'Record returns',
+  'invoice.manage': 'Create and edit legacy invoices',
+  'invoice.cancel': 'Cancel invoices',
+  'invoice.delete': 'Delete invoices',
+  'quotation.manage': 'Create, revise, send and convert quotations',
+  'quotation.delete': 'Delete quotations',
+  'event.manage': 'Create and edit events',
+  'event.delete': 'Delete events',
+  'catalog.manage': 'Create, edit and delete products, categories and colours',
+  'inventory.adjust': 'Adjust stock and quarantine products, run stock-takes (review and post variances), manage locations',
+  'stock_take.count': 'Submit counted quantities in an open stock-take',
+  'stock.transfer': 'Move stock between locations (transfers)',
+  'purchase.manage': 'Create, send and receive purchase orders, enter supplier bills',
+  'supplier.pay': 'Record payments to suppliers',
+  'report.view': 'View analytics',
+  'report.gst': 'View GST returns (GSTR-1 / GSTR-3B)',
+  'audit.view': 'Read and verify the audit log of financial changes',
+  'attendance.manage': 'See and record other employees\' attendance, decide leave requests',
+  'employee.manage': 'Manage staff accounts and their sessions',
+  'role.manage': 'Create and edit roles'
+};
+
+const ALL = '*';
+
+// Discounts above this share of the item subtotal need discount.above_10pct
+const DISCOUNT_LIMIT_PERCENT = 10;
+
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    label: 'Administrator',
+    description: 'Full access',
+    permissions: [ALL]
+  },
+  {
+    name: 'manager',
+    label: 'Manager',
+    description: 'Runs the shop floor — everything except staff, roles, deletions and the audit log',
+    permissions: Object.keys(PERMISSIONS).filter(permission =>
+      !['employee.manage', 'role.manage', 'audit.view', 'order.delete', 'invoice.delete', 'quotation.delete', 'event.delete'].includes(permission))
+  },
+  {
+    name: 'cashier',
+    label: 'Cashier',
+    description: 'Bookings, payments and refunds at the counter',
+    permissions: [
+      'order.create', 'order.update', 'payment.record', 'payment.refund', 'client.manage',
+      'client.view_balance', 'return.create', 'invoice.manage', 'delivery.invoice', 'quotation.manage'
+    ]
+  },
+  {
+    name: 'delivery_staff',
+    label: 'Delivery Staff',
+    description: 'Dispatch, delivery status and rental check-in',
+    permissions: ['delivery.create', 'delivery.update_status', 'rental.check_in', 'return.create', 'stock_take.count', 'stock.transfer']
+  },
+  {
+    name: 'accountant',
+    label: 'Accountant',
+    description: 'Payments, balances, invoices and reports',
+    permissions: [
+      'payment.record', 'payment.refund', 'client.view_balance', 'invoice.manage', 'invoice.cancel',
+      'delivery.invoice', 'report.view', 'report.gst', 'supplier.pay'
+    ]
+  },
+  {
+    name: 'viewer',
+    label: 'Viewer',
+    description: 'Read-only access',
+    permissions: []
+  },
+  {
+    name: 'employee',
+    label: 'Sales Staff',
+    description: 'Default role for staff accounts — bookings and deliveries, no money handling',
+    permissions: [
+      'order.create', 'order.update', 'delivery.create', 'delivery.update_status', 'delivery.invoice',
+      'rental.check_in', 'client.manage', 'return.create', 'quotation.manage', 'invoice.manage',
+      'event.manage', 'report.view', 'stock_take.count'
+    ]
+  }
+];
+
+const SYSTEM_ROLES = DEFAULT_ROLES.map(role => role.name);
+
+// Staff accounts (everyone but admins) — what /api/employees manages
+const STAFF_QUERY = { role: { $ne: 'admin' } };
+
+// Client fields hidden from users without client.view_balance
+const CLIENT_BALANCE_FIELDS = [
+  'totalSpent', 'totalPaid', 'totalDue', 'advanceBalance', 'refundableBalance',
+  'lastPaymentAmount', 'lastPaymentDate', 'lastPaymentMethod', 'financialSummary'
+];
+
+// What the client paid and owes on an order (totals, advance, balance, deposits)
+const ORDER_BALANCE_FIELDS = [
+  'grandTotal', 'advance', 'balanceDue', 'paymentStatus', 'returnedAmount', 'depositTransactions',
+  'depositCollected', 'depositForfeited', 'depositRefunded', 'depositHeld', 'depositStatus'
+];
+
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+let roleCache = null;
+let roleCacheLoadedAt = 0;
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Unknown permission names in a list ('*' is allowed)
+ */
+function unknownPermissions(permissions) {
+  return permissions.filter(permission => permission !== ALL && !PERMISSIONS[permission]);
+}
+
+/**
+ * role name → permissions, from the database over the built-in defaults
+ * Fails open to the defaults when Mongo is unavailable.
+ */
+async function loadRoles() {
+  if (roleCache && Date.now() - roleCacheLoadedAt < ROLE_CACHE_TTL_MS) {
+    return roleCache;
+  }
+
+  const roles = new Map(DEFAULT_ROLES.map(role => [role.name, role.permissions]));
+  try {
+    const stored = await Role.find().select('name permissions').lean();
+    stored.forEach(role => roles.set(role.name, role.permissions));
+    roles.set('admin', [ALL]);
+    roleCache = roles;
+    roleCacheLoadedAt = Date.now();
+  } catch (error) {
+    console.error('⚠️  Could not load roles, using built-in defaults:', error.message);
+  }
+  return roles;
+}
+
+function invalidateRoleCache() {
+  roleCache = null;
+  roleCacheLoadedAt = 0;
+}
+
+/**
+ * Permissions of a role name (empty for an unknown role)
+ */
+async function getRolePermissions(roleName) {
+  const roles = await loadRoles();
+  return roles.get(roleName) || [];
+}
+
+async function roleExists(roleName) {
+  const roles = await loadRoles();
+  return roles.has(roleName);
+}
+
+/**
+ * Does the user (as returned by verifyToken, with .permissions) hold the permission?
+ */
+function hasPermission(user, permission) {
+  if (!user || !Array.isArray(user.permissions)) return false;
+  return user.permissions.includes(ALL) || user.permissions.includes(permission);
+}
+
+/**
+ * @throws {Error} statusCode 403 unless the user holds the permission
+ */
+function assertPermission(user, permission, message) {
+  if (!hasPermission(user, permission)) {
+    throw httpError(message || `Permission '${permission}' is required`, 403);
+  }
+}
+
+/**
+ * Discount and advance limits for an order priced by this user
+ * No-op without a user (internal callers such as quotation conversion).
+ * @throws {Error} statusCode 403 — a discount over the limit also carries
+ *                 approvalRule, so order routes can queue it for approval instead
+ */
+function assertOrderPricing(user, { discount = 0, subtotal = 0, advance = 0 } = {}) {
+  if (!user) return;
+
+  if (advance > 0) {
+    assertPermission(user, 'payment.record', `Recording an advance requires permission 'payment.record'`);
+  }
+
+  if (discount > 0 && !hasPermission(user, 'discount.above_10pct')) {
+    const limit = Math.round(subtotal * DISCOUNT_LIMIT_PERCENT) / 100;
+    if (discount > limit) {
+      const error = httpError(`Discount of ₹${discount} is above ${DISCOUNT_LIMIT_PERCENT}% of the subtotal (₹${limit}). Permission 'discount.above_10pct' is required.`, 403);
+      error.approvalRule = {
+        rule: 'discount',
+        details: {
+          discount,
+          subtotal,
+          discountPercent: subtotal > 0 ? Math.round(discount / subtotal * 10000) / 100 : null,
+          limitPercent: DISCOUNT_LIMIT_PERCENT
+        }
+      };
+      throw error;
+    }
+  }
+}
+
+/**
+ * Hide balance fields from a client (or list of clients) unless the user may see them
+ */
+function redactClientBalance(user, clients) {
+  return redactFields(user, clients, CLIENT_BALANCE_FIELDS);
+}
+
+/**
+ * Hide what was paid and is owed on an order (or list of orders) unless the user may see client balances
+ */
+function redactOrderBalance(user, orders) {
+  return redactFields(user, orders, ORDER_BALANCE_FIELDS);
+}
+
+function redactFields(user, docs, fields) {
+  if (hasPermission(user, 'client.view_balance')) return docs;
+
+  const strip = (doc) => {
+    if (!doc) return doc;
+    const copy = { ...doc };
+    fields.forEach(field => delete copy[field]);
+    return copy;
+  };
+  return Array.isArray(docs) ? docs.map(strip) : strip(docs);
+}
+
+/**
+ * Create the built-in roles that are missing, and give existing ones the default permissions
+ * added since they were last seeded (see Role.defaultPermissions — removed ones stay removed)
+ */
+async function seedRoles() {
+  try {
+    const stored = await Role.find({ name: { $in: DEFAULT_ROLES.map(role => role.name) } })
+      .select('name permissions defaultPermissions')
+      .lean();
+    const storedByName = new Map(stored.map(role => [role.name, role]));
+
+    const operations = [];
+    const extended = [];
+    for (const role of DEFAULT_ROLES) {
+      const existing = storedByName.get(role.name);
+      if (!existing) {
+        operations.push({
+          updateOne: {
+            filter: { name: role.name },
+            update: { $setOnInsert: { ...role, isSystem: true, defaultPermissions: role.permissions } },
+            upsert: true
+          }
+        });
+        continue;
+      }
+
+      const granted = new Set(existing.defaultPermissions || []);
+      const newDefaults = role.permissions.filter(permission => !granted.has(permission));
+      if (newDefaults.length === 0) continue;
+
+      const added = newDefaults.filter(permission => !existing.permissions.includes(permission));
+      operations.push({
+        updateOne: {
+          filter: { _id: existing._id },
+          update: {
+            $addToSet: { permissions: { $each: added } },
+            $set: { isSystem: true, defaultPermissions: role.permissions }
+          }
+        }
+      });
+      if (added.length > 0) extended.push(`${role.name} (+${added.join(', ')})`);
+    }
+
+    if (operations.length === 0) return;
+
+    const result = await Role.bulkWrite(operations);
+    if (result.upsertedCount > 0) {
+      console.log(`🔐 Seeded ${result.upsertedCount} built-in roles`);
+    }
+    if (extended.length > 0) {
+      console.log(`🔐 New default permissions: ${extended.join('; ')}`);
+    }
+    invalidateRoleCache();
+  } catch (error) {
+    console.error('⚠️  Could not seed roles:', error.message);
+  }
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL,
+  DEFAULT_ROLES,
+  SYSTEM_ROLES,
+  STAFF_QUERY,
+  DISCOUNT_LIMIT_PERCENT,
+  unknownPermissions,
+  getRolePermissions,
+  roleExists,
+  invalidateRoleCache,
+  hasPermission,
+  assertPermission,
+  assertOrderPricing,
+  redactClientBalance,
+  redactOrderBalance,
+  seedRoles
+};
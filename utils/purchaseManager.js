@@ -0,0 +1,538 @@
+const PurchaseOrder = require('../models/PurchaseOrder');
+const SupplierBill = require('../models/SupplierBill');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const Counter = require('../models/Counter');
+const { receiveStock, getReorderSuggestions, transactional, inStockTransaction } = require('./inventoryManager');
+
+/**
+ * Purchase Manager — purchase orders, goods receipts and supplier bills
+ *
+ *   create (draft) → send → receive (once or in parts) → received
+ *
+ * Each receipt adds the received quantities to Product.inventory through
+ * inventoryManager.receiveStock(), which writes an InventoryMovement per product
+ * pointing back at the purchase order and receipt (PO00012-R2). A receipt, its stock and its
+ * movements are saved together — if the movements can't be written, the receipt is not kept.
+ *
+ * Supplier bills record what the supplier invoiced (usually against a purchase order);
+ * payments on a bill reduce it. Both keep Supplier.totalBilled / totalPaid / balanceDue.
+ */
+
+const PO_SEQUENCE = 'purchase_order';
+const BILL_SEQUENCE = 'supplier_bill';
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+const PAYMENT_METHODS = SupplierBill.schema.path('payments').schema.path('paymentMethod').enumValues;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Find a purchase order by ObjectId or PO number (PO00012)
+ * @returns {Object|null} Lean purchase order
+ */
+async function findPurchaseOrder(id) {
+  if (!id) return null;
+  const idString = id.toString();
+  const query = /^[0-9a-fA-F]{24}$/.test(idString) ? { _id: idString } : { poNumber: idString.toUpperCase() };
+  return PurchaseOrder.findOne(query).lean();
+}
+
+async function loadPurchaseOrder(id) {
+  const purchaseOrder = await findPurchaseOrder(id);
+  if (!purchaseOrder) throw httpError('Purchase order not found', 404);
+  return purchaseOrder;
+}
+
+async function loadSupplier(supplierId) {
+  const supplier = /^[0-9a-fA-F]{24}$/.test(String(supplierId || ''))
+    ? await Supplier.findById(supplierId).select('name isActive').lean()
+    : null;
+  if (!supplier) throw httpError('Supplier not found', 400);
+  if (!supplier.isActive) throw httpError(`Supplier "${supplier.name}" is inactive`, 400);
+  return supplier;
+}
+
+/**
+ * Validate purchase lines and price them
+ * @param {Array} rawItems - [{ product, quantity, unitCost, gstRate? }] — gstRate defaults to the product's rate
+ * @returns {Object} { items, subtotal, gstAmount, grandTotal }
+ * @throws {Error} statusCode 400
+ */
+async function buildItems(rawItems) {
+  if (!Array.isArray(rawItems) || rawItems.length === 0) {
+    throw httpError('At least one item is required', 400);
+  }
+
+  const ids = rawItems.map(item => String(item.product || ''));
+  if (ids.some(id => !/^[0-9a-fA-F]{24}$/.test(id))) {
+    throw httpError('Every item needs a valid product id', 400);
+  }
+  if (new Set(ids).size !== ids.length) {
+    throw httpError('A product is listed twice — combine the quantities into one line', 400);
+  }
+
+  const products = await Product.find({ _id: { $in: ids } }).select('name unit gstRate isActive').lean();
+  const productById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const items = rawItems.map((raw, index) => {
+    const product = productById.get(String(raw.product));
+    if (!product) throw httpError(`Item ${index + 1}: product not found`, 400);
+
+    const quantity = Number(raw.quantity);
+    const unitCost = Number(raw.unitCost);
+    const gstRate = raw.gstRate === undefined || raw.gstRate === null || raw.gstRate === ''
+      ? (product.gstRate ?? 0)
+      : Number(raw.gstRate);
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw httpError(`"${product.name}": quantity must be a whole number of at least 1`, 400);
+    }
+    if (!Number.isFinite(unitCost) || unitCost < 0) {
+      throw httpError(`"${product.name}": unitCost must be 0 or more`, 400);
+    }
+    if (!Number.isFinite(gstRate) || gstRate < 0 || gstRate > 100) {
+      throw httpError(`"${product.name}": gstRate must be between 0 and 100`, 400);
+    }
+
+    const taxableValue = round2(quantity * unitCost);
+    const gstAmount = round2(taxableValue * gstRate / 100);
+    return {
+      product: product._id,
+      productName: product.name,
+      unit: product.unit || 'piece',
+      quantity,
+      unitCost,
+      gstRate,
+      taxableValue,
+      gstAmount,
+      total: round2(taxableValue + gstAmount),
+      receivedQuantity: 0
+    };
+  });
+
+  const subtotal = round2(items.reduce((total, item) => total + item.taxableValue, 0));
+  const gstAmount = round2(items.reduce((total, item) => total + item.gstAmount, 0));
+  return { items, subtotal, gstAmount, grandTotal: round2(subtotal + gstAmount) };
+}
+
+/**
+ * Create a draft purchase order
+ * @param {Object} data - { supplier, items, expectedDate?, notes? }
+ */
+async function createPurchaseOrder({ supplier: supplierId, items, expectedDate, notes }, user) {
+  const supplier = await loadSupplier(supplierId);
+  const priced = await buildItems(items);
+
+  const seq = await Counter.next(PO_SEQUENCE);
+  const purchaseOrder = await PurchaseOrder.create({
+    poNumber: `PO${String(seq).padStart(5, '0')}`,
+    supplier: supplier._id,
+    supplierName: supplier.name,
+    ...priced,
+    expectedDate: expectedDate || null,
+    notes: notes || null,
+    createdBy: user._id,
+    createdByName: user.name
+  });
+
+  console.log(`🧾 Purchase order ${purchaseOrder.poNumber} drafted for ${supplier.name} (₹${purchaseOrder.grandTotal})`);
+  return purchaseOrder.toObject();
+}
+
+/**
+ * Unit cost of each product on its latest (not cancelled) purchase order
+ * @param {Array} productIds
+ * @param {Object} options - { supplier } — only orders to this supplier
+ * @returns {Map} productId → unitCost
+ */
+async function getLastUnitCosts(productIds, { supplier = null } = {}) {
+  const previous = await PurchaseOrder.find({
+    ...(supplier && { supplier }),
+    status: { $ne: 'cancelled' },
+    'items.product': { $in: productIds }
+  })
+    .select('items.product items.unitCost')
+    .sort({ createdAt: -1 })
+    .limit(200)
+    .lean();
+
+  const lastCost = new Map();
+  previous.forEach(order => order.items.forEach(item => {
+    const key = item.product.toString();
+    if (!lastCost.has(key)) lastCost.set(key, item.unitCost);
+  }));
+  return lastCost;
+}
+
+/**
+ * Draft a purchase order from the reorder suggestions of one supplier
+ * Unit costs come from the latest purchase order to that supplier with the product (0 if none).
+ * @throws {Error} statusCode 400 (unknown supplier) / 404 (nothing to reorder)
+ */
+async function draftFromReorder(supplierId, user) {
+  const supplier = await loadSupplier(supplierId);
+  const groups = await getReorderSuggestions();
+  const group = groups.find(entry => entry.supplier && entry.supplier._id.toString() === supplier._id.toString());
+
+  if (!group || group.items.length === 0) {
+    throw httpError(`Nothing to reorder from ${supplier.name}`, 404);
+  }
+
+  const lastCost = await getLastUnitCosts(group.items.map(item => item.product), { supplier: supplier._id });
+
+  return createPurchaseOrder({
+    supplier: supplier._id,
+    items: group.items.map(item => ({
+      product: item.product,
+      quantity: item.suggestedQuantity,
+      unitCost: lastCost.get(item.product.toString()) ?? 0
+    })),
+    notes: 'Drafted from reorder suggestions'
+  }, user);
+}
+
+/**
+ * Edit a draft purchase order (supplier, items, expectedDate, notes)
+ * @throws {Error} statusCode 400 / 404 / 409 (no longer a draft)
+ */
+async function updatePurchaseOrder(id, body) {
+  const purchaseOrder = await loadPurchaseOrder(id);
+  if (purchaseOrder.status !== 'draft') {
+    throw httpError(`Only draft purchase orders can be edited (this one is ${purchaseOrder.status})`, 409);
+  }
+
+  const update = {};
+  if (body.supplier !== undefined) {
+    const supplier = await loadSupplier(body.supplier);
+    update.supplier = supplier._id;
+    update.supplierName = supplier.name;
+  }
+  if (body.items !== undefined) Object.assign(update, await buildItems(body.items));
+  if (body.expectedDate !== undefined) update.expectedDate = body.expectedDate || null;
+  if (body.notes !== undefined) update.notes = body.notes || null;
+
+  const updated = await PurchaseOrder.findOneAndUpdate(
+    { _id: purchaseOrder._id, status: 'draft' },
+    update,
+    { new: true, runValidators: true }
+  ).lean();
+
+  if (!updated) throw httpError('Purchase order is no longer a draft', 409);
+  return updated;
+}
+
+/**
+ * Mark a draft as sent to the supplier
+ */
+async function sendPurchaseOrder(id) {
+  const purchaseOrder = await loadPurchaseOrder(id);
+  const sent = await PurchaseOrder.findOneAndUpdate(
+    { _id: purchaseOrder._id, status: 'draft' },
+    { status: 'sent', sentAt: new Date() },
+    { new: true }
+  ).lean();
+
+  if (!sent) throw httpError(`Only draft purchase orders can be sent (this one is ${purchaseOrder.status})`, 409);
+  return sent;
+}
+
+/**
+ * Receive goods against a sent purchase order and add them to stock
+ * @param {Object} body - { items?: [{ product, quantity }], note? } — no items receives everything outstanding
+ * @returns {Object} { purchaseOrder, receipt, stock: receiveStock() result }
+ * @throws {Error} statusCode 400 (more than ordered / not on the order) / 404 / 409 (status, or changed meanwhile)
+ *                / 500 (stock movements could not be recorded — nothing is received)
+ */
+async function receivePurchaseOrder(id, { items, note } = {}, user, io) {
+  const purchaseOrder = await loadPurchaseOrder(id);
+  if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+    throw httpError(purchaseOrder.status === 'draft'
+      ? 'Send the purchase order before receiving goods'
+      : `Purchase order is ${purchaseOrder.status} — nothing more can be received`, 409);
+  }
+
+  const lines = purchaseOrder.items.map(item => ({ ...item }));
+  const lineByProduct = new Map(lines.map(line => [line.product.toString(), line]));
+  const outstanding = (line) => line.quantity - line.receivedQuantity;
+
+  const requested = Array.isArray(items) && items.length > 0
+    ? items
+    : lines.map(line => ({ product: line.product, quantity: outstanding(line) }));
+
+  const receiptItems = [];
+  for (const entry of requested) {
+    const line = lineByProduct.get(String(entry.product));
+    if (!line) throw httpError(`Product ${entry.product} is not on ${purchaseOrder.poNumber}`, 400);
+
+    const quantity = Number(entry.quantity);
+    if (quantity === 0) continue;
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw httpError(`"${line.productName}": quantity must be a whole number`, 400);
+    }
+    if (quantity > outstanding(line)) {
+      throw httpError(`"${line.productName}": only ${outstanding(line)} still to receive (ordered ${line.quantity}, received ${line.receivedQuantity})`, 400);
+    }
+
+    line.receivedQuantity += quantity;
+    receiptItems.push({ product: line.product, productName: line.productName, quantity });
+  }
+
+  if (receiptItems.length === 0) {
+    throw httpError('Nothing to receive', 400);
+  }
+
+  const complete = lines.every(line => outstanding(line) === 0);
+  const receipt = {
+    receiptNumber: `${purchaseOrder.poNumber}-R${purchaseOrder.receipts.length + 1}`,
+    receivedAt: new Date(),
+    receivedBy: user._id,
+    receivedByName: user.name,
+    items: receiptItems,
+    note: note || null
+  };
+
+  // Claim the receipt — fails if someone else received or edited the order meanwhile
+  const updated = await PurchaseOrder.findOneAndUpdate(
+    { _id: purchaseOrder._id, status: purchaseOrder.status, updatedAt: purchaseOrder.updatedAt },
+    {
+      $set: {
+        items: lines,
+        status: complete ? 'received' : 'partially_received',
+        ...(complete && { receivedAt: receipt.receivedAt })
+      },
+      $push: { receipts: receipt }
+    },
+    { new: true }
+  ).lean();
+
+  if (!updated) {
+    throw httpError('Purchase order was changed by someone else. Reload it and try again.', 409);
+  }
+
+  let stock;
+  try {
+    stock = await receiveStock(receiptItems, {
+      type: 'purchase_receipt',
+      source: { type: 'purchase_order', id: updated._id, ref: updated.poNumber, detail: receipt.receiptNumber },
+      user,
+      note
+    }, io);
+  } catch (error) {
+    // No stock was added — give the receipt back (inside a transaction the abort does this)
+    if (!inStockTransaction()) {
+      await PurchaseOrder.updateOne(
+        { _id: updated._id },
+        {
+          $set: { items: purchaseOrder.items, status: purchaseOrder.status, receivedAt: purchaseOrder.receivedAt ?? null },
+          $pull: { receipts: { receiptNumber: receipt.receiptNumber } }
+        }
+      );
+    }
+    throw error;
+  }
+
+  console.log(`📦 ${receipt.receiptNumber}: ${receiptItems.length} product(s) received${complete ? ` — ${updated.poNumber} complete` : ''}`);
+  return { purchaseOrder: updated, receipt, stock };
+}
+
+/**
+ * Cancel a purchase order — or close it when part of it was already received
+ * @throws {Error} statusCode 404 / 409
+ */
+async function cancelPurchaseOrder(id, { reason } = {}) {
+  const purchaseOrder = await loadPurchaseOrder(id);
+  const nextStatus = {
+    draft: 'cancelled',
+    sent: 'cancelled',
+    partially_received: 'closed'
+  }[purchaseOrder.status];
+
+  if (!nextStatus) {
+    throw httpError(`Purchase order is already ${purchaseOrder.status}`, 409);
+  }
+
+  const updated = await PurchaseOrder.findOneAndUpdate(
+    { _id: purchaseOrder._id, status: purchaseOrder.status },
+    { status: nextStatus, cancelledAt: new Date(), cancelReason: reason || null },
+    { new: true }
+  ).lean();
+
+  if (!updated) throw httpError('Purchase order was changed by someone else. Reload it and try again.', 409);
+  return updated;
+}
+
+/**
+ * Find a supplier bill by ObjectId or bill number (BILL00007)
+ */
+async function findBill(id) {
+  if (!id) return null;
+  const idString = id.toString();
+  const query = /^[0-9a-fA-F]{24}$/.test(idString) ? { _id: idString } : { billNumber: idString.toUpperCase() };
+  return SupplierBill.findOne(query).lean();
+}
+
+/**
+ * Record a supplier's bill
+ * @param {Object} body - { purchaseOrder? | supplier, supplierBillNumber, amount?, billDate?, dueDate?, notes? }
+ *                        amount defaults to the purchase order's unbilled total
+ * @throws {Error} statusCode 400 / 404 / 409 (bill number already entered)
+ */
+async function createBill(body, user) {
+  const { supplierBillNumber, billDate, dueDate, notes } = body;
+  if (!supplierBillNumber) {
+    throw httpError('supplierBillNumber (the number on the supplier\'s invoice) is required', 400);
+  }
+
+  let purchaseOrder = null;
+  let supplier;
+  if (body.purchaseOrder) {
+    purchaseOrder = await loadPurchaseOrder(body.purchaseOrder);
+    if (['draft', 'cancelled'].includes(purchaseOrder.status)) {
+      throw httpError(`Cannot bill a ${purchaseOrder.status} purchase order`, 400);
+    }
+    supplier = await Supplier.findById(purchaseOrder.supplier).select('name').lean();
+  } else {
+    supplier = await loadSupplier(body.supplier);
+  }
+
+  const amount = body.amount !== undefined && body.amount !== null && body.amount !== ''
+    ? round2(Number(body.amount))
+    : round2((purchaseOrder?.grandTotal || 0) - (purchaseOrder?.billedAmount || 0));
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw httpError('amount must be more than 0', 400);
+  }
+
+  let bill;
+  try {
+    const seq = await Counter.next(BILL_SEQUENCE);
+    bill = await SupplierBill.create({
+      billNumber: `BILL${String(seq).padStart(5, '0')}`,
+      supplierBillNumber,
+      supplier: supplier._id,
+      supplierName: supplier.name,
+      purchaseOrder: purchaseOrder?._id || null,
+      poNumber: purchaseOrder?.poNumber || null,
+      billDate: billDate || new Date(),
+      dueDate: dueDate || null,
+      amount,
+      balanceDue: amount,
+      notes: notes || null,
+      createdBy: user._id,
+      createdByName: user.name
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError(`Bill ${supplierBillNumber} from ${supplier.name} was already entered`, 409);
+    }
+    throw error;
+  }
+
+  await Promise.all([
+    Supplier.updateOne({ _id: supplier._id }, { $inc: { totalBilled: amount, balanceDue: amount } }),
+    purchaseOrder && PurchaseOrder.updateOne({ _id: purchaseOrder._id }, { $inc: { billedAmount: amount } })
+  ]);
+
+  console.log(`🧾 Supplier bill ${bill.billNumber} (${supplier.name} #${supplierBillNumber}) ₹${amount}`);
+  return bill.toObject();
+}
+
+/**
+ * Pay (part of) a supplier bill
+ * @param {Object} body - { amount, paymentMethod?, reference?, paidAt?, note? }
+ * @throws {Error} statusCode 400 (amount) / 404 / 409 (cancelled / already paid)
+ */
+async function recordBillPayment(id, { amount, paymentMethod = 'bank_transfer', reference, paidAt, note } = {}, user) {
+  const bill = await findBill(id);
+  if (!bill) throw httpError('Bill not found', 404);
+  if (!['unpaid', 'partially_paid'].includes(bill.status)) {
+    throw httpError(`Bill is ${bill.status}`, 409);
+  }
+
+  const value = round2(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) {
+    throw httpError('amount must be more than 0', 400);
+  }
+  if (value > bill.balanceDue) {
+    throw httpError(`Payment ₹${value} exceeds the balance due of ₹${bill.balanceDue}`, 400);
+  }
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw httpError(`paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+  }
+
+  const payment = {
+    amount: value,
+    paymentMethod,
+    reference: reference || null,
+    paidAt: paidAt || new Date(),
+    note: note || null,
+    recordedBy: user._id,
+    recordedByName: user.name
+  };
+
+  // Guarded on the balance so two payments can't overpay the bill
+  const paid = await SupplierBill.findOneAndUpdate(
+    { _id: bill._id, status: { $in: ['unpaid', 'partially_paid'] }, balanceDue: { $gte: value } },
+    { $inc: { paidAmount: value, balanceDue: -value }, $push: { payments: payment } },
+    { new: true }
+  ).lean();
+
+  if (!paid) {
+    throw httpError('Bill balance changed meanwhile. Reload it and try again.', 409);
+  }
+
+  const status = paid.balanceDue <= 0 ? 'paid' : 'partially_paid';
+  await Promise.all([
+    SupplierBill.updateOne({ _id: paid._id }, { status }),
+    Supplier.updateOne({ _id: paid.supplier }, { $inc: { totalPaid: value, balanceDue: -value } })
+  ]);
+
+  console.log(`💸 Paid ₹${value} to ${paid.supplierName} on ${paid.billNumber} (${paymentMethod})`);
+  return { bill: { ...paid, status }, payment };
+}
+
+/**
+ * Cancel a bill entered by mistake (only while nothing was paid on it)
+ * @throws {Error} statusCode 404 / 409
+ */
+async function cancelBill(id, { reason } = {}) {
+  const bill = await findBill(id);
+  if (!bill) throw httpError('Bill not found', 404);
+
+  const cancelled = await SupplierBill.findOneAndUpdate(
+    { _id: bill._id, status: 'unpaid', paidAmount: 0 },
+    { status: 'cancelled', balanceDue: 0, ...(reason && { notes: [bill.notes, `Cancelled: ${reason}`].filter(Boolean).join('\n') }) },
+    { new: true }
+  ).lean();
+
+  if (!cancelled) {
+    throw httpError(`Only unpaid bills can be cancelled (this one is ${bill.status})`, 409);
+  }
+
+  await Promise.all([
+    Supplier.updateOne({ _id: bill.supplier }, { $inc: { totalBilled: -bill.amount, balanceDue: -bill.amount } }),
+    bill.purchaseOrder && PurchaseOrder.updateOne({ _id: bill.purchaseOrder }, { $inc: { billedAmount: -bill.amount } })
+  ]);
+
+  return cancelled;
+}
+
+module.exports = {
+  getLastUnitCosts,
+  findPurchaseOrder,
+  createPurchaseOrder,
+  draftFromReorder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder: transactional(receivePurchaseOrder),
+  cancelPurchaseOrder,
+  findBill,
+  createBill,
+  recordBillPayment,
+  cancelBill
+};
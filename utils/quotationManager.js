@@ -0,0 +1,400 @@
+const Quotation = require('../models/Quotation');
+const Product = require('../models/Product');
+const Client = require('../models/Client');
+const { createOrder } = require('./orderManager');
+const { applyGst, round2 } = require('./gstCalculator');
+const { buildRentalFields, calculateLineTotal } = require('./rentalManager');
+const { resolveEventForOrder } = require('./eventManager');
+const { assertOrderPricing } = require('./permissions');
+
+/**
+ * Quotation Manager
+ *
+ * Quotations are priced exactly like orders (items, freight, per-line GST, rental hire days)
+ * but NEVER touch stock or client totals. Stock is only checked when an accepted quotation
+ * is converted — through createOrder(), so the order gets the same inventory and
+ * availability checks as one created directly.
+ */
+
+const DEFAULT_VALIDITY_DAYS = 15;
+
+// Which statuses each action may start from
+const TRANSITIONS = {
+  send: ['draft', 'sent'],
+  accept: ['draft', 'sent'],
+  reject: ['draft', 'sent', 'accepted'],
+  expire: ['draft', 'sent']
+};
+
+// Fields copied into a version snapshot
+const VERSION_FIELDS = [
+  'items', 'subtotal', 'localFreight', 'transportation', 'gstPercent', 'gstAmount',
+  'cgstAmount', 'sgstAmount', 'igstAmount', 'discount', 'grandTotal', 'validUntil', 'status'
+];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function defaultValidUntil(from = new Date()) {
+  const date = new Date(from);
+  date.setDate(date.getDate() + DEFAULT_VALIDITY_DAYS);
+  date.setHours(23, 59, 59, 999);
+  return date;
+}
+
+function endOfDay(value) {
+  const date = new Date(value);
+  date.setHours(23, 59, 59, 999);
+  return date;
+}
+
+/**
+ * Find a quotation by ObjectId or quotation number (QUO26120001)
+ * @param {Object} options - { lean } — return a lean object (default) or a document
+ */
+async function findQuotation(id, select, { lean = true } = {}) {
+  if (!id) return null;
+  const idString = id.toString();
+  const isObjectId = /^[0-9a-fA-F]{24}$/.test(idString);
+  const query = isObjectId ? { _id: idString } : { quotationNumber: idString.toUpperCase() };
+
+  let finder = Quotation.findOne(query);
+  if (select) finder = finder.select(select);
+  return lean ? finder.lean() : finder;
+}
+
+/**
+ * Price quotation items the same way createOrder does — without touching stock
+ * @returns {Object} items + all pricing / GST fields of the quotation
+ */
+async function priceQuotation(data, existingClient) {
+  const {
+    items,
+    localFreight = 0,
+    transportation = 0,
+    gstPercent = 0,
+    discount = 0,
+    placeOfSupply,
+    customerGstin
+  } = data;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError('At least one item is required', 400);
+  }
+
+  const formattedItems = await Promise.all(items.map(async (item) => {
+    if (!item.productName || item.price === undefined || !item.quantity) {
+      throw httpError('Each item needs productName, price and quantity', 400);
+    }
+
+    let productId = item.product || null;
+
+    // Find product by name if ID not provided
+    if (!productId) {
+      const foundProduct = await Product.findOne({
+        name: item.productName,
+        isActive: true
+      }).select('_id').lean();
+
+      if (foundProduct) {
+        productId = foundProduct._id;
+      }
+    }
+
+    // Rental lines: hire dates + pricing (throws 400 on invalid dates)
+    const rentalFields = buildRentalFields(item);
+
+    return {
+      product: productId,
+      productName: item.productName,
+      narration: item.narration || '',
+      price: item.price,
+      quantity: item.quantity,
+      total: calculateLineTotal({ ...rentalFields, price: item.price }, item.quantity),
+      ...rentalFields,
+      // Parda-specific fields
+      ...(item.width !== undefined && { width: item.width }),
+      ...(item.height !== undefined && { height: item.height }),
+      ...(item.chunnut !== undefined && { chunnut: item.chunnut }),
+      ...(item.colour && { colour: item.colour }),
+      ...(item.colourPrice !== undefined && { colourPrice: item.colourPrice }),
+      // Optional per-line GST override (else product master → quotation gstPercent)
+      ...(item.gstRate !== undefined && { gstRate: item.gstRate }),
+      ...(item.hsnCode && { hsnCode: item.hsnCode })
+    };
+  }));
+
+  const gstin = customerGstin || existingClient?.gstin || null;
+  const gst = await applyGst(formattedItems, {
+    gstPercent,
+    placeOfSupply,
+    client: { ...existingClient, gstin }
+  });
+
+  const subtotal = round2(gst.items.reduce((sum, item) => sum + item.total, 0));
+  const grandTotal = round2(subtotal + localFreight + transportation + gst.gstAmount - discount);
+
+  if (grandTotal < 0) {
+    throw httpError('Discount cannot exceed the quotation total', 400);
+  }
+
+  return {
+    items: gst.items,
+    subtotal,
+    localFreight,
+    transportation,
+    gstPercent,
+    gstAmount: gst.gstAmount,
+    cgstAmount: gst.cgstAmount,
+    sgstAmount: gst.sgstAmount,
+    igstAmount: gst.igstAmount,
+    placeOfSupply: gst.placeOfSupply,
+    isInterState: gst.isInterState,
+    customerGstin: gstin,
+    discount,
+    grandTotal
+  };
+}
+
+/**
+ * Create a draft quotation
+ * The client is linked if it already exists — a quotation alone does not create a client.
+ * options.actor: the signed-in user — their discount limit applies
+ */
+async function createQuotation(data, userId, { actor = null } = {}) {
+  const { partyName, mobile, eventId, validUntil, expectedDeliveryDate, employeeName, comment, notes } = data;
+
+  if (!partyName || !mobile) {
+    throw httpError('Party name and mobile are required', 400);
+  }
+
+  const event = eventId ? await resolveEventForOrder(eventId) : null;
+
+  const existingClient = await Client.findOne({ partyName, mobile })
+    .select('gstin stateCode')
+    .lean();
+
+  const pricing = await priceQuotation(data, existingClient);
+  assertOrderPricing(actor, pricing);
+
+  const quotation = new Quotation({
+    partyName,
+    mobile,
+    client: existingClient?._id || null,
+    event: event?._id || null,
+    ...pricing,
+    validUntil: validUntil ? endOfDay(validUntil) : defaultValidUntil(),
+    expectedDeliveryDate,
+    employeeName: employeeName || null,
+    comment: comment || null,
+    notes,
+    createdBy: userId
+  });
+
+  await quotation.save();
+  return quotation.toObject();
+}
+
+/**
+ * Revise a quotation: the current version is snapshotted into `versions`,
+ * the new pricing becomes version N+1 and the quotation goes back to draft.
+ * options.actor: the signed-in user — their discount limit applies
+ */
+async function reviseQuotation(id, data, userId, { actor = null } = {}) {
+  const quotation = await findQuotation(id, null, { lean: false });
+  if (!quotation) {
+    throw httpError('Quotation not found', 404);
+  }
+  if (quotation.status === 'converted') {
+    throw httpError(`Quotation ${quotation.quotationNumber} is already converted to order ${quotation.convertedOrderNumber}`, 400);
+  }
+
+  const existingClient = quotation.client
+    ? await Client.findById(quotation.client).select('gstin stateCode').lean()
+    : null;
+
+  // Unspecified pricing fields keep their current values
+  const pricing = await priceQuotation({
+    items: data.items || quotation.items.map(item => item.toObject()),
+    localFreight: data.localFreight ?? quotation.localFreight,
+    transportation: data.transportation ?? quotation.transportation,
+    gstPercent: data.gstPercent ?? quotation.gstPercent,
+    discount: data.discount ?? quotation.discount,
+    placeOfSupply: data.placeOfSupply ?? quotation.placeOfSupply,
+    customerGstin: data.customerGstin ?? quotation.customerGstin
+  }, existingClient);
+  assertOrderPricing(actor, pricing);
+
+  const snapshot = { version: quotation.version, revisedBy: userId, revisionNote: data.revisionNote };
+  VERSION_FIELDS.forEach(field => { snapshot[field] = quotation[field]; });
+  quotation.versions.push(snapshot);
+
+  Object.assign(quotation, pricing);
+  quotation.version += 1;
+  quotation.status = 'draft';
+  quotation.validUntil = data.validUntil ? endOfDay(data.validUntil) : defaultValidUntil();
+  quotation.acceptedAt = undefined;
+  quotation.rejectedAt = undefined;
+  quotation.rejectionReason = undefined;
+  quotation.expiredAt = undefined;
+
+  ['expectedDeliveryDate', 'employeeName', 'comment', 'notes'].forEach(field => {
+    if (data[field] !== undefined) quotation[field] = data[field];
+  });
+
+  await quotation.save();
+  return quotation.toObject();
+}
+
+/**
+ * Move a quotation through send / accept / reject / expire (ATOMIC on the current status)
+ */
+async function transitionQuotation(id, action, { reason } = {}) {
+  const found = await findQuotation(id, '_id quotationNumber status validUntil convertedOrderNumber');
+  if (!found) {
+    throw httpError('Quotation not found', 404);
+  }
+
+  const allowed = TRANSITIONS[action];
+  if (!allowed.includes(found.status)) {
+    throw httpError(`Cannot ${action} quotation ${found.quotationNumber} while it is ${found.status}`, 400);
+  }
+
+  const now = new Date();
+  if (action === 'accept' && found.validUntil && found.validUntil < now) {
+    throw httpError(`Quotation ${found.quotationNumber} expired on ${found.validUntil.toDateString()}. Revise it first.`, 400);
+  }
+
+  const update = {
+    send: { status: 'sent', sentAt: now },
+    accept: { status: 'accepted', acceptedAt: now },
+    reject: { status: 'rejected', rejectedAt: now, rejectionReason: reason || null },
+    expire: { status: 'expired', expiredAt: now }
+  }[action];
+
+  const quotation = await Quotation.findOneAndUpdate(
+    { _id: found._id, status: { $in: allowed } },
+    { $set: update },
+    { new: true, lean: true }
+  );
+
+  if (!quotation) {
+    throw httpError(`Quotation ${found.quotationNumber} was changed by someone else. Please reload.`, 409);
+  }
+
+  return quotation;
+}
+
+/**
+ * Mark draft/sent quotations past validUntil as expired
+ * Called lazily from the list/detail routes — no scheduler needed.
+ */
+async function expireStaleQuotations() {
+  const now = new Date();
+  const result = await Quotation.updateMany(
+    { status: { $in: TRANSITIONS.expire }, validUntil: { $lt: now } },
+    { $set: { status: 'expired', expiredAt: now } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`⌛ ${result.modifiedCount} quotation(s) expired`);
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * Convert an accepted quotation into a real order through createOrder()
+ * Inventory and availability are checked NOW, exactly as for a new order.
+ *
+ * @param {Object} orderOptions - { advance, expectedDeliveryDate, allowOverbooking, employeeName, employeeId }
+ * @param {Object} options.actor - the converting user; allowOverbooking only counts if they hold approval.decide
+ * @returns {Object} createOrder() result + the updated quotation
+ */
+async function convertQuotation(id, orderOptions, userId, io, { actor = null } = {}) {
+  const found = await findQuotation(id, '_id quotationNumber status convertedOrderNumber');
+  if (!found) {
+    throw httpError('Quotation not found', 404);
+  }
+  if (found.status === 'converted') {
+    throw httpError(`Quotation ${found.quotationNumber} is already converted to order ${found.convertedOrderNumber}`, 400);
+  }
+  if (found.status !== 'accepted') {
+    throw httpError(`Only accepted quotations can be converted (${found.quotationNumber} is ${found.status})`, 400);
+  }
+
+  // Claim the quotation so two conversions cannot create two orders
+  const quotation = await Quotation.findOneAndUpdate(
+    { _id: found._id, status: 'accepted', convertedOrder: null },
+    { $set: { status: 'converted', convertedAt: new Date() } },
+    { new: true, lean: true }
+  );
+  if (!quotation) {
+    throw httpError(`Quotation ${found.quotationNumber} is already being converted`, 409);
+  }
+
+  const {
+    advance = 0,
+    expectedDeliveryDate,
+    allowOverbooking = false,
+    employeeName,
+    employeeId
+  } = orderOptions;
+
+  let result;
+  try {
+    result = await createOrder({
+      partyName: quotation.partyName,
+      mobile: quotation.mobile,
+      // Lines carry the quoted gstRate / hsnCode — the customer accepted these prices
+      items: quotation.items,
+      localFreight: quotation.localFreight,
+      transportation: quotation.transportation,
+      gstPercent: quotation.gstPercent,
+      discount: quotation.discount,
+      advance,
+      expectedDeliveryDate: expectedDeliveryDate || quotation.expectedDeliveryDate,
+      employeeName: employeeName || quotation.employeeName,
+      employeeId,
+      comment: quotation.comment,
+      notes: quotation.notes,
+      placeOfSupply: quotation.placeOfSupply,
+      customerGstin: quotation.customerGstin,
+      allowOverbooking,
+      ...(quotation.event && { eventId: quotation.event })
+    }, userId, io, { quotation, overbookingBy: actor });
+  } catch (error) {
+    // Order not created (stock, overbooking, validation) — quotation stays accepted
+    await Quotation.updateOne(
+      { _id: quotation._id, status: 'converted', convertedOrder: null },
+      { $set: { status: 'accepted' }, $unset: { convertedAt: 1 } }
+    );
+    throw error;
+  }
+
+  const converted = await Quotation.findByIdAndUpdate(
+    quotation._id,
+    {
+      $set: {
+        convertedOrder: result.order._id,
+        convertedOrderNumber: result.order.orderNumber,
+        client: result.order.client
+      }
+    },
+    { new: true, lean: true }
+  );
+
+  console.log(`🔁 Quotation ${quotation.quotationNumber} converted to order ${result.order.orderNumber}`);
+
+  return { ...result, quotation: converted };
+}
+
+module.exports = {
+  findQuotation,
+  createQuotation,
+  reviseQuotation,
+  transitionQuotation,
+  expireStaleQuotations,
+  convertQuotation
+};
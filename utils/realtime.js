@@ -0,0 +1,337 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const RealtimeEvent = require('../models/RealtimeEvent');
+const { verifyToken } = require('../middleware/auth');
+const { hasPermission } = require('./permissions');
+
+/**
+ * Realtime (Socket.IO) — authenticated, room-scoped channels
+ *
+ * The handshake checks the same JWT as the HTTP `protect` middleware:
+ *   io(url, { auth: { token } })   (an "Authorization: Bearer <token>" header also works)
+ *
+ * Rooms:
+ *   admins            users with order.view_all (admins, managers) — receive every event
+ *   staff             every signed-in user — catalog / stock events only (no amounts or mobiles)
+ *   approvers         users with approval.decide — approval requests waiting for a decision
+ *   employee:<id>     one employee — orders they created or handle
+ *   order:<id>        subscribers of one order
+ *   client:<id>       subscribers of one client
+ *   session:<id>      sockets opened with one login session (disconnected when it is revoked)
+ *
+ * Clients subscribe with socket.emit('subscribe', { type: 'order' | 'client', id }, ack).
+ * Users with order.view_all may subscribe to anything; others only to their own orders and those orders' clients.
+ *
+ * Routes send events with emitEvent(io, event, payload, scope) instead of io.emit().
+ * Events emitted inside a stock transaction are held until it commits (holdEvents / releaseEvents).
+ *
+ * Replay after a dropped connection:
+ *   Every event carries `eventSeq` (one global, increasing sequence) and is kept in a bounded
+ *   log (RealtimeEvent). A device remembers the last eventSeq it saw and, after reconnecting
+ *   and re-subscribing, sends socket.emit('replay', { lastSeq }, ack) — or passes
+ *   { auth: { token, lastSeq } } to replay its base rooms right away. It receives:
+ *     - every missed event it is allowed to see, in order, then 'replay:complete', or
+ *     - 'resync:required' when the gap is no longer in the log (reload from the REST API)
+ */
+
+const ROOMS = {
+  admins: 'admins',
+  staff: 'staff',
+  approvers: 'approvers',
+  employee: (id) => `employee:${id}`,
+  order: (id) => `order:${id}`,
+  client: (id) => `client:${id}`,
+  session: (id) => `session:${id}`
+};
+
+const SUBSCRIBABLE = ['order', 'client'];
+
+const SEQUENCE = 'realtime';
+const MAX_REPLAY_EVENTS = 1000;
+
+// Events are sequenced and emitted one at a time so eventSeq order matches emit order
+let publishQueue = Promise.resolve();
+
+// Events emitted inside a transaction, kept on its session until it commits
+const HELD_EVENTS = Symbol('heldRealtimeEvents');
+
+function idOf(value) {
+  if (!value) return null;
+  return (value._id || value).toString();
+}
+
+/**
+ * Socket.IO middleware — reject the handshake unless the token is valid
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const header = socket.handshake.headers?.authorization;
+    const token = socket.handshake.auth?.token
+      || (header && header.startsWith('Bearer') ? header.split(' ')[1] : null);
+
+    socket.data.user = await verifyToken(token);
+    next();
+  } catch (error) {
+    const err = new Error(error.statusCode === 401 ? error.message : 'Server error during authentication');
+    err.data = { statusCode: error.statusCode || 500 };
+    next(err);
+  }
+}
+
+/**
+ * May this user subscribe to the given order / client room?
+ * order.view_all: always. Everyone else: orders they created or handle, and clients of those orders.
+ */
+async function canSubscribe(user, type, id) {
+  if (hasPermission(user, 'order.view_all')) return true;
+
+  const ownOrder = { $or: [{ employee: user._id }, { createdBy: user._id }] };
+
+  if (type === 'order') {
+    if (!/^[0-9a-fA-F]{24}$/.test(id)) return false;
+    return Boolean(await Order.exists({ _id: id, ...ownOrder }));
+  }
+  if (type === 'client') {
+    if (!/^[0-9a-fA-F]{24}$/.test(id)) return false;
+    return Boolean(await Order.exists({ client: id, ...ownOrder }));
+  }
+  return false;
+}
+
+/**
+ * Attach authentication + room handling to the Socket.IO server
+ */
+function initRealtime(io) {
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const user = socket.data.user;
+
+    socket.join(ROOMS.staff);
+    socket.join(ROOMS.employee(user._id));
+    if (user.sessionId) {
+      socket.join(ROOMS.session(user.sessionId));
+    }
+    if (hasPermission(user, 'order.view_all')) {
+      socket.join(ROOMS.admins);
+    }
+    if (hasPermission(user, 'approval.decide')) {
+      socket.join(ROOMS.approvers);
+    }
+
+    console.log(`🔌 Client connected: ${socket.id} (${user.name}, ${user.role})`);
+
+    // Reconnecting device passed its last-seen sequence in the handshake
+    const handshakeSeq = socket.handshake.auth?.lastSeq;
+    if (handshakeSeq !== undefined && handshakeSeq !== null) {
+      replayEvents(socket, Number(handshakeSeq))
+        .catch(error => console.error('Socket replay error:', error));
+    }
+
+    socket.on('replay', async ({ lastSeq } = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        reply({ success: true, ...await replayEvents(socket, Number(lastSeq)) });
+      } catch (error) {
+        console.error('Socket replay error:', error);
+        reply({ success: false, error: 'Server error' });
+      }
+    });
+
+    socket.on('subscribe', async ({ type, id } = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        if (!SUBSCRIBABLE.includes(type) || !id) {
+          return reply({ success: false, error: `Subscribe with { type: ${SUBSCRIBABLE.join(' | ')}, id }` });
+        }
+
+        if (!await canSubscribe(user, type, id.toString())) {
+          return reply({ success: false, error: `Not allowed to subscribe to ${type} ${id}` });
+        }
+
+        const room = ROOMS[type](id);
+        socket.join(room);
+        reply({ success: true, room });
+      } catch (error) {
+        console.error('Socket subscribe error:', error);
+        reply({ success: false, error: 'Server error' });
+      }
+    });
+
+    socket.on('unsubscribe', ({ type, id } = {}, ack) => {
+      if (SUBSCRIBABLE.includes(type) && id) {
+        socket.leave(ROOMS[type](id));
+      }
+      if (typeof ack === 'function') ack({ success: true });
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`🔌 Client disconnected: ${socket.id}`);
+    });
+  });
+}
+
+/**
+ * Rooms that should see an order's events: its room, its client's room and the
+ * employees who created / handle it
+ */
+function orderScope(order) {
+  if (!order) return {};
+  return {
+    orders: [order._id],
+    clients: [order.client],
+    employees: [order.employee, order.createdBy]
+  };
+}
+
+/**
+ * Number, log and emit one event
+ * Fails open: if Mongo is unavailable the event is still emitted, just without eventSeq.
+ */
+async function publish(io, event, payload, rooms) {
+  let message = payload;
+  try {
+    const seq = await Counter.next(SEQUENCE);
+    message = { ...payload, eventSeq: seq };
+    await RealtimeEvent.create({ seq, event, payload: message, rooms });
+  } catch (error) {
+    console.error(`⚠️  Realtime event log failed (${event}):`, error.message);
+  }
+  io.to(rooms).emit(event, message);
+}
+
+/**
+ * Emit an event to admins plus the rooms in scope
+ * @param {Object} io - Socket.IO instance (no-op when missing)
+ * @param {String} event - e.g. 'order:updated'
+ * @param {Object} payload
+ * @param {Object} scope - { orders, clients, employees, staff, approvers } — ids (or docs) per room type;
+ *                         staff: true also sends to every signed-in user (catalog / stock events),
+ *                         approvers: true to everyone who can decide approval requests
+ */
+function emitEvent(io, event, payload, scope = {}) {
+  if (!io) return;
+
+  const rooms = new Set([ROOMS.admins]);
+  if (scope.staff) rooms.add(ROOMS.staff);
+  if (scope.approvers) rooms.add(ROOMS.approvers);
+
+  const add = (builder, values) => {
+    [].concat(values || []).map(idOf).filter(Boolean).forEach(id => rooms.add(builder(id)));
+  };
+  add(ROOMS.order, scope.orders);
+  add(ROOMS.client, scope.clients);
+  add(ROOMS.employee, scope.employees);
+
+  // Inside a transaction: send only once it commits (an abort or retry must not broadcast)
+  const session = mongoose.transactionAsyncLocalStorage?.getStore()?.session;
+  if (session) {
+    (session[HELD_EVENTS] = session[HELD_EVENTS] || []).push({ io, event, payload, rooms: [...rooms] });
+    return;
+  }
+
+  queueEvent(io, event, payload, [...rooms]);
+}
+
+/**
+ * Add an event to the publish queue, outside any transaction's session context —
+ * Counter and RealtimeEvent (a capped collection) writes cannot run in a transaction
+ */
+function queueEvent(io, event, payload, rooms) {
+  const enqueue = () => {
+    publishQueue = publishQueue
+      .then(() => publish(io, event, payload, rooms))
+      .catch(error => console.error(`Socket emit error (${event}):`, error));
+  };
+  const storage = mongoose.transactionAsyncLocalStorage;
+  return storage ? storage.exit(enqueue) : enqueue();
+}
+
+/**
+ * Start holding a transaction's events (called at the start of every attempt — a retried
+ * attempt drops what the failed one emitted)
+ */
+function holdEvents(session) {
+  session[HELD_EVENTS] = [];
+}
+
+/**
+ * Send the events a committed transaction held back, in the order they were emitted
+ */
+function releaseEvents(session) {
+  const held = session?.[HELD_EVENTS] || [];
+  delete session?.[HELD_EVENTS];
+  held.forEach(({ io, event, payload, rooms }) => queueEvent(io, event, payload, rooms));
+}
+
+/**
+ * Send a socket every logged event after lastSeq that was addressed to one of its rooms
+ * @returns {Object} { status: 'up_to_date' | 'replayed' | 'resync_required', fromSeq, toSeq, count }
+ */
+async function replayEvents(socket, lastSeq) {
+  const currentSeq = await Counter.current(SEQUENCE);
+  const oldest = await RealtimeEvent.findOne().sort({ seq: 1 }).select('seq').lean();
+  const oldestSeq = oldest ? oldest.seq : currentSeq + 1;
+
+  const resync = (reason) => {
+    const info = { status: 'resync_required', reason, lastSeq, oldestSeq, currentSeq };
+    socket.emit('resync:required', info);
+    return info;
+  };
+
+  if (!Number.isInteger(lastSeq) || lastSeq < 0) {
+    return resync('lastSeq must be a non-negative integer');
+  }
+  if (lastSeq > currentSeq) {
+    return resync('lastSeq is ahead of the server (event log was reset)');
+  }
+  if (lastSeq >= currentSeq) {
+    const info = { status: 'up_to_date', fromSeq: lastSeq, toSeq: currentSeq, count: 0 };
+    socket.emit('replay:complete', info);
+    return info;
+  }
+  if (lastSeq + 1 < oldestSeq) {
+    return resync('missed events are no longer in the event log');
+  }
+  if (currentSeq - lastSeq > MAX_REPLAY_EVENTS) {
+    return resync(`more than ${MAX_REPLAY_EVENTS} events missed`);
+  }
+
+  const rooms = [...socket.rooms];
+  const missed = await RealtimeEvent.find({ seq: { $gt: lastSeq }, rooms: { $in: rooms } })
+    .sort({ seq: 1 })
+    .lean();
+
+  missed.forEach(entry => socket.emit(entry.event, entry.payload));
+
+  const info = { status: 'replayed', fromSeq: lastSeq, toSeq: currentSeq, count: missed.length };
+  socket.emit('replay:complete', info);
+  return info;
+}
+
+/**
+ * Disconnect sockets of revoked sessions / a signed-out user
+ */
+function disconnectSessions(io, sessionIds) {
+  if (!io || !sessionIds || sessionIds.length === 0) return;
+  io.in(sessionIds.map(id => ROOMS.session(idOf(id)))).disconnectSockets(true);
+}
+
+function disconnectUser(io, userId) {
+  if (!io || !userId) return;
+  io.in(ROOMS.employee(idOf(userId))).disconnectSockets(true);
+}
+
+module.exports = {
+  ROOMS,
+  initRealtime,
+  authenticateSocket,
+  orderScope,
+  emitEvent,
+  holdEvents,
+  releaseEvents,
+  replayEvents,
+  disconnectSessions,
+  disconnectUser
+};
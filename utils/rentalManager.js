@@ -0,0 +1,513 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const {
+  invalidateOrderCache,
+  initializeOrderCache,
+  acquireOrderLock,
+  releaseOrderLock
+} = require('./orderCache');
+const { delByPattern } = require('../config/redis');
+const { assessLine, restockByCondition, reverseRestock, buildDamageCharges } = require('./damageManager');
+const { recordMovements, transactional, inStockTransaction, stockFailure } = require('./inventoryManager');
+const { emitEvent, orderScope } = require('./realtime');
+
+/**
+ * Rental / Hire Manager
+ *
+ * Tent & decoration items are hired out, not sold. A rental order line:
+ *   - carries hireFrom / hireTo (return due date) and per_day or per_event pricing
+ *   - does NOT reduce inventory when the order is created
+ *   - moves stock inventory → onHire when it is dispatched (delivery)
+ *   - moves stock onHire → inventory when it is checked in (damaged / needs-cleaning → quarantine,
+ *     lost → written off; damage charges go to order.additionalCharges like late fees)
+ *   - is overdue when it is still out after hireTo; late fees go to order.additionalCharges
+ *
+ * Same atomic approach as inventoryManager: $inc with a $gte guard, rollback on failure.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isRentalLine(item) {
+  return item?.lineType === 'rental';
+}
+
+function startOfDay(value) {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+/**
+ * Hire days are inclusive calendar days (10th → 12th = 3 days), minimum 1
+ */
+function calculateHireDays(hireFrom, hireTo) {
+  if (!hireFrom || !hireTo) return 1;
+  const days = Math.round((startOfDay(hireTo) - startOfDay(hireFrom)) / DAY_MS) + 1;
+  return Math.max(1, days);
+}
+
+/**
+ * Validate rental fields on an incoming order line and normalise them
+ * @returns {Object} Rental fields to merge into the formatted line (empty for sale lines)
+ * @throws {Error} statusCode 400 when dates are missing or invalid
+ */
+function buildRentalFields(item) {
+  if (!isRentalLine(item)) {
+    return { lineType: 'sale' };
+  }
+
+  const hireFrom = item.hireFrom ? new Date(item.hireFrom) : null;
+  const hireTo = item.hireTo ? new Date(item.hireTo) : null;
+
+  if (!hireFrom || !hireTo || isNaN(hireFrom.getTime()) || isNaN(hireTo.getTime())) {
+    const error = new Error(`Rental item "${item.productName || 'Unknown'}" needs valid hireFrom and hireTo dates`);
+    error.statusCode = 400;
+    throw error;
+  }
+  if (hireTo < hireFrom) {
+    const error = new Error(`Rental item "${item.productName || 'Unknown'}": hireTo cannot be before hireFrom`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const rentalPricing = item.rentalPricing === 'per_event' ? 'per_event' : 'per_day';
+
+  return {
+    lineType: 'rental',
+    hireFrom,
+    hireTo,
+    rentalPricing,
+    hireDays: calculateHireDays(hireFrom, hireTo)
+  };
+}
+
+/**
+ * Line total — per_day rentals are price × quantity × hireDays
+ */
+function calculateLineTotal(item, quantity = item.quantity) {
+  const base = (item.price || 0) * (quantity || 0);
+  if (isRentalLine(item) && item.rentalPricing === 'per_day') {
+    return base * (item.hireDays || calculateHireDays(item.hireFrom, item.hireTo));
+  }
+  return base;
+}
+
+function emitInventoryUpdate(io, product) {
+  if (!io) return;
+  emitEvent(io, 'product:inventory-updated', {
+    product: {
+      _id: product._id,
+      name: product.name,
+      inventory: product.inventory,
+      onHire: product.onHire || 0,
+      category: product.category,
+      price: product.price
+    }
+  }, { staff: true });
+}
+
+/**
+ * Ledger entries for hire moves ({ _id, name, quantity, inventory } after the move)
+ * sign: -1 out on hire, +1 back from hire
+ */
+function hireMovements(affectedProducts, type, sign) {
+  return affectedProducts.map(product => ({
+    product: product._id,
+    productName: product.name,
+    type,
+    quantity: sign * product.quantity,
+    before: product.inventory - sign * product.quantity,
+    after: product.inventory
+  }));
+}
+
+/**
+ * Move stock inventory → onHire for dispatched rental lines (ATOMIC)
+ * All-or-nothing: if one product is short (or the ledger can't be written), everything
+ * already moved is put back (and nothing is written to the ledger).
+ * Products with inventory tracking disabled (null) are skipped.
+ *
+ * @param {Array} items - Rental lines { product, productName, quantity }
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} movement - Ledger context (type defaults to 'rental_dispatch')
+ * @returns {Object} { success, affectedProducts, error?, insufficientItem? }
+ */
+async function dispatchRentalItems(items, io, movement = {}) {
+  const affectedProducts = [];
+
+  for (const item of items) {
+    if (!item.product) continue;
+
+    const result = await Product.findOneAndUpdate(
+      { _id: item.product, inventory: { $ne: null, $gte: item.quantity } },
+      { $inc: { inventory: -item.quantity, onHire: item.quantity } },
+      { new: true, lean: true }
+    );
+
+    if (!result) {
+      const product = await Product.findById(item.product).select('name inventory').lean();
+      if (!product || product.inventory === null || product.inventory === undefined) continue;
+
+      console.error(`❌ Cannot dispatch on hire: "${product.name}" has ${product.inventory}, need ${item.quantity}`);
+      await returnFromHire(affectedProducts.map(p => ({ product: p._id, quantity: p.quantity })), null);
+
+      return {
+        success: false,
+        error: `Insufficient stock to dispatch "${product.name}" on hire. Available: ${product.inventory}, Requested: ${item.quantity}`,
+        insufficientItem: {
+          productId: product._id,
+          productName: product.name,
+          available: product.inventory,
+          requested: item.quantity
+        }
+      };
+    }
+
+    affectedProducts.push({
+      _id: result._id,
+      name: result.name,
+      quantity: item.quantity,
+      inventory: result.inventory,
+      onHire: result.onHire
+    });
+    emitInventoryUpdate(io, result);
+  }
+
+  try {
+    await recordMovements(hireMovements(affectedProducts, movement.type || 'rental_dispatch', -1), movement);
+  } catch (error) {
+    if (inStockTransaction()) throw error;
+    await returnFromHire(affectedProducts.map(p => ({ product: p._id, quantity: p.quantity })), null);
+    return { success: false, error: error.message };
+  }
+
+  if (affectedProducts.length > 0) {
+    console.log(`🚚 Dispatched on hire: ${affectedProducts.map(p => `${p.name} ×${p.quantity}`).join(', ')}`);
+  }
+
+  return { success: true, affectedProducts };
+}
+
+/**
+ * Move stock onHire → inventory (check-in, or rollback of a failed dispatch)
+ * onHire is guarded so it never goes negative
+ * @param {Object|null} movement - Ledger context; null for undoing a dispatch that was never recorded
+ * @throws {Error} statusCode 500 when the movements can't be recorded (the stock stays on hire then)
+ */
+async function returnFromHire(items, io, movement = null) {
+  const affectedProducts = [];
+
+  for (const item of items) {
+    const productId = item.product?._id || item.product;
+    if (!productId) continue;
+
+    const result = await Product.findOneAndUpdate(
+      { _id: productId, inventory: { $ne: null }, onHire: { $gte: item.quantity } },
+      { $inc: { inventory: item.quantity, onHire: -item.quantity } },
+      { new: true, lean: true }
+    );
+
+    if (!result) {
+      // Tracking disabled or onHire out of sync — never block a physical check-in
+      continue;
+    }
+
+    affectedProducts.push({
+      _id: result._id,
+      name: result.name,
+      quantity: item.quantity,
+      inventory: result.inventory,
+      onHire: result.onHire
+    });
+    emitInventoryUpdate(io, result);
+  }
+
+  if (movement) {
+    try {
+      await recordMovements(hireMovements(affectedProducts, movement.type || 'rental_return', 1), movement);
+    } catch (error) {
+      // Back on hire — a check-in without its ledger record must not stand
+      if (!inStockTransaction()) {
+        for (const product of affectedProducts) {
+          await Product.findByIdAndUpdate(product._id, { $inc: { inventory: -product.quantity, onHire: product.quantity } });
+        }
+      }
+      throw error;
+    }
+  }
+
+  return { success: true, affectedProducts };
+}
+
+/**
+ * Late fee for a quantity of a rental line checked in on checkInDate
+ * Rate per unit per day: product.lateFeePerDay → daily rate (per_day lines) → 0
+ */
+function calculateLateFee(line, quantity, checkInDate, product) {
+  if (!line.hireTo) return { lateDays: 0, lateFee: 0 };
+
+  const lateDays = Math.max(0, Math.round((startOfDay(checkInDate) - startOfDay(line.hireTo)) / DAY_MS));
+  if (lateDays === 0) return { lateDays: 0, lateFee: 0 };
+
+  let ratePerDay = 0;
+  if (product && product.lateFeePerDay !== null && product.lateFeePerDay !== undefined) {
+    ratePerDay = product.lateFeePerDay;
+  } else if (line.rentalPricing === 'per_day') {
+    ratePerDay = line.price || 0;
+  }
+
+  return {
+    lateDays,
+    lateFee: Math.round(ratePerDay * quantity * lateDays * 100) / 100
+  };
+}
+
+/**
+ * Add a charge to an order (not saved) — grandTotal grows by the charge amount
+ * pre-save recalculates balanceDue/paymentStatus and additionalChargesTotal
+ */
+function addOrderCharge(orderDoc, { type = 'other', amount, description, reference }, userId) {
+  if (!amount || amount <= 0) return null;
+  const charge = {
+    type,
+    amount: Math.round(amount * 100) / 100,
+    description,
+    reference,
+    createdBy: userId,
+    createdAt: new Date()
+  };
+  orderDoc.additionalCharges.push(charge);
+  orderDoc.grandTotal = Math.round((orderDoc.grandTotal + charge.amount) * 100) / 100;
+  return charge;
+}
+
+/**
+ * Check in hired items for an order
+ * If items not provided, checks in everything still out on hire
+ *
+ * @param {String} orderId - Order ID
+ * @param {Object} data - { items?: [{ product, productName, quantity, condition?, damageCharge?, damageReason? }],
+ *                          checkInDate?, waiveLateFee?, notes? }
+ * @param {String} userId - Who received the items
+ * @param {Object} io - Socket.IO instance
+ */
+async function checkInRental(orderId, data, userId, io) {
+  const lockAcquired = await acquireOrderLock(orderId, 30);
+  if (!lockAcquired) {
+    const error = new Error('Order is currently being processed. Please try again.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  try {
+    const orderDoc = await Order.findById(orderId);
+    if (!orderDoc) {
+      const error = new Error('Order not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const { items, waiveLateFee = false, notes } = data || {};
+    const checkInDate = data?.checkInDate ? new Date(data.checkInDate) : new Date();
+
+    const outstanding = (line) => (line.deliveredQuantity || 0) - (line.checkedInQuantity || 0);
+    const rentalLines = orderDoc.items.filter(isRentalLine);
+
+    if (rentalLines.length === 0) {
+      const error = new Error('This order has no rental items');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Resolve which lines/quantities are coming back
+    const checkIns = [];
+    const pending = new Map(); // same line may come back in several conditions
+    if (!items || items.length === 0) {
+      rentalLines.forEach(line => {
+        if (outstanding(line) > 0) {
+          checkIns.push({ line, quantity: outstanding(line), condition: 'good', damageCharge: 0, damageReason: '' });
+        }
+      });
+    } else {
+      for (const item of items) {
+        const productId = item.product?.toString();
+        const productName = item.productName?.toLowerCase().trim();
+        const line = rentalLines.find(l =>
+          (productId && l.product?.toString() === productId) ||
+          (productName && l.productName?.toLowerCase().trim() === productName)
+        );
+
+        if (!line) {
+          const error = new Error(`"${item.productName || item.product}" is not a rental item on order ${orderDoc.orderNumber}`);
+          error.statusCode = 400;
+          throw error;
+        }
+        const stillOut = outstanding(line) - (pending.get(line) || 0);
+        if (!item.quantity || item.quantity <= 0 || item.quantity > stillOut) {
+          const error = new Error(`Cannot check in ${item.quantity} of "${line.productName}". Out on hire: ${stillOut}`);
+          error.statusCode = 400;
+          throw error;
+        }
+        pending.set(line, (pending.get(line) || 0) + item.quantity);
+        checkIns.push({ line, quantity: item.quantity, ...assessLine({ ...item, productName: line.productName }) });
+      }
+    }
+
+    if (checkIns.length === 0) {
+      const error = new Error('Nothing is out on hire for this order');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Late fee rates from product master
+    const products = await Product.find({ _id: { $in: checkIns.map(c => c.line.product).filter(Boolean) } })
+      .select('lateFeePerDay')
+      .lean();
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    // ── Stock back from hire by condition (atomic per line) ──
+    const movement = {
+      source: { type: 'order', id: orderDoc._id, ref: orderDoc.orderNumber, detail: 'Check-in' },
+      user: { _id: userId },
+      note: notes || null
+    };
+    const stockResult = await restockByCondition(
+      checkIns.map(c => ({ product: c.line.product, productName: c.line.productName, quantity: c.quantity, condition: c.condition })),
+      io,
+      { fromHire: true, movement }
+    );
+
+    // ── Update order lines + late fees ──
+    let totalLateFee = 0;
+    const checkInItems = checkIns.map(({ line, quantity, condition, damageCharge, damageReason }) => {
+      line.checkedInQuantity = (line.checkedInQuantity || 0) + quantity;
+      const { lateDays, lateFee } = calculateLateFee(line, quantity, checkInDate, productMap.get(line.product?.toString()));
+      totalLateFee += lateFee;
+      return { product: line.product, productName: line.productName, quantity, lateDays, lateFee, condition, damageCharge, damageReason };
+    });
+    totalLateFee = Math.round(totalLateFee * 100) / 100;
+    const damageChargeTotal = Math.round(checkInItems.reduce((sum, i) => sum + (i.damageCharge || 0), 0) * 100) / 100;
+
+    orderDoc.rentalCheckIns.push({
+      checkInDate,
+      items: checkInItems,
+      lateFee: totalLateFee,
+      lateFeeWaived: waiveLateFee && totalLateFee > 0,
+      damageCharge: damageChargeTotal,
+      checkedInBy: userId,
+      notes
+    });
+    const checkInEntry = orderDoc.rentalCheckIns[orderDoc.rentalCheckIns.length - 1];
+
+    let charge = null;
+    if (totalLateFee > 0 && !waiveLateFee) {
+      const lateLines = checkInItems.filter(i => i.lateDays > 0);
+      charge = addOrderCharge(orderDoc, {
+        type: 'late_return',
+        amount: totalLateFee,
+        description: `Late return: ${lateLines.map(i => `${i.productName} ×${i.quantity} (${i.lateDays} day${i.lateDays > 1 ? 's' : ''})`).join(', ')}`,
+        reference: checkInEntry._id.toString()
+      }, userId);
+    }
+
+    // Damage / cleaning / loss charges (waiveLateFee does not waive these)
+    const damageCharges = buildDamageCharges(checkInItems, 'Check-in')
+      .map(damage => addOrderCharge(orderDoc, { ...damage, reference: checkInEntry._id.toString() }, userId))
+      .filter(Boolean);
+
+    // Pre-save recalculates balanceDue, rentalReturnDue and status
+    orderDoc.$locals.revision = { by: userId, source: 'check-in' };
+    try {
+      await orderDoc.save();
+    } catch (saveError) {
+      console.error('❌ Check-in save failed after stock moved back. Rolling back...');
+      await reverseRestock(stockResult.moves, movement);
+      throw saveError;
+    }
+
+    await invalidateOrderCache(orderDoc._id.toString());
+    await initializeOrderCache(orderDoc.toObject());
+    await delByPattern('orders:list:*');
+
+    if (io) {
+      emitEvent(io, 'order:rental-checked-in', {
+        orderId: orderDoc._id,
+        orderNumber: orderDoc.orderNumber,
+        checkIn: checkInEntry.toObject(),
+        lateFeeCharged: charge ? charge.amount : 0,
+        damageCharged: damageChargeTotal
+      }, orderScope(orderDoc));
+      emitEvent(io, 'order:updated', { order: orderDoc.toObject() }, orderScope(orderDoc));
+    }
+
+    console.log(`📥 Rental check-in for ${orderDoc.orderNumber}: ${checkInItems.length} items${charge ? `, late fee ₹${charge.amount}` : ''}${damageCharges.length > 0 ? `, damage ₹${damageChargeTotal}` : ''}`);
+
+    return {
+      success: true,
+      order: orderDoc.toObject(),
+      checkIn: checkInEntry.toObject(),
+      lateFeeCharged: charge ? charge.amount : 0,
+      damageCharges,
+      affectedProducts: stockResult.moves
+    };
+  } finally {
+    await releaseOrderLock(orderId);
+  }
+}
+
+/**
+ * Orders with hired items still out past their return date
+ * @param {Date} asOf - Reference time (default now)
+ */
+async function getOverdueRentals(asOf = new Date()) {
+  const orders = await Order.find({
+    hasRentalItems: true,
+    rentalReturnDue: { $ne: null, $lt: startOfDay(asOf) },
+    status: { $ne: 'cancelled' }
+  })
+    .select('orderNumber partyName mobile client items rentalReturnDue grandTotal balanceDue status employeeName')
+    .sort('rentalReturnDue')
+    .lean();
+
+  return orders.map(order => {
+    const overdueItems = order.items
+      .filter(item => isRentalLine(item) && item.hireTo && item.hireTo < startOfDay(asOf))
+      .map(item => ({
+        product: item.product,
+        productName: item.productName,
+        hireFrom: item.hireFrom,
+        hireTo: item.hireTo,
+        outOnHire: (item.deliveredQuantity || 0) - (item.checkedInQuantity || 0),
+        ...calculateLateFee(item, (item.deliveredQuantity || 0) - (item.checkedInQuantity || 0), asOf, null)
+      }))
+      .filter(item => item.outOnHire > 0);
+
+    return {
+      _id: order._id,
+      orderNumber: order.orderNumber,
+      partyName: order.partyName,
+      mobile: order.mobile,
+      client: order.client,
+      employeeName: order.employeeName,
+      rentalReturnDue: order.rentalReturnDue,
+      daysOverdue: Math.round((startOfDay(asOf) - startOfDay(order.rentalReturnDue)) / DAY_MS),
+      balanceDue: order.balanceDue,
+      items: overdueItems,
+      // Estimate only — product-level lateFeePerDay is applied at check-in
+      estimatedLateFee: Math.round(overdueItems.reduce((sum, i) => sum + i.lateFee, 0) * 100) / 100
+    };
+  });
+}
+
+module.exports = {
+  isRentalLine,
+  calculateHireDays,
+  buildRentalFields,
+  calculateLineTotal,
+  dispatchRentalItems: transactional(dispatchRentalItems, stockFailure),
+  returnFromHire: transactional(returnFromHire),
+  calculateLateFee,
+  addOrderCharge,
+  checkInRental,
+  getOverdueRentals
+};
@@ -0,0 +1,386 @@
+const mongoose = require('mongoose');
+const Return = require('../models/Return');
+const Order = require('../models/Order');
+const Delivery = require('../models/Delivery');
+const DeliveryInvoice = require('../models/DeliveryInvoice');
+const Client = require('../models/Client');
+const { assessLine, restockByCondition, reverseRestock, buildDamageCharges } = require('./damageManager');
+const { labelMovements } = require('./inventoryManager');
+const { addOrderCharge } = require('./rentalManager');
+const { reverseLineTax, sumTax, round2 } = require('./gstCalculator');
+const { invalidateOrderCache, initializeOrderCache } = require('./orderCache');
+const { emitEvent, orderScope } = require('./realtime');
+
+/**
+ * Return Manager
+ *
+ * Sales returns of delivered items — shared by POST /api/returns and offline sync.
+ */
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Create a return for delivered items:
+ *   1. Validates returned quantities don't exceed what is still with the customer
+ *   2. Restocks by condition (good → inventory, damaged / needs_cleaning → quarantine, lost → written off)
+ *   3. Updates the order (returnedQuantity, returnedAmount; pre-save recalculates status)
+ *   4. Calculates the refundable amount if the client overpaid and updates the client
+ *   5. Adds damage charges (per-line damageCharge + damageReason) to the order balance
+ * @param {Object} data - { orderId, items, reason, deliveryId, notes }
+ * @param {Object} options - { source } revision source recorded in order history
+ * @returns {Object} { message, data } — data is the POST /api/returns response payload
+ * @throws {Error} statusCode 400 / 404 on invalid input
+ */
+async function createReturn(data, userId, io, { source = 'return' } = {}) {
+  const {
+    orderId,
+    items,       // [{ product, productName, quantity, price, condition, damageCharge, damageReason }]
+    reason,
+    deliveryId,  // Optional: which delivery items came from
+    notes
+  } = data;
+  
+  // ── VALIDATE INPUT ──
+  if (!orderId) {
+    throw httpError('orderId is required', 400);
+  }
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw httpError('items array is required with at least one item', 400);
+  }
+  
+  // ── GET ORDER ──
+  const orderDoc = await Order.findById(orderId);
+  if (!orderDoc) {
+    throw httpError('Order not found', 404);
+  }
+  
+  // Can't return from cancelled orders
+  if (orderDoc.status === 'cancelled') {
+    throw httpError('Cannot return items from a cancelled order', 400);
+  }
+  
+  // Can't return from orders with no deliveries
+  if (orderDoc.progress === 0) {
+    throw httpError('No items have been delivered. Nothing to return.', 400);
+  }
+  
+  // ── BUILD RETURN ITEMS + VALIDATE QUANTITIES ──
+  const returnItems = [];
+  const pendingByIndex = new Map(); // same product may come back in several conditions
+  const orderItemsMap = new Map();
+  
+  // Build lookup map for order items
+  orderDoc.items.forEach((item, index) => {
+    const key = item.product?.toString() || item.productName?.toLowerCase().trim();
+    orderItemsMap.set(key, { item, index });
+    if (item.productName) {
+      orderItemsMap.set(item.productName.toLowerCase().trim(), { item, index });
+    }
+  });
+  
+  for (const returnItem of items) {
+    if (!returnItem.quantity || returnItem.quantity <= 0) {
+      throw httpError(`Invalid return quantity for "${returnItem.productName || 'Unknown'}". Must be greater than 0.`, 400);
+    }
+    
+    // Find the item in the order
+    const itemKey = returnItem.product?.toString() || returnItem.productName?.toLowerCase().trim();
+    const match = orderItemsMap.get(itemKey)
+      || (returnItem.productName ? orderItemsMap.get(returnItem.productName.toLowerCase().trim()) : null);
+    
+    if (!match) {
+      throw httpError(`Product "${returnItem.productName || returnItem.product}" not found in order ${orderDoc.orderNumber}`, 400);
+    }
+    
+    const orderItem = match.item;
+    
+    // Hired items come back through rental check-in, not as a sales return
+    if (orderItem.lineType === 'rental') {
+      throw httpError(`"${orderItem.productName}" is a rental item. Use POST /api/orders/${orderDoc.orderNumber}/check-in to check it in.`, 400);
+    }
+    
+    const delivered = orderItem.deliveredQuantity || 0;
+    const alreadyReturned = (orderItem.returnedQuantity || 0) + (pendingByIndex.get(match.index) || 0);
+    const returnable = delivered - alreadyReturned; // what's still with the customer
+    
+    // Can't return more than what's still with the customer
+    if (returnItem.quantity > returnable) {
+      throw httpError(`Cannot return ${returnItem.quantity} of "${orderItem.productName}". Only ${returnable} currently with customer (delivered: ${delivered}, already returned: ${alreadyReturned}).`, 400);
+    }
+    
+    let assessment;
+    try {
+      assessment = assessLine({ ...returnItem, productName: orderItem.productName });
+    } catch (assessError) {
+      throw httpError(assessError.message, 400);
+    }
+    pendingByIndex.set(match.index, (pendingByIndex.get(match.index) || 0) + returnItem.quantity);
+    
+    const price = returnItem.price || orderItem.price;
+    const lineTotal = price * returnItem.quantity;
+    
+    returnItems.push({
+      product: orderItem.product,
+      productName: orderItem.productName,
+      narration: orderItem.narration || '',
+      price: price,
+      quantity: returnItem.quantity,
+      total: lineTotal,
+      // Reverse GST at the rate and split charged on the original line
+      ...reverseLineTax(orderItem, lineTotal, orderDoc.isInterState),
+      ...assessment,
+      _orderItemIndex: match.index // internal: for updating order
+    });
+  }
+  
+  // Credit = taxable value + reversed GST (legacy lines without a gstRate reverse no tax)
+  const taxableValue = round2(returnItems.reduce((sum, item) => sum + item.total, 0));
+  const tax = sumTax(returnItems);
+  const returnTotal = round2(taxableValue + tax.gstAmount);
+  
+  // ── STEP 1: RESTOCK BY CONDITION (atomic per line) ──
+  // good → inventory, damaged / needs_cleaning → quarantine, lost → nothing
+  // Return number is assigned on save — the movements are labelled with it afterwards
+  const returnId = new mongoose.Types.ObjectId();
+  const movement = {
+    source: { type: 'return', id: returnId, ref: orderDoc.orderNumber },
+    user: { _id: userId },
+    note: reason || null
+  };
+  const stockResult = await restockByCondition(
+    returnItems.map(item => ({
+      product: item.product,
+      productName: item.productName,
+      quantity: item.quantity,
+      condition: item.condition
+    })),
+    io,
+    { movement }
+  );
+  const inventoryResult = {
+    affectedProducts: stockResult.moves
+      .filter(move => move.condition === 'good')
+      .map(move => ({
+        _id: move.product,
+        name: move.name,
+        oldInventory: move.inventory - move.quantity,
+        newInventory: move.inventory,
+        quantityRestored: move.quantity
+      }))
+  };
+  
+  // ── STEP 2: UPDATE ORDER ──
+  // INCREMENT returnedQuantity (don't reduce deliveredQuantity!)
+  // deliveredQuantity = what was physically delivered (never goes down)
+  // returnedQuantity = what came back (goes up on each return)
+  // Frontend can compute: activeWithCustomer = deliveredQuantity - returnedQuantity
+  for (const returnItem of returnItems) {
+    const orderItem = orderDoc.items[returnItem._orderItemIndex];
+    orderItem.returnedQuantity = (orderItem.returnedQuantity || 0) + returnItem.quantity;
+  }
+  
+  // Update return tracking on order
+  orderDoc.returnedAmount = (orderDoc.returnedAmount || 0) + returnTotal;
+  orderDoc.totalReturns = (orderDoc.totalReturns || 0) + 1;
+  
+  // Damage / cleaning / loss charges → order balance (reference patched to the return number below)
+  const damageCharges = buildDamageCharges(returnItems, 'Return')
+    .map(charge => addOrderCharge(orderDoc, { ...charge, reference: returnId.toString() }, userId))
+    .filter(Boolean);
+  const damageChargeTotal = round2(damageCharges.reduce((sum, charge) => sum + charge.amount, 0));
+  
+  // Unlock order if it was locked (returns reopen it)
+  if (orderDoc.isLocked) {
+    orderDoc.isLocked = false;
+  }
+  
+  // Save order (pre-save hook recalculates: progress, status, paymentStatus, balanceDue)
+  // If all items are returned, pre-save hook sets status = "returned"
+  orderDoc.$locals.revision = { by: userId, source };
+  try {
+    await orderDoc.save();
+  } catch (saveError) {
+    console.error('❌ Order save failed after restocking return. Rolling back stock...');
+    await reverseRestock(stockResult.moves, movement);
+    throw saveError;
+  }
+  
+  // ── STEP 3: CALCULATE REFUNDABLE AMOUNT ──
+  const isFastOrder = orderDoc.isFastOrder === true;
+  const effectiveTotal = orderDoc.grandTotal - orderDoc.returnedAmount;
+  let refundableAmount = 0;
+  
+  if (!isFastOrder && orderDoc.advance > effectiveTotal) {
+    refundableAmount = orderDoc.advance - effectiveTotal;
+  }
+  
+  // ── STEP 4: CREATE RETURN DOCUMENT ──
+  const cleanItems = returnItems.map(({ _orderItemIndex, ...rest }) => rest);
+  
+  let deliveryNumber = null;
+  let originalInvoice = null;
+  if (deliveryId) {
+    const delivery = await Delivery.findById(deliveryId).select('deliveryNumber invoice').lean();
+    if (delivery) {
+      deliveryNumber = delivery.deliveryNumber;
+      if (delivery.invoice) {
+        originalInvoice = await DeliveryInvoice.findById(delivery.invoice).select('invoiceNumber').lean();
+      }
+    }
+  }
+  // No delivery given → credit note goes against the order's latest tax invoice
+  if (!originalInvoice) {
+    originalInvoice = await DeliveryInvoice.findOne({ order: orderDoc._id })
+      .select('invoiceNumber')
+      .sort({ invoiceDate: -1 })
+      .lean();
+  }
+  
+  const returnDoc = new Return({
+    _id: returnId,
+    order: orderDoc._id,
+    orderNumber: orderDoc.orderNumber,
+    delivery: deliveryId || null,
+    deliveryNumber: deliveryNumber,
+    invoice: originalInvoice?._id || null,
+    invoiceNumber: originalInvoice?.invoiceNumber || null,
+    client: orderDoc.client || null,
+    partyName: orderDoc.partyName,
+    mobile: orderDoc.mobile,
+    items: cleanItems,
+    taxableValue,
+    cgstAmount: tax.cgstAmount,
+    sgstAmount: tax.sgstAmount,
+    igstAmount: tax.igstAmount,
+    taxAmount: tax.gstAmount,
+    returnTotal,
+    damageChargeTotal,
+    refundableAmount: isFastOrder ? 0 : refundableAmount,
+    refundedAmount: 0,
+    reason: reason || (isFastOrder ? 'Fast order return' : null),
+    processedBy: userId,
+    notes: notes || null
+  });
+  
+  await returnDoc.save();
+  if (inventoryResult.affectedProducts.length > 0) {
+    await labelMovements(movement.source, { detail: returnDoc.returnNumber });
+  }
+  
+  // Reason trail: point the order's damage charges at the return number
+  if (damageCharges.length > 0) {
+    await Order.updateOne(
+      { _id: orderDoc._id },
+      { $set: { 'additionalCharges.$[charge].reference': returnDoc.returnNumber } },
+      {
+        arrayFilters: [{ 'charge.reference': returnId.toString() }],
+        revision: { by: userId, source, reason: `Charges linked to ${returnDoc.returnNumber}` }
+      }
+    );
+    orderDoc.additionalCharges.forEach(charge => {
+      if (charge.reference === returnId.toString()) charge.reference = returnDoc.returnNumber;
+    });
+    damageCharges.forEach(charge => { charge.reference = returnDoc.returnNumber; });
+  }
+  
+  // ── STEP 5: UPDATE CLIENT (skip for fast orders — no client exists) ──
+  if (!isFastOrder && orderDoc.client) {
+    try {
+      const clientUpdate = {
+        $inc: {
+          totalReturns: 1,
+          totalReturnValue: returnTotal
+        }
+      };
+      
+      if (refundableAmount > 0) {
+        clientUpdate.$inc.refundableBalance = refundableAmount;
+      }
+      
+      await Client.findByIdAndUpdate(orderDoc.client, clientUpdate);
+    } catch (clientErr) {
+      console.error('⚠️ Error updating client on return:', clientErr.message);
+    }
+  }
+  
+  // ── STEP 6: REFRESH ORDER CACHE (callers clear the orders list cache) ──
+  await invalidateOrderCache(orderDoc._id.toString());
+  await initializeOrderCache(orderDoc.toObject());
+  
+  // ── STEP 7: EMIT SOCKET.IO EVENTS ──
+  if (io) {
+    emitEvent(io, 'return:created', {
+      returnDoc: returnDoc.toObject(),
+      order: orderDoc.toObject()
+    }, orderScope(orderDoc));
+    
+    emitEvent(io, 'order:updated', { order: orderDoc.toObject() }, orderScope(orderDoc));
+    
+    if (inventoryResult.affectedProducts?.length > 0) {
+      emitEvent(io, 'order:inventory-restored', {
+        orderId: orderDoc._id,
+        orderNumber: orderDoc.orderNumber,
+        affectedProducts: inventoryResult.affectedProducts,
+        reason: 'return'
+      }, orderScope(orderDoc));
+    }
+    
+    if (refundableAmount > 0) {
+      emitEvent(io, 'client:refund-due', {
+        clientId: orderDoc.client,
+        partyName: orderDoc.partyName,
+        refundableAmount,
+        returnNumber: returnDoc.returnNumber
+      }, orderScope(orderDoc));
+    }
+  }
+  
+  console.log(`✅ Return ${returnDoc.returnNumber} processed: ${cleanItems.length} items, ₹${returnTotal} value${damageChargeTotal > 0 ? `, ₹${damageChargeTotal} damage charges` : ''}${orderDoc.status === 'returned' ? ' (order fully returned)' : ''}`);
+  
+  
+  return {
+    message: `Return ${returnDoc.returnNumber} processed. ${cleanItems.length} items returned (₹${returnTotal}).${damageChargeTotal > 0 ? ` Damage charges ₹${damageChargeTotal} added to the order.` : ''}${orderDoc.status === 'returned' ? ' Order fully returned.' : ''}${refundableAmount > 0 ? ` Client is owed ₹${refundableAmount} refund.` : ''}`,
+    data: {
+      return: returnDoc.toObject(),
+      order: {
+        _id: orderDoc._id,
+        orderNumber: orderDoc.orderNumber,
+        grandTotal: orderDoc.grandTotal,
+        returnedAmount: orderDoc.returnedAmount,
+        effectiveTotal,
+        advance: orderDoc.advance,
+        balanceDue: orderDoc.balanceDue,
+        status: orderDoc.status,
+        paymentStatus: orderDoc.paymentStatus,
+        progress: orderDoc.progress,
+        isFastOrder: isFastOrder,
+        // Per-item return tracking for frontend
+        items: orderDoc.items.map(item => ({
+          productName: item.productName,
+          quantity: item.quantity,
+          price: item.price,
+          total: item.total,
+          deliveredQuantity: item.deliveredQuantity,
+          returnedQuantity: item.returnedQuantity || 0,
+          remainingQuantity: item.remainingQuantity,
+          // Computed: what's currently with the customer
+          activeWithCustomer: (item.deliveredQuantity || 0) - (item.returnedQuantity || 0)
+        }))
+      },
+      inventoryRestored: inventoryResult.affectedProducts || [],
+      quarantined: stockResult.moves
+        .filter(move => move.inc.quarantineStock)
+        .map(move => ({ _id: move.product, name: move.name, quantity: move.quantity, condition: move.condition, quarantineStock: move.quarantineStock })),
+      damageCharges,
+      refundableAmount: isFastOrder ? 0 : refundableAmount
+    }
+  };
+}
+
+module.exports = {
+  createReturn
+};
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { disconnectSessions, disconnectUser } = require('./realtime');
+
+/**
+ * Session Manager — short-lived access tokens + rotating refresh tokens
+ *
+ *   login    → session + access token (JWT { id, sid, mfa }, ACCESS_TOKEN_EXPIRES_IN, default 15m)
+ *              + refresh token "<sessionId>.<random>" (REFRESH_TOKEN_DAYS, default 30)
+ *   refresh  → new access token + new refresh token; the old refresh token stops working.
+ *              Presenting an already-rotated refresh token revokes the session (stolen copy).
+ *   revoke   → the session's access token fails on its next request, sockets are disconnected
+ *
+ * mfa is true when the session was started (or later confirmed) with a two-factor code.
+ */
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+const MAX_ROTATED_HASHES = 10;
+
+const SESSION_FIELDS = '_id deviceId deviceName platform appVersion userAgent ipAddress twoFactorVerified lastUsedAt refreshCount expiresAt createdAt revokedAt revokeReason';
+
+function unauthorized(message) {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Device info sent by the app at login / refresh, plus what the request itself tells us
+ */
+function deviceInfo(req) {
+  const { deviceId, deviceName, platform, appVersion } = req.body || {};
+  return {
+    ...(deviceId && { deviceId }),
+    ...(deviceName && { deviceName }),
+    ...(platform && { platform }),
+    ...(appVersion && { appVersion }),
+    userAgent: req.headers['user-agent'] || null,
+    ipAddress: req.ip || null
+  };
+}
+
+function issueAccessToken(user, session) {
+  const token = jwt.sign(
+    { id: user._id, sid: session._id, mfa: Boolean(session.twoFactorVerified) },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+  const { exp } = jwt.decode(token);
+
+  return {
+    token,
+    tokenExpiresAt: new Date(exp * 1000)
+  };
+}
+
+function issueTokens(user, session, refreshToken) {
+  return {
+    ...issueAccessToken(user, session),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session._id
+  };
+}
+
+/**
+ * Start a session for a user who just proved their credentials
+ * @param {Object} options - { twoFactorVerified } true when a two-factor code was checked too
+ */
+async function createSession(user, req, { twoFactorVerified = false } = {}) {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = newRefreshToken(sessionId);
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    twoFactorVerified,
+    ...deviceInfo(req)
+  });
+
+  return issueTokens(user, session, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair
+ * @throws {Error} statusCode 401 when the token is unknown, reused, revoked or expired
+ */
+async function refreshSession(refreshToken, req) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw unauthorized('Refresh token is required');
+  }
+
+  const [sessionId] = refreshToken.split('.');
+  if (!/^[0-9a-fA-F]{24}$/.test(sessionId)) {
+    throw unauthorized('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +rotatedTokenHashes').lean();
+  if (!session) {
+    throw unauthorized('Invalid refresh token');
+  }
+  if (session.revokedAt) {
+    throw unauthorized('Session has been revoked. Please log in again.');
+  }
+  if (session.expiresAt <= new Date()) {
+    throw unauthorized('Session expired. Please log in again.');
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (session.rotatedTokenHashes.includes(presentedHash)) {
+    await revokeSessions({ _id: session._id }, { reason: 'refresh_token_reuse' }, req.app.get('io'));
+    console.warn(`⚠️  Refresh token reuse on session ${session._id} — session revoked`);
+    throw unauthorized('Refresh token was already used. Session revoked — please log in again.');
+  }
+  if (presentedHash !== session.refreshTokenHash) {
+    throw unauthorized('Invalid refresh token');
+  }
+
+  const user = await User.findById(session.user).select('-password').lean();
+  if (!user || !user.isActive) {
+    await revokeSessions({ _id: session._id }, { reason: 'user_deactivated' }, req.app.get('io'));
+    throw unauthorized('User account is deactivated');
+  }
+
+  // Rotate — the filter on the current hash makes a parallel refresh with the same token lose
+  const nextToken = newRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ...deviceInfo(req)
+      },
+      $push: { rotatedTokenHashes: { $each: [presentedHash], $slice: -MAX_ROTATED_HASHES } },
+      $inc: { refreshCount: 1 }
+    },
+    { new: true }
+  ).lean();
+
+  if (!rotated) {
+    throw unauthorized('Refresh token was already used');
+  }
+
+  return { ...issueTokens(user, rotated, nextToken), user };
+}
+
+/**
+ * Mark the current session as two-factor verified (right after enrolling) and issue an
+ * access token that says so. The refresh token is unchanged.
+ * @returns {Object|null} { token, tokenExpiresAt } — null without an active session
+ */
+async function confirmSessionTwoFactor(user, sessionId) {
+  if (!sessionId) return null;
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: user._id, revokedAt: null },
+    { twoFactorVerified: true },
+    { new: true }
+  ).lean();
+  return session ? issueAccessToken(user, session) : null;
+}
+
+/**
+ * Revoke every active session matching the filter and disconnect their sockets
+ * @returns {Number} sessions revoked
+ */
+async function revokeSessions(filter, { by = null, reason = 'logout' } = {}, io = null) {
+  const active = await Session.find({ ...filter, revokedAt: null }).select('_id').lean();
+  if (active.length === 0) return 0;
+
+  const ids = active.map(session => session._id);
+  await Session.updateMany(
+    { _id: { $in: ids }, revokedAt: null },
+    { revokedAt: new Date(), revokedBy: by, revokeReason: reason }
+  );
+
+  disconnectSessions(io, ids);
+  return ids.length;
+}
+
+/**
+ * Sign a user out everywhere — sessions revoked, and tokens issued before now
+ * (including ones from before sessions existed) rejected
+ */
+async function forceLogoutUser(userId, { by = null, reason = 'force_logout' } = {}, io = null) {
+  await User.updateOne({ _id: userId }, { tokensValidAfter: new Date() });
+  const revoked = await revokeSessions({ user: userId }, { by, reason }, io);
+  disconnectUser(io, userId);
+  return revoked;
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ */
+async function listSessions(userId, currentSessionId = null) {
+  const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select(SESSION_FIELDS)
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return sessions.map(session => ({
+    ...session,
+    current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+  }));
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_DAYS,
+  createSession,
+  refreshSession,
+  confirmSessionTwoFactor,
+  revokeSessions,
+  forceLogoutUser,
+  listSessions
+};
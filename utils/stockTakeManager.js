@@ -0,0 +1,581 @@
+const StockTake = require('../models/StockTake');
+const Product = require('../models/Product');
+const Counter = require('../models/Counter');
+const { applyStockAdjustments } = require('./inventoryManager');
+const { getLastUnitCosts } = require('./purchaseManager');
+const { emitEvent } = require('./realtime');
+
+/**
+ * Stock-Take Manager — physical counts with variance reconciliation
+ *
+ *   start (snapshot) → staff submit counts → close counting → review variances
+ *   (approve / reject each) → post approved adjustments in one batch → frozen report
+ *
+ * Counting is blind: counters only see their own counts, never the system stock.
+ * Variance = counted − system stock at the time of the latest count for the product.
+ * Posting applies variances as $inc deltas through inventoryManager.applyStockAdjustments()
+ * (all-or-nothing, one 'stock_take' InventoryMovement per product), so stock that moved
+ * after the count is kept.
+ */
+
+const SEQUENCE = 'stock_take';
+const OPEN_STATUSES = ['counting', 'review'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Find a stock-take by ObjectId or number (STK00003)
+ * @returns {Object|null} Lean stock-take
+ */
+async function findStockTake(id) {
+  if (!id) return null;
+  const idString = id.toString();
+  const query = /^[0-9a-fA-F]{24}$/.test(idString) ? { _id: idString } : { stockTakeNumber: idString.toUpperCase() };
+  return StockTake.findOne(query).lean();
+}
+
+async function loadStockTake(id) {
+  const stockTake = await findStockTake(id);
+  if (!stockTake) throw httpError('Stock-take not found', 404);
+  return stockTake;
+}
+
+function assertStatus(stockTake, status, action) {
+  if (stockTake.status !== status) {
+    throw httpError(`${stockTake.stockTakeNumber} is ${stockTake.status} — cannot ${action}`, 409);
+  }
+}
+
+/**
+ * Counted quantity, expected quantity and variance of a line from its counts
+ * Latest count per area wins; areas add up. Expected = system stock when the latest count came in.
+ */
+function resolveLine(line) {
+  if (!line.counts || line.counts.length === 0) {
+    return { countedQuantity: null, expectedQuantity: null, variance: null, conflict: false, decision: 'not_counted' };
+  }
+
+  const byArea = new Map();
+  for (const count of line.counts) {
+    const key = (count.area || '').toLowerCase();
+    if (!byArea.has(key)) byArea.set(key, []);
+    byArea.get(key).push(count);
+  }
+
+  let countedQuantity = 0;
+  let conflict = false;
+  for (const counts of byArea.values()) {
+    counts.sort((a, b) => new Date(a.countedAt) - new Date(b.countedAt));
+    countedQuantity += counts[counts.length - 1].quantity;
+
+    // Each counter's latest figure for the area — disagreement means someone should recount
+    const latestByCounter = new Map();
+    counts.forEach(count => latestByCounter.set(String(count.countedBy), count.quantity));
+    if (new Set(latestByCounter.values()).size > 1) conflict = true;
+  }
+
+  const latest = line.counts.reduce((a, b) => (new Date(b.countedAt) > new Date(a.countedAt) ? b : a));
+  const expectedQuantity = latest.systemQuantity ?? line.systemQuantity;
+  const variance = countedQuantity - expectedQuantity;
+
+  return {
+    countedQuantity,
+    expectedQuantity,
+    variance,
+    conflict,
+    decision: variance === 0 ? 'matched' : 'pending'
+  };
+}
+
+/**
+ * Progress counts for lists and events
+ */
+function progressOf(stockTake) {
+  const counted = stockTake.items.filter(line => line.counts && line.counts.length > 0).length;
+  return {
+    products: stockTake.items.length,
+    counted,
+    notCounted: stockTake.items.length - counted
+  };
+}
+
+/**
+ * Reviewer's view — lines with counted / expected / variance (worked out live while counting)
+ */
+function withVariances(stockTake) {
+  const items = stockTake.status === 'counting'
+    ? stockTake.items.map(line => ({ ...line, ...resolveLine(line) }))
+    : stockTake.items;
+  return { ...stockTake, items, progress: progressOf(stockTake) };
+}
+
+/**
+ * Counter's view — what to count, without system stock, variances or other people's counts
+ */
+function countSheet(stockTake, user) {
+  const userId = user._id.toString();
+  return {
+    _id: stockTake._id,
+    stockTakeNumber: stockTake.stockTakeNumber,
+    title: stockTake.title,
+    status: stockTake.status,
+    notes: stockTake.notes,
+    items: stockTake.items.map(line => ({
+      product: line.product,
+      productName: line.productName,
+      unit: line.unit,
+      categoryName: line.categoryName,
+      counted: line.counts.length > 0,
+      myCounts: line.counts
+        .filter(count => String(count.countedBy) === userId)
+        .map(({ area, quantity, countedAt, note }) => ({ area, quantity, countedAt, note }))
+    })),
+    progress: progressOf(stockTake)
+  };
+}
+
+function emitStockTake(io, stockTake, action) {
+  emitEvent(io, 'stock-take:updated', {
+    action,
+    stockTake: {
+      _id: stockTake._id,
+      stockTakeNumber: stockTake.stockTakeNumber,
+      title: stockTake.title,
+      status: stockTake.status,
+      progress: progressOf(stockTake)
+    }
+  }, { staff: true });
+}
+
+/**
+ * Start a stock-take — snapshots every active product with inventory tracking (optionally some categories)
+ * Only one stock-take can be open at a time, so two counts never correct the same stock.
+ * @throws {Error} statusCode 400 (no title / nothing to count) / 409 (another one is open)
+ */
+async function startStockTake({ title, categories, notes } = {}, user, io) {
+  if (!title || !String(title).trim()) {
+    throw httpError('title is required', 400);
+  }
+
+  const open = await StockTake.findOne({ status: { $in: OPEN_STATUSES } }).select('stockTakeNumber status').lean();
+  if (open) {
+    throw httpError(`${open.stockTakeNumber} is still ${open.status} — post or cancel it first`, 409);
+  }
+
+  const categoryIds = Array.isArray(categories) ? categories.filter(Boolean) : [];
+  const products = await Product.find({
+    isActive: true,
+    inventory: { $ne: null },
+    ...(categoryIds.length > 0 && { category: { $in: categoryIds } })
+  })
+    .select('name unit categoryName inventory')
+    .sort({ categoryName: 1, name: 1 })
+    .lean();
+
+  if (products.length === 0) {
+    throw httpError('No products with inventory tracking to count', 400);
+  }
+
+  const seq = await Counter.next(SEQUENCE);
+  const stockTake = await StockTake.create({
+    stockTakeNumber: `STK${String(seq).padStart(5, '0')}`,
+    title: String(title).trim(),
+    categories: categoryIds,
+    notes: notes || null,
+    items: products.map(product => ({
+      product: product._id,
+      productName: product.name,
+      unit: product.unit || 'piece',
+      categoryName: product.categoryName || null,
+      systemQuantity: product.inventory
+    })),
+    startedBy: user._id,
+    startedByName: user.name
+  });
+
+  const data = stockTake.toObject();
+  emitStockTake(io, data, 'started');
+  console.log(`📋 Stock-take ${data.stockTakeNumber} started: ${products.length} products`);
+  return data;
+}
+
+/**
+ * Submit counted quantities (one phone, one or more products)
+ * A later count for the same area replaces the earlier one; different areas add up.
+ * @param {Object} body - { counts: [{ product, quantity, area?, note? }], deviceId? }
+ * @throws {Error} statusCode 400 (bad lines) / 404 / 409 (counting closed)
+ */
+async function submitCounts(id, { counts, deviceId } = {}, user, io) {
+  const stockTake = await loadStockTake(id);
+  assertStatus(stockTake, 'counting', 'submit counts');
+
+  if (!Array.isArray(counts) || counts.length === 0) {
+    throw httpError('counts array is required', 400);
+  }
+
+  const lineByProduct = new Map(stockTake.items.map(line => [line.product.toString(), line]));
+  const productIds = [];
+  for (const count of counts) {
+    const line = lineByProduct.get(String(count.product));
+    if (!line) {
+      throw httpError(`Product ${count.product} is not part of ${stockTake.stockTakeNumber}`, 400);
+    }
+    const quantity = Number(count.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw httpError(`"${line.productName}": quantity must be a whole number (0 or more)`, 400);
+    }
+    productIds.push(line.product);
+  }
+
+  // System stock right now — what each count is compared against
+  const products = await Product.find({ _id: { $in: productIds } }).select('inventory').lean();
+  const inventoryById = new Map(products.map(product => [product._id.toString(), product.inventory]));
+
+  const countedAt = new Date();
+  const push = {};
+  const arrayFilters = [];
+  const byProduct = new Map();
+  counts.forEach(count => {
+    const key = String(count.product);
+    if (!byProduct.has(key)) byProduct.set(key, []);
+    byProduct.get(key).push({
+      area: count.area ? String(count.area).trim() : null,
+      quantity: Number(count.quantity),
+      systemQuantity: inventoryById.get(key) ?? null,
+      countedBy: user._id,
+      countedByName: user.name,
+      countedAt,
+      deviceId: deviceId || null,
+      note: count.note || null
+    });
+  });
+  [...byProduct.entries()].forEach(([productId, entries], index) => {
+    push[`items.$[line${index}].counts`] = { $each: entries };
+    arrayFilters.push({ [`line${index}.product`]: lineByProduct.get(productId).product });
+  });
+
+  // ATOMIC: only while counting is open
+  const updated = await StockTake.findOneAndUpdate(
+    { _id: stockTake._id, status: 'counting' },
+    { $push: push },
+    { new: true, arrayFilters }
+  ).lean();
+
+  if (!updated) {
+    throw httpError(`Counting on ${stockTake.stockTakeNumber} has been closed`, 409);
+  }
+
+  emitStockTake(io, updated, 'counted');
+  return { stockTake: updated, accepted: counts.length };
+}
+
+/**
+ * Close counting — works out counted quantities and variances; variance lines wait for a decision
+ * @throws {Error} statusCode 404 / 409 (not counting, or counts arrived meanwhile)
+ */
+async function closeCounting(id, io) {
+  const stockTake = await loadStockTake(id);
+  assertStatus(stockTake, 'counting', 'close counting');
+
+  const items = stockTake.items.map(line => ({ ...line, ...resolveLine(line), decisionNote: null }));
+
+  const updated = await StockTake.findOneAndUpdate(
+    { _id: stockTake._id, status: 'counting', updatedAt: stockTake.updatedAt },
+    { $set: { items, status: 'review', countingClosedAt: new Date() } },
+    { new: true }
+  ).lean();
+
+  if (!updated) {
+    throw httpError('New counts came in meanwhile — try again', 409);
+  }
+
+  emitStockTake(io, updated, 'counting_closed');
+  return withVariances(updated);
+}
+
+/**
+ * Reopen counting (recount) — decisions are worked out again when counting closes
+ * @throws {Error} statusCode 404 / 409
+ */
+async function reopenCounting(id, io) {
+  const stockTake = await loadStockTake(id);
+  assertStatus(stockTake, 'review', 'reopen counting');
+
+  const updated = await StockTake.findOneAndUpdate(
+    { _id: stockTake._id, status: 'review' },
+    { $set: { status: 'counting', countingClosedAt: null } },
+    { new: true }
+  ).lean();
+
+  if (!updated) {
+    throw httpError('Stock-take was changed by someone else. Reload it and try again.', 409);
+  }
+
+  emitStockTake(io, updated, 'counting_reopened');
+  return withVariances(updated);
+}
+
+/**
+ * Approve / reject variance lines
+ * @param {Object} body - { lines: [{ product, decision: 'approved' | 'rejected', note? }] } or { approveAll: true }
+ * @throws {Error} statusCode 400 / 404 / 409
+ */
+async function reviewLines(id, { lines, approveAll = false } = {}) {
+  const stockTake = await loadStockTake(id);
+  assertStatus(stockTake, 'review', 'review variances');
+
+  const items = stockTake.items.map(line => ({ ...line }));
+  const lineByProduct = new Map(items.map(line => [line.product.toString(), line]));
+  const decidable = (line) => ['pending', 'approved', 'rejected'].includes(line.decision);
+
+  if (approveAll) {
+    items.filter(line => line.decision === 'pending').forEach(line => { line.decision = 'approved'; });
+  } else {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw httpError('lines array (or approveAll: true) is required', 400);
+    }
+    for (const entry of lines) {
+      const line = lineByProduct.get(String(entry.product));
+      if (!line) throw httpError(`Product ${entry.product} is not part of ${stockTake.stockTakeNumber}`, 400);
+      if (!decidable(line)) throw httpError(`"${line.productName}" has no variance to decide (${line.decision})`, 400);
+      if (!['approved', 'rejected'].includes(entry.decision)) {
+        throw httpError(`"${line.productName}": decision must be 'approved' or 'rejected'`, 400);
+      }
+      line.decision = entry.decision;
+      line.decisionNote = entry.note || null;
+    }
+  }
+
+  const updated = await StockTake.findOneAndUpdate(
+    { _id: stockTake._id, status: 'review', updatedAt: stockTake.updatedAt },
+    { $set: { items } },
+    { new: true }
+  ).lean();
+
+  if (!updated) {
+    throw httpError('Stock-take was changed by someone else. Reload it and try again.', 409);
+  }
+
+  return withVariances(updated);
+}
+
+/**
+ * Frozen report — every line with its outcome, and totals (valued at the last purchase cost, else the price)
+ */
+async function buildReport(stockTake, affectedProducts) {
+  const productIds = stockTake.items.map(line => line.product);
+  const [lastCost, products] = await Promise.all([
+    getLastUnitCosts(productIds),
+    Product.find({ _id: { $in: productIds } }).select('price').lean()
+  ]);
+  const priceById = new Map(products.map(product => [product._id.toString(), product.price]));
+  const postedById = new Map(affectedProducts.map(product => [product._id.toString(), product]));
+
+  const summary = {
+    products: stockTake.items.length,
+    counted: 0,
+    notCounted: 0,
+    matched: 0,
+    withVariance: 0,
+    conflicts: 0,
+    approved: 0,
+    rejected: 0,
+    unitsOver: 0,
+    unitsShort: 0,
+    valueOver: 0,
+    valueShort: 0,
+    postedUnitsIn: 0,
+    postedUnitsOut: 0,
+    postedValue: 0
+  };
+  const counters = new Map();
+
+  const lines = stockTake.items.map(line => {
+    const key = line.product.toString();
+    const unitValue = lastCost.get(key) ?? priceById.get(key) ?? 0;
+    const posted = postedById.get(key) || null;
+    const value = round2((line.variance || 0) * unitValue);
+
+    line.counts.forEach(count => {
+      const counterKey = String(count.countedBy);
+      if (!counters.has(counterKey)) counters.set(counterKey, { user: count.countedBy, name: count.countedByName, counts: 0 });
+      counters.get(counterKey).counts++;
+    });
+
+    if (line.decision === 'not_counted') summary.notCounted++;
+    else summary.counted++;
+    if (line.decision === 'matched') summary.matched++;
+    if (line.conflict) summary.conflicts++;
+    if (line.variance) {
+      summary.withVariance++;
+      if (line.variance > 0) {
+        summary.unitsOver += line.variance;
+        summary.valueOver += value;
+      } else {
+        summary.unitsShort -= line.variance;
+        summary.valueShort -= value;
+      }
+    }
+    if (line.decision === 'approved') summary.approved++;
+    if (line.decision === 'rejected') summary.rejected++;
+    if (posted) {
+      if (posted.adjustment > 0) summary.postedUnitsIn += posted.adjustment;
+      else summary.postedUnitsOut -= posted.adjustment;
+      summary.postedValue += round2(posted.adjustment * unitValue);
+    }
+
+    return {
+      product: line.product,
+      productName: line.productName,
+      unit: line.unit,
+      categoryName: line.categoryName,
+      systemQuantity: line.systemQuantity,
+      expectedQuantity: line.expectedQuantity,
+      countedQuantity: line.countedQuantity,
+      variance: line.variance,
+      conflict: line.conflict,
+      decision: line.decision,
+      decisionNote: line.decisionNote,
+      unitValue,
+      varianceValue: value,
+      adjustment: posted ? posted.adjustment : 0,
+      inventoryBefore: posted ? posted.oldInventory : null,
+      inventoryAfter: posted ? posted.newInventory : null
+    };
+  });
+
+  summary.valueOver = round2(summary.valueOver);
+  summary.valueShort = round2(summary.valueShort);
+  summary.postedValue = round2(summary.postedValue);
+
+  return {
+    stockTakeNumber: stockTake.stockTakeNumber,
+    title: stockTake.title,
+    startedAt: stockTake.createdAt,
+    startedByName: stockTake.startedByName,
+    countingClosedAt: stockTake.countingClosedAt,
+    summary,
+    counters: [...counters.values()],
+    lines
+  };
+}
+
+/**
+ * Post approved variances to stock in one batch and freeze the report
+ * All-or-nothing: if one correction can't be applied (e.g. the stock was sold meanwhile),
+ * nothing is posted and the stock-take stays in review.
+ * @param {Object} body - { reason }
+ * @throws {Error} statusCode 400 (no reason, undecided lines) / 404 / 409
+ */
+async function postStockTake(id, { reason } = {}, user, io) {
+  const stockTake = await loadStockTake(id);
+  assertStatus(stockTake, 'review', 'post');
+
+  if (!reason || !String(reason).trim()) {
+    throw httpError('reason is required to post stock adjustments', 400);
+  }
+
+  const pending = stockTake.items.filter(line => line.decision === 'pending');
+  if (pending.length > 0) {
+    throw httpError(`${pending.length} variance(s) still need a decision: ${pending.slice(0, 5).map(line => line.productName).join(', ')}${pending.length > 5 ? ', …' : ''}`, 400);
+  }
+
+  const postedAt = new Date();
+
+  // Claim the posting — fails if someone else posted or reviewed meanwhile
+  const claimed = await StockTake.findOneAndUpdate(
+    { _id: stockTake._id, status: 'review', updatedAt: stockTake.updatedAt },
+    { $set: { status: 'posted', reason: String(reason).trim(), postedBy: user._id, postedByName: user.name, postedAt } },
+    { new: true }
+  ).lean();
+
+  if (!claimed) {
+    throw httpError('Stock-take was changed by someone else. Reload it and try again.', 409);
+  }
+
+  const adjustments = claimed.items
+    .filter(line => line.decision === 'approved' && line.variance)
+    .map(line => ({ product: line.product, productName: line.productName, quantity: line.variance }));
+
+  const stock = await applyStockAdjustments(adjustments, io, {
+    source: { type: 'stock_take', id: claimed._id, ref: claimed.stockTakeNumber },
+    user,
+    note: claimed.reason
+  });
+
+  if (!stock.success) {
+    await StockTake.updateOne(
+      { _id: claimed._id, status: 'posted' },
+      { $set: { status: 'review', reason: null, postedBy: null, postedByName: null, postedAt: null } }
+    );
+    throw httpError(`Nothing was posted: ${stock.error}. Recount or reject that line and post again.`, 409);
+  }
+
+  const report = await buildReport(claimed, stock.affectedProducts);
+  report.reason = claimed.reason;
+  report.postedByName = user.name;
+  report.postedAt = postedAt;
+
+  const posted = await StockTake.findByIdAndUpdate(claimed._id, { $set: { report } }, { new: true }).lean();
+
+  emitStockTake(io, posted, 'posted');
+  console.log(`📋 Stock-take ${posted.stockTakeNumber} posted: ${stock.affectedProducts.length} product(s) adjusted`);
+  return { stockTake: posted, stock };
+}
+
+/**
+ * Report — the frozen one once posted, otherwise a preview from the current counts
+ */
+async function getReport(id) {
+  const stockTake = await loadStockTake(id);
+  if (stockTake.status === 'posted' && stockTake.report) {
+    return { frozen: true, ...stockTake.report };
+  }
+
+  const preview = await buildReport(withVariances(stockTake), []);
+  return { frozen: false, status: stockTake.status, ...preview };
+}
+
+/**
+ * Cancel a stock-take that is still counting or in review — stock is not touched
+ * @throws {Error} statusCode 404 / 409
+ */
+async function cancelStockTake(id, { reason } = {}, io) {
+  const stockTake = await loadStockTake(id);
+  if (!OPEN_STATUSES.includes(stockTake.status)) {
+    throw httpError(`${stockTake.stockTakeNumber} is ${stockTake.status} — cannot cancel`, 409);
+  }
+
+  const cancelled = await StockTake.findOneAndUpdate(
+    { _id: stockTake._id, status: { $in: OPEN_STATUSES } },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason || null } },
+    { new: true }
+  ).lean();
+
+  if (!cancelled) {
+    throw httpError('Stock-take was changed by someone else. Reload it and try again.', 409);
+  }
+
+  emitStockTake(io, cancelled, 'cancelled');
+  return cancelled;
+}
+
+module.exports = {
+  findStockTake,
+  withVariances,
+  countSheet,
+  startStockTake,
+  submitCounts,
+  closeCounting,
+  reopenCounting,
+  reviewLines,
+  postStockTake,
+  getReport,
+  cancelStockTake
+};
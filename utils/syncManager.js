@@ -0,0 +1,853 @@
+const Order = require('../models/Order');
+const Delivery = require('../models/Delivery');
+const Client = require('../models/Client');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Colour = require('../models/Colour');
+const Payment = require('../models/Payment');
+const Tombstone = require('../models/Tombstone');
+const SyncOperation = require('../models/SyncOperation');
+const { createOrder, updateOrder, cancelOrder, assertCancellable, createDelivery, updateDeliveryStatus } = require('./orderManager');
+const { recordOrderPayment } = require('./paymentManager');
+const { createReturn } = require('./returnManager');
+const { getOrderRevisions } = require('./orderRevisions');
+const { assertPermission } = require('./permissions');
+const { cancelApprovalRule, requestApproval, findApproval } = require('./approvalManager');
+const { auditSnapshot, recordAudit } = require('./auditLog');
+
+/**
+ * Sync Manager — applies a batch of operations recorded offline on a device
+ *
+ * Each operation:
+ *   {
+ *     opId,              // idempotency key (UUID from the device) — replays return the stored result
+ *     type,              // see HANDLERS
+ *     order,             // order _id, order number or offlineId (all types except order.create)
+ *     delivery,          // delivery.status: delivery _id, delivery number or opId of a delivery operation
+ *     baseVersion,       // updatedAt of the order (delivery for delivery.status) the device last saw
+ *     dependsOn,         // optional opIds that must be applied first
+ *     clientTimestamp,   // when it happened on the device
+ *     data               // same body as the matching REST endpoint
+ *   }
+ *
+ * Causal order: an operation runs after its dependsOn, after the order.create it refers to
+ * (by offlineId), after the delivery operation it refers to, and after earlier operations
+ * (clientTimestamp, then position in the batch) on the same order. If one of those did not
+ * apply, the operation is skipped.
+ *
+ * Conflicts: order.update / order.cancel / delivery.status with a baseVersion are rejected
+ * when the server copy changed after baseVersion — by anything other than this batch.
+ *
+ * Approvals: an order operation held back by an approval rule (large discount, cancelling
+ * an order with payments — see approvalManager) is queued as an approval request and
+ * reported as 'pending_approval'. Replays report the request again; nothing is re-queued.
+ *
+ * Delta download (getChanges): records created / updated since a cursor, plus tombstones
+ * for hard deletes. The cursor keeps one (updatedAt, _id) position per type so large
+ * downloads can be paged without losing records that share a timestamp.
+ */
+
+const MAX_OPERATIONS = 100;
+// A "processing" claim older than this was left behind by a crashed request and can be taken over
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+const ORDER_SUMMARY_FIELDS = '_id orderNumber offlineId partyName status paymentStatus grandTotal advance balanceDue updatedAt';
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Order by _id, order number or offlineId
+ */
+async function resolveOrder(ref) {
+  if (!ref) throw httpError('order is required', 400);
+  const value = ref.toString();
+  const query = /^[0-9a-fA-F]{24}$/.test(value)
+    ? { _id: value }
+    : { $or: [{ orderNumber: value.toUpperCase() }, { offlineId: value }] };
+
+  const order = await Order.findOne(query).select('_id orderNumber partyName status isLocked advance grandTotal updatedAt').lean();
+  if (!order) throw httpError(`Order ${value} not found`, 404);
+  return order;
+}
+
+/**
+ * Delivery by _id, delivery number or the opId of the (already applied) delivery operation
+ */
+async function resolveDelivery(ref) {
+  if (!ref) throw httpError('delivery is required', 400);
+  const value = ref.toString();
+
+  let deliveryId = /^[0-9a-fA-F]{24}$/.test(value) ? value : null;
+  if (!deliveryId) {
+    const operation = await SyncOperation.findOne({ opId: value, status: 'applied' }).select('result').lean();
+    deliveryId = operation?.result?.delivery?._id || null;
+  }
+
+  const query = deliveryId ? { _id: deliveryId } : { deliveryNumber: value.toUpperCase() };
+  const delivery = await Delivery.findOne(query).select('_id deliveryNumber order status updatedAt').lean();
+  if (!delivery) throw httpError(`Delivery ${value} not found`, 404);
+  return delivery;
+}
+
+async function orderSummary(orderId) {
+  return Order.findById(orderId).select(ORDER_SUMMARY_FIELDS).lean();
+}
+
+/**
+ * Reject the operation if the server copy changed after the version the device saw.
+ * Changes made earlier in this batch move the device's base forward.
+ */
+async function checkConflict(op, current, ctx) {
+  const baseVersion = toDate(op.baseVersion);
+  if (!baseVersion) return;
+
+  const ownVersion = ctx.versions.get(current._id.toString());
+  const effectiveBase = ownVersion && ownVersion > baseVersion ? ownVersion : baseVersion;
+
+  if (current.updatedAt && new Date(current.updatedAt) > effectiveBase) {
+    const error = httpError('Changed on the server since the device last synced it', 409);
+    error.conflict = {
+      baseVersion,
+      serverVersion: current.updatedAt
+    };
+    throw error;
+  }
+}
+
+function assertOrderOpen(order) {
+  if (order.isLocked || order.status === 'completed') {
+    throw httpError(`Order ${order.orderNumber} is completed and locked. Cannot be modified.`, 403);
+  }
+}
+
+/**
+ * One handler per operation type: (op, ctx) → { order, result }
+ * order: id of the order touched (for conflict tracking); result: stored for replays
+ */
+const HANDLERS = {
+  'order.create': async (op, ctx) => {
+    const data = op.data || {};
+    if (!data.offlineId) {
+      throw httpError('data.offlineId is required for order.create', 400);
+    }
+
+    // Already synced (e.g. through POST /api/orders/sync)
+    const existing = await Order.findOne({ offlineId: data.offlineId }).select('_id').lean();
+    if (existing) {
+      return { order: existing._id, duplicate: true };
+    }
+
+    const result = await createOrder({
+      ...data,
+      deviceId: data.deviceId || ctx.deviceId,
+      createdOfflineAt: data.createdOfflineAt || op.clientTimestamp
+    }, ctx.userId, ctx.io, { actor: ctx.user });
+    await recordAudit(ctx.audit, {
+      entity: 'order',
+      entityId: result.order._id,
+      entityRef: result.order.orderNumber,
+      action: 'create',
+      after: result.order,
+      metadata: {
+        source: 'sync',
+        opId: op.opId,
+        ...(result.overbookingAcceptedBy && {
+          overbookingAcceptedBy: result.overbookingAcceptedBy,
+          overbookedItems: result.overbookedItems
+        })
+      }
+    });
+    return { order: result.order._id };
+  },
+
+  'order.update': async (op, ctx) => {
+    const order = await resolveOrder(op.order);
+    assertOrderOpen(order);
+    await checkConflict(op, order, ctx);
+    const before = await auditSnapshot('order', order._id);
+    const result = await updateOrder(order._id.toString(), op.data || {}, ctx.userId, ctx.io, { source: 'sync', actor: ctx.user });
+    await recordAudit(ctx.audit, {
+      entity: 'order',
+      entityId: order._id,
+      entityRef: order.orderNumber,
+      action: 'update',
+      before,
+      after: result.order,
+      metadata: { source: 'sync', opId: op.opId }
+    });
+    return { order: order._id };
+  },
+
+  'order.cancel': async (op, ctx) => {
+    const order = await resolveOrder(op.order);
+    await checkConflict(op, order, ctx);
+
+    const approvalRule = cancelApprovalRule(ctx.user, order);
+    if (approvalRule) {
+      await assertCancellable(order);
+      const error = httpError(`Cancelling order ${order.orderNumber} needs approval`, 403);
+      error.approvalRule = approvalRule;
+      throw error;
+    }
+
+    const before = await auditSnapshot('order', order._id);
+    const result = await cancelOrder(order._id.toString(), op.data?.reason, ctx.userId, ctx.io, { source: 'sync' });
+    await recordAudit(ctx.audit, {
+      entity: 'order',
+      entityId: order._id,
+      entityRef: order.orderNumber,
+      action: 'cancel',
+      before,
+      after: result.order,
+      metadata: { source: 'sync', opId: op.opId, reason: op.data?.reason || null }
+    });
+    return { order: order._id };
+  },
+
+  payment: async (op, ctx) => {
+    const order = await resolveOrder(op.order);
+    const { amount, paymentDate, paymentMethod = 'cash', transactionReference, notes } = op.data || {};
+    if (!amount || amount <= 0) {
+      throw httpError('Valid payment amount is required', 400);
+    }
+
+    const before = await auditSnapshot('order', order._id);
+    const result = await recordOrderPayment(order._id, {
+      amount,
+      paymentDate: paymentDate || op.clientTimestamp,
+      paymentMethod,
+      transactionReference,
+      notes,
+      recordedFrom: 'offline_sync'
+    }, ctx.userId, ctx.io);
+    await recordAudit(ctx.audit, {
+      entity: 'order',
+      entityId: order._id,
+      entityRef: order.orderNumber,
+      action: 'payment',
+      before,
+      after: result.order,
+      metadata: { source: 'sync', opId: op.opId, paymentNumber: result.payment.paymentNumber, amount, paymentMethod, transactionReference }
+    });
+
+    return {
+      order: order._id,
+      result: {
+        payment: {
+          _id: result.payment._id,
+          paymentNumber: result.payment.paymentNumber,
+          amount: result.payment.amount
+        }
+      }
+    };
+  },
+
+  delivery: async (op, ctx) => {
+    const order = await resolveOrder(op.order);
+    assertOrderOpen(order);
+    const data = op.data || {};
+
+    const before = await auditSnapshot('order', order._id);
+    const result = await createDelivery({
+      ...data,
+      actualDeliveryDate: data.actualDeliveryDate || op.clientTimestamp
+    }, order._id.toString(), ctx.userId, ctx.io);
+    await recordAudit(ctx.audit, {
+      entity: 'order',
+      entityId: order._id,
+      entityRef: order.orderNumber,
+      action: 'delivery',
+      before,
+      after: result.order,
+      metadata: { source: 'sync', opId: op.opId, deliveryNumber: result.delivery.deliveryNumber, status: result.delivery.status }
+    });
+
+    return {
+      order: order._id,
+      result: {
+        delivery: {
+          _id: result.delivery._id,
+          deliveryNumber: result.delivery.deliveryNumber,
+          status: result.delivery.status
+        }
+      }
+    };
+  },
+
+  'delivery.status': async (op, ctx) => {
+    const status = op.data?.status;
+    if (!status) {
+      throw httpError('data.status is required', 400);
+    }
+
+    const delivery = await resolveDelivery(op.delivery);
+    await checkConflict(op, delivery, ctx);
+
+    const before = await auditSnapshot('order', delivery.order);
+    const result = await updateDeliveryStatus(delivery._id, status, ctx.userId, ctx.io);
+    ctx.versions.set(delivery._id.toString(), result.delivery.updatedAt);
+    await recordAudit(ctx.audit, {
+      entity: 'order',
+      entityId: delivery.order,
+      entityRef: result.delivery.orderNumber,
+      action: 'delivery_status',
+      before,
+      after: await auditSnapshot('order', delivery.order),
+      metadata: { source: 'sync', opId: op.opId, deliveryNumber: result.delivery.deliveryNumber, from: delivery.status, to: result.delivery.status }
+    });
+
+    return {
+      order: delivery.order,
+      result: {
+        delivery: {
+          _id: result.delivery._id,
+          deliveryNumber: result.delivery.deliveryNumber,
+          status: result.delivery.status
+        }
+      }
+    };
+  },
+
+  return: async (op, ctx) => {
+    const order = await resolveOrder(op.order);
+    const { data } = await createReturn({ ...op.data, orderId: order._id }, ctx.userId, ctx.io, { source: 'sync' });
+    await recordAudit(ctx.audit, {
+      entity: 'return',
+      entityId: data.return._id,
+      entityRef: data.return.returnNumber,
+      action: 'create',
+      after: data.return,
+      metadata: { source: 'sync', opId: op.opId, order: order._id, orderNumber: order.orderNumber, balanceDue: data.order.balanceDue }
+    });
+
+    return {
+      order: order._id,
+      result: {
+        return: {
+          _id: data.return._id,
+          returnNumber: data.return.returnNumber,
+          returnTotal: data.return.returnTotal,
+          refundableAmount: data.refundableAmount
+        }
+      }
+    };
+  }
+};
+
+const OPERATION_TYPES = Object.keys(HANDLERS);
+
+// Same permission as the matching REST endpoint
+const OPERATION_PERMISSIONS = {
+  'order.create': 'order.create',
+  'order.update': 'order.update',
+  'order.cancel': 'order.update',
+  payment: 'payment.record',
+  delivery: 'delivery.create',
+  'delivery.status': 'delivery.update_status',
+  return: 'return.create'
+};
+
+/**
+ * Order operations causally: Kahn's algorithm, ties broken by clientTimestamp then batch position
+ * @returns {Object} { sequence: [index], deps: Map(index → [index]), cyclic: Set(index) }
+ */
+function orderOperations(operations) {
+  const deps = new Map(operations.map((_, index) => [index, new Set()]));
+  const byOpId = new Map();
+  const createByOfflineId = new Map();
+
+  operations.forEach((op, index) => {
+    byOpId.set(op.opId, index);
+    if (op.type === 'order.create' && op.data?.offlineId) {
+      createByOfflineId.set(op.data.offlineId, index);
+    }
+  });
+
+  const time = (index) => toDate(operations[index].clientTimestamp)?.getTime() ?? Infinity;
+  const compare = (a, b) => (time(a) - time(b)) || (a - b);
+
+  // Same order → device order
+  const byOrder = new Map();
+  operations.forEach((op, index) => {
+    const key = op.type === 'order.create' ? op.data?.offlineId : op.order?.toString();
+    if (!key) return;
+    if (!byOrder.has(key)) byOrder.set(key, []);
+    byOrder.get(key).push(index);
+  });
+  byOrder.forEach(indexes => {
+    indexes.sort(compare);
+    indexes.slice(1).forEach((index, i) => deps.get(index).add(indexes[i]));
+  });
+
+  operations.forEach((op, index) => {
+    [].concat(op.dependsOn || []).forEach(opId => {
+      if (byOpId.has(opId)) deps.get(index).add(byOpId.get(opId));
+    });
+    if (op.order && createByOfflineId.has(op.order.toString())) {
+      deps.get(index).add(createByOfflineId.get(op.order.toString()));
+    }
+    if (op.delivery && byOpId.has(op.delivery.toString())) {
+      deps.get(index).add(byOpId.get(op.delivery.toString()));
+    }
+    deps.get(index).delete(index);
+  });
+
+  const pending = new Map([...deps].map(([index, set]) => [index, set.size]));
+  const dependents = new Map(operations.map((_, index) => [index, []]));
+  deps.forEach((set, index) => set.forEach(dep => dependents.get(dep).push(index)));
+
+  const sequence = [];
+  let ready = [...pending].filter(([, count]) => count === 0).map(([index]) => index);
+  while (ready.length > 0) {
+    ready.sort(compare);
+    const index = ready.shift();
+    sequence.push(index);
+    dependents.get(index).forEach(next => {
+      pending.set(next, pending.get(next) - 1);
+      if (pending.get(next) === 0) ready.push(next);
+    });
+  }
+
+  const placed = new Set(sequence);
+  const cyclic = new Set(operations.map((_, index) => index).filter(index => !placed.has(index)));
+
+  return { sequence, deps, cyclic };
+}
+
+/**
+ * Claim an opId. Returns the stored operation if it was already applied.
+ */
+async function claimOperation(op, ctx) {
+  try {
+    await SyncOperation.create({
+      opId: op.opId,
+      type: op.type,
+      user: ctx.userId,
+      deviceId: ctx.deviceId,
+      clientTimestamp: toDate(op.clientTimestamp)
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await SyncOperation.findOne({ opId: op.opId }).lean();
+  if (!existing) {
+    return claimOperation(op, ctx);
+  }
+  if (existing.type !== op.type) {
+    throw httpError(`opId ${op.opId} was already used for a ${existing.type} operation`, 400);
+  }
+  if (existing.status === 'applied') {
+    return existing;
+  }
+  if (Date.now() - new Date(existing.createdAt).getTime() < STALE_CLAIM_MS) {
+    throw httpError('Operation is being processed by another sync request. Retry shortly.', 409);
+  }
+
+  // Abandoned claim — take it over
+  await SyncOperation.deleteOne({ _id: existing._id, status: 'processing' });
+  return claimOperation(op, ctx);
+}
+
+/**
+ * Queue an operation held back by an approval rule; the claim is kept with the request
+ * stored as its result, so a replay reports the same request
+ */
+async function queueForApproval(op, ctx, approvalRule) {
+  const order = op.type === 'order.create' ? null : await resolveOrder(op.order);
+  const { approvalReason, ...data } = op.data || {};
+  const payload = op.type === 'order.create'
+    ? { ...data, deviceId: data.deviceId || ctx.deviceId, createdOfflineAt: data.createdOfflineAt || op.clientTimestamp }
+    : data;
+
+  const { approval } = await requestApproval({
+    type: op.type,
+    ...approvalRule,
+    order,
+    payload,
+    reason: approvalReason || data.reason
+  }, ctx.user, ctx.io);
+
+  const result = { pendingApproval: true, approvalId: approval._id, approvalNumber: approval.approvalNumber };
+  await SyncOperation.updateOne(
+    { opId: op.opId },
+    { status: 'applied', order: order?._id || null, result, appliedAt: new Date() }
+  );
+
+  return {
+    status: 'pending_approval',
+    ...result,
+    approvalStatus: approval.status,
+    order: order ? await orderSummary(order._id) : null
+  };
+}
+
+async function applyOperation(op, ctx) {
+  assertPermission(ctx.user, OPERATION_PERMISSIONS[op.type], `Permission '${OPERATION_PERMISSIONS[op.type]}' is required for ${op.type}`);
+
+  const stored = await claimOperation(op, ctx);
+  if (stored?.result?.pendingApproval) {
+    const approval = await findApproval(stored.result.approvalId);
+    return {
+      status: 'pending_approval',
+      ...stored.result,
+      approvalStatus: approval?.status || null,
+      order: stored.order ? await orderSummary(stored.order) : null
+    };
+  }
+  if (stored) {
+    return {
+      status: 'duplicate',
+      message: 'Operation already synced',
+      ...stored.result,
+      order: stored.order ? await orderSummary(stored.order) : null
+    };
+  }
+
+  try {
+    const outcome = await HANDLERS[op.type](op, ctx);
+    const order = outcome.order ? await orderSummary(outcome.order) : null;
+    if (order) {
+      ctx.versions.set(order._id.toString(), order.updatedAt);
+    }
+
+    await SyncOperation.updateOne(
+      { opId: op.opId },
+      {
+        status: 'applied',
+        order: outcome.order || null,
+        result: outcome.result || {},
+        appliedAt: new Date()
+      }
+    );
+
+    return {
+      status: outcome.duplicate ? 'duplicate' : 'applied',
+      ...(outcome.duplicate && { message: 'Order already synced (matched by offlineId)' }),
+      ...outcome.result,
+      order
+    };
+  } catch (error) {
+    if (error.approvalRule) {
+      return queueForApproval(op, ctx, error.approvalRule).catch(async (queueError) => {
+        await SyncOperation.deleteOne({ opId: op.opId, status: 'processing' }).catch(() => {});
+        throw queueError;
+      });
+    }
+
+    // Not applied — release the claim so the device can retry
+    await SyncOperation.deleteOne({ opId: op.opId, status: 'processing' })
+      .catch(deleteError => console.error('⚠️  Could not release sync claim:', deleteError.message));
+    throw error;
+  }
+}
+
+/**
+ * Shape a failed operation; conflicts carry the server copy and what changed on it
+ */
+async function describeFailure(op, error) {
+  if (!error.conflict) {
+    return {
+      status: 'failed',
+      error: error.message || 'Server error',
+      ...(error.statusCode === 403 && { forbidden: true }),
+      ...(error.insufficientItem && { details: error.insufficientItem }),
+      ...(error.overbookedItems && { overbookedItems: error.overbookedItems })
+    };
+  }
+
+  const failure = {
+    status: 'conflict',
+    error: error.message,
+    baseVersion: error.conflict.baseVersion,
+    serverVersion: error.conflict.serverVersion
+  };
+
+  if (op.type === 'delivery.status') {
+    const delivery = await resolveDelivery(op.delivery).catch(() => null);
+    return { ...failure, delivery };
+  }
+
+  const current = await resolveOrder(op.order).catch(() => null);
+  if (!current) return failure;
+
+  const revisions = await getOrderRevisions(current._id, { since: error.conflict.baseVersion });
+  return {
+    ...failure,
+    order: await orderSummary(current._id),
+    serverChanges: revisions.map(revision => ({
+      revision: revision.revision,
+      action: revision.action,
+      source: revision.source,
+      changes: revision.changes,
+      itemChanges: revision.itemChanges,
+      changedBy: revision.changedBy,
+      createdAt: revision.createdAt
+    }))
+  };
+}
+
+/**
+ * Validate a batch, apply it in causal order and return per-operation results
+ * (in the order they were sent; `sequence` is the position they were applied in)
+ * @param {Array} operations
+ * @param {Object} context - { user, deviceId, io, audit } — user as set by protect (with permissions),
+ *                           audit from auditContext(req) for the audit log
+ */
+async function processSyncBatch(operations, { user, deviceId = null, io = null, audit = {} }) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw httpError('Request body must contain an "operations" array with at least one operation', 400);
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    throw httpError(`Maximum ${MAX_OPERATIONS} operations per sync request`, 400);
+  }
+
+  const results = operations.map(op => ({ opId: op?.opId || null, type: op?.type || null }));
+
+  // ── Validate shape; invalid operations are failed and left out of the graph ──
+  const seen = new Set();
+  const valid = [];
+  operations.forEach((op, index) => {
+    let error = null;
+    if (!op || typeof op !== 'object') error = 'Operation must be an object';
+    else if (!op.opId || typeof op.opId !== 'string') error = 'opId is required. Generate a UUID on the device.';
+    else if (!OPERATION_TYPES.includes(op.type)) error = `type must be one of: ${OPERATION_TYPES.join(', ')}`;
+    else if (seen.has(op.opId)) error = `Duplicate opId ${op.opId} in this batch`;
+
+    if (error) {
+      Object.assign(results[index], { status: 'failed', error });
+    } else {
+      seen.add(op.opId);
+      valid.push(index);
+    }
+  });
+
+  const batch = valid.map(index => operations[index]);
+  const { sequence, deps, cyclic } = orderOperations(batch);
+  const ctx = { user, userId: user._id, deviceId, io, audit, versions: new Map() };
+
+  cyclic.forEach(position => {
+    Object.assign(results[valid[position]], { status: 'failed', error: 'Circular dependency between operations' });
+  });
+
+  const succeeded = (result) => result.status === 'applied' || result.status === 'duplicate';
+
+  for (const [step, position] of sequence.entries()) {
+    const index = valid[position];
+    const op = batch[position];
+    const result = results[index];
+    result.sequence = step + 1;
+
+    // ── Causal dependencies inside the batch ──
+    const blocker = [...deps.get(position)].map(dep => results[valid[dep]]).find(dep => !succeeded(dep));
+    if (blocker) {
+      Object.assign(result, { status: 'skipped', error: `Depends on ${blocker.opId} (${blocker.type}), which was not applied` });
+      continue;
+    }
+
+    // ── Dependencies synced in an earlier request ──
+    const external = [].concat(op.dependsOn || []).filter(opId => !seen.has(opId));
+    if (external.length > 0) {
+      const appliedCount = await SyncOperation.countDocuments({ opId: { $in: external }, status: 'applied' });
+      if (appliedCount < external.length) {
+        Object.assign(result, { status: 'skipped', error: 'Depends on operations that have not been synced yet' });
+        continue;
+      }
+    }
+
+    try {
+      Object.assign(result, await applyOperation(op, ctx));
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error(`❌ Sync operation ${op.opId} (${op.type}) failed:`, error.message);
+      }
+      Object.assign(result, await describeFailure(op, error));
+    }
+  }
+
+  const summary = { total: operations.length, applied: 0, duplicate: 0, pending_approval: 0, conflict: 0, failed: 0, skipped: 0 };
+  results.forEach(result => { summary[result.status] = (summary[result.status] || 0) + 1; });
+
+  return { results, summary };
+}
+
+// ============================================================================
+// DELTA DOWNLOAD
+// ============================================================================
+
+const CHANGE_TYPES = {
+  orders: { model: Order, name: 'Order' },
+  clients: { model: Client, name: 'Client' },
+  products: { model: Product, name: 'Product' },
+  categories: { model: Category, name: 'Category' },
+  colours: { model: Colour, name: 'Colour' },
+  payments: { model: Payment, name: 'Payment' }
+};
+
+const DEFAULT_CHANGE_LIMIT = 500;
+const MAX_CHANGE_LIMIT = 2000;
+// Drained types restart this far back, so writes still in flight when the page was read are not missed
+const CURSOR_OVERLAP_MS = 5000;
+
+/**
+ * Cursor = base64url JSON { p: { <type>: [ms, lastId | null], tombstones: [...] } }
+ * `since` may also be a plain timestamp (ms or ISO date) for devices that only kept a time.
+ * @returns {Object|null} positions, or null for a full download
+ */
+function parseCursor(since) {
+  if (since === undefined || since === null || since === '' || since === '0') return null;
+
+  const value = since.toString();
+  let time = null;
+  if (/^\d+$/.test(value)) {
+    time = parseInt(value, 10);
+  } else if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    time = toDate(value)?.getTime() ?? null;
+  }
+  if (time !== null) {
+    return Object.fromEntries([...Object.keys(CHANGE_TYPES), 'tombstones'].map(type => [type, [time, null]]));
+  }
+
+  try {
+    const decoded = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (decoded && typeof decoded.p === 'object') return decoded.p;
+  } catch (error) {
+    // fall through
+  }
+  throw httpError('Invalid sync cursor. Start again without "since" for a full download.', 400);
+}
+
+function encodeCursor(positions) {
+  return Buffer.from(JSON.stringify({ p: positions })).toString('base64url');
+}
+
+/**
+ * Filter for records after an (updatedAt, _id) position
+ */
+function afterPosition(field, position) {
+  if (!position) return {};
+  const [time, lastId] = position;
+  const at = new Date(time);
+  if (!lastId) return { [field]: { $gte: at } };
+  return {
+    $or: [
+      { [field]: { $gt: at } },
+      { [field]: at, _id: { $gt: lastId } }
+    ]
+  };
+}
+
+/**
+ * Page through one collection from its position
+ * @returns {Object} { docs, hasMore, position }
+ */
+async function readPage(model, field, position, limit, restartAt) {
+  const docs = await model.find(afterPosition(field, position))
+    .sort({ [field]: 1, _id: 1 })
+    .limit(limit + 1)
+    .select('-__v')
+    .lean();
+
+  const hasMore = docs.length > limit;
+  if (hasMore) docs.pop();
+
+  const last = docs[docs.length - 1];
+  const next = hasMore
+    ? [new Date(last[field]).getTime(), last._id.toString()]
+    : [Math.max(restartAt, position ? position[0] : 0), null];
+
+  return { docs, hasMore, position: next };
+}
+
+/**
+ * Records created, updated and deleted since a cursor
+ * @param {String} since - cursor from the previous response (omit for a full download)
+ * @param {Object} options - { types: ['orders', ...], limit } limit is per type
+ * @returns {Object} { cursor, hasMore, resyncRequired, changes: { <type>: { created, updated, deleted } } }
+ */
+async function getChanges(since, { types, limit } = {}) {
+  const positions = parseCursor(since);
+  const fullDownload = positions === null;
+  const serverTime = new Date();
+  const restartAt = serverTime.getTime() - CURSOR_OVERLAP_MS;
+
+  const selected = types && types.length > 0 ? types : Object.keys(CHANGE_TYPES);
+  const unknown = selected.filter(type => !CHANGE_TYPES[type]);
+  if (unknown.length > 0) {
+    throw httpError(`Unknown type(s): ${unknown.join(', ')}. Use: ${Object.keys(CHANGE_TYPES).join(', ')}`, 400);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_CHANGE_LIMIT, 1), MAX_CHANGE_LIMIT);
+
+  // Deletions older than the tombstone window are gone — the device must start over
+  const tombstonePosition = fullDownload ? null : positions.tombstones;
+  const oldestTombstone = Date.now() - Tombstone.TTL_DAYS * 24 * 60 * 60 * 1000;
+  if (!fullDownload && (!tombstonePosition || tombstonePosition[0] < oldestTombstone)) {
+    return {
+      resyncRequired: true,
+      reason: `Cursor is older than ${Tombstone.TTL_DAYS} days — download everything again without "since"`,
+      serverTime
+    };
+  }
+
+  const nextPositions = { ...(positions || {}) };
+  const changes = {};
+  let hasMore = false;
+
+  for (const type of selected) {
+    const position = fullDownload ? null : positions[type];
+    const page = await readPage(CHANGE_TYPES[type].model, 'updatedAt', position, pageSize, restartAt);
+    const createdAfter = position ? position[0] : 0;
+
+    changes[type] = {
+      created: page.docs.filter(doc => !doc.createdAt || new Date(doc.createdAt).getTime() >= createdAfter),
+      updated: page.docs.filter(doc => doc.createdAt && new Date(doc.createdAt).getTime() < createdAfter),
+      deleted: []
+    };
+    nextPositions[type] = page.position;
+    hasMore = hasMore || page.hasMore;
+  }
+
+  // A full download has nothing to delete locally — start the tombstone feed from now
+  if (fullDownload) {
+    nextPositions.tombstones = [restartAt, null];
+  } else {
+    const wanted = new Set(selected.map(type => CHANGE_TYPES[type].name));
+    const page = await readPage(Tombstone, 'deletedAt', tombstonePosition, pageSize * selected.length, restartAt);
+    const typeByName = Object.fromEntries(Object.entries(CHANGE_TYPES).map(([type, { name }]) => [name, type]));
+
+    page.docs
+      .filter(tombstone => wanted.has(tombstone.model))
+      .forEach(tombstone => {
+        changes[typeByName[tombstone.model]].deleted.push({ _id: tombstone.docId, deletedAt: tombstone.deletedAt });
+      });
+    nextPositions.tombstones = page.position;
+    hasMore = hasMore || page.hasMore;
+  }
+
+  return {
+    resyncRequired: false,
+    cursor: encodeCursor(nextPositions),
+    hasMore,
+    serverTime,
+    changes
+  };
+}
+
+module.exports = {
+  OPERATION_TYPES,
+  CHANGE_TYPES,
+  processSyncBatch,
+  getChanges
+};
@@ -0,0 +1,46 @@
+const Tombstone = require('../models/Tombstone');
+
+/**
+ * Tombstones — record hard deletes so delta sync can report them
+ *
+ * Covers every delete path Mongoose offers:
+ *   - doc.deleteOne()
+ *   - Model.deleteOne / deleteMany / findOneAndDelete (findByIdAndDelete)
+ *
+ * Writing a tombstone never fails the delete (logged instead).
+ */
+
+const SINGLE_DELETES = ['deleteOne', 'findOneAndDelete'];
+
+async function writeTombstones(modelName, ids) {
+  if (!ids || ids.length === 0) return;
+  try {
+    const deletedAt = new Date();
+    await Tombstone.insertMany(ids.map(docId => ({ model: modelName, docId, deletedAt })));
+  } catch (error) {
+    console.error(`⚠️  Failed to record ${modelName} tombstones:`, error.message);
+  }
+}
+
+/**
+ * Mongoose plugin — schema.plugin(tombstonePlugin, { modelName: 'Product' })
+ */
+function tombstonePlugin(schema, { modelName }) {
+  schema.pre([...SINGLE_DELETES, 'deleteMany'], { document: false, query: true }, async function() {
+    let finder = this.model.find(this.getFilter()).select('_id').lean();
+    if (SINGLE_DELETES.includes(this.op)) finder = finder.limit(1);
+    this._tombstoneIds = (await finder).map(doc => doc._id);
+  });
+
+  schema.post([...SINGLE_DELETES, 'deleteMany'], { document: false, query: true }, async function() {
+    await writeTombstones(modelName, this._tombstoneIds);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    await writeTombstones(modelName, [this._id]);
+  });
+}
+
+module.exports = {
+  tombstonePlugin
+};
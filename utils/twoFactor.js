@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+/**
+ * Two-factor authentication — TOTP (RFC 6238: HMAC-SHA1, 6 digits, 30 second steps)
+ * as used by Google Authenticator, Microsoft Authenticator, Authy, etc.
+ *
+ * Enrollment: setup stores a pending secret and returns an otpauth:// URL (rendered as a
+ * QR code by the app); the first valid code enables 2FA and returns single-use backup codes.
+ * Login: password → short-lived challenge token → code (or backup code) → session.
+ * Sessions remember whether they passed 2FA; the access token carries it as `mfa`.
+ *
+ * Mandatory for TWO_FACTOR_REQUIRED_ROLES (comma separated, default "admin").
+ */
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Khushi Wedding Mall';
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin')
+  .split(',')
+  .map(role => role.trim().toLowerCase())
+  .filter(Boolean);
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted (phone clock drift)
+const WINDOW = 1;
+const SECRET_BYTES = 20;
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = text.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function hashBackupCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+/**
+ * Code for one time step
+ */
+function totp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a 6-digit code against the secret
+ * @returns {Number|null} the matching time step (store it to refuse replays), or null
+ */
+function verifyTotp(secret, code, { lastUsedStep = null } = {}) {
+  if (!secret || !/^\d{6}$/.test(String(code || '').replace(/\s/g, ''))) return null;
+  const presented = Buffer.from(String(code).replace(/\s/g, ''));
+  const now = currentStep();
+
+  for (let step = now - WINDOW; step <= now + WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    if (crypto.timingSafeEqual(presented, Buffer.from(totp(secret, step)))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * otpauth:// URL for authenticator apps (encode it as a QR code)
+ */
+function otpauthUrl(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Fresh single-use backup codes
+ * @returns {Object} { codes: ['a1b2-c3d4', ...] shown once, hashes: stored on the user }
+ */
+function generateBackupCodes() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+/**
+ * Check a user's second factor — an authenticator code, or one of their backup codes
+ * (used up by this call). Accepted codes can't be replayed.
+ * @param {Object} user - loaded with SECRET_FIELDS
+ * @returns {Object} { method: 'totp' | 'backup_code', backupCodesRemaining }
+ * @throws {Error} statusCode 400 (2FA not enabled / nothing sent) / 401 (wrong or used code)
+ */
+async function checkSecondFactor(user, { code, backupCode } = {}) {
+  const state = user.twoFactor || {};
+  if (!state.enabled || !state.secret) {
+    throw httpError('Two-factor authentication is not enabled for this account', 400);
+  }
+
+  if (code) {
+    const step = verifyTotp(state.secret, code, { lastUsedStep: state.lastUsedStep ?? null });
+    if (step === null) {
+      throw httpError('Invalid authentication code', 401);
+    }
+    // Claim the step atomically — a parallel login with the same code loses
+    const claimed = await User.updateOne(
+      { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw httpError('This authentication code was already used. Wait for the next one.', 401);
+    }
+    return { method: 'totp', backupCodesRemaining: state.backupCodes.length };
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(String(backupCode));
+    const used = await User.updateOne(
+      { _id: user._id, 'twoFactor.backupCodes': hash },
+      { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    if (used.modifiedCount === 0) {
+      throw httpError('Invalid or already used backup code', 401);
+    }
+    return { method: 'backup_code', backupCodesRemaining: state.backupCodes.length - 1 };
+  }
+
+  throw httpError('Authentication code (or backup code) is required', 400);
+}
+
+function isTwoFactorRequired(user) {
+  return Boolean(user && REQUIRED_ROLES.includes(user.role));
+}
+
+/**
+ * Short-lived token proving the password step of a login (not an access token)
+ */
+function issueChallengeToken(user) {
+  return jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_EXPIRES_IN });
+}
+
+/**
+ * @returns {String|null} user id from a valid challenge token
+ */
+function readChallengeToken(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  REQUIRED_ROLES,
+  SECRET_FIELDS,
+  verifyTotp,
+  generateSecret,
+  otpauthUrl,
+  generateBackupCodes,
+  checkSecondFactor,
+  isTwoFactorRequired,
+  issueChallengeToken,
+  readChallengeToken
+};